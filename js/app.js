@@ -4,10 +4,18 @@ import { PracticeViewComponent } from './components/PracticeViewComponent.js';
 import { ExampleViewComponent } from './components/ExampleViewComponent.js';
 import { ResultViewComponent } from './components/ResultViewComponent.js';
 import { ProgressViewComponent } from './components/ProgressViewComponent.js';
+import { StrokeReplayPlayer } from './components/StrokeReplayPlayer.js';
 import { DrawingService } from './services/DrawingService.js';
 import { RecognitionService } from './services/RecognitionService.js';
+import { RecognitionEngineService } from './services/RecognitionEngineService.js';
+import { HeuristicRecognizerEngine } from './services/HeuristicRecognizerEngine.js';
+import { PointCloudRecognizerEngine } from './services/PointCloudRecognizerEngine.js';
+import { RecognitionWorkerClient } from './services/RecognitionWorkerClient.js';
 import { ScoreService } from './services/ScoreService.js';
+import { DrawingExportService } from './services/DrawingExportService.js';
+import { SpeechService } from './services/SpeechService.js';
 import { HiraganaDataService } from './services/HiraganaDataService.js';
+import { WordDataService } from './services/WordDataService.js';
 import { DataStorageService } from './services/DataStorageService.js';
 import { DataMigrationService } from './services/DataMigrationService.js';
 import { RandomizationService } from './services/RandomizationService.js';
@@ -27,9 +35,10 @@ export class App {
                 startTime: null,
                 currentCharacter: null
             },
-            practiceMode: 'random', // 'random', 'sequential', 'difficulty'
+            practiceMode: 'random', // 'random', 'sequential', 'difficulty', 'strokeComplexity', 'confusableDrill', 'tracing', 'word', 'dictation'
             difficultyFilter: null,
-            categoryFilter: null
+            categoryFilter: null,
+            tracingGuides: null // なぞり書きの下絵の設定 { startDots, arrows }
         };
         
         // サービス初期化
@@ -37,8 +46,15 @@ export class App {
         this.performanceMonitor = new PerformanceMonitor();
         this.drawingService = new DrawingService();
         this.recognitionService = new RecognitionService();
+        this.recognitionEngineService = new RecognitionEngineService(
+            this.createRecognitionEngines(this.recognitionService)
+        );
+        this.recognitionWorkerClient = new RecognitionWorkerClient(this.recognitionEngineService);
         this.scoreService = new ScoreService();
+        this.drawingExportService = new DrawingExportService();
+        this.speechService = new SpeechService();
         this.hiraganaDataService = new HiraganaDataService(this.errorHandler);
+        this.wordDataService = new WordDataService(this.hiraganaDataService);
         this.dataStorageService = new DataStorageService();
         this.dataMigrationService = new DataMigrationService(this.dataStorageService, this.hiraganaDataService);
         this.progressTrackingService = new ProgressTrackingService(this.dataStorageService);
@@ -77,6 +93,9 @@ export class App {
             
             // 保存されたセッションを復元
             this.restoreSession();
+
+            // 保存された設定を反映
+            this.applySettings();
             
             // 各コンポーネントを初期化
             await this.initializeComponents();
@@ -190,11 +209,33 @@ export class App {
 
     startPractice(mode = 'random', options = {}) {
         try {
+            // 聞き書きは読み上げが使えないと書く文字が分からないため始めない
+            if (mode === 'dictation' && !this.speechService.isSupported()) {
+                this.showErrorMessage('このブラウザでは音声の読み上げが使えないため、聞き書きはできません');
+                return;
+            }
+
             // 練習モードを設定
             this.appState.practiceMode = mode;
             this.appState.difficultyFilter = options.difficultyFilter || null;
             this.appState.categoryFilter = options.categoryFilter || null;
             this.appState.strokeComplexityLevel = options.strokeComplexityLevel || null;
+            this.appState.tracingGuides = this.createTracingGuides(mode, options);
+
+            // 取り違えやすい文字のドリルを準備
+            if (mode === 'confusableDrill') {
+                if (!this.randomizationService.startConfusableDrill(options.confusableCharacters)) {
+                    throw new Error('ドリルの文字が正しくありません');
+                }
+            } else {
+                this.randomizationService.endConfusableDrill();
+            }
+
+            // ことばの練習は文字ごとのセッションを使わず、ことばを選んでマスを用意する
+            if (mode === 'word') {
+                this.startWordPractice(options);
+                return;
+            }
 
             // 練習セッションを開始
             this.startPracticeSession();
@@ -216,10 +257,77 @@ export class App {
         }
     }
 
+    /**
+     * なぞり書きの下絵の設定を作成
+     * @param {string} mode 練習モード
+     * @param {Object} options 練習オプション（tracingGuides: { startDots, arrows }）
+     * @returns {Object|null} 下絵の設定、なぞり書きでない場合はnull
+     */
+    createTracingGuides(mode, options = {}) {
+        if (mode !== 'tracing') return null;
+
+        return {
+            startDots: true,
+            arrows: true,
+            ...(options.tracingGuides || {})
+        };
+    }
+
+    /**
+     * なぞり書きモードかどうか
+     * @returns {boolean} なぞり書きモードならtrue
+     */
+    isTracingMode() {
+        return this.appState.practiceMode === 'tracing';
+    }
+
+    /**
+     * ことばの練習で次のことばを選び、マスを用意して練習画面を表示
+     * @param {Object} options 練習オプション（word: 書くことば、wordCategory: ことばの仲間）
+     */
+    startWordPractice(options = {}) {
+        const word = (options.word && this.wordDataService.selectWord(options.word)) ||
+            this.wordDataService.selectNextWord({ category: options.wordCategory || null });
+        if (!word) {
+            throw new Error('ことばのデータが見つかりません');
+        }
+
+        this.showScreen('practice-view');
+        this.practiceView.startWordPractice(word);
+        console.log(`練習開始 - モード: word, ことば: ${word.word}`);
+    }
+
+    /**
+     * ことばの練習かどうか
+     * @returns {boolean} ことばの練習ならtrue
+     */
+    isWordMode() {
+        return this.appState.practiceMode === 'word';
+    }
+
+    /**
+     * 聞き書き（文字を見せずに読みを聞かせて書く）モードかどうか
+     * @returns {boolean} 聞き書きならtrue
+     */
+    isDictationMode() {
+        return this.appState.practiceMode === 'dictation';
+    }
+
+    /**
+     * 取り違えやすい文字のドリルを開始
+     * @param {Array<string>} characters 書き分ける文字のグループ
+     */
+    startConfusableDrill(characters) {
+        this.startPractice('confusableDrill', { confusableCharacters: characters });
+    }
+
     showExample() {
         this.showScreen('example-view');
-        const currentChar = this.hiraganaDataService.getCurrentCharacter();
-        this.exampleView.showCharacterExample(currentChar.character);
+        // ことばの練習では操作の対象のマス（結果のあとは一番点数の低いマス）の文字の手本を見せる
+        const character = this.isWordMode()
+            ? this.practiceView.getActiveWordCharacter()
+            : this.hiraganaDataService.getCurrentCharacter().character;
+        this.exampleView.showCharacterExample(character);
     }
 
     backToPractice() {
@@ -227,6 +335,10 @@ export class App {
     }
 
     async submitDrawing() {
+        if (this.isWordMode()) {
+            return this.submitWord();
+        }
+
         try {
             // 描画データを取得
             const drawingData = this.drawingService.getDrawingData();
@@ -242,20 +354,38 @@ export class App {
                 return;
             }
 
-            // 文字認識を実行
+            // 設定で選ばれた認識エンジンで文字認識を実行（全文字の候補順位を含む）
+            // 使える環境ではワーカーで実行し、メインスレッドのアニメーションを妨げない
+            // ワーカーには個人用の手本がないため、覚えた描画も一緒に渡す
             console.log('文字認識開始:', currentChar.character);
-            const recognitionResult = this.recognitionService.recognizeCharacter(
+            const recognitionResult = await this.recognitionWorkerClient.recognize(
                 drawingData, 
-                currentChar.character
+                currentChar.character,
+                {
+                    rankCandidates: true,
+                    adaptiveSamples: this.recognitionService.getAdaptiveSamples(currentChar.character)
+                }
             );
 
-            // 採点を実行
+            // 採点を実行（なぞり書きでは手本の線からのずれで採点）
             console.log('採点開始');
-            const scoreResult = this.scoreService.calculateScore(
-                recognitionResult, 
-                currentChar.character, 
-                drawingData
-            );
+            const scoreResult = this.isTracingMode()
+                ? this.scoreService.calculateTracingScore(
+                    recognitionResult,
+                    currentChar.character,
+                    drawingData,
+                    this.recognitionService.getReferenceStrokes(currentChar.character)
+                )
+                : this.scoreService.calculateScore(
+                    recognitionResult, 
+                    currentChar.character, 
+                    drawingData
+                );
+
+            // 聞き書きでは、聞いた字を思い出して書けたかを候補順位で判定する
+            if (this.isDictationMode()) {
+                scoreResult.recall = this.scoreService.judgeRecall(recognitionResult, currentChar.character);
+            }
 
             // フィードバックを生成
             const feedback = this.scoreService.generateFeedback(
@@ -267,8 +397,15 @@ export class App {
             // 試行を記録
             this.recordAttempt(drawingData, recognitionResult, scoreResult);
 
-            // 結果を表示
-            this.showResult(scoreResult, feedback);
+            // よくできた描画は個人用の手本として覚える
+            // なぞった描画は手本の線をなぞっただけなので覚えない。
+            // 聞き書きで思い出せなかった描画は別の字を書いているかもしれないので覚えない
+            if (!this.isTracingMode() && !(scoreResult.recall && !scoreResult.recall.recalled)) {
+                await this.learnAdaptiveTemplate(currentChar.character, drawingData, scoreResult);
+            }
+
+            // 結果を表示（手本と見比べるため描画も渡す）
+            this.showResult(scoreResult, feedback, drawingData);
 
         } catch (error) {
             console.error('描画提出エラー:', error);
@@ -276,14 +413,152 @@ export class App {
         }
     }
 
-    showResult(score, feedback = null) {
+    /**
+     * ことばの練習の描画を提出
+     * マスごとに文字認識・採点をして、ことば全体の採点結果にまとめる
+     */
+    async submitWord() {
+        try {
+            const word = this.wordDataService.getCurrentWord();
+            const drawings = this.practiceView.getWordDrawingData();
+            if (!word || drawings.length === 0) {
+                this.showErrorMessage('ことばのデータが見つかりません');
+                return;
+            }
+            if (drawings.some(drawingData => !drawingData || drawingData.strokes.length === 0)) {
+                this.showErrorMessage('ぜんぶのマスに字を書いてください');
+                return;
+            }
+
+            const characters = Array.from(word.word);
+            const recognitionResults = [];
+            const cellScores = [];
+            for (let index = 0; index < characters.length; index++) {
+                const character = characters[index];
+                const recognitionResult = await this.recognitionWorkerClient.recognize(
+                    drawings[index],
+                    character,
+                    {
+                        rankCandidates: true,
+                        adaptiveSamples: this.recognitionService.getAdaptiveSamples(character)
+                    }
+                );
+                recognitionResults.push(recognitionResult);
+                cellScores.push(this.scoreService.calculateScore(recognitionResult, character, drawings[index]));
+            }
+
+            const wordScore = this.scoreService.calculateWordScore(cellScores, word.word);
+            const feedback = this.scoreService.generateWordFeedback(wordScore);
+
+            // 文字ごとの進捗にも記録し、よくできた字は個人用の手本として覚える
+            this.recordWordAttempt(word, drawings, recognitionResults, cellScores);
+            for (let index = 0; index < characters.length; index++) {
+                await this.learnAdaptiveTemplate(characters[index], drawings[index], cellScores[index]);
+            }
+
+            this.showWordResult(wordScore, feedback);
+
+        } catch (error) {
+            console.error('ことばの提出エラー:', error);
+            this.showErrorMessage('採点中にエラーが発生しました');
+        }
+    }
+
+    /**
+     * ことばの練習の試行を文字ごとの進捗に記録
+     * @param {Object} word ことば
+     * @param {Array<Object>} drawings マスごとの描画データ
+     * @param {Array<Object>} recognitionResults マスごとの認識結果
+     * @param {Array<Object>} cellScores マスごとの採点結果
+     */
+    recordWordAttempt(word, drawings, recognitionResults, cellScores) {
+        const timestamp = Date.now();
+
+        Array.from(word.word).forEach((character, index) => {
+            const drawingData = drawings[index];
+            const recognitionResult = recognitionResults[index];
+            const scoreResult = cellScores[index];
+
+            this.progressTrackingService.recordCharacterPractice(
+                character,
+                scoreResult.score,
+                timestamp,
+                {
+                    recognitionResult: recognitionResult,
+                    practiceMode: 'word',
+                    word: word.word,
+                    confusion: recognitionResult?.details?.confusion || null,
+                    undoCount: drawingData.metadata?.undoCount || 0,
+                    redoCount: drawingData.metadata?.redoCount || 0,
+                    replay: StrokeReplayPlayer.createRecording(drawingData)
+                }
+            );
+
+            const details = this.hiraganaDataService.getCharacterDetails(character);
+            this.randomizationService.updateSelectionWeights({
+                character: character,
+                score: scoreResult.score,
+                difficulty: details ? details.difficulty : null
+            });
+        });
+
+        console.log('ことばの試行記録:', word.word);
+    }
+
+    /**
+     * ことばの練習の結果を表示
+     * 一番点数の低いマスを操作の対象にしておき、「手本を見る」でその文字の手本を見せる
+     * @param {Object} wordScore ScoreService.calculateWordScoreの結果
+     * @param {Object} feedback ScoreService.generateWordFeedbackの結果
+     */
+    showWordResult(wordScore, feedback) {
+        if (typeof wordScore.weakestIndex === 'number') {
+            this.practiceView.setActiveCell(wordScore.weakestIndex);
+        }
+
+        this.showScreen('result-view');
+        const word = this.wordDataService.getCurrentWord();
+        this.resultView.displayResult({
+            ...wordScore,
+            feedback: feedback,
+            hint: word ? word.hint : null,
+            drawing: null,
+            drill: null
+        }, wordScore.word);
+    }
+
+    /**
+     * 「よくできました」の描画を個人用の手本として覚えて保存
+     * @param {string} character 文字
+     * @param {Object} drawingData 描画データ
+     * @param {Object} scoreResult 採点結果
+     */
+    async learnAdaptiveTemplate(character, drawingData, scoreResult) {
+        if (scoreResult.level !== 'excellent') return;
+
+        try {
+            const learned = await this.recognitionService.addAdaptiveSample(character, drawingData);
+            if (learned) {
+                this.saveAdaptiveTemplates();
+            }
+        } catch (error) {
+            // 手本の学習に失敗しても練習は続けられる
+            console.error('個人用の手本の更新エラー:', error);
+        }
+    }
+
+    showResult(score, feedback = null, drawingData = null) {
         this.showScreen('result-view');
         const currentChar = this.hiraganaDataService.getCurrentCharacter();
         
-        // スコアにフィードバック情報を追加
+        // スコアにフィードバック情報・見比べる描画・ドリルの進み具合を追加
         const enhancedScore = {
             ...score,
-            feedback: feedback
+            feedback: feedback,
+            drawing: drawingData,
+            drill: this.appState.practiceMode === 'confusableDrill'
+                ? this.randomizationService.getDrillStatus()
+                : null
         };
         
         this.resultView.displayResult(enhancedScore, currentChar.character);
@@ -300,6 +575,21 @@ export class App {
             if (this.appState.currentSession) {
                 this.completeCurrentSession();
             }
+
+            // ことばの練習は次のことばへ
+            if (this.isWordMode()) {
+                this.startWordPractice();
+                return;
+            }
+
+            // ドリルを書き分けられたらランダム練習に戻る
+            if (this.appState.practiceMode === 'confusableDrill') {
+                const drillStatus = this.randomizationService.getDrillStatus();
+                if (!drillStatus || drillStatus.completed) {
+                    this.randomizationService.endConfusableDrill();
+                    this.appState.practiceMode = 'random';
+                }
+            }
             
             // 次の文字を選択
             const nextChar = this.selectNextCharacter();
@@ -348,6 +638,8 @@ export class App {
         
         switch (this.appState.practiceMode) {
             case 'random':
+            case 'tracing':
+            case 'dictation':
                 return this.randomizationService.selectNextCharacter(
                     currentChar ? currentChar.character : null,
                     {
@@ -374,6 +666,10 @@ export class App {
                 }
                 return this.hiraganaDataService.getNextCharacter();
                 
+            case 'confusableDrill':
+                return this.randomizationService.selectNextDrillCharacter() ||
+                    this.hiraganaDataService.getRandomCharacter();
+                
             case 'strokeComplexity':
                 if (this.appState.strokeComplexityLevel) {
                     return this.randomizationService.selectNextCharacterByStrokeComplexity(
@@ -402,6 +698,7 @@ export class App {
         this.appState.difficultyFilter = options.difficultyFilter || null;
         this.appState.categoryFilter = options.categoryFilter || null;
         this.appState.strokeComplexityLevel = options.strokeComplexityLevel || null;
+        this.appState.tracingGuides = this.createTracingGuides(mode, options);
         
         console.log(`練習モード変更: ${mode}`, options);
     }
@@ -530,10 +827,24 @@ export class App {
                 attempt.timestamp,
                 {
                     recognitionResult: recognitionResult,
-                    practiceMode: this.appState.practiceMode
+                    practiceMode: this.appState.practiceMode,
+                    confusion: recognitionResult?.details?.confusion || null,
+                    undoCount: drawingData.metadata?.undoCount || 0,
+                    redoCount: drawingData.metadata?.redoCount || 0,
+                    replay: StrokeReplayPlayer.createRecording(drawingData),
+                    // 聞き書きでは思い出して書けたかを、手本を見て書いた試行と分けて数えるために残す
+                    ...(scoreResult.recall ? { recalled: scoreResult.recall.recalled } : {})
                 }
             );
 
+            // ドリル中は取り違えずに書けたかを記録
+            if (this.appState.practiceMode === 'confusableDrill') {
+                this.randomizationService.recordDrillResult(
+                    currentChar.character,
+                    !recognitionResult?.details?.confusion && scoreResult.level !== 'poor'
+                );
+            }
+
             // ランダム化サービスの重みを更新
             this.randomizationService.updateSelectionWeights({
                 character: currentChar.character,
@@ -628,10 +939,25 @@ export class App {
         return false;
     }
 
+    /**
+     * 設定で選べる認識エンジンを作成（起動時と認識エラーからの復旧時に使う）
+     * @param {RecognitionService} recognitionService エンジンが使う認識サービス
+     * @returns {Array<Object>} 認識エンジンの配列
+     */
+    createRecognitionEngines(recognitionService) {
+        return [
+            new HeuristicRecognizerEngine(recognitionService),
+            new PointCloudRecognizerEngine(recognitionService)
+        ];
+    }
+
     recoverRecognitionError() {
         try {
-            // 認識サービスの再初期化
+            // 認識サービスの再初期化（どのエンジンも新しいサービスを使うよう登録し直す）
             this.recognitionService = new RecognitionService();
+            this.createRecognitionEngines(this.recognitionService)
+                .forEach(engine => this.recognitionEngineService.registerEngine(engine));
+            this.loadAdaptiveTemplates();
             console.log('認識サービス復旧成功');
             return true;
         } catch (e) {
@@ -727,6 +1053,67 @@ export class App {
         console.log('アプリケーション状態リセット完了');
     }
 
+    /**
+     * 保存された設定を各サービスに反映
+     */
+    applySettings() {
+        try {
+            const settings = this.dataStorageService.getSettings();
+            this.scoreService.setScoringProfile(settings.scoringProfile);
+            this.recognitionEngineService.setActiveEngine(settings.recognizerEngine);
+            this.drawingService.setPalmRejection(settings.palmRejection);
+            this.drawingService.setGuideType(settings.guideGrid);
+            this.drawingService.setPenStyle(settings.penStyle);
+            this.loadAdaptiveTemplates();
+        } catch (error) {
+            console.error('設定反映エラー:', error);
+        }
+    }
+
+    /**
+     * 設定の学習者の個人用の手本を認識サービスに読み込む
+     */
+    loadAdaptiveTemplates() {
+        const { learnerProfile } = this.dataStorageService.getSettings();
+        this.recognitionService.importAdaptiveTemplates(this.dataStorageService.getAdaptiveTemplates(learnerProfile));
+    }
+
+    /**
+     * 認識サービスの個人用の手本を設定の学習者の分として保存
+     * @returns {boolean} 保存成功かどうか
+     */
+    saveAdaptiveTemplates() {
+        const { learnerProfile } = this.dataStorageService.getSettings();
+        return this.dataStorageService.saveAdaptiveTemplates(learnerProfile, this.recognitionService.exportAdaptiveTemplates());
+    }
+
+    /**
+     * 個人用の手本をリセット
+     * 癖のある描画を覚えてしまった場合などに、正しい手本だけで認識する状態に戻す
+     * @param {string|null} character 文字（省略時は全文字）
+     * @returns {boolean} リセット成功かどうか
+     */
+    resetAdaptiveTemplates(character = null) {
+        this.recognitionService.resetAdaptiveTemplates(character);
+        return this.saveAdaptiveTemplates();
+    }
+
+    /**
+     * 設定を更新して保存
+     * @param {Object} changes 変更する設定項目
+     * @returns {boolean} 更新成功かどうか
+     */
+    updateSettings(changes) {
+        const settings = this.dataStorageService.updateSettings(changes);
+        if (!settings) {
+            this.showErrorMessage('設定の保存に失敗しました');
+            return false;
+        }
+
+        this.applySettings();
+        return true;
+    }
+
     // 保存されたセッションを復元
     restoreSession() {
         try {
@@ -910,21 +1297,23 @@ export class App {
 
     /**
      * 文字認識サービスを最適化
+     * 採点はRecognitionWorkerClient経由で認識するため、ワーカーでもメインスレッドでの代わりの認識でも
+     * 時間を記録できるようクライアントの認識を計測する
      */
     optimizeRecognitionService() {
-        // 文字認識を非同期化（既に実装済み）
-        const originalRecognize = this.recognitionService.recognizeCharacter;
-        
-        this.recognitionService.recognizeCharacter = async (drawingData, targetCharacter) => {
+        const client = this.recognitionWorkerClient;
+        const originalRecognize = client.recognize;
+
+        client.recognize = async (...args) => {
             const startTime = performance.now();
-            
+
             try {
-                const result = await originalRecognize.call(this.recognitionService, drawingData, targetCharacter);
+                const result = await originalRecognize.apply(client, args);
                 const duration = performance.now() - startTime;
-                
+
                 // パフォーマンス記録
                 this.performanceMonitor.recordRenderTime(duration);
-                
+
                 return result;
             } catch (error) {
                 const duration = performance.now() - startTime;
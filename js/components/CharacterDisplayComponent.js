@@ -8,6 +8,8 @@ export class CharacterDisplayComponent {
         this.currentCharacter = null;
         this.displayElement = null;
         this.navigationEnabled = false;
+        this.hidden = false; // 聞き書きで文字を見せない状態
+        this.replaySoundButton = null;
     }
 
     /**
@@ -100,8 +102,10 @@ export class CharacterDisplayComponent {
         this.currentCharacter = hiraganaService.getCurrentCharacter();
         
         if (this.currentCharacter) {
-            // 文字を表示
-            this.displayElement.textContent = this.currentCharacter.character;
+            // 文字を表示（聞き書きでは文字を隠し、もういちど聞くボタンを出す）
+            this.displayElement.textContent = this.hidden ? '？' : this.currentCharacter.character;
+            this.displayElement.classList.toggle('hidden-character', this.hidden);
+            this.updateReplaySoundButton();
             
             // 難易度に応じて色を変更
             this.updateCharacterStyle();
@@ -122,6 +126,62 @@ export class CharacterDisplayComponent {
         }
     }
 
+    /**
+     * 文字を隠すかどうかを設定（聞き書き）
+     * @param {boolean} hidden 文字を隠すならtrue
+     */
+    setHidden(hidden) {
+        this.hidden = !!hidden;
+        this.updateDisplay();
+    }
+
+    /**
+     * 文字を隠しているかどうか
+     * @returns {boolean} 隠していればtrue
+     */
+    isHidden() {
+        return this.hidden;
+    }
+
+    /**
+     * もういちど聞くボタンを更新（文字を隠しているときだけ表示）
+     */
+    updateReplaySoundButton() {
+        if (!this.hidden) {
+            if (this.replaySoundButton) {
+                this.replaySoundButton.remove();
+                this.replaySoundButton = null;
+            }
+            return;
+        }
+
+        if (this.replaySoundButton || !this.displayElement.parentElement) return;
+
+        const button = document.createElement('button');
+        button.className = 'replay-sound-button';
+        button.id = 'replay-sound-btn';
+        button.title = 'もういちど きく';
+        button.innerHTML = '🔊 もういちど きく';
+        button.addEventListener('click', () => this.speakCurrentCharacter());
+
+        this.displayElement.insertAdjacentElement('afterend', button);
+        this.replaySoundButton = button;
+    }
+
+    /**
+     * 現在の文字の読みを読み上げる
+     * readingはローマ字（"a"）のため、日本語の声でかなの文字そのものを読ませる
+     * @returns {Promise<boolean>} 読み上げたらtrue
+     */
+    speakCurrentCharacter() {
+        const speechService = this.app.speechService;
+        if (!speechService || !this.currentCharacter) {
+            return Promise.resolve(false);
+        }
+
+        return speechService.speak(this.currentCharacter.character);
+    }
+
     /**
      * 文字のスタイルを難易度に応じて更新
      */
@@ -137,8 +197,9 @@ export class CharacterDisplayComponent {
             5: '#FFB6C1'  // 最難 - ピンク
         };
         
+        // 聞き書きで隠しているときは難易度の色を付けない（隠した文字の色はCSSで指定）
         const color = difficultyColors[this.currentCharacter.difficulty] || '#333';
-        this.displayElement.style.color = color;
+        this.displayElement.style.color = this.hidden ? '' : color;
         
         // アニメーション効果
         this.displayElement.style.transform = 'scale(0.8)';
@@ -309,7 +370,9 @@ export class CharacterDisplayComponent {
         const modeInfo = {
             'random': { text: 'ランダム', icon: '🎲' },
             'sequential': { text: '順番', icon: '📚' },
-            'difficulty': { text: '難易度順', icon: '📊' }
+            'difficulty': { text: '難易度順', icon: '📊' },
+            'tracing': { text: 'なぞり書き', icon: '✏️' },
+            'dictation': { text: '聞き書き', icon: '👂' }
         };
         
         const info = modeInfo[mode] || modeInfo['random'];
@@ -338,6 +401,9 @@ export class CharacterDisplayComponent {
         
         // 表示を更新
         this.updateModeDisplay();
+        document.dispatchEvent(new CustomEvent('practiceModeChanged', {
+            detail: { mode: newMode }
+        }));
         
         // フィードバック音を再生
         this.playModeChangeSound();
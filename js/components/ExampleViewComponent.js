@@ -3,6 +3,8 @@
  * 要件2.1, 2.2, 2.3に対応した手本表示機能を提供
  */
 import { CharacterDisplayComponent } from './CharacterDisplayComponent.js';
+import { StrokeRenderer } from './StrokeRenderer.js';
+import { TimelineAnimation } from './TimelineAnimation.js';
 
 export class ExampleViewComponent {
     constructor(app) {
@@ -13,6 +15,24 @@ export class ExampleViewComponent {
         this.isVisible = false;
         this.currentCharacter = null;
         this.characterDisplay = new CharacterDisplayComponent(app);
+
+        // 書き順アニメーション
+        this.strokeRenderer = new StrokeRenderer();
+        this.strokeDemoCanvas = null;
+        this.strokeDemo = null; // { strokes, timeline, totalDuration }
+        this.strokeDemoAnimation = new TimelineAnimation({
+            onUpdate: () => this.renderStrokeDemo(),
+            onPause: () => this.updateStrokeDemoControls()
+        });
+        this.strokeDemoVelocity = 0.4; // 1秒に書く長さ（文字枠の一辺を1とした割合、ふつうの速さ）
+        this.strokeDemoPause = 500;    // 画と画の間の時間（ミリ秒、ふつうの速さ）
+        this.strokeDemoSpeeds = {
+            slow: { label: 'ゆっくり', rate: 0.5 },
+            normal: { label: 'ふつう', rate: 1 },
+            fast: { label: 'はやい', rate: 2 }
+        };
+        this.strokeDemoSpeed = 'normal';
+        this.strokeDemoAnimation.rate = this.strokeDemoSpeeds[this.strokeDemoSpeed].rate;
     }
 
     /**
@@ -22,6 +42,7 @@ export class ExampleViewComponent {
         this.setupEventListeners();
         this.setupExampleFont();
         this.initCharacterDisplay();
+        this.createStrokeDemo();
         console.log('ExampleViewComponent初期化完了');
     }
 
@@ -80,6 +101,9 @@ export class ExampleViewComponent {
             
             // 表示アニメーション
             this.animateCharacterDisplay();
+
+            // 書き順のアニメーションを最初から再生（手本の線がなければ文字だけ表示）
+            this.startStrokeDemo(this.currentCharacter.character);
             
             console.log(`手本表示レンダリング: ${this.currentCharacter.character}`);
         }
@@ -148,6 +172,7 @@ export class ExampleViewComponent {
      */
     hideExample() {
         this.isVisible = false;
+        this.pauseStrokeDemo();
         
         if (this.exampleCharacterElement) {
             this.exampleCharacterElement.style.transition = 'opacity 0.2s ease';
@@ -163,6 +188,7 @@ export class ExampleViewComponent {
      */
     onBackToPractice() {
         console.log('練習に戻る');
+        this.pauseStrokeDemo();
         
         // 手本を非表示状態に設定
         this.isVisible = false;
@@ -198,4 +224,228 @@ export class ExampleViewComponent {
             this.showCharacterExample();
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * 書き順アニメーションのキャンバスと操作ボタンを作成
+     */
+    createStrokeDemo() {
+        const display = this.element ? this.element.querySelector('.example-display') : null;
+        if (!display || display.querySelector('.stroke-order-canvas')) return;
+
+        this.strokeDemoCanvas = document.createElement('canvas');
+        this.strokeDemoCanvas.className = 'stroke-order-canvas';
+        this.strokeDemoCanvas.id = 'stroke-order-canvas';
+        this.strokeDemoCanvas.width = 300;
+        this.strokeDemoCanvas.height = 300;
+        this.strokeDemoCanvas.setAttribute('role', 'img');
+        display.appendChild(this.strokeDemoCanvas);
+
+        const controls = document.createElement('div');
+        controls.className = 'stroke-order-controls';
+        controls.innerHTML = `
+            <button id="stroke-play-btn" class="stroke-order-button">⏸ とめる</button>
+            <button id="stroke-step-btn" class="stroke-order-button">1画すすむ</button>
+            <button id="stroke-replay-btn" class="stroke-order-button">もういちど</button>
+            <select id="stroke-speed-select" class="stroke-order-speed" aria-label="はやさ">
+                ${Object.entries(this.strokeDemoSpeeds).map(([value, speed]) =>
+                    `<option value="${value}"${value === this.strokeDemoSpeed ? ' selected' : ''}>${speed.label}</option>`
+                ).join('')}
+            </select>
+        `;
+        display.appendChild(controls);
+
+        controls.querySelector('#stroke-play-btn').addEventListener('click', () => this.toggleStrokeDemo());
+        controls.querySelector('#stroke-step-btn').addEventListener('click', () => this.stepStrokeDemo());
+        controls.querySelector('#stroke-replay-btn').addEventListener('click', () => this.replayStrokeDemo());
+        controls.querySelector('#stroke-speed-select').addEventListener('change', (event) => {
+            this.setStrokeDemoSpeed(event.target.value);
+        });
+    }
+
+    /**
+     * 文字の書き順アニメーションを最初から再生
+     * 手本の線がない場合はアニメーションを隠して文字だけを表示する
+     * @param {string} character 文字
+     */
+    startStrokeDemo(character) {
+        this.pauseStrokeDemo();
+
+        const strokes = this.app.recognitionService
+            ? this.app.recognitionService.getReferenceStrokes(character)
+            : null;
+        const display = this.element ? this.element.querySelector('.example-display') : null;
+        if (display) {
+            display.classList.toggle('stroke-demo-active', !!(strokes && this.strokeDemoCanvas));
+        }
+
+        if (!strokes || !this.strokeDemoCanvas) {
+            this.strokeDemo = null;
+            return;
+        }
+
+        this.strokeDemoCanvas.setAttribute('aria-label', `「${character}」の書き順`);
+        this.strokeDemo = {
+            strokes,
+            ...this.createStrokeTimeline(strokes)
+        };
+        this.strokeDemoAnimation.reset(this.strokeDemo.totalDuration);
+        this.playStrokeDemo();
+    }
+
+    /**
+     * 各画を書きはじめる・書きおわる時刻を計算（ふつうの速さでのミリ秒）
+     * @param {Array} strokes 各画の[x, y]配列（文字枠を0-1とした座標）
+     * @returns {Object} { timeline: [{ start, end }], totalDuration }
+     */
+    createStrokeTimeline(strokes) {
+        let time = 0;
+        const timeline = strokes.map((stroke, index) => {
+            if (index > 0) time += this.strokeDemoPause;
+            const length = this.strokeRenderer.getStrokeLength(stroke.map(([x, y]) => ({ x, y })));
+            const start = time;
+            time += length / this.strokeDemoVelocity * 1000;
+            return { start, end: time };
+        });
+
+        return { timeline, totalDuration: time };
+    }
+
+    /**
+     * 再生する（最後まで再生していれば最初から）
+     */
+    playStrokeDemo() {
+        if (!this.strokeDemo) return;
+
+        this.strokeDemoAnimation.play();
+    }
+
+    /**
+     * 一時停止する
+     */
+    pauseStrokeDemo() {
+        this.strokeDemoAnimation.pause();
+    }
+
+    /**
+     * 再生と一時停止を切り替える
+     */
+    toggleStrokeDemo() {
+        if (!this.strokeDemo) return;
+
+        this.strokeDemoAnimation.toggle();
+    }
+
+    /**
+     * 一時停止して、書いている途中（または次）の画を書きおわりまで進める
+     * 最後の画まで書きおわっていれば1画目に戻る
+     */
+    stepStrokeDemo() {
+        if (!this.strokeDemo) return;
+
+        this.pauseStrokeDemo();
+        const { timeline } = this.strokeDemo;
+        const next = timeline.find(entry => entry.end > this.strokeDemoAnimation.elapsed);
+        this.strokeDemoAnimation.seek(next ? next.end : timeline[0].end);
+    }
+
+    /**
+     * 最初から再生しなおす
+     */
+    replayStrokeDemo() {
+        if (!this.strokeDemo) return;
+
+        this.strokeDemoAnimation.restart();
+    }
+
+    /**
+     * 再生の速さを設定
+     * @param {string} speed 速さ（slow / normal / fast）
+     * @returns {boolean} 設定できたかどうか
+     */
+    setStrokeDemoSpeed(speed) {
+        if (!this.strokeDemoSpeeds[speed]) return false;
+
+        this.strokeDemoSpeed = speed;
+        this.strokeDemoAnimation.rate = this.strokeDemoSpeeds[speed].rate;
+        return true;
+    }
+
+    /**
+     * アニメーションを進める
+     * @param {number} delta 経過時間（ミリ秒、速さの設定で伸び縮みする）
+     */
+    advanceStrokeDemo(delta) {
+        if (!this.strokeDemo) return;
+
+        this.strokeDemoAnimation.advance(delta);
+    }
+
+    /**
+     * アニメーションの進み具合を取得
+     * @returns {Object|null} { strokeCount, completedStrokes, currentStroke, playing, finished }
+     */
+    getStrokeDemoState() {
+        if (!this.strokeDemo) return null;
+
+        const { timeline } = this.strokeDemo;
+        const { elapsed, playing } = this.strokeDemoAnimation;
+        const completedStrokes = timeline.filter(entry => entry.end <= elapsed).length;
+        return {
+            strokeCount: timeline.length,
+            completedStrokes,
+            currentStroke: Math.min(completedStrokes, timeline.length - 1),
+            playing,
+            finished: this.strokeDemoAnimation.isFinished()
+        };
+    }
+
+    /**
+     * 現在の進み具合で書き順を描く
+     * 全体をうすく描いたうえに、書きおわった画と書いている途中の画を重ね、
+     * 書きはじめた画には番号付きの書きはじめの印を付ける
+     */
+    renderStrokeDemo() {
+        if (!this.strokeDemo || !this.strokeDemoCanvas) return;
+
+        const ctx = this.strokeDemoCanvas.getContext('2d');
+        if (!ctx) return;
+
+        const { width, height } = this.strokeDemoCanvas;
+        const size = Math.min(width, height);
+        const strokes = this.strokeRenderer.toCanvasStrokes(this.strokeDemo.strokes, width, height);
+        const { timeline } = this.strokeDemo;
+        const { elapsed } = this.strokeDemoAnimation;
+        const modelStyle = this.strokeRenderer.styles.model;
+
+        ctx.clearRect(0, 0, width, height);
+        strokes.forEach(points => {
+            this.strokeRenderer.drawStroke(ctx, points, this.strokeRenderer.styles.faintModel, size);
+        });
+
+        strokes.forEach((points, index) => {
+            const { start, end } = timeline[index];
+            if (elapsed < start) return;
+
+            const progress = end > start ? Math.min(1, (elapsed - start) / (end - start)) : 1;
+            this.strokeRenderer.drawPartialStroke(ctx, points, this.strokeRenderer.getStrokeLength(points) * progress, modelStyle, size);
+        });
+
+        strokes.forEach((points, index) => {
+            if (elapsed >= timeline[index].start) {
+                this.strokeRenderer.drawStartMarker(ctx, points[0], index + 1, size);
+            }
+        });
+
+        this.updateStrokeDemoControls();
+    }
+
+    /**
+     * 再生ボタンの表示を再生状態に合わせる
+     */
+    updateStrokeDemoControls() {
+        const playButton = this.element ? this.element.querySelector('#stroke-play-btn') : null;
+        if (!playButton || !this.strokeDemo) return;
+
+        playButton.textContent = this.strokeDemoAnimation.playing ? '⏸ とめる' : '▶ さいせい';
+    }
+}
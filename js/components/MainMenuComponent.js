@@ -49,6 +49,18 @@ export class MainMenuComponent {
                         難易度を選ぶ
                         <span class="button-icon">📊</span>
                     </button>
+                    <button id="tracing-practice-btn" class="big-button tracing-button">
+                        <span class="button-icon">✏️</span>
+                        なぞり書き
+                    </button>
+                    <button id="word-practice-btn" class="big-button word-button">
+                        <span class="button-icon">🐶</span>
+                        ことばを書く
+                    </button>
+                    <button id="dictation-practice-btn" class="big-button dictation-button">
+                        <span class="button-icon">👂</span>
+                        きいて書く
+                    </button>
                     <button id="character-select-btn" class="big-button tertiary-button">
                         <span class="button-icon">🔤</span>
                         文字を選ぶ
@@ -85,6 +97,30 @@ export class MainMenuComponent {
             });
         }
 
+        // なぞり書きボタン
+        const tracingButton = document.getElementById('tracing-practice-btn');
+        if (tracingButton) {
+            tracingButton.addEventListener('click', (e) => {
+                this.handleButtonClick(e, () => this.onStartTracing());
+            });
+        }
+
+        // ことばの練習ボタン
+        const wordButton = document.getElementById('word-practice-btn');
+        if (wordButton) {
+            wordButton.addEventListener('click', (e) => {
+                this.handleButtonClick(e, () => this.onStartWordPractice());
+            });
+        }
+
+        // 聞き書きボタン
+        const dictationButton = document.getElementById('dictation-practice-btn');
+        if (dictationButton) {
+            dictationButton.addEventListener('click', (e) => {
+                this.handleButtonClick(e, () => this.onStartDictation());
+            });
+        }
+
         // 文字選択ボタン
         const characterSelectButton = document.getElementById('character-select-btn');
         if (characterSelectButton) {
@@ -181,6 +217,33 @@ export class MainMenuComponent {
         }, 300);
     }
 
+    onStartTracing() {
+        console.log('なぞり書き開始');
+        this.element.classList.add('fade-out');
+        setTimeout(() => {
+            this.app.startPractice('tracing');
+            this.element.classList.remove('fade-out');
+        }, 300);
+    }
+
+    onStartWordPractice() {
+        console.log('ことばの練習開始');
+        this.element.classList.add('fade-out');
+        setTimeout(() => {
+            this.app.startPractice('word');
+            this.element.classList.remove('fade-out');
+        }, 300);
+    }
+
+    onStartDictation() {
+        console.log('聞き書き開始');
+        this.element.classList.add('fade-out');
+        setTimeout(() => {
+            this.app.startPractice('dictation');
+            this.element.classList.remove('fade-out');
+        }, 300);
+    }
+
     onDifficultySelect() {
         console.log('難易度選択');
         this.showDifficultySelection();
@@ -1,18 +1,38 @@
 // 練習画面コンポーネント
 import { CharacterDisplayComponent } from './CharacterDisplayComponent.js';
+import { DrawingService } from '../services/DrawingService.js';
 
 export class PracticeViewComponent {
     constructor(app) {
         this.app = app;
         this.element = document.getElementById('practice-view');
         this.canvas = null;
+        this.tracingCanvas = null;
         this.isDrawing = false;
+        this.resizeTimer = null;
+        this.resizeDelay = 150; // 画面の回転・サイズ変更がおさまってから合わせ直すまでの時間（ミリ秒）
         this.characterDisplay = new CharacterDisplayComponent(app);
+
+        // ことばの練習（1文字ずつのマスに分けて書く）
+        this.currentWord = null;
+        this.wordElement = null;
+        this.wordCells = []; // { character, element, canvas, guideCanvas, drawingService }
+        this.activeCellIndex = 0;
+        this.maxWordCellSize = 300; // マスの一辺の上限（CSS px）
+
+        // 補助線の切り替え順と表示名
+        this.guideLabels = {
+            none: 'なし',
+            cross: '十字',
+            fourSquare: '田',
+            eightWay: '米'
+        };
     }
 
     init() {
         this.initCanvas();
         this.setupEventListeners();
+        this.setupResizeListener();
         this.initCharacterDisplay();
         console.log('PracticeViewComponent初期化完了');
     }
@@ -25,6 +45,12 @@ export class PracticeViewComponent {
         document.addEventListener('characterChanged', (event) => {
             this.onCharacterChanged(event.detail.character);
         });
+
+        // 練習モードが切り替わったらなぞり書きの下絵を出し直し、聞き書きでなくなったら文字を見せる
+        document.addEventListener('practiceModeChanged', () => {
+            this.characterDisplay.setHidden(this.isDictationMode());
+            this.renderTracingGuide();
+        });
     }
 
     initCanvas() {
@@ -34,6 +60,30 @@ export class PracticeViewComponent {
             this.app.drawingService.initCanvas(this.canvas);
             console.log('Canvas初期化完了');
         }
+
+        // 補助線となぞり書きの下絵は描画用キャンバスの下に重ねた別のキャンバスに描く
+        this.guideCanvas = document.getElementById('guide-canvas');
+        if (this.guideCanvas && this.app.drawingService) {
+            this.app.drawingService.initGuideCanvas(this.guideCanvas);
+        }
+        this.tracingCanvas = document.getElementById('tracing-canvas');
+    }
+
+    /**
+     * 画面の回転・サイズ変更でキャンバスを合わせ直す
+     * 続けて届くイベントはまとめて、おさまってから1回だけ描き直す
+     */
+    setupResizeListener() {
+        const onResize = () => {
+            clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(() => {
+                this.resizeTimer = null;
+                this.adjustCanvasSize();
+            }, this.resizeDelay);
+        };
+
+        window.addEventListener('resize', onResize);
+        window.addEventListener('orientationchange', onResize);
     }
 
     setupEventListeners() {
@@ -45,11 +95,49 @@ export class PracticeViewComponent {
             });
         }
 
+        // 1画もどす・やりなおすボタン
+        const undoStrokeBtn = document.getElementById('undo-stroke-btn');
+        if (undoStrokeBtn) {
+            undoStrokeBtn.addEventListener('click', () => {
+                this.undoStroke();
+            });
+        }
+
+        const redoStrokeBtn = document.getElementById('redo-stroke-btn');
+        if (redoStrokeBtn) {
+            redoStrokeBtn.addEventListener('click', () => {
+                this.redoStroke();
+            });
+        }
+
+        // キーボードショートカット（Ctrl/⌘+Z: もどす、Ctrl/⌘+Shift+Z・Ctrl/⌘+Y: やりなおす）
+        document.addEventListener('keydown', (event) => {
+            this.onKeyDown(event);
+        });
+
+        // 補助線の切り替えボタン
+        const guideGridBtn = document.getElementById('guide-grid-btn');
+        if (guideGridBtn) {
+            guideGridBtn.addEventListener('click', () => {
+                this.cycleGuideType();
+            });
+            this.updateGuideButton();
+        }
+
+        // ペンの切り替えボタン
+        const penStyleBtn = document.getElementById('pen-style-btn');
+        if (penStyleBtn) {
+            penStyleBtn.addEventListener('click', () => {
+                this.cyclePenStyle();
+            });
+            this.updatePenButton();
+        }
+
         // キャンバスクリアボタン
         const clearCanvasBtn = document.getElementById('clear-canvas-btn');
         if (clearCanvasBtn) {
             clearCanvasBtn.addEventListener('click', () => {
-                this.clearCanvas();
+                this.clearActiveCanvas();
             });
         }
 
@@ -78,9 +166,133 @@ export class PracticeViewComponent {
             this.app.drawingService.onDrawingEnd = () => {
                 this.onDrawingEnd();
             };
+
+            // 取り消し・やり直しの可否をボタンに反映
+            this.app.drawingService.onHistoryChange = (state) => {
+                this.updateHistoryButtons(state);
+            };
+        }
+    }
+
+    /**
+     * 練習画面でのキー操作
+     * @param {KeyboardEvent} event キーイベント
+     */
+    onKeyDown(event) {
+        if (this.app.currentScreen !== 'practice-view') return;
+        if (!(event.ctrlKey || event.metaKey)) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undoStroke();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.redoStroke();
+        }
+    }
+
+    undoStroke() {
+        const drawingService = this.getActiveDrawingService();
+        if (drawingService) {
+            drawingService.undo();
+        }
+    }
+
+    redoStroke() {
+        const drawingService = this.getActiveDrawingService();
+        if (drawingService) {
+            drawingService.redo();
         }
     }
 
+    /**
+     * 操作の対象になる描画サービスを取得
+     * ことばの練習では最後に書いたマス、それ以外は練習画面のキャンバス
+     * @returns {DrawingService|null} 描画サービス
+     */
+    getActiveDrawingService() {
+        if (this.wordCells.length > 0) {
+            return this.wordCells[this.activeCellIndex].drawingService;
+        }
+        return this.app.drawingService || null;
+    }
+
+    /**
+     * もどす・やりなおすボタンの有効・無効を更新
+     * @param {Object} state DrawingService.getHistoryStateの結果
+     */
+    updateHistoryButtons(state) {
+        const undoStrokeBtn = document.getElementById('undo-stroke-btn');
+        if (undoStrokeBtn) {
+            undoStrokeBtn.disabled = !state.canUndo;
+        }
+
+        const redoStrokeBtn = document.getElementById('redo-stroke-btn');
+        if (redoStrokeBtn) {
+            redoStrokeBtn.disabled = !state.canRedo;
+        }
+    }
+
+    /**
+     * 補助線を次の種類に切り替えて設定に保存
+     */
+    cycleGuideType() {
+        const drawingService = this.app.drawingService;
+        if (!drawingService) return;
+
+        const types = drawingService.guideTypes;
+        const next = types[(types.indexOf(drawingService.getGuideType()) + 1) % types.length];
+        if (this.app.updateSettings) {
+            // 設定の反映（applySettings）で描画サービスにも設定される
+            this.app.updateSettings({ guideGrid: next });
+        } else {
+            drawingService.setGuideType(next);
+        }
+        this.syncWordCellSettings();
+        this.updateGuideButton();
+    }
+
+    /**
+     * 補助線ボタンの表示を現在の種類に合わせる
+     */
+    updateGuideButton() {
+        const guideGridBtn = document.getElementById('guide-grid-btn');
+        if (!guideGridBtn || !this.app.drawingService) return;
+
+        guideGridBtn.textContent = `補助線: ${this.guideLabels[this.app.drawingService.getGuideType()]}`;
+    }
+
+    /**
+     * ペンを次の種類に切り替えて設定に保存
+     * えんぴつ → マーカー → 筆 → えんぴつ の順に切り替える
+     */
+    cyclePenStyle() {
+        const drawingService = this.app.drawingService;
+        if (!drawingService) return;
+
+        const styles = Object.keys(drawingService.brushRenderer.penStyles);
+        const next = styles[(styles.indexOf(drawingService.getPenStyle()) + 1) % styles.length];
+        if (this.app.updateSettings) {
+            // 設定の反映（applySettings）で描画サービスにも設定される
+            this.app.updateSettings({ penStyle: next });
+        } else {
+            drawingService.setPenStyle(next);
+        }
+        this.syncWordCellSettings();
+        this.updatePenButton();
+    }
+
+    /**
+     * ペンボタンの表示を現在の種類に合わせる
+     */
+    updatePenButton() {
+        const penStyleBtn = document.getElementById('pen-style-btn');
+        if (!penStyleBtn || !this.app.drawingService) return;
+
+        penStyleBtn.textContent = `ペン: ${this.app.drawingService.brushRenderer.getStyle().label}`;
+    }
+
     onDrawingStart() {
         // 描画開始時のUI状態更新
         console.log('描画開始 - UI更新');
@@ -114,6 +326,10 @@ export class PracticeViewComponent {
     }
 
     adjustCanvasSize() {
+        if (this.wordCells.length > 0) {
+            this.adjustWordCellSize();
+            return;
+        }
         if (!this.canvas) return;
         
         // レスポンシブ対応のためのキャンバスサイズ調整
@@ -123,19 +339,21 @@ export class PracticeViewComponent {
             const containerHeight = container.clientHeight;
             
             // アスペクト比を維持しながらサイズ調整
-            const size = Math.min(containerWidth, containerHeight) * 0.8;
-            
-            this.canvas.width = size;
-            this.canvas.height = size;
-            this.canvas.style.width = size + 'px';
-            this.canvas.style.height = size + 'px';
-            
-            // DrawingServiceの描画設定を再適用
-            if (this.app.drawingService && this.app.drawingService.ctx) {
-                this.app.drawingService.ctx.strokeStyle = '#333';
-                this.app.drawingService.ctx.lineWidth = 4;
-                this.app.drawingService.ctx.lineCap = 'round';
-                this.app.drawingService.ctx.lineJoin = 'round';
+            const size = Math.floor(Math.min(containerWidth, containerHeight) * 0.8);
+
+            // 画面が隠れていて大きさが分からないときは今の大きさのままにする
+            if (!(size > 0)) return;
+
+            // 描画用と補助線のキャンバスは端末の解像度で描画データから描き直す（書いている途中の線も残る）
+            this.app.drawingService.resizeCanvas(size, size);
+
+            if (this.tracingCanvas) {
+                const pixelRatio = this.app.drawingService.pixelRatio;
+                this.tracingCanvas.width = Math.round(size * pixelRatio);
+                this.tracingCanvas.height = Math.round(size * pixelRatio);
+                this.tracingCanvas.style.width = size + 'px';
+                this.tracingCanvas.style.height = size + 'px';
+                this.renderTracingGuide();
             }
         }
     }
@@ -147,6 +365,13 @@ export class PracticeViewComponent {
     }
 
     startPractice(character) {
+        // ことばの練習のマスを片づけて1文字の練習に戻す
+        this.endWordPractice();
+
+        // 聞き書きでは文字を隠す（切り替える前の文字が見えないよう、文字を選ぶ前に隠す）
+        const dictation = this.isDictationMode();
+        this.characterDisplay.setHidden(dictation);
+
         // 文字表示を更新
         if (character) {
             this.characterDisplay.showCharacter(character);
@@ -156,19 +381,298 @@ export class PracticeViewComponent {
         
         // キャンバスをクリア
         this.clearCanvas();
+        this.renderTracingGuide();
+
+        // 聞き書きでは文字の読みを読み上げる（文字を選び直したときはonCharacterChangedで読み上げる）
+        if (dictation && !character) {
+            this.characterDisplay.speakCurrentCharacter();
+        }
         
         const currentChar = this.characterDisplay.getCurrentCharacter();
         console.log(`練習開始: ${currentChar ? currentChar.character : '不明'}`);
     }
 
+    /**
+     * ことばの練習を始める
+     * 文字の数だけマスを作り、マスごとに別のDrawingServiceで線を記録する（もどす・消すも別々）
+     * @param {Object} word WordDataServiceのことば { word, hint, hintLabel, characters }
+     */
+    startWordPractice(word) {
+        this.endWordPractice();
+        if (!word || !this.element) return;
+
+        this.currentWord = word;
+        const characters = word.characters || Array.from(word.word);
+        this.setSingleCharacterVisible(false);
+
+        this.wordElement = document.createElement('div');
+        this.wordElement.className = 'word-practice';
+        this.wordElement.innerHTML = `
+            <div class="word-prompt">
+                <span class="word-hint" role="img" aria-label="${word.hintLabel || word.word}">${word.hint || ''}</span>
+                <span class="word-text">${word.word}</span>
+            </div>
+            <div class="word-cells">
+                ${characters.map((character, index) => `
+                    <div class="word-cell" data-index="${index}">
+                        <canvas class="word-cell-guide" width="400" height="400" aria-hidden="true"></canvas>
+                        <canvas class="word-cell-canvas" width="400" height="400" aria-label="${index + 1}文字めの「${character}」を書くマス"></canvas>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        this.element.insertBefore(this.wordElement, this.element.querySelector(':scope > .practice-controls'));
+
+        this.wordCells = characters.map((character, index) => {
+            const element = this.wordElement.querySelector(`.word-cell[data-index="${index}"]`);
+            const cell = {
+                character,
+                element,
+                canvas: element.querySelector('.word-cell-canvas'),
+                guideCanvas: element.querySelector('.word-cell-guide'),
+                drawingService: new DrawingService()
+            };
+            this.applyCellSettings(cell.drawingService);
+            cell.drawingService.initCanvas(cell.canvas);
+            cell.drawingService.initGuideCanvas(cell.guideCanvas);
+            this.setupCellCallbacks(cell, index);
+            return cell;
+        });
+
+        this.setActiveCell(0);
+        this.adjustCanvasSize();
+        console.log(`ことばの練習開始: ${word.word}`);
+    }
+
+    /**
+     * マスの描画サービスから描画イベントを受け取る
+     * 書きはじめたマスを操作の対象にし、取り消し・やり直しの可否は対象のマスの分だけ反映する
+     * @param {Object} cell マス
+     * @param {number} index マスの番号
+     */
+    setupCellCallbacks(cell, index) {
+        cell.drawingService.onDrawingStart = () => {
+            this.setActiveCell(index);
+            this.onDrawingStart();
+        };
+        cell.drawingService.onDrawingEnd = () => {
+            this.onDrawingEnd();
+        };
+        cell.drawingService.onHistoryChange = (state) => {
+            if (this.activeCellIndex === index) {
+                this.updateHistoryButtons(state);
+            }
+        };
+    }
+
+    /**
+     * 操作の対象にするマスを設定
+     * @param {number} index マスの番号
+     */
+    setActiveCell(index) {
+        if (index < 0 || index >= this.wordCells.length) return;
+
+        this.activeCellIndex = index;
+        this.wordCells.forEach((cell, i) => {
+            cell.element.classList.toggle('active', i === index);
+        });
+        this.updateHistoryButtons(this.wordCells[index].drawingService.getHistoryState());
+    }
+
+    /**
+     * 操作の対象のマスの文字を取得
+     * @returns {string|null} 文字、ことばの練習でなければnull
+     */
+    getActiveWordCharacter() {
+        return this.wordCells.length > 0 ? this.wordCells[this.activeCellIndex].character : null;
+    }
+
+    /**
+     * マスごとの描画データを取得
+     * @returns {Array<Object>} ことばの文字の順の描画データ
+     */
+    getWordDrawingData() {
+        return this.wordCells.map(cell => cell.drawingService.getDrawingData());
+    }
+
+    /**
+     * 練習画面の補助線・ペン・パームリジェクションの設定をマスの描画サービスにそろえる
+     * @param {DrawingService} drawingService マスの描画サービス
+     */
+    applyCellSettings(drawingService) {
+        const base = this.app.drawingService;
+        if (!base) return;
+
+        drawingService.setPalmRejection(base.palmRejectionEnabled);
+        drawingService.setGuideType(base.getGuideType());
+        drawingService.setPenStyle(base.getPenStyle());
+    }
+
+    /**
+     * 全てのマスの設定を練習画面にそろえる（補助線・ペンを切り替えたとき）
+     */
+    syncWordCellSettings() {
+        this.wordCells.forEach(cell => this.applyCellSettings(cell.drawingService));
+    }
+
+    /**
+     * マスの大きさを画面の幅に合わせる
+     */
+    adjustWordCellSize() {
+        const container = this.wordElement ? this.wordElement.querySelector('.word-cells') : null;
+        if (!container) return;
+
+        const size = Math.floor(Math.min(this.maxWordCellSize, container.clientWidth / this.wordCells.length * 0.9));
+        if (!(size > 0)) return;
+
+        this.wordCells.forEach(cell => cell.drawingService.resizeCanvas(size, size));
+    }
+
+    /**
+     * ことばの練習のマスを片づけ、1文字の練習の表示に戻す
+     */
+    endWordPractice() {
+        if (!this.wordElement && this.wordCells.length === 0) return;
+
+        this.wordCells.forEach(cell => cell.drawingService.removeEventListeners());
+        this.wordCells = [];
+        this.activeCellIndex = 0;
+        this.currentWord = null;
+        if (this.wordElement) {
+            this.wordElement.remove();
+            this.wordElement = null;
+        }
+
+        this.setSingleCharacterVisible(true);
+        if (this.app.drawingService) {
+            this.updateHistoryButtons(this.app.drawingService.getHistoryState());
+        }
+    }
+
+    /**
+     * 1文字の練習の文字表示とキャンバスを表示・非表示にする
+     * @param {boolean} visible 表示するかどうか
+     */
+    setSingleCharacterVisible(visible) {
+        ['#practice-character-display', '.canvas-container'].forEach(selector => {
+            const element = this.element.querySelector(selector);
+            if (element) {
+                element.style.display = visible ? '' : 'none';
+            }
+        });
+    }
+
     onCharacterChanged(character) {
         // 文字が変更された時の処理
         this.clearCanvas();
+        this.renderTracingGuide();
+
+        // 聞き書きでは文字を見せないため、変わった文字を読み上げて知らせる
+        if (this.isDictationMode()) {
+            this.characterDisplay.speakCurrentCharacter();
+        }
         console.log(`文字変更: ${character.character} (難易度: ${character.difficulty})`);
     }
 
 
 
+    /**
+     * 聞き書き（文字を隠して読みを聞かせる）モードかどうか
+     * @returns {boolean} 聞き書きならtrue
+     */
+    isDictationMode() {
+        return !!(this.app.isDictationMode && this.app.isDictationMode());
+    }
+
+    /**
+     * なぞり書きの下絵（うすい手本の線、書きはじめの点、向きの矢印）を描く
+     * なぞり書きモードでなければ下絵を消して隠す
+     */
+    renderTracingGuide() {
+        if (!this.tracingCanvas) return;
+
+        const ctx = this.tracingCanvas.getContext('2d');
+        const { width, height } = this.tracingCanvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const guides = this.app.isTracingMode && this.app.isTracingMode()
+            ? this.app.appState.tracingGuides
+            : null;
+        const currentChar = guides ? this.app.getCurrentCharacter() : null;
+        const strokes = currentChar ? this.app.recognitionService.getReferenceStrokes(currentChar.character) : null;
+        if (!strokes) {
+            this.tracingCanvas.style.display = 'none';
+            return;
+        }
+
+        this.tracingCanvas.style.display = 'block';
+        const size = Math.min(width, height);
+        const points = strokes.map(stroke => stroke.map(([x, y]) => ({ x: x * width, y: y * height })));
+
+        // 手本の線（太めのうすい線）
+        ctx.strokeStyle = 'rgba(78, 205, 196, 0.35)';
+        ctx.lineWidth = size * 0.06;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        points.forEach(stroke => {
+            ctx.beginPath();
+            ctx.moveTo(stroke[0].x, stroke[0].y);
+            stroke.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.stroke();
+        });
+
+        if (guides.arrows) {
+            points.forEach(stroke => this.drawTracingArrow(ctx, stroke, size));
+        }
+
+        if (guides.startDots) {
+            ctx.fillStyle = '#FF6B6B';
+            points.forEach(stroke => {
+                ctx.beginPath();
+                ctx.arc(stroke[0].x, stroke[0].y, size * 0.02, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+    }
+
+    /**
+     * 1画の長さの中ほどに、書く向きを示す矢印を描く
+     * @param {CanvasRenderingContext2D} ctx 下絵のコンテキスト
+     * @param {Array} stroke {x, y}の配列（キャンバス座標）
+     * @param {number} size 文字枠の一辺（px）
+     */
+    drawTracingArrow(ctx, stroke, size) {
+        if (stroke.length < 2) return;
+
+        const lengths = stroke.slice(1).map((point, index) =>
+            Math.hypot(point.x - stroke[index].x, point.y - stroke[index].y)
+        );
+        let remaining = lengths.reduce((sum, length) => sum + length, 0) / 2;
+        let index = 0;
+        while (index < lengths.length - 1 && remaining > lengths[index]) {
+            remaining -= lengths[index];
+            index++;
+        }
+
+        const start = stroke[index];
+        const end = stroke[index + 1];
+        if (lengths[index] === 0) return;
+
+        const t = remaining / lengths[index];
+        const tipX = start.x + (end.x - start.x) * t;
+        const tipY = start.y + (end.y - start.y) * t;
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        const headLength = size * 0.04;
+
+        ctx.strokeStyle = 'rgba(255, 107, 107, 0.8)';
+        ctx.lineWidth = size * 0.01;
+        ctx.beginPath();
+        ctx.moveTo(tipX - headLength * Math.cos(angle - Math.PI / 6), tipY - headLength * Math.sin(angle - Math.PI / 6));
+        ctx.lineTo(tipX, tipY);
+        ctx.lineTo(tipX - headLength * Math.cos(angle + Math.PI / 6), tipY - headLength * Math.sin(angle + Math.PI / 6));
+        ctx.stroke();
+    }
+
     onShowExample() {
         console.log('手本表示');
         this.app.showExample();
@@ -184,5 +688,19 @@ export class PracticeViewComponent {
             this.app.drawingService.clearCanvas();
             console.log('キャンバスクリア');
         }
+        this.wordCells.forEach(cell => cell.drawingService.clearCanvas());
+    }
+
+    /**
+     * 「消す」ボタン：ことばの練習では操作の対象のマスだけを消す
+     */
+    clearActiveCanvas() {
+        if (this.wordCells.length === 0) {
+            this.clearCanvas();
+            return;
+        }
+
+        this.getActiveDrawingService().clearCanvas();
+        console.log(`マスをクリア: ${this.getActiveWordCharacter()}`);
     }
 }
\ No newline at end of file
@@ -2,12 +2,15 @@
  * 進捗表示コンポーネント
  * 練習した文字の進捗状況を可視化して表示
  */
+import { StrokeReplayPlayer } from './StrokeReplayPlayer.js';
+
 export class ProgressViewComponent {
     constructor(app) {
         this.app = app;
         this.element = document.getElementById('progress-view');
         this.isInitialized = false;
         this.currentView = 'overview'; // overview, characters, statistics
+        this.replayPlayer = null; // 文字の詳細で書いた線を再生するプレイヤー
     }
 
     init() {
@@ -20,6 +23,7 @@ export class ProgressViewComponent {
     }
 
     render() {
+        this.closeCharacterDetail();
         this.element.innerHTML = `
             <div class="progress-view-content">
                 ${this.renderHeader()}
@@ -251,6 +255,8 @@ export class ProgressViewComponent {
         const attemptCount = charData.progress ? charData.progress.attemptCount : 0;
         const averageScore = charData.progress ? charData.progress.averageScore : 0;
         const needsPractice = charData.progress ? charData.progress.needsPractice : true;
+        const averageUndoCount = charData.progress ? charData.progress.averageUndoCount : null;
+        const recall = charData.progress ? charData.progress.recall : null;
         
         let statusClass = 'unpracticed';
         let statusText = '未練習';
@@ -294,6 +300,18 @@ export class ProgressViewComponent {
                                 <span class="stat-label">平均スコア:</span>
                                 <span class="stat-value">${Math.round(averageScore * 100)}%</span>
                             </div>
+                            ${averageUndoCount > 0 ? `
+                                <div class="stat-row">
+                                    <span class="stat-label">書き直し:</span>
+                                    <span class="stat-value">平均${averageUndoCount.toFixed(1)}回</span>
+                                </div>
+                            ` : ''}
+                            ${recall ? `
+                                <div class="stat-row recall-row">
+                                    <span class="stat-label">聞き書き:</span>
+                                    <span class="stat-value">${recall.attemptCount}回中${recall.recalledCount}回書けた</span>
+                                </div>
+                            ` : ''}
                             <div class="mastery-bar">
                                 <div class="mastery-fill" style="width: ${masteryLevel * 100}%"></div>
                             </div>
@@ -363,6 +381,34 @@ export class ProgressViewComponent {
                             <span class="stat-text">習得率: ${Math.round(progressData.overall.masteryRate * 100)}%</span>
                         </div>
                     </div>
+                    ${this.renderRecallStatistics(progressData.recall)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 聞き書きの成績（手本を見て書く練習とは別に集計）を描画
+     * @param {Object|null} recallData ProgressTrackingService.getRecallProgressの結果
+     * @returns {string} HTML、聞き書きしていない場合は空文字
+     */
+    renderRecallStatistics(recallData) {
+        if (!recallData || recallData.attemptCount === 0) return '';
+
+        return `
+            <div class="stat-group recall-statistics">
+                <h3 class="stat-group-title">聞き書き</h3>
+                <div class="stat-item">
+                    <span class="stat-icon">👂</span>
+                    <span class="stat-text">聞き書きした文字: ${recallData.practicedCount}文字</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-icon">💡</span>
+                    <span class="stat-text">思い出して書けた: ${recallData.recalledCount} / ${recallData.attemptCount}回（${Math.round(recallData.recallRate * 100)}%）</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-icon">🏆</span>
+                    <span class="stat-text">見ないで書ける文字: ${recallData.recalledCharacters.length}文字</span>
                 </div>
             </div>
         `;
@@ -430,13 +476,23 @@ export class ProgressViewComponent {
                         <span class="button-icon">📤</span>
                         進捗をエクスポート
                     </button>
+                    <button id="export-drawings-btn" class="action-button export-button">
+                        <span class="button-icon">🖨️</span>
+                        上手に書けた字を保存
+                    </button>
                     <button id="reset-progress-btn" class="action-button reset-button">
                         <span class="button-icon">🔄</span>
                         進捗をリセット
                     </button>
+                    <button id="reset-adaptive-btn" class="action-button reset-button">
+                        <span class="button-icon">✏️</span>
+                        覚えた書き方をリセット
+                    </button>
                 </div>
                 <div class="action-description">
                     <p>※ 進捗リセットは保護者・先生用の機能です</p>
+                    <p>※ 文字ごとに一番よく書けた字を並べて、印刷できる画像（SVG）にします</p>
+                    <p>※ 「よくできました」の字から覚えた書き方を消し、正しい手本だけで判定します</p>
                 </div>
             </div>
         `;
@@ -505,12 +561,24 @@ export class ProgressViewComponent {
             exportButton.addEventListener('click', () => this.onExportProgress());
         }
 
+        // 上手に書けた字の書き出しボタン
+        const exportDrawingsButton = document.getElementById('export-drawings-btn');
+        if (exportDrawingsButton) {
+            exportDrawingsButton.addEventListener('click', () => this.onExportBestDrawings());
+        }
+
         // 進捗リセットボタン
         const resetButton = document.getElementById('reset-progress-btn');
         if (resetButton) {
             resetButton.addEventListener('click', () => this.onResetProgress());
         }
 
+        // 覚えた書き方（個人用の手本）のリセットボタン
+        const resetAdaptiveButton = document.getElementById('reset-adaptive-btn');
+        if (resetAdaptiveButton) {
+            resetAdaptiveButton.addEventListener('click', () => this.onResetAdaptiveTemplates());
+        }
+
         // 文字カードクリック
         const characterCards = this.element.querySelectorAll('.character-card');
         characterCards.forEach(card => {
@@ -560,6 +628,7 @@ export class ProgressViewComponent {
     }
 
     onBackToMenu() {
+        this.closeCharacterDetail();
         this.app.showMainMenu();
     }
 
@@ -567,15 +636,16 @@ export class ProgressViewComponent {
         try {
             const progressService = this.app.getProgressTrackingService();
             const exportData = progressService.exportData();
+            exportData.bestDrawings = this.createBestDrawingsExport(progressService);
             
             // JSONファイルとしてダウンロード
             const dataStr = JSON.stringify(exportData, null, 2);
             const dataBlob = new Blob([dataStr], { type: 'application/json' });
             
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(dataBlob);
-            link.download = `hiragana-progress-${new Date().toISOString().split('T')[0]}.json`;
-            link.click();
+            this.app.drawingExportService.download(
+                dataBlob,
+                `hiragana-progress-${new Date().toISOString().split('T')[0]}.json`
+            );
             
             this.showMessage('進捗データをエクスポートしました', 'success');
         } catch (error) {
@@ -584,6 +654,54 @@ export class ProgressViewComponent {
         }
     }
 
+    /**
+     * 文字ごとに一番よく書けた字を書き出し用にまとめる（SVGは1画ごとのpathで書き順つき）
+     * @param {ProgressTrackingService} progressService 進捗サービス
+     * @returns {Object} 文字をキーにした { score, timestamp, svg }
+     */
+    createBestDrawingsExport(progressService) {
+        const exportService = this.app.drawingExportService;
+        const bestDrawings = {};
+        if (!exportService || typeof progressService.getBestDrawings !== 'function') return bestDrawings;
+
+        progressService.getBestDrawings().forEach(({ character, score, timestamp, replay }) => {
+            const svg = exportService.toSVG(exportService.fromRecording(replay), { character });
+            if (svg) {
+                bestDrawings[character] = { score, timestamp, svg };
+            }
+        });
+        return bestDrawings;
+    }
+
+    /**
+     * 文字ごとに一番よく書けた字を並べたSVGを保存（先生の印刷用）
+     */
+    onExportBestDrawings() {
+        try {
+            const exportService = this.app.drawingExportService;
+            const drawings = this.app.getProgressTrackingService().getBestDrawings();
+            const sheet = exportService.toSVGSheet(drawings.map(({ character, score, replay }) => ({
+                character,
+                drawingData: exportService.fromRecording(replay),
+                caption: `${character}（${Math.round(score * 100)}%）`
+            })));
+
+            if (!sheet) {
+                this.showMessage('保存できる字がまだありません', 'info');
+                return;
+            }
+
+            exportService.download(
+                new Blob([sheet], { type: 'image/svg+xml' }),
+                exportService.createFileName('best', 'svg')
+            );
+            this.showMessage('上手に書けた字を保存しました', 'success');
+        } catch (error) {
+            console.error('書いた字の書き出しエラー:', error);
+            this.showMessage('保存に失敗しました', 'error');
+        }
+    }
+
     onResetProgress() {
         // 確認ダイアログを表示
         const confirmed = confirm(
@@ -609,10 +727,120 @@ export class ProgressViewComponent {
         }
     }
 
+    onResetAdaptiveTemplates() {
+        const confirmed = confirm(
+            '「よくできました」の字から覚えた書き方をリセットしますか？\n' +
+            '進捗データは消えません。'
+        );
+
+        if (confirmed) {
+            if (this.app.resetAdaptiveTemplates()) {
+                this.showMessage('覚えた書き方をリセットしました', 'success');
+            } else {
+                this.showMessage('リセットに失敗しました', 'error');
+            }
+        }
+    }
+
     onCharacterCardClick(character) {
-        // 文字の詳細情報を表示（モーダルなど）
-        console.log(`文字 ${character} の詳細表示`);
-        // 今後の実装で詳細モーダルを追加可能
+        this.showCharacterDetail(character);
+    }
+
+    /**
+     * 文字の詳細を表示
+     * 書いた線を残している最近の試行を並べ、選んだ試行の書きかたを再生する（最新の試行から再生）
+     * @param {string} character 文字
+     */
+    showCharacterDetail(character) {
+        this.closeCharacterDetail();
+
+        const container = this.element.querySelector('.characters-content');
+        if (!container) return;
+
+        const attempts = this.getReplayAttempts(character);
+        const detail = document.createElement('div');
+        detail.className = 'character-detail';
+        detail.dataset.character = character;
+        detail.innerHTML = `
+            <div class="character-detail-header">
+                <span class="character-detail-character">${character}</span>
+                <span class="character-detail-title">書きかたの再生</span>
+                <button class="character-detail-close" aria-label="とじる">✕</button>
+            </div>
+            ${attempts.length > 0 ? `
+                <div class="character-detail-attempts">
+                    ${attempts.map((attempt, index) => `
+                        <button class="replay-attempt-btn" data-index="${index}">
+                            ${this.formatTimeAgo(attempt.timestamp)}・${Math.round(attempt.score * 100)}%
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="character-detail-player"></div>
+            ` : `
+                <div class="no-replay-message">再生できる練習がまだありません</div>
+            `}
+        `;
+        container.insertBefore(detail, container.querySelector('.characters-grid'));
+
+        detail.querySelector('.character-detail-close').addEventListener('click', () => this.closeCharacterDetail());
+        if (attempts.length === 0) return;
+
+        this.replayPlayer = new StrokeReplayPlayer(detail.querySelector('.character-detail-player'), {
+            drawingService: this.app.drawingService,
+            label: `「${character}」を書いたじゅんばん`
+        });
+        detail.querySelectorAll('.replay-attempt-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.selectReplayAttempt(attempts[Number(button.dataset.index)], button);
+            });
+        });
+        this.selectReplayAttempt(attempts[0], detail.querySelector('.replay-attempt-btn'));
+    }
+
+    /**
+     * 試行を選んで最初から再生する
+     * @param {Object} attempt 試行データ（details.replayを含む）
+     * @param {HTMLElement} button 選んだ試行のボタン
+     */
+    selectReplayAttempt(attempt, button) {
+        if (!this.replayPlayer) return;
+
+        this.element.querySelectorAll('.replay-attempt-btn').forEach(btn => {
+            btn.classList.toggle('active', btn === button);
+        });
+        if (this.replayPlayer.load(attempt.details.replay)) {
+            this.replayPlayer.play();
+        }
+    }
+
+    /**
+     * 文字の詳細を閉じる（再生も止める）
+     */
+    closeCharacterDetail() {
+        if (this.replayPlayer) {
+            this.replayPlayer.destroy();
+            this.replayPlayer = null;
+        }
+
+        const detail = this.element.querySelector('.character-detail');
+        if (detail) {
+            detail.remove();
+        }
+    }
+
+    /**
+     * 書いた線を再生できる試行を取得（新しい順）
+     * @param {string} character 文字
+     * @returns {Array<Object>} 試行データの配列
+     */
+    getReplayAttempts(character) {
+        try {
+            const progress = this.app.getProgressTrackingService().getCharacterProgress(character);
+            return progress ? progress.getReplayAttempts() : [];
+        } catch (error) {
+            console.error('再生データ取得エラー:', error);
+            return [];
+        }
     }
 
     showMessage(message, type = 'info') {
@@ -634,7 +862,10 @@ export class ProgressViewComponent {
             return {
                 overall: progressService.getOverallProgress(),
                 difficulty: progressService.getProgressByDifficulty(),
-                recent: progressService.getRecentlyPracticedCharacters()
+                recent: progressService.getRecentlyPracticedCharacters(),
+                recall: typeof progressService.getRecallProgress === 'function'
+                    ? progressService.getRecallProgress()
+                    : null
             };
         } catch (error) {
             console.error('進捗データ取得エラー:', error);
@@ -650,7 +881,8 @@ export class ProgressViewComponent {
                     sessionData: {}
                 },
                 difficulty: {},
-                recent: []
+                recent: [],
+                recall: null
             };
         }
     }
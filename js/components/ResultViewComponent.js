@@ -1,4 +1,7 @@
 // 結果表示コンポーネント
+import { StrokeRenderer } from './StrokeRenderer.js';
+import { StrokeReplayPlayer } from './StrokeReplayPlayer.js';
+
 export class ResultViewComponent {
     constructor(app) {
         this.app = app;
@@ -6,6 +9,9 @@ export class ResultViewComponent {
         this.isInitialized = false;
         this.currentScore = null;
         this.currentCharacter = null;
+        this.strokeRenderer = new StrokeRenderer();
+        this.comparisonMode = 'side'; // 'side': ならべる, 'overlay': かさねる
+        this.replayPlayer = null;
     }
 
     init() {
@@ -28,21 +34,32 @@ export class ResultViewComponent {
                 this.handleButtonClick(e, () => this.onShowExample());
             } else if (e.target.id === 'back-to-menu-btn') {
                 this.handleButtonClick(e, () => this.onBackToMenu());
+            } else if (e.target.id === 'confusable-drill-btn') {
+                this.handleButtonClick(e, () => this.onStartConfusableDrill());
+            } else if (e.target.id === 'save-drawing-btn') {
+                this.handleButtonClick(e, () => this.onSaveDrawing());
+            } else if (e.target.id === 'comparison-side-btn') {
+                this.setComparisonMode('side');
+            } else if (e.target.id === 'comparison-overlay-btn') {
+                this.setComparisonMode('overlay');
             }
         });
     }
 
     render(score, character) {
+        this.destroyReplayPlayer();
         this.currentScore = score;
         this.currentCharacter = character;
         
         const scoreData = this.getScoreData(score);
+        const isWord = Array.isArray(score.cells) && score.cells.length > 0;
         
         this.element.innerHTML = `
             <div class="result-content">
                 <div class="result-header">
                     <div class="practiced-character">
-                        <span class="character-label">練習した文字</span>
+                        <span class="character-label">${isWord ? '書いたことば' : '練習した文字'}</span>
+                        ${isWord && score.hint ? `<span class="word-hint" aria-hidden="true">${score.hint}</span>` : ''}
                         <span class="character-display">${character}</span>
                     </div>
                 </div>
@@ -62,6 +79,13 @@ export class ResultViewComponent {
                     <div class="encouragement-text">
                         ${scoreData.encouragement}
                     </div>
+                    ${this.renderWordCells(score)}
+                    ${this.renderRecall(score.recall, character)}
+                    ${this.renderLookalike(score.feedback)}
+                    ${this.renderComparison(score)}
+                    ${this.renderReplay(score)}
+                    ${this.renderStrokeHints(score.feedback)}
+                    ${this.renderDrillStatus(score.drill)}
                 </div>
                 
                 <div class="result-controls">
@@ -72,7 +96,7 @@ export class ResultViewComponent {
                         </button>
                         <button id="next-character-btn" class="result-button success-button">
                             <span class="button-icon">➡️</span>
-                            次の文字
+                            ${isWord ? '次のことば' : '次の文字'}
                         </button>
                     </div>
                     <div class="secondary-actions">
@@ -80,6 +104,14 @@ export class ResultViewComponent {
                             '<button id="show-example-btn" class="result-button help-button"><span class="button-icon">👀</span>手本を見る</button>' : 
                             ''
                         }
+                        ${score.feedback?.confusableDrill && !score.drill ?
+                            `<button id="confusable-drill-btn" class="result-button help-button"><span class="button-icon">🔁</span>${score.feedback.confusableDrill.message}</button>` :
+                            ''
+                        }
+                        ${score.drawing?.strokes?.length > 0 ?
+                            '<button id="save-drawing-btn" class="result-button save-button"><span class="button-icon">💾</span>じぶんの字をほぞん</button>' :
+                            ''
+                        }
                         <button id="back-to-menu-btn" class="result-button menu-button">
                             <span class="button-icon">🏠</span>
                             メニューに戻る
@@ -89,12 +121,266 @@ export class ResultViewComponent {
             </div>
         `;
 
+        // 手本と描いた線を見比べる図を描く
+        this.drawComparison();
+        this.mountReplayPlayer();
+
         // アニメーション効果を追加
         this.addAnimationEffects(scoreData);
         
         console.log('ResultViewComponent描画完了');
     }
 
+    /**
+     * ことばの練習でマスごとの結果を表示するHTMLを生成
+     * @param {Object} score ScoreService.calculateWordScoreの結果（cellsを含む）
+     * @returns {string} HTML文字列（ことばの練習でない場合は空文字）
+     */
+    renderWordCells(score) {
+        if (!Array.isArray(score.cells) || score.cells.length === 0) return '';
+
+        return `
+                    <div class="result-word">
+                        <div class="result-word-cells">
+                            ${score.cells.map((cell, index) => `
+                                <div class="result-word-cell ${cell.level}${index === score.weakestIndex && score.level !== 'excellent' ? ' weakest' : ''}">
+                                    <span class="result-word-character">${cell.character}</span>
+                                    <span class="result-word-icon">${this.getScoreData(cell).icon}</span>
+                                    <span class="result-word-score">${Math.round(cell.score * 100)}%</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                        ${score.feedback?.suggestion ? `<p class="result-word-suggestion">${score.feedback.suggestion}</p>` : ''}
+                    </div>`;
+    }
+
+    /**
+     * 聞き書きで、聞いた字を思い出して書けたかを表示するHTMLを生成
+     * @param {Object|null} recall ScoreService.judgeRecallの結果
+     * @param {string} character 聞かせた文字
+     * @returns {string} HTML文字列（聞き書きでない場合は空文字）
+     */
+    renderRecall(recall, character) {
+        if (!recall) return '';
+
+        return `
+                    <div class="result-recall ${recall.recalled ? 'recalled' : 'not-recalled'}">
+                        <span class="hint-icon">👂</span>
+                        ${recall.recalled
+                            ? 'きいた字を 思い出して書けたね！'
+                            : `こたえは『${character}』だよ。もういちど 書いて おぼえよう`}
+                    </div>`;
+    }
+
+    /**
+     * 別の文字に見える場合の声かけを表示するHTMLを生成
+     * @param {Object|null} feedback ScoreService.generateFeedbackの結果
+     * @returns {string} HTML文字列（別の文字に見えない場合は空文字）
+     */
+    renderLookalike(feedback) {
+        if (!feedback?.lookalike) return '';
+
+        return `
+                    <div class="lookalike-message">
+                        <span class="hint-icon">👀</span>
+                        ${feedback.lookalike.message}
+                    </div>`;
+    }
+
+    /**
+     * 手本と描いた線を見比べる図のHTMLを生成
+     * @param {Object} score App.showResultで描画を追加した採点結果
+     * @returns {string} HTML文字列（描画がない場合は空文字）
+     */
+    renderComparison(score) {
+        if (!score.drawing || !Array.isArray(score.drawing.strokes) || score.drawing.strokes.length === 0) {
+            return '';
+        }
+
+        const mismatched = score.feedback?.mismatchedStrokes || [];
+        return `
+                    <div class="result-comparison comparison-${this.comparisonMode}">
+                        <div class="comparison-modes">
+                            <button id="comparison-side-btn" class="comparison-mode-button${this.comparisonMode === 'side' ? ' active' : ''}">ならべる</button>
+                            <button id="comparison-overlay-btn" class="comparison-mode-button${this.comparisonMode === 'overlay' ? ' active' : ''}">かさねる</button>
+                        </div>
+                        <div class="comparison-figures">
+                            <figure class="comparison-figure comparison-model">
+                                <canvas id="comparison-model-canvas" class="comparison-canvas" width="200" height="200"></canvas>
+                                <figcaption>おてほん</figcaption>
+                            </figure>
+                            <figure class="comparison-figure comparison-drawing">
+                                <canvas id="comparison-drawing-canvas" class="comparison-canvas" width="200" height="200"></canvas>
+                                <figcaption>${this.comparisonMode === 'overlay' ? 'かさねてみると' : 'きみの字'}</figcaption>
+                            </figure>
+                        </div>
+                        ${mismatched.length > 0 ? '<p class="comparison-legend">オレンジの線を おてほんと見くらべてみよう</p>' : ''}
+                    </div>`;
+    }
+
+    /**
+     * 見比べる図の表示を切り替える
+     * @param {string} mode 'side'（ならべる）または 'overlay'（かさねる）
+     */
+    setComparisonMode(mode) {
+        if (mode !== 'side' && mode !== 'overlay') return;
+
+        this.comparisonMode = mode;
+        const comparison = this.element.querySelector('.result-comparison');
+        if (!comparison) return;
+
+        comparison.classList.toggle('comparison-side', mode === 'side');
+        comparison.classList.toggle('comparison-overlay', mode === 'overlay');
+        comparison.querySelector('#comparison-side-btn').classList.toggle('active', mode === 'side');
+        comparison.querySelector('#comparison-overlay-btn').classList.toggle('active', mode === 'overlay');
+        comparison.querySelector('.comparison-drawing figcaption').textContent = mode === 'overlay' ? 'かさねてみると' : 'きみの字';
+        this.drawComparison();
+    }
+
+    /**
+     * 見比べる図のキャンバスに補助線・手本・描いた線を描く
+     * 「かさねる」では描いた線の下に手本をうすく描き、手本と違う線は目立つ色で描く
+     */
+    drawComparison() {
+        const drawing = this.currentScore?.drawing;
+        const modelCanvas = this.element.querySelector('#comparison-model-canvas');
+        const drawingCanvas = this.element.querySelector('#comparison-drawing-canvas');
+        if (!drawing || !modelCanvas || !drawingCanvas) return;
+
+        const referenceStrokes = this.app.recognitionService
+            ? this.app.recognitionService.getReferenceStrokes(this.currentCharacter)
+            : null;
+        const mismatched = new Set((this.currentScore.feedback?.mismatchedStrokes || []).map(entry => entry.drawnIndex));
+
+        const modelCtx = this.prepareComparisonCanvas(modelCanvas);
+        if (modelCtx && referenceStrokes) {
+            const size = Math.min(modelCanvas.width, modelCanvas.height);
+            this.strokeRenderer.toCanvasStrokes(referenceStrokes, modelCanvas.width, modelCanvas.height)
+                .forEach(points => this.strokeRenderer.drawStroke(modelCtx, points, this.strokeRenderer.styles.model, size));
+        }
+
+        const drawingCtx = this.prepareComparisonCanvas(drawingCanvas);
+        if (!drawingCtx) return;
+
+        const { width, height } = drawingCanvas;
+        const size = Math.min(width, height);
+        if (this.comparisonMode === 'overlay' && referenceStrokes) {
+            this.strokeRenderer.toCanvasStrokes(referenceStrokes, width, height)
+                .forEach(points => this.strokeRenderer.drawStroke(drawingCtx, points, this.strokeRenderer.styles.faintModel, size));
+        }
+
+        const canvasSize = drawing.canvasSize || { width: drawingCanvas.width, height: drawingCanvas.height };
+        this.strokeRenderer.scaleDrawingStrokes(drawing.strokes, canvasSize, width, height)
+            .forEach((points, index) => {
+                const style = mismatched.has(index) ? this.strokeRenderer.styles.mismatch : this.strokeRenderer.styles.drawing;
+                this.strokeRenderer.drawStroke(drawingCtx, points, style, size);
+            });
+    }
+
+    /**
+     * 見比べる図のキャンバスを消して、練習画面と同じ補助線を描く
+     * @param {HTMLCanvasElement} canvas キャンバス
+     * @returns {CanvasRenderingContext2D|null} コンテキスト
+     */
+    prepareComparisonCanvas(canvas) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (this.app.drawingService) {
+            this.app.drawingService.drawGuide(ctx, canvas.width, canvas.height);
+        }
+        return ctx;
+    }
+
+    /**
+     * 書いた線の再生プレイヤーを置く場所のHTMLを生成
+     * @param {Object} score App.showResultで描画を追加した採点結果
+     * @returns {string} HTML文字列（描画がない場合は空文字）
+     */
+    renderReplay(score) {
+        if (!score.drawing || !Array.isArray(score.drawing.strokes) || score.drawing.strokes.length === 0) {
+            return '';
+        }
+
+        return `
+                    <div class="result-replay">
+                        <p class="result-replay-title">書いたじゅんに見てみよう</p>
+                        <div class="result-replay-player"></div>
+                    </div>`;
+    }
+
+    /**
+     * 今回の描画を再生するプレイヤーを作成（自動では再生しない）
+     */
+    mountReplayPlayer() {
+        const container = this.element.querySelector('.result-replay-player');
+        const recording = StrokeReplayPlayer.createRecording(this.currentScore?.drawing);
+        if (!container || !recording) return;
+
+        this.replayPlayer = new StrokeReplayPlayer(container, {
+            drawingService: this.app.drawingService,
+            label: `「${this.currentCharacter}」を書いたじゅんばん`
+        });
+        this.replayPlayer.load(recording);
+    }
+
+    /**
+     * 再生プレイヤーを止めて取り除く
+     */
+    destroyReplayPlayer() {
+        if (this.replayPlayer) {
+            this.replayPlayer.destroy();
+            this.replayPlayer = null;
+        }
+    }
+
+    /**
+     * 一画ごとのアドバイス（筆順など）を表示するHTMLを生成
+     * @param {Object|null} feedback ScoreService.generateFeedbackの結果
+     * @returns {string} HTML文字列（アドバイスがない場合は空文字）
+     */
+    renderStrokeHints(feedback) {
+        const hints = feedback?.strokeHints || [];
+        if (hints.length === 0) return '';
+
+        const items = hints.map(hint => `
+                        <li class="stroke-hint stroke-hint-${hint.type}">
+                            <span class="hint-icon">✏️</span>
+                            ${hint.message}
+                        </li>`).join('');
+
+        return `
+                    <ul class="stroke-hints">${items}
+                    </ul>`;
+    }
+
+    /**
+     * 取り違えやすい文字のドリルの進み具合を表示するHTMLを生成
+     * @param {Object|null} drill RandomizationService.getDrillStatusの結果
+     * @returns {string} HTML文字列（ドリル中でない場合は空文字）
+     */
+    renderDrillStatus(drill) {
+        if (!drill) return '';
+
+        if (drill.completed) {
+            return `
+                    <div class="drill-status completed">
+                        🎉 ${drill.characters.map(character => `『${character}』`).join('と')}をかきわけられたね！
+                    </div>`;
+        }
+
+        const items = drill.characters.map(character => {
+            const streak = Math.min(drill.streaks[character] || 0, drill.requiredStreak);
+            const stars = '⭐'.repeat(streak) + '☆'.repeat(drill.requiredStreak - streak);
+            return `<span class="drill-character">${character} ${stars}</span>`;
+        }).join('');
+
+        return `
+                    <div class="drill-status">${items}
+                    </div>`;
+    }
+
     getScoreData(score) {
         switch (score.level) {
             case 'excellent':
@@ -264,6 +550,40 @@ export class ResultViewComponent {
         });
     }
 
+    onStartConfusableDrill() {
+        const drill = this.currentScore?.feedback?.confusableDrill;
+        if (!drill) return;
+
+        console.log('取り違えドリルを開始:', drill.characters);
+        this.addExitAnimation(() => {
+            this.app.startConfusableDrill(drill.characters);
+        });
+    }
+
+    /**
+     * 書いた字をPNG画像として保存
+     * 練習で使っていたペンの描き方で描く。保存しても結果画面はそのまま
+     */
+    async onSaveDrawing() {
+        const drawing = this.currentScore?.drawing;
+        const exportService = this.app.drawingExportService;
+        if (!drawing || !exportService) return;
+
+        try {
+            const blob = await exportService.toPNGBlob(drawing, {
+                penStyle: this.app.drawingService?.getPenStyle()
+            });
+            if (!blob) {
+                console.warn('画像を作成できませんでした');
+                return;
+            }
+            exportService.download(blob, exportService.createFileName(this.currentCharacter, 'png', drawing.timestamp));
+            console.log(`書いた字を保存: ${this.currentCharacter}`);
+        } catch (error) {
+            console.error('書いた字の保存に失敗:', error);
+        }
+    }
+
     onBackToMenu() {
         console.log('メニューに戻る');
         this.addExitAnimation(() => {
@@ -272,6 +592,9 @@ export class ResultViewComponent {
     }
 
     addExitAnimation(callback) {
+        if (this.replayPlayer) {
+            this.replayPlayer.pause();
+        }
         this.element.classList.add('result-exit');
         setTimeout(() => {
             this.element.classList.remove('result-exit');
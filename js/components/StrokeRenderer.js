@@ -0,0 +1,138 @@
+/**
+ * 線の描画
+ * 手本の参照ストローク（文字枠を0-1とした[x, y]）や描いた線をキャンバスに描く。
+ * 手本の書き順アニメーションや結果画面の見比べなど、複数の画面で同じ見た目の線を描くために使う
+ */
+export class StrokeRenderer {
+    constructor() {
+        // 線の太さは文字枠の一辺に対する割合
+        this.styles = {
+            model: { color: '#4ECDC4', width: 0.05 },
+            faintModel: { color: 'rgba(78, 205, 196, 0.3)', width: 0.06 },
+            drawing: { color: '#333', width: 0.025 },
+            mismatch: { color: '#FF9F43', width: 0.035 }, // 手本と違う線（責めない色で目立たせる）
+            marker: { color: '#FF6B6B', radius: 0.035, textColor: 'white' }
+        };
+    }
+
+    /**
+     * 文字枠を0-1とした[x, y]の各画をキャンバス座標に変換
+     * @param {Array} strokes 各画の[x, y]配列
+     * @param {number} width キャンバスの幅
+     * @param {number} height キャンバスの高さ
+     * @returns {Array} 各画の{x, y}配列
+     */
+    toCanvasStrokes(strokes, width, height) {
+        return strokes.map(stroke => stroke.map(([x, y]) => ({ x: x * width, y: y * height })));
+    }
+
+    /**
+     * 描いた線（描いたキャンバスの座標）を別の大きさのキャンバスの座標に変換
+     * @param {Array} strokes 描いた各画の{x, y}配列
+     * @param {Object} canvasSize 描いたキャンバスの大きさ { width, height }
+     * @param {number} width 描き先の幅
+     * @param {number} height 描き先の高さ
+     * @returns {Array} 各画の{x, y}配列
+     */
+    scaleDrawingStrokes(strokes, canvasSize, width, height) {
+        const scaleX = width / canvasSize.width;
+        const scaleY = height / canvasSize.height;
+        return strokes.map(stroke => stroke.map(point => ({ x: point.x * scaleX, y: point.y * scaleY })));
+    }
+
+    /**
+     * 1画の長さを計算
+     * @param {Array} points {x, y}の配列
+     * @returns {number} 長さ
+     */
+    getStrokeLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        return length;
+    }
+
+    /**
+     * 線の描き方を設定
+     * @param {CanvasRenderingContext2D} ctx コンテキスト
+     * @param {Object} style { color, width }（widthは文字枠の一辺に対する割合）
+     * @param {number} size 文字枠の一辺（px）
+     */
+    applyLineStyle(ctx, style, size) {
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = Math.max(1, style.width * size);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+    }
+
+    /**
+     * 1画を描く
+     * @param {CanvasRenderingContext2D} ctx コンテキスト
+     * @param {Array} points {x, y}の配列（キャンバス座標）
+     * @param {Object} style { color, width }
+     * @param {number} size 文字枠の一辺（px）
+     */
+    drawStroke(ctx, points, style, size) {
+        this.drawPartialStroke(ctx, points, Infinity, style, size);
+    }
+
+    /**
+     * 1画を書きはじめから指定の長さまで描く
+     * @param {CanvasRenderingContext2D} ctx コンテキスト
+     * @param {Array} points {x, y}の配列（キャンバス座標）
+     * @param {number} length 描く長さ（px）
+     * @param {Object} style { color, width }
+     * @param {number} size 文字枠の一辺（px）
+     */
+    drawPartialStroke(ctx, points, length, style, size) {
+        if (points.length === 0 || length <= 0) return;
+
+        this.applyLineStyle(ctx, style, size);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        if (points.length === 1) {
+            // 1点だけの線（点を打っただけ）も丸い点として見えるようにする
+            ctx.lineTo(points[0].x, points[0].y);
+        }
+
+        let remaining = length;
+        for (let i = 1; i < points.length; i++) {
+            const start = points[i - 1];
+            const end = points[i];
+            const segmentLength = Math.hypot(end.x - start.x, end.y - start.y);
+            if (segmentLength >= remaining) {
+                const t = segmentLength > 0 ? remaining / segmentLength : 1;
+                ctx.lineTo(start.x + (end.x - start.x) * t, start.y + (end.y - start.y) * t);
+                break;
+            }
+            ctx.lineTo(end.x, end.y);
+            remaining -= segmentLength;
+        }
+
+        ctx.stroke();
+    }
+
+    /**
+     * 書きはじめの位置に画の番号付きの印を描く
+     * @param {CanvasRenderingContext2D} ctx コンテキスト
+     * @param {Object} point 書きはじめの点 {x, y}
+     * @param {number} number 画の番号（1から）
+     * @param {number} size 文字枠の一辺（px）
+     */
+    drawStartMarker(ctx, point, number, size) {
+        const style = this.styles.marker;
+        const radius = style.radius * size;
+
+        ctx.fillStyle = style.color;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = style.textColor;
+        ctx.font = `bold ${Math.round(radius * 1.3)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(number), point.x, point.y);
+    }
+}
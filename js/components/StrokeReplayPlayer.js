@@ -0,0 +1,311 @@
+/**
+ * 書いた線の再生プレイヤー
+ * 練習で記録した点ごとの時刻をもとに、子どもが書いた順・速さのとおりに線を描きなおす。
+ * 結果画面と進捗画面の文字の詳細で使う
+ */
+import { StrokeRenderer } from './StrokeRenderer.js';
+import { TimelineAnimation } from './TimelineAnimation.js';
+
+export class StrokeReplayPlayer {
+    /**
+     * @param {HTMLElement} container プレイヤーを置く要素
+     * @param {Object} options { size: キャンバスの一辺（px）, drawingService: 補助線を描くDrawingService, label: 読み上げ用の名前 }
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.size = options.size || 200;
+        this.drawingService = options.drawingService || null;
+        this.label = options.label || '書いた線の再生';
+        this.strokeRenderer = new StrokeRenderer();
+
+        this.replay = null; // { strokes: [[{ x, y, time }]], canvasSize }
+        this.animation = new TimelineAnimation({
+            onUpdate: () => this.render(),
+            onPause: () => this.updateControls()
+        });
+        this.maxPause = 1500; // 画と画の間で再生する最長の時間（ミリ秒）。長く考えこんだ時間は縮める
+        this.speeds = {
+            slow: { label: 'ゆっくり', rate: 0.5 },
+            real: { label: 'じっさいの速さ', rate: 1 },
+            double: { label: '2ばい', rate: 2 },
+            quadruple: { label: '4ばい', rate: 4 }
+        };
+        this.speed = 'real';
+        this.animation.rate = this.speeds[this.speed].rate;
+
+        this.canvas = null;
+        this.controls = null;
+        this.createElements();
+    }
+
+    /**
+     * 描画データから保存用の再生データを作成
+     * 座標はキャンバスのpx（整数）、時刻は最初の点からの経過ミリ秒にして小さく保つ。
+     * 時刻のない点は前の点の16ミリ秒後として扱う
+     * @param {Object} drawingData DrawingService.getDrawingDataの描画データ
+     * @returns {Object|null} { canvasSize, duration, strokes: [[[x, y, 時刻]]] }、線がない場合はnull
+     */
+    static createRecording(drawingData) {
+        const strokes = (drawingData?.strokes || []).filter(stroke => stroke && stroke.length > 0);
+        if (strokes.length === 0) return null;
+
+        const firstPoint = strokes[0][0];
+        const origin = typeof firstPoint.timestamp === 'number' ? firstPoint.timestamp : 0;
+        let time = 0;
+
+        const recordedStrokes = strokes.map((stroke, strokeIndex) => stroke.map((point, pointIndex) => {
+            const fallback = strokeIndex === 0 && pointIndex === 0 ? 0 : time + 16;
+            const recorded = typeof point.timestamp === 'number' ? point.timestamp - origin : fallback;
+            time = Math.max(time, recorded);
+            return [Math.round(point.x), Math.round(point.y), Math.round(time)];
+        }));
+
+        return {
+            canvasSize: drawingData.canvasSize || { width: 400, height: 400 },
+            duration: Math.round(time),
+            strokes: recordedStrokes
+        };
+    }
+
+    /**
+     * キャンバスと操作ボタンを作成
+     */
+    createElements() {
+        this.container.classList.add('stroke-replay');
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'stroke-replay-canvas';
+        this.canvas.width = this.size;
+        this.canvas.height = this.size;
+        this.canvas.setAttribute('role', 'img');
+        this.canvas.setAttribute('aria-label', this.label);
+        this.container.appendChild(this.canvas);
+
+        this.controls = document.createElement('div');
+        this.controls.className = 'stroke-replay-controls';
+        this.controls.innerHTML = `
+            <button class="stroke-replay-play">▶ さいせい</button>
+            <button class="stroke-replay-restart">もういちど</button>
+            <select class="stroke-replay-speed" aria-label="はやさ">
+                ${Object.entries(this.speeds).map(([value, speed]) =>
+                    `<option value="${value}"${value === this.speed ? ' selected' : ''}>${speed.label}</option>`
+                ).join('')}
+            </select>
+            <input class="stroke-replay-seek" type="range" min="0" max="1000" value="0" aria-label="再生位置">
+        `;
+        this.container.appendChild(this.controls);
+
+        this.controls.querySelector('.stroke-replay-play').addEventListener('click', () => this.toggle());
+        this.controls.querySelector('.stroke-replay-restart').addEventListener('click', () => this.restart());
+        this.controls.querySelector('.stroke-replay-speed').addEventListener('change', (event) => {
+            this.setSpeed(event.target.value);
+        });
+        this.controls.querySelector('.stroke-replay-seek').addEventListener('input', (event) => {
+            this.seek(Number(event.target.value) / 1000);
+        });
+    }
+
+    /**
+     * 再生データを読み込み、書きおえた状態を表示する（再生すると最初から描きなおす）
+     * @param {Object} recording createRecordingで作成した再生データ
+     * @returns {boolean} 読み込めたかどうか
+     */
+    load(recording) {
+        this.pause();
+
+        if (!recording || !Array.isArray(recording.strokes) || recording.strokes.length === 0) {
+            this.replay = null;
+            this.animation.reset(0);
+            this.render();
+            return false;
+        }
+
+        const timeline = this.createTimeline(recording.strokes);
+        this.replay = {
+            strokes: timeline.strokes,
+            canvasSize: recording.canvasSize || { width: 400, height: 400 }
+        };
+        this.animation.reset(timeline.duration, timeline.duration);
+        this.render();
+        return true;
+    }
+
+    /**
+     * 再生する時刻を計算
+     * 画と画の間が長すぎる場合だけmaxPauseまで縮め、線を書いている間の速さはそのままにする
+     * @param {Array} strokes 各画の[x, y, 時刻]配列
+     * @returns {Object} { strokes: [[{ x, y, time }]], duration }
+     */
+    createTimeline(strokes) {
+        let shift = 0;
+        let previousEnd = null;
+
+        const timeline = strokes.map(stroke => {
+            const start = stroke[0][2];
+            if (previousEnd !== null) {
+                shift += Math.max(0, start - previousEnd - this.maxPause);
+            }
+            previousEnd = stroke[stroke.length - 1][2];
+            return stroke.map(([x, y, time]) => ({ x, y, time: time - shift }));
+        });
+
+        const lastStroke = timeline[timeline.length - 1];
+        return { strokes: timeline, duration: lastStroke[lastStroke.length - 1].time };
+    }
+
+    /**
+     * 再生する（最後まで再生していれば最初から）
+     */
+    play() {
+        if (!this.replay) return;
+
+        this.animation.play();
+    }
+
+    /**
+     * 一時停止する
+     */
+    pause() {
+        this.animation.pause();
+    }
+
+    /**
+     * 再生と一時停止を切り替える
+     */
+    toggle() {
+        if (!this.replay) return;
+
+        this.animation.toggle();
+    }
+
+    /**
+     * 最初から再生しなおす
+     */
+    restart() {
+        if (!this.replay) return;
+
+        this.animation.restart();
+    }
+
+    /**
+     * 再生位置を移動する
+     * @param {number} ratio 全体に対する位置（0-1）
+     */
+    seek(ratio) {
+        if (!this.replay) return;
+
+        this.animation.seek(Math.max(0, Math.min(1, ratio)) * this.animation.duration);
+    }
+
+    /**
+     * 再生の速さを設定
+     * @param {string} speed 速さ（slow / real / double / quadruple）
+     * @returns {boolean} 設定できたかどうか
+     */
+    setSpeed(speed) {
+        if (!this.speeds[speed]) return false;
+
+        this.speed = speed;
+        this.animation.rate = this.speeds[speed].rate;
+        return true;
+    }
+
+    /**
+     * 再生を進める
+     * @param {number} delta 経過時間（ミリ秒、速さの設定で伸び縮みする）
+     */
+    advance(delta) {
+        if (!this.replay) return;
+
+        this.animation.advance(delta);
+    }
+
+    /**
+     * 再生の進み具合を取得
+     * @returns {Object|null} { strokeCount, completedStrokes, elapsed, duration, playing, finished }
+     */
+    getState() {
+        if (!this.replay) return null;
+
+        const { strokes } = this.replay;
+        const { elapsed, duration, playing } = this.animation;
+        return {
+            strokeCount: strokes.length,
+            completedStrokes: strokes.filter(stroke => stroke[stroke.length - 1].time <= elapsed).length,
+            elapsed,
+            duration,
+            playing,
+            finished: elapsed >= duration
+        };
+    }
+
+    /**
+     * 現在の再生位置までの線を描く
+     * 書いている途中の画は、次の点までの時刻の割合で線をのばす
+     */
+    render() {
+        this.updateControls();
+
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx) return;
+
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+        if (this.drawingService) {
+            this.drawingService.drawGuide(ctx, width, height);
+        }
+        if (!this.replay) return;
+
+        const { canvasSize } = this.replay;
+        const { elapsed } = this.animation;
+        const size = Math.min(width, height);
+        this.strokeRenderer.scaleDrawingStrokes(this.replay.strokes, canvasSize, width, height)
+            .forEach((points, strokeIndex) => {
+                const timed = this.replay.strokes[strokeIndex];
+                if (timed[0].time > elapsed) return;
+
+                const visible = [];
+                for (let i = 0; i < points.length; i++) {
+                    if (timed[i].time <= elapsed) {
+                        visible.push(points[i]);
+                        continue;
+                    }
+                    const span = timed[i].time - timed[i - 1].time;
+                    const t = span > 0 ? (elapsed - timed[i - 1].time) / span : 1;
+                    visible.push({
+                        x: points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+                        y: points[i - 1].y + (points[i].y - points[i - 1].y) * t
+                    });
+                    break;
+                }
+                this.strokeRenderer.drawStroke(ctx, visible, this.strokeRenderer.styles.drawing, size);
+            });
+    }
+
+    /**
+     * 再生ボタンの表示と再生位置を更新
+     */
+    updateControls() {
+        if (!this.controls) return;
+
+        const playButton = this.controls.querySelector('.stroke-replay-play');
+        playButton.textContent = this.replay && this.animation.playing ? '⏸ とめる' : '▶ さいせい';
+        playButton.disabled = !this.replay;
+
+        const seek = this.controls.querySelector('.stroke-replay-seek');
+        seek.value = this.replay && this.animation.duration > 0
+            ? String(Math.round(this.animation.elapsed / this.animation.duration * 1000))
+            : '0';
+    }
+
+    /**
+     * 再生を止めてプレイヤーを取り除く
+     */
+    destroy() {
+        this.pause();
+        this.replay = null;
+        this.canvas.remove();
+        this.controls.remove();
+        this.container.classList.remove('stroke-replay');
+    }
+}
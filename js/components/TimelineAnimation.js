@@ -0,0 +1,148 @@
+/**
+ * 時間で進むアニメーションの再生制御
+ * requestAnimationFrame（ない環境ではタイマー）で経過時間を進め、速さの倍率、最後まで進んだときの停止、
+ * 一時停止と再生位置の移動を受け持つ。何を描くかは持たず、進み具合が変わるたびにonUpdateを呼ぶ。
+ * 手本の書き順アニメーションと書いた線の再生で使う
+ */
+export class TimelineAnimation {
+    /**
+     * @param {Object} callbacks { onUpdate: 経過時間や再生状態が変わったとき, onPause: 再生中に止めたとき }
+     */
+    constructor(callbacks = {}) {
+        this.onUpdate = callbacks.onUpdate || (() => {});
+        this.onPause = callbacks.onPause || (() => {});
+
+        this.duration = 0;  // 全体の長さ（ミリ秒）
+        this.elapsed = 0;   // 経過時間（ミリ秒）
+        this.playing = false;
+        this.rate = 1;      // 速さの倍率
+        this.frame = null;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * 長さと再生位置を設定しなおす（再生は止める）
+     * @param {number} duration 全体の長さ（ミリ秒）
+     * @param {number} elapsed 再生位置（ミリ秒）
+     */
+    reset(duration, elapsed = 0) {
+        this.pause();
+        this.duration = Math.max(0, duration);
+        this.elapsed = Math.max(0, Math.min(this.duration, elapsed));
+    }
+
+    /**
+     * 最後まで進んだかどうか
+     * @returns {boolean} 最後まで進んでいればtrue
+     */
+    isFinished() {
+        return this.elapsed >= this.duration;
+    }
+
+    /**
+     * 再生する（最後まで進んでいれば最初から）
+     */
+    play() {
+        if (this.isFinished()) {
+            this.elapsed = 0;
+        }
+        this.cancelFrame();
+        this.playing = true;
+        this.lastTimestamp = null;
+        this.requestFrame();
+        this.onUpdate();
+    }
+
+    /**
+     * 一時停止する
+     */
+    pause() {
+        this.cancelFrame();
+
+        if (this.playing) {
+            this.playing = false;
+            this.onPause();
+        }
+    }
+
+    /**
+     * 再生と一時停止を切り替える
+     */
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * 最初から再生しなおす
+     */
+    restart() {
+        this.elapsed = 0;
+        this.play();
+    }
+
+    /**
+     * 再生位置を移動する
+     * @param {number} elapsed 再生位置（ミリ秒）
+     */
+    seek(elapsed) {
+        this.elapsed = Math.max(0, Math.min(this.duration, elapsed));
+        this.onUpdate();
+    }
+
+    /**
+     * 再生を進める（最後まで進んだら止める）
+     * @param {number} delta 経過時間（ミリ秒、速さの倍率で伸び縮みする）
+     */
+    advance(delta) {
+        this.elapsed = Math.min(this.duration, this.elapsed + delta * this.rate);
+        if (this.isFinished()) {
+            this.playing = false;
+        }
+        this.onUpdate();
+    }
+
+    /**
+     * 次のフレームを予約（requestAnimationFrameがない環境ではタイマーで代用）
+     */
+    requestFrame() {
+        const callback = timestamp => this.onFrame(timestamp);
+        this.frame = window.requestAnimationFrame
+            ? window.requestAnimationFrame(callback)
+            : setTimeout(() => callback(performance.now()), 16);
+    }
+
+    /**
+     * 予約したフレームを取り消す
+     */
+    cancelFrame() {
+        if (this.frame === null) return;
+
+        if (window.cancelAnimationFrame) {
+            window.cancelAnimationFrame(this.frame);
+        } else {
+            clearTimeout(this.frame);
+        }
+        this.frame = null;
+    }
+
+    /**
+     * アニメーションの1フレーム
+     * @param {number} timestamp フレームの時刻（ミリ秒）
+     */
+    onFrame(timestamp) {
+        this.frame = null;
+        if (!this.playing) return;
+
+        const delta = this.lastTimestamp === null ? 0 : timestamp - this.lastTimestamp;
+        this.lastTimestamp = timestamp;
+        this.advance(delta);
+
+        if (this.playing) {
+            this.requestFrame();
+        }
+    }
+}
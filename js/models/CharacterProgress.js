@@ -6,6 +6,7 @@ export class CharacterProgress {
     constructor(character) {
         this.character = character;
         this.attempts = []; // 練習試行の配列
+        this.maxReplayAttempts = 5; // 書いた線の再生データ（details.replay）を残す最近の試行数
         this.createdAt = Date.now();
         this.updatedAt = Date.now();
     }
@@ -31,6 +32,15 @@ export class CharacterProgress {
             this.attempts = this.attempts.slice(-100);
         }
 
+        // 再生データは点の数だけ大きいため、最近の試行と一番よく書けた試行にだけ残す
+        const bestAttempt = this.getBestReplayAttempt();
+        this.attempts.slice(0, -this.maxReplayAttempts).forEach(attempt => {
+            if (attempt !== bestAttempt && attempt.details && attempt.details.replay) {
+                const { replay, ...rest } = attempt.details;
+                attempt.details = rest;
+            }
+        });
+
         console.log(`文字 ${this.character} の試行追加: スコア ${score.toFixed(2)}`);
     }
 
@@ -187,6 +197,97 @@ export class CharacterProgress {
         return this.attempts.length / Math.max(1, weeksDiff);
     }
 
+    /**
+     * 取り違えた文字ごとの回数を取得
+     * 試行詳細のconfusion（取り違えやすい仲間の判定）を優先し、
+     * なければ認識結果の候補順位で別の文字に見えたかを使う
+     * @returns {Object} { 見えた文字: 回数 }
+     */
+    getConfusionCounts() {
+        const counts = {};
+
+        this.attempts.forEach(attempt => {
+            const details = attempt.details || {};
+            const confusedWith = details.confusion?.confusedWith ||
+                details.recognitionResult?.details?.candidateRanking?.lookalike;
+            if (!confusedWith) return;
+
+            counts[confusedWith] = (counts[confusedWith] || 0) + 1;
+        });
+
+        return counts;
+    }
+
+    /**
+     * 1回の試行で線を取り消した平均回数を取得（迷いの目安）
+     * 取り消し回数を記録していない古い試行は除く
+     * @returns {number|null} 平均回数、記録がない場合はnull
+     */
+    getAverageUndoCount() {
+        const counts = this.attempts
+            .map(attempt => attempt.details?.undoCount)
+            .filter(count => typeof count === 'number');
+        if (counts.length === 0) return null;
+
+        return counts.reduce((sum, count) => sum + count, 0) / counts.length;
+    }
+
+    /**
+     * 聞き書き（文字を見ずに、聞いた読みから思い出して書く）の試行かどうか
+     * @param {Object} attempt 試行
+     * @returns {boolean} 聞き書きの試行ならtrue
+     */
+    isRecallAttempt(attempt) {
+        return attempt.details?.practiceMode === 'dictation';
+    }
+
+    /**
+     * 手本を見て書いた試行の回数を取得（聞き書き以外）
+     * @returns {number} 試行回数
+     */
+    getCopyAttemptCount() {
+        return this.attempts.filter(attempt => !this.isRecallAttempt(attempt)).length;
+    }
+
+    /**
+     * 聞き書きの成績を取得（手本を見て書く練習とは分けて数える）
+     * 思い出して書けたか（details.recalled）を記録していない試行は書けなかったものとして数える
+     * @returns {Object|null} { attemptCount, recalledCount, recallRate, averageScore, lastRecalled }、聞き書きしていない場合はnull
+     */
+    getRecallStatistics() {
+        const recallAttempts = this.attempts.filter(attempt => this.isRecallAttempt(attempt));
+        if (recallAttempts.length === 0) return null;
+
+        const recalledCount = recallAttempts.filter(attempt => attempt.details.recalled === true).length;
+        return {
+            attemptCount: recallAttempts.length,
+            recalledCount: recalledCount,
+            recallRate: recalledCount / recallAttempts.length,
+            averageScore: recallAttempts.reduce((sum, attempt) => sum + attempt.score, 0) / recallAttempts.length,
+            lastRecalled: recallAttempts[recallAttempts.length - 1].details.recalled === true
+        };
+    }
+
+    /**
+     * 書いた線を再生できる試行を取得（新しい順）
+     * @returns {Array<Object>} { score, timestamp, details } の配列
+     */
+    getReplayAttempts() {
+        return this.attempts
+            .filter(attempt => attempt.details && attempt.details.replay)
+            .reverse();
+    }
+
+    /**
+     * 書いた線を残している試行のうち、一番スコアの高い試行を取得（同じスコアなら新しい方）
+     * @returns {Object|null} { score, timestamp, details }
+     */
+    getBestReplayAttempt() {
+        return this.attempts
+            .filter(attempt => attempt.details && attempt.details.replay)
+            .reduce((best, attempt) => (!best || attempt.score >= best.score ? attempt : best), null);
+    }
+
     /**
      * 統計情報を取得
      * @returns {Object} 統計情報
@@ -205,6 +306,10 @@ export class CharacterProgress {
             practiceFrequency: this.getPracticeFrequency(),
             daysSinceLastPractice: this.getDaysSinceLastPractice(),
             needsPractice: this.needsPractice(),
+            confusions: this.getConfusionCounts(),
+            averageUndoCount: this.getAverageUndoCount(),
+            copyAttemptCount: this.getCopyAttemptCount(),
+            recall: this.getRecallStatistics(),
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
         };
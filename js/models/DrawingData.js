@@ -11,7 +11,10 @@ export class DrawingData {
             deviceType: this.detectDeviceType(),
             canvasSize: null,
             totalPoints: 0,
-            totalStrokes: 0
+            totalStrokes: 0,
+            pointerTypes: [],       // 書くのに使われた入力の種類（'mouse' / 'touch' / 'pen'）
+            hasPressure: false,     // 筆圧が記録されているか
+            rejectedInputs: { palm: 0, touchWhilePen: 0, multiTouch: 0 } // パームリジェクションで除外した入力の件数
         };
     }
 
@@ -48,6 +51,28 @@ export class DrawingData {
         this.metadata.totalStrokes = this.strokes.length;
         this.metadata.totalPoints = this.strokes.reduce((total, stroke) => total + stroke.length, 0);
         this.boundingBox = this.calculateBoundingBox();
+
+        // Pointer Eventsで記録した点は入力の種類と筆圧を持つ
+        const points = this.strokes.flat();
+        this.metadata.pointerTypes = [...new Set(points.map(point => point.pointerType).filter(Boolean))];
+        this.metadata.hasPressure = points.some(point => typeof point.pressure === 'number');
+    }
+
+    /**
+     * 筆圧の統計を取得
+     * @returns {Object|null} { min, max, average }、筆圧が記録されていない場合はnull
+     */
+    getPressureStats() {
+        const pressures = this.strokes.flat()
+            .map(point => point.pressure)
+            .filter(pressure => typeof pressure === 'number');
+        if (pressures.length === 0) return null;
+
+        return {
+            min: Math.min(...pressures),
+            max: Math.max(...pressures),
+            average: pressures.reduce((sum, pressure) => sum + pressure, 0) / pressures.length
+        };
     }
 
     /**
@@ -87,6 +112,9 @@ export class DrawingData {
         this.boundingBox = null;
         this.metadata.totalPoints = 0;
         this.metadata.totalStrokes = 0;
+        this.metadata.pointerTypes = [];
+        this.metadata.hasPressure = false;
+        this.metadata.rejectedInputs = { palm: 0, touchWhilePen: 0, multiTouch: 0 };
         console.log('描画データクリア');
     }
 
@@ -171,6 +199,7 @@ export class DrawingData {
             complexity: this.getComplexity(),
             boundingBox: this.boundingBox,
             deviceType: this.metadata.deviceType,
+            rejectedInputs: this.metadata.rejectedInputs,
             timestamp: this.timestamp,
             isEmpty: this.isEmpty()
         };
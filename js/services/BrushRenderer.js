@@ -0,0 +1,207 @@
+/**
+ * ペンの描画
+ * 記録した点をもとに、なめらかな曲線（Catmull-Rom）と筆圧・速さで変わる太さで線を描く。
+ * 描き方を変えるだけで点そのものは変更しないため、認識に渡す描画データには影響しない
+ */
+export class BrushRenderer {
+    constructor() {
+        // ペンの種類（太さは論理座標のpx）
+        // pressureEffect: 筆圧で太さが変わる度合い、speedEffect: 速く書くと細くなる度合い
+        this.penStyles = {
+            pencil: { label: 'えんぴつ', color: '#333', width: 4, pressureEffect: 0.4, speedEffect: 0.15, minScale: 0.7, maxScale: 1.3 },
+            marker: { label: 'マーカー', color: '#2B2B2B', width: 7, pressureEffect: 0, speedEffect: 0, minScale: 1, maxScale: 1 },
+            brush: { label: '筆', color: '#111', width: 9, pressureEffect: 0.8, speedEffect: 0.6, minScale: 0.3, maxScale: 1.6 }
+        };
+        this.penStyle = 'pencil';
+
+        this.referenceSpeed = 1.5; // この速さ（論理座標のpx/ミリ秒）以上で最も細くなる
+        this.widthSmoothing = 0.6; // 前の点の太さを引き継ぐ割合（太さが急に変わらないように）
+        this.curveStep = 4;        // 曲線を細かく分ける長さ（論理座標のpx）
+        this.maxCurveSteps = 8;
+    }
+
+    /**
+     * ペンの種類を設定
+     * @param {string} style ペンの種類（pencil / marker / brush）
+     * @returns {boolean} 設定できたかどうか
+     */
+    setPenStyle(style) {
+        if (!this.penStyles[style]) return false;
+
+        this.penStyle = style;
+        return true;
+    }
+
+    /**
+     * 現在のペンの種類を取得
+     * @returns {string} ペンの種類
+     */
+    getPenStyle() {
+        return this.penStyle;
+    }
+
+    /**
+     * 現在のペンの描き方を取得
+     * @returns {Object} { label, color, width, pressureEffect, speedEffect, minScale, maxScale }
+     */
+    getStyle() {
+        return this.penStyles[this.penStyle];
+    }
+
+    /**
+     * 点での太さの倍率を計算
+     * 筆圧はペン入力のときだけ使う（マウスや指は筆圧が取れず0.5固定のため）
+     * @param {Object|null} previous 1つ前の点
+     * @param {Object} point 点
+     * @param {Object} style ペンの描き方
+     * @returns {number} 倍率
+     */
+    getWidthScale(previous, point, style) {
+        let scale = 1;
+
+        if (point.pointerType === 'pen' && typeof point.pressure === 'number' && point.pressure > 0) {
+            scale += (point.pressure - 0.5) * 2 * style.pressureEffect;
+        }
+
+        if (previous && typeof point.timestamp === 'number' && typeof previous.timestamp === 'number') {
+            const elapsed = point.timestamp - previous.timestamp;
+            if (elapsed > 0) {
+                const speed = Math.hypot(point.x - previous.x, point.y - previous.y) / elapsed;
+                scale -= Math.min(1, speed / this.referenceSpeed) * style.speedEffect;
+            }
+        }
+
+        return Math.max(style.minScale, Math.min(style.maxScale, scale));
+    }
+
+    /**
+     * 各点での線の太さを計算
+     * それより前の点だけから決まるため、書いている途中に描いても描き直しても同じ太さになる
+     * @param {Array} points 点の配列
+     * @param {Object} style ペンの描き方（省略時は現在のペン）
+     * @returns {Array<number>} 太さの配列
+     */
+    getStrokeWidths(points, style = this.getStyle()) {
+        const widths = [];
+        points.forEach((point, index) => {
+            widths.push(this.getNextWidth(index > 0 ? widths[index - 1] : null, points[index - 1] || null, point, style));
+        });
+        return widths;
+    }
+
+    /**
+     * 次の点での線の太さを計算（書いている途中に1点ずつ計算する用）
+     * @param {number|null} previousWidth 1つ前の点の太さ（書きはじめはnull）
+     * @param {Object|null} previous 1つ前の点
+     * @param {Object} point 点
+     * @param {Object} style ペンの描き方（省略時は現在のペン）
+     * @returns {number} 太さ
+     */
+    getNextWidth(previousWidth, previous, point, style = this.getStyle()) {
+        const target = style.width * this.getWidthScale(previous, point, style);
+        return previousWidth === null
+            ? target
+            : previousWidth * this.widthSmoothing + target * (1 - this.widthSmoothing);
+    }
+
+    /**
+     * 2点の間をなめらかにつなぐ点を計算（Catmull-Romスプライン）
+     * 最後は必ずp2ちょうどで終わる
+     * @param {Object} p0 p1の前の点
+     * @param {Object} p1 区間の始点
+     * @param {Object} p2 区間の終点
+     * @param {Object} p3 p2の次の点
+     * @returns {Array<Object>} p1の次からp2までの{x, y}の配列
+     */
+    getCurvePoints(p0, p1, p2, p3) {
+        const steps = Math.max(1, Math.min(this.maxCurveSteps,
+            Math.ceil(Math.hypot(p2.x - p1.x, p2.y - p1.y) / this.curveStep)));
+        const points = [];
+
+        for (let step = 1; step < steps; step++) {
+            const t = step / steps;
+            const t2 = t * t;
+            const t3 = t2 * t;
+            const interpolate = (a, b, c, d) => 0.5 * (
+                2 * b +
+                (-a + c) * t +
+                (2 * a - 5 * b + 4 * c - d) * t2 +
+                (-a + 3 * b - 3 * c + d) * t3
+            );
+            points.push({
+                x: interpolate(p0.x, p1.x, p2.x, p3.x),
+                y: interpolate(p0.y, p1.y, p2.y, p3.y)
+            });
+        }
+        points.push({ x: p2.x, y: p2.y });
+
+        return points;
+    }
+
+    /**
+     * 1区間（index-1番目の点からindex番目の点まで）を描く
+     * 終点での向きを次の点（index+1番目）から決めるため、次の区間と折れ目なくつながる。
+     * 次の点がない最後の区間は終点で止まる曲線にする
+     * @param {CanvasRenderingContext2D} ctx コンテキスト
+     * @param {Array} points 点の配列
+     * @param {number} index 区間の終点の番号（1以上）
+     * @param {Array<number>} widths getStrokeWidthsで計算した太さ
+     */
+    drawSegment(ctx, points, index, widths) {
+        const p1 = points[index - 1];
+        const p2 = points[index];
+        const p0 = points[index - 2] || p1;
+        const p3 = points[index + 1] || p2;
+
+        this.applyStyle(ctx, (widths[index - 1] + widths[index]) / 2);
+        ctx.beginPath();
+        ctx.moveTo(p1.x, p1.y);
+        this.getCurvePoints(p0, p1, p2, p3).forEach(point => ctx.lineTo(point.x, point.y));
+        ctx.stroke();
+    }
+
+    /**
+     * 1点だけの線（点を打っただけ）を丸い点として描く
+     * @param {CanvasRenderingContext2D} ctx コンテキスト
+     * @param {Object} point 点
+     * @param {number} width 太さ
+     */
+    drawDot(ctx, point, width) {
+        this.applyStyle(ctx, width);
+        ctx.beginPath();
+        ctx.moveTo(point.x, point.y);
+        ctx.lineTo(point.x, point.y);
+        ctx.stroke();
+    }
+
+    /**
+     * 1画全体を描く
+     * @param {CanvasRenderingContext2D} ctx コンテキスト
+     * @param {Array} points 点の配列
+     */
+    drawStroke(ctx, points) {
+        if (points.length === 0) return;
+
+        const widths = this.getStrokeWidths(points);
+        if (points.length === 1) {
+            this.drawDot(ctx, points[0], widths[0]);
+            return;
+        }
+
+        for (let index = 1; index < points.length; index++) {
+            this.drawSegment(ctx, points, index, widths);
+        }
+    }
+
+    /**
+     * 線の色と太さを設定
+     * @param {CanvasRenderingContext2D} ctx コンテキスト
+     * @param {number} width 太さ
+     */
+    applyStyle(ctx, width) {
+        ctx.strokeStyle = this.getStyle().color;
+        ctx.lineWidth = width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+    }
+}
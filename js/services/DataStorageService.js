@@ -13,9 +13,20 @@ export class DataStorageService {
             settings: 'hiragana_practice_settings',
             currentSession: 'hiragana_current_session',
             progressTracking: 'hiragana_progress_tracking', // 新しい進捗追跡データ
+            adaptiveTemplates: 'hiragana_adaptive_templates', // 学習者ごとの個人用の手本
             dataVersion: 'hiragana_data_version' // データバージョン情報
         };
         
+        // アプリ設定の既定値
+        this.defaultSettings = {
+            scoringProfile: 'standard', // 採点プロファイル（toddler / standard / school）
+            recognizerEngine: 'heuristic', // 認識エンジン（heuristic / pointCloud）
+            learnerProfile: 'default', // 学習者（個人用の手本はこの単位で分けて保存する）
+            palmRejection: true, // 手のひら・複数タッチの入力を除外する
+            guideGrid: 'cross', // 練習キャンバスの補助線（none / cross / fourSquare / eightWay）
+            penStyle: 'pencil' // 練習キャンバスのペンの種類（pencil / marker / brush）
+        };
+        
         this.maxStoredSessions = 50; // 最大保存セッション数を削減（パフォーマンス向上）
         this.compressionEnabled = true; // データ圧縮の有効化
         this.migrationService = null; // 移行サービス（後で設定）
@@ -627,7 +638,8 @@ export class DataStorageService {
             drawingSummary: attempt.drawingData ? {
                 strokeCount: attempt.drawingData.strokes?.length || 0,
                 pointCount: attempt.drawingData.metadata?.totalPoints || 0,
-                complexity: attempt.drawingData.complexity || 0
+                complexity: attempt.drawingData.complexity || 0,
+                rejectedInputs: attempt.drawingData.metadata?.rejectedInputs || null
             } : null
         }));
         
@@ -875,6 +887,57 @@ export class DataStorageService {
         }
     }
 
+    /**
+     * アプリ設定を取得（未保存の項目は既定値で補完）
+     * @returns {Object} 設定
+     */
+    getSettings() {
+        const saved = this.loadData('settings');
+        const settings = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        return { ...this.defaultSettings, ...settings };
+    }
+
+    /**
+     * アプリ設定を更新
+     * @param {Object} changes 変更する設定項目
+     * @returns {Object|null} 更新後の設定、保存に失敗した場合はnull
+     */
+    updateSettings(changes) {
+        const settings = { ...this.getSettings(), ...changes };
+        return this.saveData('settings', settings) ? settings : null;
+    }
+
+    /**
+     * 学習者の個人用の手本を取得
+     * @param {string} profileId 学習者
+     * @returns {Object} 文字ごとの覚えた描画の配列
+     */
+    getAdaptiveTemplates(profileId) {
+        const profiles = this.loadAdaptiveTemplateProfiles();
+        const templates = profiles[profileId];
+        return templates && typeof templates === 'object' && !Array.isArray(templates) ? templates : {};
+    }
+
+    /**
+     * 学習者の個人用の手本を保存（他の学習者の手本はそのまま残す）
+     * @param {string} profileId 学習者
+     * @param {Object} templates 文字ごとの覚えた描画の配列
+     * @returns {boolean} 保存成功かどうか
+     */
+    saveAdaptiveTemplates(profileId, templates) {
+        const profiles = this.loadAdaptiveTemplateProfiles();
+        return this.saveData('adaptiveTemplates', { ...profiles, [profileId]: templates });
+    }
+
+    /**
+     * 全学習者の個人用の手本を読み込む
+     * @returns {Object} 学習者ごとの個人用の手本
+     */
+    loadAdaptiveTemplateProfiles() {
+        const saved = this.loadData('adaptiveTemplates');
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    }
+
     /**
      * 保存前のデータ妥当性チェック
      * @param {string} key データキー
@@ -0,0 +1,262 @@
+/**
+ * 描画の書き出しサービス
+ * 描画データ（点の記録）からSVG・PNGを作る。キャンバスの画素ではなく点から作るため、
+ * 画面の大きさや解像度によらず、印刷しても線がきれいに出る
+ */
+import { BrushRenderer } from './BrushRenderer.js';
+
+export class DrawingExportService {
+    constructor() {
+        this.defaultCanvasSize = { width: 400, height: 400 };
+        this.svgStyle = { color: '#333', width: 6 }; // SVGの線（論理座標のpx）
+        this.background = '#FFFFFF';
+        this.pngScale = 2; // PNGは論理座標の2倍の解像度で作る（印刷用）
+        this.sheetColumns = 5; // 一覧のSVGの1行の字数
+        this.sheetCellSize = 160;
+        this.revokeDelay = 10000; // ダウンロード用のURLを取り消すまでの時間（ミリ秒）
+    }
+
+    /**
+     * 描画データをSVG文書に変換
+     * 1画を1つのpathにし、書いた順番（data-stroke-order）と書きはじめ・書いていた時間を残す
+     * @param {Object} drawingData 描画データ（strokes, canvasSize）
+     * @param {Object} options { character: 文字, strokeNumbers: 書きはじめに画の番号を付けるか }
+     * @returns {string|null} SVG文書、線がない場合はnull
+     */
+    toSVG(drawingData, options = {}) {
+        const strokes = this.getStrokes(drawingData);
+        if (strokes.length === 0) return null;
+
+        const { width, height } = this.getCanvasSize(drawingData);
+        const character = options.character || '';
+        const metadata = {
+            character: character || null,
+            strokeCount: strokes.length,
+            canvasSize: { width, height },
+            createdAt: new Date(drawingData.timestamp || Date.now()).toISOString()
+        };
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"` +
+                ` data-character="${this.escapeXml(character)}" data-stroke-count="${strokes.length}">`,
+            `<title>${this.escapeXml(character ? `「${character}」の字` : '書いた字')}</title>`,
+            `<metadata>${this.escapeXml(JSON.stringify(metadata))}</metadata>`,
+            `<rect width="${width}" height="${height}" fill="${this.background}"/>`,
+            this.createStrokeGroup(strokes, options),
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * 各画のpathをまとめたSVGのgroup要素を作成
+     * @param {Array} strokes 各画の点の配列
+     * @param {Object} options { strokeNumbers: 書きはじめに画の番号を付けるか }
+     * @returns {string} SVGの断片
+     */
+    createStrokeGroup(strokes, options = {}) {
+        const origin = strokes[0][0].timestamp;
+        const paths = strokes.map((stroke, index) => {
+            const start = stroke[0];
+            const end = stroke[stroke.length - 1];
+            const d = stroke.length === 1
+                ? `M${this.formatNumber(start.x)} ${this.formatNumber(start.y)} L${this.formatNumber(start.x)} ${this.formatNumber(start.y)}`
+                : stroke.map((point, i) => `${i === 0 ? 'M' : 'L'}${this.formatNumber(point.x)} ${this.formatNumber(point.y)}`).join(' ');
+            const timing = typeof origin === 'number' && typeof start.timestamp === 'number' && typeof end.timestamp === 'number'
+                ? ` data-start-time="${Math.round(start.timestamp - origin)}" data-duration="${Math.round(end.timestamp - start.timestamp)}"`
+                : '';
+            return `<path d="${d}" data-stroke-order="${index + 1}"${timing}><title>${index + 1}画目</title></path>`;
+        });
+
+        const numbers = options.strokeNumbers
+            ? [
+                '<g class="stroke-numbers" fill="#FF6B6B" font-size="16" font-family="sans-serif" text-anchor="middle">',
+                ...strokes.map((stroke, index) =>
+                    `<text x="${this.formatNumber(stroke[0].x)}" y="${this.formatNumber(stroke[0].y - 8)}">${index + 1}</text>`),
+                '</g>'
+            ]
+            : [];
+
+        return [
+            `<g class="strokes" fill="none" stroke="${this.svgStyle.color}" stroke-width="${this.svgStyle.width}" stroke-linecap="round" stroke-linejoin="round">`,
+            ...paths,
+            '</g>',
+            ...numbers
+        ].join('\n');
+    }
+
+    /**
+     * 何文字かの描画を並べた一覧のSVG文書を作成（上手に書けた字の印刷用）
+     * @param {Array<Object>} entries { character, drawingData, caption } の配列
+     * @returns {string|null} SVG文書、描画がない場合はnull
+     */
+    toSVGSheet(entries) {
+        const cells = entries.filter(entry => this.getStrokes(entry.drawingData).length > 0);
+        if (cells.length === 0) return null;
+
+        const cellSize = this.sheetCellSize;
+        const captionHeight = 24;
+        const columns = Math.min(this.sheetColumns, cells.length);
+        const rows = Math.ceil(cells.length / columns);
+        const width = columns * cellSize;
+        const height = rows * (cellSize + captionHeight);
+
+        const body = cells.map((entry, index) => {
+            const x = (index % columns) * cellSize;
+            const y = Math.floor(index / columns) * (cellSize + captionHeight);
+            const size = this.getCanvasSize(entry.drawingData);
+            const caption = entry.caption || entry.character || '';
+            return [
+                `<g class="sheet-cell" data-character="${this.escapeXml(entry.character || '')}">`,
+                `<rect x="${x + 4}" y="${y + 4}" width="${cellSize - 8}" height="${cellSize - 8}" fill="none" stroke="#CCC"/>`,
+                `<svg x="${x + 4}" y="${y + 4}" width="${cellSize - 8}" height="${cellSize - 8}" viewBox="0 0 ${size.width} ${size.height}">`,
+                this.createStrokeGroup(this.getStrokes(entry.drawingData)),
+                '</svg>',
+                `<text x="${x + cellSize / 2}" y="${y + cellSize + 16}" font-size="14" font-family="sans-serif" text-anchor="middle">${this.escapeXml(caption)}</text>`,
+                '</g>'
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            '<title>上手に書けた字</title>',
+            `<rect width="${width}" height="${height}" fill="${this.background}"/>`,
+            ...body,
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * 描画データをPNG画像にする
+     * 練習で使っていたペンの描き方で、白い背景の上に描く
+     * @param {Object} drawingData 描画データ（strokes, canvasSize）
+     * @param {Object} options { penStyle: ペンの種類, scale: 論理座標に対する倍率 }
+     * @returns {Promise<Blob|null>} PNG画像、作れない場合はnull
+     */
+    async toPNGBlob(drawingData, options = {}) {
+        const strokes = this.getStrokes(drawingData);
+        if (strokes.length === 0) return null;
+
+        const { width, height } = this.getCanvasSize(drawingData);
+        const scale = options.scale || this.pngScale;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+
+        ctx.fillStyle = this.background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+        const brushRenderer = new BrushRenderer();
+        if (options.penStyle) {
+            brushRenderer.setPenStyle(options.penStyle);
+        }
+        strokes.forEach(stroke => brushRenderer.drawStroke(ctx, stroke));
+
+        return this.canvasToBlob(canvas);
+    }
+
+    /**
+     * キャンバスの内容をPNG画像にする
+     * @param {HTMLCanvasElement} canvas キャンバス
+     * @returns {Promise<Blob|null>} PNG画像
+     */
+    canvasToBlob(canvas) {
+        return new Promise(resolve => {
+            if (typeof canvas.toBlob !== 'function') {
+                resolve(null);
+                return;
+            }
+            canvas.toBlob(blob => resolve(blob || null), 'image/png');
+        });
+    }
+
+    /**
+     * 保存した再生データ（StrokeReplayPlayer.createRecording）を描画データの形に戻す
+     * @param {Object} recording 再生データ
+     * @returns {Object|null} { strokes, canvasSize }
+     */
+    fromRecording(recording) {
+        if (!recording || !Array.isArray(recording.strokes)) return null;
+
+        return {
+            strokes: recording.strokes.map(stroke => stroke.map(([x, y, timestamp]) => ({ x, y, timestamp }))),
+            canvasSize: recording.canvasSize || { ...this.defaultCanvasSize }
+        };
+    }
+
+    /**
+     * 書き出すファイルの名前を作成
+     * @param {string} character 文字（一覧などではラベル）
+     * @param {string} extension 拡張子（svg / png）
+     * @param {number} timestamp 時刻
+     * @returns {string} ファイル名
+     */
+    createFileName(character, extension, timestamp = Date.now()) {
+        const date = new Date(timestamp).toISOString().split('T')[0];
+        return `hiragana-${character}-${date}.${extension}`;
+    }
+
+    /**
+     * ファイルとしてダウンロードさせる
+     * ブラウザによっては文書にないリンクのクリックや、すぐに取り消したURLではダウンロードされないため、
+     * リンクを文書に置いてからクリックし、URLはしばらくしてから取り消す
+     * @param {Blob} blob 内容
+     * @param {string} fileName ファイル名
+     */
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), this.revokeDelay);
+    }
+
+    /**
+     * 点のある画だけを取得
+     * @param {Object} drawingData 描画データ
+     * @returns {Array} 各画の点の配列
+     */
+    getStrokes(drawingData) {
+        return (drawingData?.strokes || []).filter(stroke => Array.isArray(stroke) && stroke.length > 0);
+    }
+
+    /**
+     * 点の座標の基準となる文字枠の大きさを取得
+     * @param {Object} drawingData 描画データ
+     * @returns {Object} { width, height }
+     */
+    getCanvasSize(drawingData) {
+        return drawingData?.canvasSize || { ...this.defaultCanvasSize };
+    }
+
+    /**
+     * 座標を小数1桁までの文字列にする
+     * @param {number} value 値
+     * @returns {string} 文字列
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 10) / 10);
+    }
+
+    /**
+     * XMLの特殊文字をエスケープ
+     * @param {string} text 文字列
+     * @returns {string} エスケープした文字列
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -1,4 +1,6 @@
 // 描画サービス
+import { BrushRenderer } from './BrushRenderer.js';
+
 export class DrawingService {
     constructor() {
         this.canvas = null;
@@ -10,10 +12,43 @@ export class DrawingService {
             boundingBox: null
         };
         this.isDrawing = false;
+        this.activePointerId = null; // 描画中のポインターID（Pointer Events使用時）
+        this.activePointerType = null; // 描画中のポインターの種類
+
+        // 手のひら・複数タッチの除外（パームリジェクション）
+        this.palmRejectionEnabled = true;
+        this.palmContactSize = 30;          // 接触面の幅・高さがこれ以上のタッチは手のひらとみなす（CSS px）
+        this.penPriorityDuration = 1000;    // ペンを使ってからこの時間（ミリ秒）はタッチを無視する
+        this.simultaneousTouchWindow = 150; // 書き始めからこの時間（ミリ秒）内に別の指が触れたら、書き始めの線も手のひらとみなす
+        this.lastPenTime = 0;
+        this.rejectedInputs = this.createRejectedInputCounts();
+
+        // 1画ずつの取り消し・やり直し
+        this.redoStack = [];  // 取り消したストローク（最後に取り消したものが末尾）
+        this.undoCount = 0;   // この描画で取り消した回数（迷いの目安として記録する）
+        this.redoCount = 0;
+
+        // 補助線（十字線・田字格・米字格）
+        // 描画用とは別のキャンバスに描くため、描画データや画像データには入らない
+        this.guideTypes = ['none', 'cross', 'fourSquare', 'eightWay'];
+        this.guideType = 'cross';
+        this.guideCanvas = null;
+        this.guideCtx = null;
+
+        // 表示解像度（高DPI・画面の回転やサイズ変更）
+        // 点の座標は表示の大きさやdevicePixelRatioによらない論理座標（文字枠logicalSize）で記録し、
+        // キャンバスは「表示サイズ×devicePixelRatio」の解像度で描画データから描き直す
+        this.logicalSize = { width: 400, height: 400 };
+        this.pixelRatio = 1;
+
+        // ペンの描き方（なめらかな曲線と筆圧・速さによる太さ）。記録する点は変えない
+        this.brushRenderer = new BrushRenderer();
+        this.currentWidths = []; // 書いている線の各点の太さ
         
         // コールバック関数
         this.onDrawingStart = null;
         this.onDrawingEnd = null;
+        this.onHistoryChange = null; // 取り消し・やり直しの可否が変わった時
     }
 
     initCanvas(canvasElement) {
@@ -28,12 +63,15 @@ export class DrawingService {
             if (!this.ctx) {
                 throw new Error('Canvas 2Dコンテキストの取得に失敗しました');
             }
+
+            // HTMLで指定したキャンバスの大きさを論理座標の文字枠とする
+            this.logicalSize = {
+                width: this.canvas.width || this.logicalSize.width,
+                height: this.canvas.height || this.logicalSize.height
+            };
             
             // 描画設定
-            this.ctx.strokeStyle = '#333';
-            this.ctx.lineWidth = 4;
-            this.ctx.lineCap = 'round';
-            this.ctx.lineJoin = 'round';
+            this.applyContextStyle();
             
             // イベントリスナー設定
             this.setupEventListeners();
@@ -51,6 +89,345 @@ export class DrawingService {
     setupEventListeners() {
         if (!this.canvas) return;
 
+        // Pointer Eventsが使える環境では筆圧・傾き・入力の種類も記録する
+        if (this.isPointerEventsSupported()) {
+            this.setupPointerEventListeners();
+        } else {
+            this.setupMouseTouchEventListeners();
+        }
+    }
+
+    /**
+     * Pointer Eventsが使えるか確認
+     * @returns {boolean} 使えるかどうか
+     */
+    isPointerEventsSupported() {
+        return typeof window !== 'undefined' && typeof window.PointerEvent === 'function';
+    }
+
+    /**
+     * Pointer Eventsのリスナーを設定
+     * マウス・指・ペンを同じ処理で扱い、速く書いた時はまとめられた中間点（coalesced events）も記録する
+     */
+    setupPointerEventListeners() {
+        this.handlePointerDown = (e) => {
+            if (e.pointerType === 'pen') {
+                this.lastPenTime = Date.now();
+            }
+
+            const rejection = this.getPointerRejection(e);
+            if (rejection) {
+                this.rejectInput(rejection, this.getEventTimestamp(e));
+                return;
+            }
+            e.preventDefault();
+
+            // ペンが優先されるため、タッチで書いていた線（手のひらの可能性が高い）は取り消す
+            if (this.isDrawing) {
+                this.cancelCurrentStroke();
+            }
+
+            this.activePointerId = e.pointerId;
+            this.activePointerType = e.pointerType || 'mouse';
+            if (this.canvas.setPointerCapture) {
+                // キャンバスの外に出ても線が途切れないようにする
+                this.canvas.setPointerCapture(e.pointerId);
+            }
+
+            const point = this.normalizePointerEvent(e);
+            this.startDrawing(point.x, point.y, point);
+        };
+
+        this.handlePointerMove = (e) => {
+            if (!this.isDrawing || e.pointerId !== this.activePointerId) return;
+            e.preventDefault();
+
+            if (e.pointerType === 'pen') {
+                this.lastPenTime = Date.now();
+            }
+
+            // 指で書き始めた後に手のひらが乗って接触面が広がった場合は線を取り消す
+            if (this.palmRejectionEnabled && this.isLargeContact(e)) {
+                this.cancelCurrentStroke();
+                this.rejectInput('palm');
+                return;
+            }
+
+            this.getCoalescedPointerEvents(e).forEach(event => {
+                const point = this.normalizePointerEvent(event);
+                this.addPoint(point.x, point.y, point);
+            });
+        };
+
+        this.handlePointerUp = (e) => {
+            if (e.pointerId !== this.activePointerId) return;
+            e.preventDefault();
+
+            this.activePointerId = null;
+            this.activePointerType = null;
+            this.endDrawing();
+        };
+
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.addEventListener('pointermove', this.handlePointerMove);
+        this.canvas.addEventListener('pointerup', this.handlePointerUp);
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    /**
+     * ポインター入力を描画に使わない理由を判定
+     * パームリジェクションが有効な場合は、1本のポインターだけを追跡し、ペンをタッチより優先し、
+     * 接触面の大きいタッチや同時に触れたタッチを除外する
+     * @param {PointerEvent} event pointerdownイベント
+     * @returns {string|null} 'palm' | 'touchWhilePen' | 'multiTouch'、描画に使う場合はnull
+     */
+    getPointerRejection(event) {
+        if (!this.palmRejectionEnabled) {
+            return event.isPrimary ? null : 'multiTouch';
+        }
+
+        if (event.pointerType === 'pen') {
+            // ペンで書いている途中に別のペンが触れることはないため、ペン同士の場合だけ除外する
+            return this.isDrawing && this.activePointerType === 'pen' ? 'multiTouch' : null;
+        }
+
+        if (event.pointerType === 'touch') {
+            if (this.isLargeContact(event)) return 'palm';
+            if (this.isPenInUse()) return 'touchWhilePen';
+        }
+
+        if (!event.isPrimary || this.isDrawing) return 'multiTouch';
+        return null;
+    }
+
+    /**
+     * 接触面の大きいタッチ（手のひら）か判定
+     * @param {Object} event ポインターイベントまたはTouch
+     * @returns {boolean} 手のひらとみなす場合true
+     */
+    isLargeContact(event) {
+        if (event.pointerType !== undefined && event.pointerType !== 'touch') return false;
+
+        // Touchでは半径（radiusX/Y）、PointerEventでは幅・高さ（width/height）で接触面が分かる
+        const width = event.width ?? (event.radiusX !== undefined ? event.radiusX * 2 : 0);
+        const height = event.height ?? (event.radiusY !== undefined ? event.radiusY * 2 : 0);
+        return width >= this.palmContactSize || height >= this.palmContactSize;
+    }
+
+    /**
+     * ペンを使っている（または使ったばかり）か判定
+     * @returns {boolean} ペンを使っている場合true
+     */
+    isPenInUse() {
+        return this.activePointerType === 'pen' || Date.now() - this.lastPenTime < this.penPriorityDuration;
+    }
+
+    /**
+     * 除外した入力を記録
+     * 別の指が書き始めの直後に触れた場合は、書き始めの線も手のひらによるものとして取り消す
+     * @param {string} reason 除外の理由（rejectedInputsのキー）
+     * @param {number} timestamp 除外した入力の時刻（ミリ秒）
+     */
+    rejectInput(reason, timestamp = Date.now()) {
+        this.rejectedInputs[reason] = (this.rejectedInputs[reason] || 0) + 1;
+
+        if (this.palmRejectionEnabled && reason === 'multiTouch' && this.isDrawing && this.activePointerType !== 'pen') {
+            const startedAt = this.currentStroke[0]?.timestamp ?? 0;
+            if (timestamp - startedAt < this.simultaneousTouchWindow) {
+                this.cancelCurrentStroke();
+            }
+        }
+    }
+
+    /**
+     * 除外した入力の件数の初期値を作成
+     * @returns {Object} { palm, touchWhilePen, multiTouch }
+     */
+    createRejectedInputCounts() {
+        return { palm: 0, touchWhilePen: 0, multiTouch: 0 };
+    }
+
+    /**
+     * パームリジェクションの有効・無効を切り替え
+     * @param {boolean} enabled 有効にするかどうか
+     */
+    setPalmRejection(enabled) {
+        this.palmRejectionEnabled = enabled !== false;
+    }
+
+    /**
+     * 書いている途中の線を取り消し、確定済みの線だけを描き直す
+     */
+    cancelCurrentStroke() {
+        if (!this.isDrawing) return;
+
+        this.isDrawing = false;
+        this.currentStroke = [];
+        this.activePointerId = null;
+        this.activePointerType = null;
+        this.redrawStrokes();
+
+        // 書き始めで無効にしたUIを元に戻す
+        if (this.onDrawingEnd) {
+            this.onDrawingEnd();
+        }
+        this.notifyHistoryChange();
+        console.log('描画中の線を取り消しました');
+    }
+
+    /**
+     * 描画データからキャンバスを描き直す（書いている途中の線も含む）
+     */
+    redrawStrokes() {
+        if (!this.ctx) return;
+
+        this.ctx.clearRect(0, 0, this.logicalSize.width, this.logicalSize.height);
+        const strokes = this.isDrawing && this.currentStroke.length > 0
+            ? [...this.drawingData.strokes, this.currentStroke]
+            : this.drawingData.strokes;
+        strokes.forEach(stroke => this.brushRenderer.drawStroke(this.ctx, stroke));
+    }
+
+    /**
+     * ペンの種類を設定し、描いた線をそのペンで描き直す
+     * @param {string} style ペンの種類（pencil / marker / brush）
+     * @returns {boolean} 設定できたかどうか
+     */
+    setPenStyle(style) {
+        if (!this.brushRenderer.setPenStyle(style)) {
+            console.warn(`不明なペンの種類: ${style}`);
+            return false;
+        }
+
+        this.applyContextStyle();
+        this.redrawStrokes();
+        return true;
+    }
+
+    /**
+     * 現在のペンの種類を取得
+     * @returns {string} ペンの種類
+     */
+    getPenStyle() {
+        return this.brushRenderer.getPenStyle();
+    }
+
+    /**
+     * キャンバスの表示サイズを変更し、端末の解像度で描き直す
+     * キャンバスの大きさを変えると中身が消えるため、描画データ（書いている途中の線を含む）から描き直す。
+     * 補助線のキャンバスも同じ大きさにそろえる
+     * @param {number} displayWidth 表示する幅（CSS px）
+     * @param {number} displayHeight 表示する高さ（CSS px）
+     * @param {number} pixelRatio 1 CSS pxあたりの画素数（省略時はwindow.devicePixelRatio）
+     * @returns {boolean} 変更できたかどうか
+     */
+    resizeCanvas(displayWidth, displayHeight, pixelRatio = this.getDevicePixelRatio()) {
+        if (!this.canvas || !(displayWidth > 0) || !(displayHeight > 0)) return false;
+
+        this.pixelRatio = pixelRatio > 0 ? pixelRatio : 1;
+        [this.canvas, this.guideCanvas].forEach(canvas => {
+            if (!canvas) return;
+            canvas.width = Math.round(displayWidth * this.pixelRatio);
+            canvas.height = Math.round(displayHeight * this.pixelRatio);
+            if (canvas.style) {
+                canvas.style.width = `${displayWidth}px`;
+                canvas.style.height = `${displayHeight}px`;
+            }
+        });
+
+        this.applyContextStyle();
+        this.redrawStrokes();
+        this.renderGuide();
+        return true;
+    }
+
+    /**
+     * 端末の1 CSS pxあたりの画素数を取得
+     * @returns {number} devicePixelRatio（取得できない環境では1）
+     */
+    getDevicePixelRatio() {
+        return typeof window !== 'undefined' && window.devicePixelRatio > 0 ? window.devicePixelRatio : 1;
+    }
+
+    /**
+     * 論理座標で描けるようにコンテキストの拡大率を設定
+     * @param {CanvasRenderingContext2D} ctx コンテキスト
+     * @param {HTMLCanvasElement} canvas キャンバス
+     */
+    applyContextScale(ctx, canvas) {
+        if (!ctx || typeof ctx.setTransform !== 'function') return;
+
+        ctx.setTransform(
+            canvas.width / this.logicalSize.width, 0,
+            0, canvas.height / this.logicalSize.height,
+            0, 0
+        );
+    }
+
+    /**
+     * 描画用コンテキストの拡大率と線の描き方を設定
+     * キャンバスの大きさを変えるとコンテキストの設定も初期化されるため、そのたびに呼ぶ
+     */
+    applyContextStyle() {
+        if (!this.ctx) return;
+
+        this.applyContextScale(this.ctx, this.canvas);
+        this.brushRenderer.applyStyle(this.ctx, this.brushRenderer.getStyle().width);
+    }
+
+    /**
+     * pointermoveにまとめられた中間のイベントを取得
+     * getCoalescedEvents()に対応していない環境ではイベント自身だけを返す
+     * @param {PointerEvent} event pointermoveイベント
+     * @returns {Array<PointerEvent>} 発生順のイベント配列
+     */
+    getCoalescedPointerEvents(event) {
+        if (typeof event.getCoalescedEvents === 'function') {
+            const events = event.getCoalescedEvents();
+            if (events && events.length > 0) {
+                return events;
+            }
+        }
+        return [event];
+    }
+
+    /**
+     * ポインターイベントをキャンバス座標と入力情報に変換
+     * @param {PointerEvent} event ポインターイベント
+     * @returns {Object} { x, y, timestamp, pressure, tiltX, tiltY, pointerType }
+     */
+    normalizePointerEvent(event) {
+        const coords = this.normalizeCoordinates(event);
+
+        return {
+            x: coords.x,
+            y: coords.y,
+            timestamp: this.getEventTimestamp(event),
+            pressure: typeof event.pressure === 'number' ? event.pressure : 0.5,
+            tiltX: typeof event.tiltX === 'number' ? event.tiltX : 0,
+            tiltY: typeof event.tiltY === 'number' ? event.tiltY : 0,
+            pointerType: event.pointerType || 'mouse'
+        };
+    }
+
+    /**
+     * イベントの発生時刻を取得（Date.now()と同じ基準のミリ秒）
+     * まとめられた中間点は同じタイミングで届くため、受け取った時刻ではなく発生時刻を使う
+     * @param {Event} event イベント
+     * @returns {number} 時刻（ミリ秒）
+     */
+    getEventTimestamp(event) {
+        if (typeof event.timeStamp === 'number' && event.timeStamp > 0 &&
+            typeof performance !== 'undefined' && performance.timeOrigin) {
+            return performance.timeOrigin + event.timeStamp;
+        }
+        return Date.now();
+    }
+
+    /**
+     * マウス・タッチイベントのリスナーを設定（Pointer Events非対応の環境用）
+     */
+    setupMouseTouchEventListeners() {
         // マウスイベント
         this.canvas.addEventListener('mousedown', (e) => {
             const coords = this.normalizeCoordinates(e);
@@ -75,6 +452,16 @@ export class DrawingService {
         // タッチイベント
         this.canvas.addEventListener('touchstart', (e) => {
             e.preventDefault();
+            if (this.palmRejectionEnabled) {
+                if (e.touches.length > 1 || this.isDrawing) {
+                    this.rejectInput('multiTouch', this.getEventTimestamp(e));
+                    return;
+                }
+                if (this.isLargeContact(e.touches[0])) {
+                    this.rejectInput('palm', this.getEventTimestamp(e));
+                    return;
+                }
+            }
             const touch = e.touches[0];
             const coords = this.normalizeCoordinates(touch);
             this.startDrawing(coords.x, coords.y);
@@ -100,10 +487,15 @@ export class DrawingService {
         });
     }
 
+    /**
+     * 画面上の位置を論理座標に変換（表示の大きさや解像度によらない座標）
+     * @param {Object} event clientX・clientYを持つイベントまたはタッチ
+     * @returns {Object} { x, y }
+     */
     normalizeCoordinates(event) {
         const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
+        const scaleX = this.logicalSize.width / rect.width;
+        const scaleY = this.logicalSize.height / rect.height;
 
         return {
             x: (event.clientX - rect.left) * scaleX,
@@ -111,11 +503,36 @@ export class DrawingService {
         };
     }
 
-    startDrawing(x, y) {
+    /**
+     * 記録する点を作成
+     * ポインターの入力情報（筆圧・傾き・入力の種類）がある場合は一緒に記録する
+     * @param {number} x X座標
+     * @param {number} y Y座標
+     * @param {Object|null} input normalizePointerEventの結果
+     * @returns {Object} 点
+     */
+    createPoint(x, y, input = null) {
+        if (!input) {
+            return { x, y, timestamp: Date.now() };
+        }
+
+        return {
+            x,
+            y,
+            timestamp: input.timestamp ?? Date.now(),
+            pressure: input.pressure,
+            tiltX: input.tiltX,
+            tiltY: input.tiltY,
+            pointerType: input.pointerType
+        };
+    }
+
+    startDrawing(x, y, input = null) {
         if (!this.ctx) return;
         
         this.isDrawing = true;
-        this.currentStroke = [{ x, y, timestamp: Date.now() }];
+        this.currentStroke = [this.createPoint(x, y, input)];
+        this.currentWidths = [this.brushRenderer.getNextWidth(null, null, this.currentStroke[0])];
         
         this.ctx.beginPath();
         this.ctx.moveTo(x, y);
@@ -124,17 +541,24 @@ export class DrawingService {
         if (this.onDrawingStart) {
             this.onDrawingStart();
         }
+        this.notifyHistoryChange();
         
         console.log(`描画開始: (${x}, ${y})`);
     }
 
-    addPoint(x, y) {
+    addPoint(x, y, input = null) {
         if (!this.ctx || !this.isDrawing) return;
         
-        this.currentStroke.push({ x, y, timestamp: Date.now() });
+        const previous = this.currentStroke[this.currentStroke.length - 1];
+        const point = this.createPoint(x, y, input);
+        this.currentStroke.push(point);
+        this.currentWidths.push(this.brushRenderer.getNextWidth(this.currentWidths[this.currentWidths.length - 1], previous, point));
         
-        this.ctx.lineTo(x, y);
-        this.ctx.stroke();
+        // 区間の終点での向きは次の点で決まるため、1つ前の区間を1区間遅れで描く
+        // （太さは記録した点から計算し、点そのものは変えない）
+        if (this.currentStroke.length >= 3) {
+            this.brushRenderer.drawSegment(this.ctx, this.currentStroke, this.currentStroke.length - 2, this.currentWidths);
+        }
     }
 
     endDrawing() {
@@ -143,30 +567,135 @@ export class DrawingService {
         this.isDrawing = false;
         
         if (this.currentStroke.length > 0) {
+            // 点を打っただけの線も見えるようにし、遅れて描いている最後の区間を描く
+            if (this.currentStroke.length === 1) {
+                this.brushRenderer.drawStroke(this.ctx, this.currentStroke);
+            } else {
+                this.brushRenderer.drawSegment(this.ctx, this.currentStroke, this.currentStroke.length - 1, this.currentWidths);
+            }
+
             this.drawingData.strokes.push([...this.currentStroke]);
             this.currentStroke = [];
             
             if (!this.drawingData.timestamp) {
                 this.drawingData.timestamp = Date.now();
             }
+
+            // 新しく書いたら取り消した線には戻れない
+            this.redoStack = [];
             
             // コールバック実行
             if (this.onDrawingEnd) {
                 this.onDrawingEnd();
             }
+            this.notifyHistoryChange();
             
             console.log(`描画終了: ストローク数 ${this.drawingData.strokes.length}`);
         }
     }
 
+    /**
+     * 最後に書いた1画を取り消す
+     * @returns {boolean} 取り消した場合true
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+
+        this.redoStack.push(this.drawingData.strokes.pop());
+        if (this.drawingData.strokes.length === 0) {
+            this.drawingData.timestamp = null;
+        }
+        this.undoCount++;
+        this.redrawStrokes();
+        this.notifyHistoryChange();
+
+        console.log(`1画取り消し: ストローク数 ${this.drawingData.strokes.length}`);
+        return true;
+    }
+
+    /**
+     * 取り消した1画を元に戻す
+     * @returns {boolean} 元に戻した場合true
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        this.drawingData.strokes.push(this.redoStack.pop());
+        if (!this.drawingData.timestamp) {
+            this.drawingData.timestamp = Date.now();
+        }
+        this.redoCount++;
+        this.redrawStrokes();
+        this.notifyHistoryChange();
+
+        console.log(`1画やり直し: ストローク数 ${this.drawingData.strokes.length}`);
+        return true;
+    }
+
+    /**
+     * 取り消せる線があるか（書いている途中は取り消さない）
+     * @returns {boolean} 取り消せる場合true
+     */
+    canUndo() {
+        return !this.isDrawing && this.drawingData.strokes.length > 0;
+    }
+
+    /**
+     * 元に戻せる線があるか
+     * @returns {boolean} 元に戻せる場合true
+     */
+    canRedo() {
+        return !this.isDrawing && this.redoStack.length > 0;
+    }
+
+    /**
+     * 取り消し・やり直しの状態を取得
+     * @returns {Object} { canUndo, canRedo, undoCount, redoCount }
+     */
+    getHistoryState() {
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoCount: this.undoCount,
+            redoCount: this.redoCount
+        };
+    }
+
+    /**
+     * 取り消し・やり直しの状態の変化を通知
+     */
+    notifyHistoryChange() {
+        if (this.onHistoryChange) {
+            this.onHistoryChange(this.getHistoryState());
+        }
+    }
+
     getDrawingData() {
         return {
             strokes: [...this.drawingData.strokes],
             timestamp: this.drawingData.timestamp,
-            boundingBox: this.calculateBoundingBox()
+            boundingBox: this.calculateBoundingBox(),
+            canvasSize: this.getCanvasSize(),
+            metadata: {
+                palmRejection: this.palmRejectionEnabled,
+                rejectedInputs: { ...this.rejectedInputs },
+                undoCount: this.undoCount,
+                redoCount: this.redoCount
+            }
         };
     }
 
+    /**
+     * 点の座標の基準となる文字枠の大きさを取得（論理座標のため表示サイズや解像度では変わらない）
+     * 境界ボックスを文字枠に対する位置として評価するためにも使う
+     * @returns {Object|null} { width, height }、キャンバスがない場合はnull
+     */
+    getCanvasSize() {
+        if (!this.canvas) return null;
+
+        return { ...this.logicalSize };
+    }
+
     calculateBoundingBox() {
         if (this.drawingData.strokes.length === 0) return null;
         
@@ -193,7 +722,7 @@ export class DrawingService {
     clearCanvas() {
         if (!this.ctx) return;
         
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.clearRect(0, 0, this.logicalSize.width, this.logicalSize.height);
         this.drawingData = {
             strokes: [],
             timestamp: null,
@@ -201,6 +730,13 @@ export class DrawingService {
         };
         this.currentStroke = [];
         this.isDrawing = false;
+        this.activePointerId = null;
+        this.activePointerType = null;
+        this.rejectedInputs = this.createRejectedInputCounts();
+        this.redoStack = [];
+        this.undoCount = 0;
+        this.redoCount = 0;
+        this.notifyHistoryChange();
         
         console.log('キャンバスクリア完了');
     }
@@ -211,6 +747,120 @@ export class DrawingService {
         return this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
     }
 
+    /**
+     * 補助線を描くキャンバスを設定
+     * @param {HTMLCanvasElement} canvasElement 描画用キャンバスの下に重ねたキャンバス
+     * @returns {boolean} 設定できたかどうか
+     */
+    initGuideCanvas(canvasElement) {
+        if (!canvasElement) return false;
+
+        this.guideCanvas = canvasElement;
+        this.guideCtx = canvasElement.getContext('2d');
+        this.renderGuide();
+        return !!this.guideCtx;
+    }
+
+    /**
+     * 補助線の種類を設定
+     * @param {string} type 補助線の種類（none / cross / fourSquare / eightWay）
+     * @returns {boolean} 設定できたかどうか
+     */
+    setGuideType(type) {
+        if (!this.guideTypes.includes(type)) {
+            console.warn(`不明な補助線の種類: ${type}`);
+            return false;
+        }
+
+        this.guideType = type;
+        this.renderGuide();
+        return true;
+    }
+
+    /**
+     * 現在の補助線の種類を取得
+     * @returns {string} 補助線の種類
+     */
+    getGuideType() {
+        return this.guideType;
+    }
+
+    /**
+     * 補助線の線分を取得
+     * 十字線は中心の縦横、田字格は外枠と十字、米字格は田字格に対角線を加えたもの
+     * @param {string} type 補助線の種類
+     * @param {number} width 文字枠の幅
+     * @param {number} height 文字枠の高さ
+     * @returns {Array<Object>} { x1, y1, x2, y2, dashed } の配列
+     */
+    getGuideLines(type, width, height) {
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const cross = [
+            { x1: centerX, y1: 0, x2: centerX, y2: height, dashed: true },
+            { x1: 0, y1: centerY, x2: width, y2: centerY, dashed: true }
+        ];
+        const frame = [
+            { x1: 0, y1: 0, x2: width, y2: 0, dashed: false },
+            { x1: width, y1: 0, x2: width, y2: height, dashed: false },
+            { x1: width, y1: height, x2: 0, y2: height, dashed: false },
+            { x1: 0, y1: height, x2: 0, y2: 0, dashed: false }
+        ];
+        const diagonals = [
+            { x1: 0, y1: 0, x2: width, y2: height, dashed: true },
+            { x1: width, y1: 0, x2: 0, y2: height, dashed: true }
+        ];
+
+        switch (type) {
+            case 'cross':
+                return cross;
+            case 'fourSquare':
+                return [...frame, ...cross];
+            case 'eightWay':
+                return [...frame, ...cross, ...diagonals];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * 補助線を描く（結果画面の見比べなど、ほかのキャンバスにも使う）
+     * @param {CanvasRenderingContext2D} ctx 描き先のコンテキスト
+     * @param {number} width 文字枠の幅
+     * @param {number} height 文字枠の高さ
+     * @param {string} type 補助線の種類（省略時は現在の種類）
+     */
+    drawGuide(ctx, width, height, type = this.guideType) {
+        if (!ctx) return;
+
+        ctx.strokeStyle = 'rgba(255, 107, 107, 0.35)';
+        ctx.lineWidth = 1;
+        this.getGuideLines(type, width, height).forEach(line => {
+            if (ctx.setLineDash) {
+                ctx.setLineDash(line.dashed ? [6, 6] : []);
+            }
+            ctx.beginPath();
+            ctx.moveTo(line.x1, line.y1);
+            ctx.lineTo(line.x2, line.y2);
+            ctx.stroke();
+        });
+        if (ctx.setLineDash) {
+            ctx.setLineDash([]);
+        }
+    }
+
+    /**
+     * 補助線のキャンバスを描き直す
+     */
+    renderGuide() {
+        if (!this.guideCtx) return;
+
+        const { width, height } = this.logicalSize;
+        this.applyContextScale(this.guideCtx, this.guideCanvas);
+        this.guideCtx.clearRect(0, 0, width, height);
+        this.drawGuide(this.guideCtx, width, height);
+    }
+
     removeEventListeners() {
         if (!this.canvas) return;
 
@@ -223,6 +873,10 @@ export class DrawingService {
         this.canvas.removeEventListener('touchmove', this.handleTouchMove);
         this.canvas.removeEventListener('touchend', this.handleTouchEnd);
         this.canvas.removeEventListener('touchcancel', this.handleTouchCancel);
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+        this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+        this.canvas.removeEventListener('pointercancel', this.handlePointerUp);
     }
 
     // エラーハンドリング
@@ -236,6 +236,11 @@ export class ErrorHandler {
                 check: () => !!(window.AudioContext || window.webkitAudioContext),
                 fallback: () => this.disableAudioFeatures(),
                 critical: false
+            },
+            webWorker: {
+                check: () => typeof Worker !== 'undefined',
+                fallback: () => this.disableWorkerFeatures(),
+                critical: false
             }
         };
 
@@ -328,6 +333,12 @@ export class ErrorHandler {
         console.log('音声機能無効化');
     }
 
+    disableWorkerFeatures() {
+        // Web Workerを使わず、文字認識をメインスレッドで実行する
+        window.workersDisabled = true;
+        console.log('Web Worker無効化');
+    }
+
     // エラー復旧機能
     attemptRecovery(errorType) {
         const recoveryStrategies = {
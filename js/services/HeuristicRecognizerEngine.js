@@ -0,0 +1,53 @@
+// 特徴量ヒューリスティックによる認識エンジン
+// RecognitionServiceの子供向け認識をRecognitionEngineServiceから使える形にする
+export class HeuristicRecognizerEngine {
+    /**
+     * @param {RecognitionService} recognitionService 認識に使うRecognitionService
+     */
+    constructor(recognitionService) {
+        this.id = 'heuristic';
+        this.label = '特徴量マッチング';
+        this.recognitionService = recognitionService;
+    }
+
+    /**
+     * テンプレートを読み込む
+     * 文字を指定しない場合はRecognitionServiceの遅延読み込みに任せる
+     * @param {Array<string>} characters 読み込む文字
+     * @returns {Promise<void>}
+     */
+    async loadTemplates(characters) {
+        if (!Array.isArray(characters)) return;
+
+        await Promise.all(
+            characters.map(character => this.recognitionService.loadCharacterTemplate(character))
+        );
+    }
+
+    /**
+     * 文字を認識
+     * @param {Object} drawingData 描画データ
+     * @param {string} targetCharacter ターゲット文字
+     * @param {Object} options recognizeCharacterForChildのオプション
+     * @returns {Promise<Object>} 認識結果
+     */
+    async recognize(drawingData, targetCharacter, options = {}) {
+        return this.recognitionService.recognizeCharacterForChild(drawingData, targetCharacter, options);
+    }
+
+    /**
+     * 判定できる項目
+     * @returns {Object} 項目ごとの真偽値
+     */
+    getCapabilities() {
+        return {
+            strokeOrder: true,
+            strokeDirection: true,
+            strokeEndings: true,
+            spatialBalance: true,
+            candidateRanking: true,
+            confusion: true,
+            adaptiveTemplates: true
+        };
+    }
+}
@@ -0,0 +1,317 @@
+// 点群マッチング（$P方式）による認識エンジン
+// 描画とテンプレートを画の順番や向きに関係ない点の集まりとして比べるため、
+// 筆順や運筆方向がばらばらでも形が似ていれば認識できる
+export class PointCloudRecognizerEngine {
+    /**
+     * @param {RecognitionService} templateSource テンプレートデータの取得元
+     */
+    constructor(templateSource) {
+        this.id = 'pointCloud';
+        this.label = '点群マッチング（$P）';
+        this.templateSource = templateSource;
+        this.templateClouds = new Map();
+
+        // 点群マッチングの設定
+        this.pointCount = 32;           // 1文字あたりの再サンプリング点数
+        this.matchTolerance = 0.3;      // 点の平均距離がこの値で類似度が0になる（文字の大きさ比）
+        this.minConfidence = 0.2;       // 認識できたとする最低類似度（子供向けに寛容）
+        this.candidateLimit = 5;        // 結果に含める上位候補の数
+        this.lookalikeMargin = 0.05;    // 目標よりこれ以上似ていれば別の文字に見えると判断
+        this.lookalikeMinSimilarity = 0.6; // 別の文字に見えると判断する最低類似度
+    }
+
+    /**
+     * テンプレートの点群を作成
+     * @param {Array<string>} characters 読み込む文字（省略時は全文字）
+     * @returns {Promise<void>}
+     */
+    async loadTemplates(characters) {
+        const templateData = this.templateSource.getAllCharacterTemplateData();
+        const targets = Array.isArray(characters) ? characters : Object.keys(templateData);
+
+        targets.forEach(character => {
+            const template = templateData[character];
+            if (!template || this.templateClouds.has(character)) return;
+
+            const strokes = template.strokes.map(stroke => stroke.map(([x, y]) => ({ x, y })));
+            this.templateClouds.set(character, {
+                character,
+                strokeCount: template.strokeCount,
+                points: this.createPointCloud(strokes)
+            });
+        });
+    }
+
+    /**
+     * 文字を認識
+     * @param {Object} drawingData 描画データ
+     * @param {string} targetCharacter ターゲット文字
+     * @param {Object} options オプション
+     * @param {boolean} options.rankCandidates 全文字との候補順位も求めるか
+     * @returns {Promise<Object>} RecognitionService.recognizeCharacterForChildと同じ形の認識結果
+     */
+    async recognize(drawingData, targetCharacter, options = {}) {
+        const strokes = (drawingData?.strokes || []).filter(stroke => stroke && stroke.length > 0);
+        if (strokes.length === 0) {
+            return {
+                character: null,
+                confidence: 0,
+                recognized: false,
+                details: {
+                    message: '描画データがありません',
+                    encouragementLevel: 'poor',
+                    childFriendlyScore: 0
+                }
+            };
+        }
+
+        await this.loadTemplates(options.rankCandidates ? undefined : [targetCharacter]);
+        const template = this.templateClouds.get(targetCharacter);
+        if (!template) {
+            throw new Error(`文字テンプレートが見つかりません: ${targetCharacter}`);
+        }
+
+        const drawnCloud = this.createPointCloud(strokes);
+        const similarity = this.calculateCloudSimilarity(drawnCloud, template.points);
+
+        return {
+            character: targetCharacter,
+            confidence: similarity,
+            recognized: similarity >= this.minConfidence,
+            details: {
+                similarity,
+                strokeCount: strokes.length,
+                expectedStrokes: template.strokeCount,
+                candidateRanking: options.rankCandidates
+                    ? this.rankCandidates(drawnCloud, targetCharacter)
+                    : null,
+                features: {},
+                childFriendlyScore: similarity,
+                encouragementLevel: similarity >= 0.5 ? 'excellent' : similarity >= 0.2 ? 'fair' : 'poor'
+            }
+        };
+    }
+
+    /**
+     * 判定できる項目
+     * 点群として比べるので画ごとの判定はできない
+     * @returns {Object} 項目ごとの真偽値
+     */
+    getCapabilities() {
+        return {
+            strokeOrder: false,
+            strokeDirection: false,
+            strokeEndings: false,
+            spatialBalance: false,
+            candidateRanking: true,
+            confusion: false,
+            adaptiveTemplates: false
+        };
+    }
+
+    /**
+     * 全テンプレートと比べて候補順位を作成
+     * @param {Array} drawnCloud 描画の点群
+     * @param {string} targetCharacter ターゲット文字
+     * @returns {Object} RecognitionService.rankCandidatesと同じ形の候補順位
+     */
+    rankCandidates(drawnCloud, targetCharacter) {
+        const ranked = Array.from(this.templateClouds.values())
+            .map(template => ({
+                character: template.character,
+                similarity: this.calculateCloudSimilarity(drawnCloud, template.points)
+            }))
+            .sort((a, b) => b.similarity - a.similarity)
+            .map((candidate, index) => ({ ...candidate, rank: index + 1 }));
+
+        const best = ranked[0] || null;
+        const target = ranked.find(candidate => candidate.character === targetCharacter) || null;
+        const margin = best && target ? best.similarity - target.similarity : 0;
+        const lookalike = best && target && best.character !== targetCharacter &&
+            margin >= this.lookalikeMargin && best.similarity >= this.lookalikeMinSimilarity
+            ? best.character
+            : null;
+
+        return {
+            candidates: ranked.slice(0, this.candidateLimit),
+            totalCandidates: ranked.length,
+            best: best ? best.character : null,
+            target: target ? { character: target.character, rank: target.rank, similarity: target.similarity, margin } : null,
+            lookalike
+        };
+    }
+
+    /**
+     * ストローク配列から正規化した点群を作成
+     * 再サンプリング・大きさの正規化・重心の移動を行う
+     * @param {Array} strokes { x, y } の点配列のストローク配列
+     * @returns {Array} { x, y, strokeId } の点群
+     */
+    createPointCloud(strokes) {
+        const points = [];
+        strokes.forEach((stroke, strokeId) => {
+            stroke.forEach(point => points.push({ x: point.x, y: point.y, strokeId }));
+        });
+
+        return this.translateToOrigin(this.scaleCloud(this.resampleCloud(points)));
+    }
+
+    /**
+     * 点群を同じ画の中の道のりが等間隔になるように再サンプリング
+     * @param {Array} points { x, y, strokeId } の点配列
+     * @returns {Array} pointCount個の点
+     */
+    resampleCloud(points) {
+        const n = this.pointCount;
+        let pathLength = 0;
+        for (let i = 1; i < points.length; i++) {
+            if (points[i].strokeId === points[i - 1].strokeId) {
+                pathLength += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+            }
+        }
+
+        if (pathLength === 0) {
+            return Array.from({ length: n }, () => ({ ...points[0] }));
+        }
+
+        const interval = pathLength / (n - 1);
+        const source = points.map(point => ({ ...point }));
+        const resampled = [{ ...source[0] }];
+        let accumulated = 0;
+
+        for (let i = 1; i < source.length && resampled.length < n; i++) {
+            const previous = source[i - 1];
+            const current = source[i];
+            if (current.strokeId !== previous.strokeId) continue;
+
+            const distance = Math.hypot(current.x - previous.x, current.y - previous.y);
+            if (accumulated + distance >= interval && distance > 0) {
+                const ratio = (interval - accumulated) / distance;
+                const point = {
+                    x: previous.x + ratio * (current.x - previous.x),
+                    y: previous.y + ratio * (current.y - previous.y),
+                    strokeId: current.strokeId
+                };
+                resampled.push(point);
+                // 補間した点から同じ区間の続きを測る
+                source.splice(i, 0, point);
+                accumulated = 0;
+            } else {
+                accumulated += distance;
+            }
+        }
+
+        // 丸め誤差で足りない分は最後の点で補う
+        const last = source[source.length - 1];
+        while (resampled.length < n) {
+            resampled.push({ ...last });
+        }
+
+        return resampled;
+    }
+
+    /**
+     * 縦横比を保ったまま点群を0-1の大きさに揃える
+     * @param {Array} points 点群
+     * @returns {Array} 大きさを揃えた点群
+     */
+    scaleCloud(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const size = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+
+        return points.map(point => ({
+            ...point,
+            x: (point.x - minX) / size,
+            y: (point.y - minY) / size
+        }));
+    }
+
+    /**
+     * 点群の重心を原点に移動
+     * @param {Array} points 点群
+     * @returns {Array} 移動した点群
+     */
+    translateToOrigin(points) {
+        const centerX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+        const centerY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+
+        return points.map(point => ({
+            ...point,
+            x: point.x - centerX,
+            y: point.y - centerY
+        }));
+    }
+
+    /**
+     * 2つの点群の類似度を計算
+     * @param {Array} cloudA 点群
+     * @param {Array} cloudB 点群
+     * @returns {number} 類似度（0-1）
+     */
+    calculateCloudSimilarity(cloudA, cloudB) {
+        const distance = this.greedyCloudMatch(cloudA, cloudB);
+        return Math.max(0, 1 - distance / this.matchTolerance);
+    }
+
+    /**
+     * 開始点を変えながら貪欲に点を対応付け、最小の平均距離を求める
+     * @param {Array} cloudA 点群
+     * @param {Array} cloudB 点群
+     * @returns {number} 重み付き平均距離
+     */
+    greedyCloudMatch(cloudA, cloudB) {
+        const n = cloudA.length;
+        const step = Math.max(1, Math.floor(Math.pow(n, 0.5)));
+        let minDistance = Infinity;
+
+        for (let start = 0; start < n; start += step) {
+            minDistance = Math.min(
+                minDistance,
+                this.cloudDistance(cloudA, cloudB, start),
+                this.cloudDistance(cloudB, cloudA, start)
+            );
+        }
+
+        return minDistance;
+    }
+
+    /**
+     * startの点から順に最も近い未使用の点と対応付けた重み付き平均距離
+     * 早く対応付けた点ほど重みを大きくする
+     * @param {Array} cloudA 点群
+     * @param {Array} cloudB 点群
+     * @param {number} start 開始する点の番号
+     * @returns {number} 重み付き平均距離
+     */
+    cloudDistance(cloudA, cloudB, start) {
+        const n = cloudA.length;
+        const matched = new Array(n).fill(false);
+        let sum = 0;
+        let totalWeight = 0;
+        let i = start;
+
+        do {
+            let nearestIndex = -1;
+            let nearestDistance = Infinity;
+            cloudB.forEach((point, index) => {
+                if (matched[index]) return;
+                const distance = Math.hypot(cloudA[i].x - point.x, cloudA[i].y - point.y);
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearestIndex = index;
+                }
+            });
+
+            matched[nearestIndex] = true;
+            const weight = 1 - ((i - start + n) % n) / n;
+            sum += weight * nearestDistance;
+            totalWeight += weight;
+            i = (i + 1) % n;
+        } while (i !== start);
+
+        return sum / totalWeight;
+    }
+}
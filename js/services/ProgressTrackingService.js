@@ -193,6 +193,54 @@ export class ProgressTrackingService {
         return needsPractice.sort((a, b) => b.priority - a.priority);
     }
 
+    /**
+     * 別の文字に見えた試行を集計（取り違えの分析用）
+     * @returns {Object} { 目標文字: { 見えた文字: 回数 } }
+     */
+    getConfusionStatistics() {
+        const confusions = {};
+
+        this.characterProgressMap.forEach((progress, character) => {
+            const counts = progress.getConfusionCounts();
+            if (Object.keys(counts).length > 0) {
+                confusions[character] = counts;
+            }
+        });
+
+        return confusions;
+    }
+
+    /**
+     * 聞き書きの成績を集計（手本を見て書く練習とは別に数える）
+     * @returns {Object} { practicedCount: 聞き書きした文字数, recalledCharacters: 最後に思い出して書けた文字, attemptCount, recalledCount, recallRate }
+     */
+    getRecallProgress() {
+        const recalledCharacters = [];
+        let practicedCount = 0;
+        let attemptCount = 0;
+        let recalledCount = 0;
+
+        this.characterProgressMap.forEach((progress, character) => {
+            const recall = progress.getRecallStatistics();
+            if (!recall) return;
+
+            practicedCount++;
+            attemptCount += recall.attemptCount;
+            recalledCount += recall.recalledCount;
+            if (recall.lastRecalled) {
+                recalledCharacters.push(character);
+            }
+        });
+
+        return {
+            practicedCount,
+            recalledCharacters,
+            attemptCount,
+            recalledCount,
+            recallRate: attemptCount > 0 ? recalledCount / attemptCount : 0
+        };
+    }
+
     /**
      * 練習優先度を計算
      * @param {CharacterProgress} progress 進捗データ
@@ -459,6 +507,26 @@ export class ProgressTrackingService {
         return exportData;
     }
 
+    /**
+     * 文字ごとに一番よく書けた試行の書いた線を取得（印刷用の書き出しに使う）
+     * @returns {Array<Object>} { character, score, timestamp, replay } の配列
+     */
+    getBestDrawings() {
+        const drawings = [];
+        this.characterProgressMap.forEach((progress, character) => {
+            const attempt = progress.getBestReplayAttempt();
+            if (attempt) {
+                drawings.push({
+                    character,
+                    score: attempt.score,
+                    timestamp: attempt.timestamp,
+                    replay: attempt.details.replay
+                });
+            }
+        });
+        return drawings;
+    }
+
     /**
      * デバッグ情報を取得
      * @returns {Object} デバッグ情報
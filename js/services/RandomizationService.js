@@ -12,6 +12,7 @@ export class RandomizationService {
         this.selectionWeights = new Map(); // 文字選択の重み
         this.isInitialized = false;
         this.fallbackMode = false; // フォールバックモードフラグ
+        this.confusableDrill = null; // 取り違えやすい文字の練習（ドリル）の状態
         
         try {
             this.initializeWeights();
@@ -563,6 +564,7 @@ export class RandomizationService {
      */
     reset() {
         this.recentCharacters = [];
+        this.confusableDrill = null;
         this.initializeWeights();
         console.log('RandomizationService設定リセット');
     }
@@ -623,6 +625,94 @@ export class RandomizationService {
         }
     }
 
+    /**
+     * 取り違えやすい文字のドリルを開始
+     * グループの文字を交互に出題し、どの文字も続けて書き分けられたら完了とする
+     * @param {Array<string>} characters 取り違えやすい文字のグループ（例: ['ぬ', 'め']）
+     * @param {Object} options オプション
+     * @param {number} options.requiredStreak 完了に必要な各文字の連続成功回数
+     * @returns {boolean} 開始できたかどうか
+     */
+    startConfusableDrill(characters, options = {}) {
+        const { requiredStreak = 2 } = options;
+
+        const validCharacters = Array.isArray(characters)
+            ? [...new Set(characters)].filter(character =>
+                this.hiraganaDataService.getAllCharacters().some(char => char.character === character))
+            : [];
+
+        if (validCharacters.length < 2) {
+            console.warn('ドリルには2文字以上が必要です:', characters);
+            return false;
+        }
+
+        this.confusableDrill = {
+            characters: validCharacters,
+            nextIndex: 0,
+            requiredStreak: requiredStreak,
+            streaks: Object.fromEntries(validCharacters.map(character => [character, 0])),
+            attemptCount: 0
+        };
+
+        console.log(`取り違えドリル開始: ${validCharacters.join('・')}`);
+        return true;
+    }
+
+    /**
+     * ドリルの次の文字を選択（グループの文字を順番に交互に出題）
+     * @returns {HiraganaCharacter|null} 選択された文字、ドリル中でない場合null
+     */
+    selectNextDrillCharacter() {
+        if (!this.confusableDrill) return null;
+
+        const drill = this.confusableDrill;
+        const character = drill.characters[drill.nextIndex % drill.characters.length];
+        drill.nextIndex++;
+
+        this.updateRecentHistory(character);
+        return this.hiraganaDataService.selectCharacter(character);
+    }
+
+    /**
+     * ドリルの結果を記録
+     * @param {string} character 練習した文字
+     * @param {boolean} distinguished 仲間の文字と取り違えずに書けたか
+     */
+    recordDrillResult(character, distinguished) {
+        const drill = this.confusableDrill;
+        if (!drill || !drill.characters.includes(character)) return;
+
+        drill.attemptCount++;
+        drill.streaks[character] = distinguished ? drill.streaks[character] + 1 : 0;
+    }
+
+    /**
+     * ドリルの状態を取得
+     * @returns {Object|null} ドリルの状態、ドリル中でない場合null
+     */
+    getDrillStatus() {
+        const drill = this.confusableDrill;
+        if (!drill) return null;
+
+        return {
+            characters: [...drill.characters],
+            streaks: { ...drill.streaks },
+            requiredStreak: drill.requiredStreak,
+            attemptCount: drill.attemptCount,
+            completed: drill.characters.every(character => drill.streaks[character] >= drill.requiredStreak)
+        };
+    }
+
+    /**
+     * ドリルを終了
+     */
+    endConfusableDrill() {
+        if (this.confusableDrill) {
+            console.log(`取り違えドリル終了: ${this.confusableDrill.characters.join('・')}`);
+        }
+        this.confusableDrill = null;
+    }
+
     /**
      * 難易度モード用の重み調整
      */
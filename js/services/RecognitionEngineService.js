@@ -0,0 +1,159 @@
+// 認識エンジン切り替えサービス
+// 認識エンジンは次のメンバーを持つオブジェクトとして差し替えられる
+// - id: 設定に保存するエンジン名
+// - label: 画面や記録に表示する名前
+// - loadTemplates(characters): 指定した文字（省略時はエンジンの既定）のテンプレートを読み込む
+// - recognize(drawingData, targetCharacter, options): RecognitionService.recognizeCharacterForChildと同じ形の結果を返す
+// - getCapabilities(): 判定できる項目（筆順・運筆方向など）の真偽値を返す
+export class RecognitionEngineService {
+    /**
+     * @param {Array<Object>} engines 登録する認識エンジン
+     * @param {string} defaultEngineId 既定のエンジン名（他のエンジンが失敗した時の代わりにも使う）
+     */
+    constructor(engines = [], defaultEngineId = 'heuristic') {
+        this.engines = new Map();
+        this.defaultEngineId = defaultEngineId;
+        this.activeEngineId = defaultEngineId;
+
+        engines.forEach(engine => this.registerEngine(engine));
+
+        console.log('RecognitionEngineService初期化完了');
+    }
+
+    /**
+     * 認識エンジンを登録（同じidのエンジンは置き換える）
+     * @param {Object} engine 認識エンジン
+     * @returns {boolean} 登録できたかどうか
+     */
+    registerEngine(engine) {
+        if (!this.isValidEngine(engine)) {
+            console.warn('認識エンジンの形式が正しくありません:', engine);
+            return false;
+        }
+
+        this.engines.set(engine.id, engine);
+        return true;
+    }
+
+    /**
+     * 認識エンジンとして必要なメンバーを持っているか確認
+     * @param {Object} engine 認識エンジン
+     * @returns {boolean} 有効かどうか
+     */
+    isValidEngine(engine) {
+        return !!engine &&
+            typeof engine.id === 'string' &&
+            typeof engine.loadTemplates === 'function' &&
+            typeof engine.recognize === 'function' &&
+            typeof engine.getCapabilities === 'function';
+    }
+
+    /**
+     * 使用する認識エンジンを設定
+     * @param {string} engineId エンジン名
+     * @returns {boolean} 設定できたかどうか
+     */
+    setActiveEngine(engineId) {
+        if (!this.engines.has(engineId)) {
+            console.warn(`不明な認識エンジン: ${engineId}`);
+            return false;
+        }
+
+        this.activeEngineId = engineId;
+        return true;
+    }
+
+    /**
+     * 現在の認識エンジンを取得
+     * @returns {Object|null} 認識エンジン
+     */
+    getActiveEngine() {
+        return this.engines.get(this.activeEngineId) || this.engines.get(this.defaultEngineId) || null;
+    }
+
+    /**
+     * 登録されている認識エンジンの一覧を取得
+     * @returns {Array<Object>} { id, label, capabilities } の配列
+     */
+    getAvailableEngines() {
+        return Array.from(this.engines.values()).map(engine => this.describeEngine(engine));
+    }
+
+    /**
+     * 認識エンジンの情報をまとめる
+     * @param {Object} engine 認識エンジン
+     * @returns {Object} { id, label, capabilities }
+     */
+    describeEngine(engine) {
+        return {
+            id: engine.id,
+            label: engine.label || engine.id,
+            capabilities: engine.getCapabilities()
+        };
+    }
+
+    /**
+     * 現在の認識エンジンのテンプレートを読み込む
+     * @param {Array<string>} characters 読み込む文字（省略時はエンジンの既定）
+     * @returns {Promise<void>}
+     */
+    async loadTemplates(characters) {
+        const engine = this.getActiveEngine();
+        if (!engine) return;
+
+        await engine.loadTemplates(characters);
+    }
+
+    /**
+     * 現在の認識エンジンで文字を認識
+     * 既定以外のエンジンが失敗した場合は既定のエンジンで認識し直す
+     * どのエンジンで認識したかは結果のdetails.engineに記録する
+     * @param {Object} drawingData 描画データ
+     * @param {string} targetCharacter ターゲット文字
+     * @param {Object} options 認識オプション（エンジンにそのまま渡す）
+     * @returns {Promise<Object>} 認識結果
+     */
+    async recognize(drawingData, targetCharacter, options = {}) {
+        const engine = this.getActiveEngine();
+        if (!engine) {
+            throw new Error('認識エンジンが登録されていません');
+        }
+
+        try {
+            const result = await engine.recognize(drawingData, targetCharacter, options);
+            return this.attachEngineInfo(result, engine, null);
+        } catch (error) {
+            const fallbackEngine = this.engines.get(this.defaultEngineId);
+            if (!fallbackEngine || fallbackEngine === engine) {
+                throw error;
+            }
+
+            console.error(`認識エンジン(${engine.id})エラー - 既定のエンジンで認識します:`, error);
+            const result = await fallbackEngine.recognize(drawingData, targetCharacter, options);
+            return this.attachEngineInfo(result, fallbackEngine, engine.id);
+        }
+    }
+
+    /**
+     * 認識結果に使用したエンジンの情報を付ける
+     * @param {Object} result 認識結果
+     * @param {Object} engine 使用したエンジン
+     * @param {string|null} fallbackFrom 失敗したため代わりに認識した元のエンジン名
+     * @returns {Object} エンジン情報付きの認識結果
+     */
+    attachEngineInfo(result, engine, fallbackFrom) {
+        if (!result) return result;
+
+        return {
+            ...result,
+            details: {
+                ...(result.details || {}),
+                engine: {
+                    id: engine.id,
+                    label: engine.label || engine.id,
+                    fallbackFrom
+                }
+            }
+        };
+    }
+}
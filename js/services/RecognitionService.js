@@ -5,6 +5,46 @@ export class RecognitionService {
         this.characterTemplates = new Map();
         this.templateLoadPromises = new Map();
         this.isInitialized = false;
+
+        // 形状マッチングの設定
+        this.resamplePointCount = 16;  // ストロークあたりの再サンプリング点数
+        this.shapeMatchTolerance = 0.5; // この平均距離で形状類似度が0になる
+        this.resampledStrokeCache = new WeakMap(); // 描画ごとの再サンプリング結果
+        this.strokeOrderMinSimilarity = 0.3; // 筆順判定に使う対応付けの最低類似度
+        this.strokeDirectionMinLength = 0.25; // 向きを判定する始点-終点間の最低距離（文字枠比）
+
+        // 候補順位（N-best）の設定
+        this.candidateLimit = 5;              // 結果に含める上位候補の数
+        this.lookalikeMargin = 0.05;          // 目標よりこれ以上似ていれば別の文字に見えると判断
+        this.lookalikeMinSimilarity = 0.6;    // 別の文字に見えると判断する最低類似度
+
+        // 取り違えやすい文字のグループと判定の設定
+        this.confusableGroups = [
+            ['ぬ', 'め'],
+            ['る', 'ろ'],
+            ['わ', 'れ', 'ね'],
+            ['さ', 'ち'],
+            ['は', 'ほ']
+        ];
+        this.confusionMargin = 0.03; // 目標よりこれ以上仲間の文字に似ていれば取り違えとする
+
+        // 終筆（とめ・はね・はらい）判定の設定
+        this.strokeEndingTailRatio = 0.15;   // 速さを比べるストローク末尾の長さの割合
+        this.strokeEndingHookRegion = 0.3;   // はねを探すストローク末尾の長さの割合
+        this.strokeEndingHookAngle = 75;     // 末尾でこれ以上急に向きが変わればはね（度）
+        this.strokeEndingStopSpeedRatio = 0.6; // 末尾の速さが平均のこの割合未満ならとめ
+
+        // 文字枠（田字格）の中での配置バランスの設定
+        this.balanceCenterTolerance = 0.12;     // 手本の中心からこれ以上ずれていれば真ん中からずれているとする（文字枠比）
+        this.balanceSmallRatio = 0.6;           // 手本に対する大きさがこの割合未満なら小さすぎる
+        this.balanceLargeRatio = 1.35;          // 手本に対する大きさがこの割合を超えれば大きすぎる
+        this.balancePlacementTolerance = 0.18;  // 部品（画）の位置ずれの許容（文字の大きさ比）
+
+        // 個人用の手本（その子のよくできた描画から学習）の設定
+        this.adaptiveTemplates = new Map();     // 文字ごとに覚えた描画（手本の画順に並べた正規化済みの画の配列）
+        this.adaptiveMaxSamples = 5;            // 1文字あたりに覚える描画の数（超えたら古いものから捨てる）
+        this.adaptiveMaxBlendWeight = 0.3;      // 手本に混ぜる割合の上限（残りは常に正しい手本）
+        this.adaptiveMinShapeSimilarity = 0.7;  // 正しい手本とこれ以上似ている描画だけを覚える
         
         // 基本的なテンプレートのみ事前読み込み
         this.preloadBasicTemplates();
@@ -21,7 +61,7 @@ export class RecognitionService {
         
         basicCharacters.forEach(char => {
             if (allTemplates[char]) {
-                this.characterTemplates.set(char, allTemplates[char]);
+                this.characterTemplates.set(char, this.buildTemplate(allTemplates[char]));
             }
         });
         
@@ -73,7 +113,7 @@ export class RecognitionService {
                 
                 if (template) {
                     console.log(`テンプレート読み込み完了: ${character}`);
-                    resolve(template);
+                    resolve(this.buildTemplate(template));
                 } else {
                     console.warn(`テンプレートが見つかりません: ${character}`);
                     resolve(this.createFallbackTemplate(character));
@@ -99,8 +139,223 @@ export class RecognitionService {
         };
     }
 
+    /**
+     * 生のテンプレートデータから認識用テンプレートを構築
+     * 参照ストロークを正規化・再サンプリングしてキャッシュ可能な形にする
+     * regionは文字枠の中で手本の文字が占める範囲で、明示されていなければ各画から求める
+     * @param {Object} rawTemplate getAllCharacterTemplateDataの1文字分
+     * @returns {Object} referenceStrokesとregionを含むテンプレート
+     */
+    buildTemplate(rawTemplate) {
+        if (!rawTemplate || !Array.isArray(rawTemplate.strokes)) {
+            return rawTemplate;
+        }
+
+        return {
+            ...rawTemplate,
+            referenceStrokes: this.prepareReferenceStrokes(rawTemplate.strokes),
+            region: rawTemplate.region || this.calculateReferenceRegion(rawTemplate.strokes)
+        };
+    }
+
+    /**
+     * [x, y]形式の参照ストロークが文字枠の中で占める範囲を計算
+     * @param {Array} strokes [x, y]配列のストローク配列
+     * @returns {Object|null} 文字枠を0-1とした { x, y, width, height }
+     */
+    calculateReferenceRegion(strokes) {
+        const points = strokes.flat();
+        if (points.length === 0) return null;
+
+        const xs = points.map(([x]) => x);
+        const ys = points.map(([, y]) => y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) - minX,
+            height: Math.max(...ys) - minY
+        };
+    }
+
+    /**
+     * 文字枠の中での手本の各画を取得（なぞり書きの下絵などの表示用）
+     * 比較用と違い正規化しないため、文字枠の中での位置と大きさがそのまま残る
+     * @param {string} character 文字
+     * @returns {Array|null} 筆順どおりの各画の[x, y]配列（文字枠を0-1とした座標）、手本がない場合はnull
+     */
+    getReferenceStrokes(character) {
+        const rawTemplate = this.getAllCharacterTemplateData()[character];
+        if (!rawTemplate) return null;
+
+        return rawTemplate.strokes.map(stroke => stroke.map(([x, y]) => [x, y]));
+    }
+
+    /**
+     * [x, y]形式の参照ストロークを比較用の点列に変換
+     * @param {Array} strokes [x, y]配列のストローク配列
+     * @returns {Array} 正規化・再サンプリングされたストローク配列
+     */
+    prepareReferenceStrokes(strokes) {
+        const pointStrokes = strokes.map(stroke =>
+            stroke.map(([x, y]) => ({ x, y }))
+        );
+
+        return this.normalizeToUnitBox(pointStrokes)
+            .map(stroke => this.resampleStroke(stroke));
+    }
+
+    /**
+     * よくできた描画を個人用の手本として覚える
+     * 癖が手本に積み重ならないよう、個人用の手本を混ぜていない正しい手本と比べて
+     * 画数・筆順・運筆方向が合い、形が十分に似ている描画だけを覚える
+     * @param {string} character 文字
+     * @param {Object} drawingData 描画データ
+     * @returns {Promise<boolean>} 覚えた場合true
+     */
+    async addAdaptiveSample(character, drawingData) {
+        if (!drawingData || !Array.isArray(drawingData.strokes) || drawingData.strokes.length === 0) {
+            return false;
+        }
+
+        const template = await this.loadCharacterTemplate(character);
+        if (!template || !Array.isArray(template.referenceStrokes)) {
+            return false;
+        }
+
+        const preprocessed = this.preprocessDrawing(drawingData);
+        if (!preprocessed) {
+            return false;
+        }
+
+        const strokeMatch = this.matchStrokesToTemplate(preprocessed.normalizedStrokes, template);
+        if (!this.isAdaptiveSampleAcceptable(strokeMatch)) {
+            return false;
+        }
+
+        // 描いた画を手本の画順に並べ、保存しやすいよう座標を丸める
+        const drawnStrokes = this.getResampledDrawnStrokes(preprocessed.normalizedStrokes);
+        const sample = template.referenceStrokes.map((_, referenceIndex) => {
+            const pair = strokeMatch.pairs.find(candidate => candidate.referenceIndex === referenceIndex);
+            return drawnStrokes[pair.drawnIndex].map(point => ({
+                x: Math.round(point.x * 1000) / 1000,
+                y: Math.round(point.y * 1000) / 1000
+            }));
+        });
+
+        const samples = [...this.getAdaptiveSamples(character), sample].slice(-this.adaptiveMaxSamples);
+        this.adaptiveTemplates.set(character, samples);
+        console.log(`個人用の手本を更新: ${character} (${samples.length}/${this.adaptiveMaxSamples})`);
+        return true;
+    }
+
+    /**
+     * 個人用の手本として覚えてよい描画かを判定
+     * @param {Object|null} strokeMatch 正しい手本とのmatchStrokesToTemplateの結果
+     * @returns {boolean} 覚えてよい場合true
+     */
+    isAdaptiveSampleAcceptable(strokeMatch) {
+        if (!strokeMatch || strokeMatch.pairs.length === 0) return false;
+        if (strokeMatch.unmatchedDrawn.length > 0 || strokeMatch.unmatchedReference.length > 0) return false;
+        if (strokeMatch.similarity < this.adaptiveMinShapeSimilarity) return false;
+
+        return this.analyzeStrokeOrder(strokeMatch).correct && this.analyzeStrokeDirections(strokeMatch).correct;
+    }
+
+    /**
+     * 文字の個人用の手本に覚えた描画を取得
+     * @param {string} character 文字
+     * @returns {Array} 覚えた描画の配列（古い順）
+     */
+    getAdaptiveSamples(character) {
+        return [...(this.adaptiveTemplates.get(character) || [])];
+    }
+
+    /**
+     * 手本に個人用の手本を混ぜる
+     * 覚えた描画の平均を、覚えた数に応じて最大adaptiveMaxBlendWeightの割合で参照ストロークに混ぜる
+     * 形の合わない描画（手本のデータが変わる前に覚えたものなど）は使わない
+     * @param {Object|null} template テンプレート
+     * @param {Array} samples 覚えた描画の配列
+     * @returns {Object|null} 混ぜたテンプレート（adaptationに混ぜた数と割合）、混ぜない場合は元のテンプレート
+     */
+    applyAdaptiveTemplate(template, samples) {
+        if (!template || !Array.isArray(template.referenceStrokes) || !Array.isArray(samples)) {
+            return template;
+        }
+
+        const referenceStrokes = template.referenceStrokes;
+        const validSamples = samples.slice(-this.adaptiveMaxSamples).filter(sample =>
+            Array.isArray(sample) &&
+            sample.length === referenceStrokes.length &&
+            sample.every((stroke, index) => Array.isArray(stroke) && stroke.length === referenceStrokes[index].length)
+        );
+        if (validSamples.length === 0) {
+            return template;
+        }
+
+        const weight = this.adaptiveMaxBlendWeight * validSamples.length / this.adaptiveMaxSamples;
+        const blendedStrokes = referenceStrokes.map((stroke, strokeIndex) =>
+            stroke.map((point, pointIndex) => {
+                const meanX = validSamples.reduce((sum, sample) => sum + sample[strokeIndex][pointIndex].x, 0) / validSamples.length;
+                const meanY = validSamples.reduce((sum, sample) => sum + sample[strokeIndex][pointIndex].y, 0) / validSamples.length;
+                return {
+                    x: point.x * (1 - weight) + meanX * weight,
+                    y: point.y * (1 - weight) + meanY * weight
+                };
+            })
+        );
+
+        return {
+            ...template,
+            referenceStrokes: blendedStrokes,
+            adaptation: { sampleCount: validSamples.length, weight }
+        };
+    }
+
+    /**
+     * 個人用の手本をリセット
+     * @param {string|null} character 文字（省略時は全文字）
+     */
+    resetAdaptiveTemplates(character = null) {
+        if (character) {
+            this.adaptiveTemplates.delete(character);
+        } else {
+            this.adaptiveTemplates.clear();
+        }
+    }
+
+    /**
+     * 個人用の手本を保存用のオブジェクトに変換
+     * @returns {Object} 文字ごとの覚えた描画の配列
+     */
+    exportAdaptiveTemplates() {
+        return Object.fromEntries(this.adaptiveTemplates);
+    }
+
+    /**
+     * 保存された個人用の手本を読み込む（それまでの内容は置き換える）
+     * @param {Object} data exportAdaptiveTemplatesの結果
+     */
+    importAdaptiveTemplates(data) {
+        this.adaptiveTemplates.clear();
+        if (!data || typeof data !== 'object') return;
+
+        Object.entries(data).forEach(([character, samples]) => {
+            if (Array.isArray(samples) && samples.length > 0) {
+                this.adaptiveTemplates.set(character, samples.slice(-this.adaptiveMaxSamples));
+            }
+        });
+    }
+
     /**
      * 全ひらがな文字のテンプレートデータを取得
+     * strokesは筆順どおりに並んだ各画の点列で、座標は文字枠を0-1とした
+     * [x, y]（x: 左→右, y: 上→下）。点の並びは運筆方向を表す。
+     * endingsは各画の終筆（'tome': とめ, 'hane': はね, 'harai': はらい）で、
+     * 書き方に幅がある画はnullとして判定しない。
      * @returns {Object} 文字テンプレートオブジェクト
      */
     getAllCharacterTemplateData() {
@@ -108,204 +363,446 @@ export class RecognitionService {
             // あ行
             'あ': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.25, 0.3], [0.5, 0.29], [0.75, 0.27]],
+                    [[0.45, 0.12], [0.46, 0.35], [0.48, 0.6], [0.52, 0.85]],
+                    [[0.65, 0.42], [0.55, 0.65], [0.4, 0.8], [0.25, 0.75], [0.3, 0.58], [0.55, 0.5], [0.75, 0.55], [0.8, 0.7], [0.65, 0.85]]
+                ],
+                endings: ['tome', 'tome', null],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: true, complexity: 0.7 }
             },
             'い': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.25, 0.25], [0.24, 0.5], [0.28, 0.72], [0.35, 0.78], [0.4, 0.7]],
+                    [[0.68, 0.3], [0.75, 0.45], [0.78, 0.6]]
+                ],
+                endings: ['hane', 'tome'],
                 features: { hasHorizontalLine: false, hasVerticalLine: true, hasCurve: true, complexity: 0.4 }
             },
             'う': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.4, 0.15], [0.6, 0.2]],
+                    [[0.3, 0.42], [0.5, 0.35], [0.7, 0.4], [0.72, 0.55], [0.6, 0.75], [0.4, 0.88]]
+                ],
+                endings: ['tome', 'harai'],
                 features: { hasHorizontalLine: true, hasVerticalLine: false, hasCurve: true, complexity: 0.3 }
             },
             'え': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.4, 0.15], [0.6, 0.2]],
+                    [[0.3, 0.4], [0.65, 0.38], [0.3, 0.85], [0.45, 0.65], [0.55, 0.78], [0.75, 0.85]]
+                ],
+                endings: ['tome', null],
                 features: { hasHorizontalLine: true, hasVerticalLine: false, hasCurve: true, complexity: 0.4 }
             },
             'お': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.2, 0.32], [0.55, 0.3]],
+                    [[0.38, 0.12], [0.38, 0.6], [0.38, 0.82], [0.28, 0.8], [0.22, 0.7], [0.35, 0.55], [0.6, 0.52], [0.75, 0.62], [0.7, 0.8], [0.55, 0.85]],
+                    [[0.7, 0.22], [0.8, 0.32]]
+                ],
+                endings: ['tome', null, 'tome'],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: true, complexity: 0.6 }
             },
 
             // か行
             'か': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.2, 0.38], [0.55, 0.35], [0.6, 0.45], [0.55, 0.7], [0.45, 0.8]],
+                    [[0.4, 0.15], [0.35, 0.5], [0.22, 0.82]],
+                    [[0.72, 0.3], [0.82, 0.5]]
+                ],
+                endings: ['hane', null, 'tome'],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: false, complexity: 0.6 }
             },
             'き': {
                 strokeCount: 4,
+                strokes: [
+                    [[0.28, 0.28], [0.7, 0.24]],
+                    [[0.28, 0.45], [0.72, 0.4]],
+                    [[0.42, 0.12], [0.6, 0.58], [0.65, 0.65]],
+                    [[0.35, 0.7], [0.45, 0.85], [0.7, 0.88]]
+                ],
+                endings: ['tome', 'tome', null, null],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: true, complexity: 0.8 }
             },
             'く': {
                 strokeCount: 1,
+                strokes: [
+                    [[0.65, 0.15], [0.35, 0.5], [0.65, 0.85]]
+                ],
+                endings: ['tome'],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.2 }
             },
             'け': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.22, 0.2], [0.2, 0.5], [0.25, 0.78]],
+                    [[0.45, 0.38], [0.82, 0.35]],
+                    [[0.65, 0.15], [0.65, 0.6], [0.5, 0.88]]
+                ],
+                endings: ['hane', 'tome', 'harai'],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: true, complexity: 0.7 }
             },
             'こ': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.3, 0.3], [0.7, 0.3], [0.6, 0.38]],
+                    [[0.28, 0.68], [0.45, 0.75], [0.75, 0.73]]
+                ],
+                endings: ['hane', 'tome'],
                 features: { hasHorizontalLine: true, hasVerticalLine: false, hasCurve: false, complexity: 0.3 }
             },
 
             // さ行
             'さ': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.25, 0.35], [0.75, 0.3]],
+                    [[0.42, 0.15], [0.65, 0.6]],
+                    [[0.35, 0.68], [0.5, 0.82], [0.7, 0.85]]
+                ],
+                endings: ['tome', null, 'tome'],
                 features: { hasHorizontalLine: true, hasVerticalLine: false, hasCurve: true, complexity: 0.5 }
             },
             'し': {
                 strokeCount: 1,
+                strokes: [
+                    [[0.35, 0.15], [0.35, 0.65], [0.45, 0.82], [0.6, 0.8], [0.75, 0.65]]
+                ],
+                endings: ['harai'],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.3 }
             },
             'す': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.2, 0.35], [0.8, 0.32]],
+                    [[0.5, 0.15], [0.5, 0.55], [0.4, 0.6], [0.42, 0.48], [0.52, 0.55], [0.5, 0.7], [0.42, 0.88]]
+                ],
+                endings: ['tome', 'harai'],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.4 }
             },
             'せ': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.18, 0.42], [0.82, 0.38]],
+                    [[0.65, 0.18], [0.65, 0.55], [0.55, 0.6]],
+                    [[0.35, 0.15], [0.35, 0.7], [0.45, 0.82], [0.75, 0.82]]
+                ],
+                endings: ['tome', 'hane', 'tome'],
                 features: { hasHorizontalLine: true, hasVerticalLine: false, hasCurve: true, complexity: 0.6 }
             },
             'そ': {
                 strokeCount: 1,
+                strokes: [
+                    [[0.35, 0.2], [0.6, 0.18], [0.35, 0.42], [0.78, 0.4], [0.5, 0.6], [0.5, 0.8], [0.68, 0.88]]
+                ],
+                endings: [null],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.2 }
             },
 
             // た行
             'た': {
                 strokeCount: 4,
+                strokes: [
+                    [[0.2, 0.35], [0.5, 0.32]],
+                    [[0.38, 0.15], [0.32, 0.55], [0.2, 0.85]],
+                    [[0.55, 0.5], [0.78, 0.48]],
+                    [[0.55, 0.7], [0.65, 0.8], [0.82, 0.78]]
+                ],
+                endings: ['tome', null, null, 'tome'],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: false, complexity: 0.7 }
             },
             'ち': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.25, 0.32], [0.75, 0.28]],
+                    [[0.45, 0.12], [0.35, 0.55], [0.55, 0.48], [0.72, 0.58], [0.68, 0.78], [0.45, 0.88]]
+                ],
+                endings: ['tome', null],
                 features: { hasHorizontalLine: false, hasVerticalLine: true, hasCurve: true, complexity: 0.5 }
             },
             'つ': {
                 strokeCount: 1,
+                strokes: [
+                    [[0.2, 0.38], [0.5, 0.3], [0.75, 0.38], [0.72, 0.6], [0.45, 0.78]]
+                ],
+                endings: ['harai'],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.3 }
             },
             'て': {
                 strokeCount: 1,
+                strokes: [
+                    [[0.2, 0.3], [0.8, 0.25], [0.5, 0.45], [0.45, 0.65], [0.6, 0.85]]
+                ],
+                endings: ['harai'],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.2 }
             },
             'と': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.4, 0.15], [0.5, 0.45]],
+                    [[0.65, 0.35], [0.35, 0.55], [0.35, 0.78], [0.55, 0.85], [0.75, 0.82]]
+                ],
+                endings: ['tome', 'tome'],
                 features: { hasHorizontalLine: false, hasVerticalLine: true, hasCurve: true, complexity: 0.4 }
             },
 
             // な行
             'な': {
                 strokeCount: 4,
+                strokes: [
+                    [[0.2, 0.3], [0.45, 0.27]],
+                    [[0.35, 0.12], [0.22, 0.6]],
+                    [[0.68, 0.25], [0.8, 0.38]],
+                    [[0.62, 0.45], [0.6, 0.8], [0.45, 0.85], [0.42, 0.75], [0.55, 0.72], [0.78, 0.85]]
+                ],
+                endings: ['tome', null, 'tome', null],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: true, complexity: 0.8 }
             },
             'に': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.22, 0.18], [0.2, 0.5], [0.25, 0.82]],
+                    [[0.5, 0.3], [0.75, 0.32]],
+                    [[0.5, 0.65], [0.6, 0.75], [0.78, 0.75]]
+                ],
+                endings: ['hane', 'tome', 'tome'],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: false, complexity: 0.5 }
             },
             'ぬ': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.25, 0.25], [0.45, 0.8]],
+                    [[0.55, 0.2], [0.35, 0.7], [0.25, 0.65], [0.4, 0.4], [0.65, 0.32], [0.8, 0.5], [0.72, 0.78], [0.6, 0.8], [0.62, 0.7], [0.8, 0.82]]
+                ],
+                endings: [null, null],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.6 }
             },
             'ね': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.32, 0.12], [0.3, 0.88]],
+                    [[0.15, 0.35], [0.4, 0.35], [0.18, 0.8], [0.45, 0.5], [0.65, 0.45], [0.75, 0.6], [0.7, 0.8], [0.6, 0.8], [0.62, 0.7], [0.82, 0.82]]
+                ],
+                endings: [null, null],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.5 }
             },
             'の': {
                 strokeCount: 1,
+                strokes: [
+                    [[0.55, 0.3], [0.45, 0.65], [0.3, 0.78], [0.2, 0.6], [0.35, 0.3], [0.6, 0.25], [0.8, 0.45], [0.75, 0.7], [0.6, 0.82]]
+                ],
+                endings: ['harai'],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.2 }
             },
 
             // は行
             'は': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.22, 0.18], [0.2, 0.5], [0.25, 0.82]],
+                    [[0.45, 0.35], [0.8, 0.33]],
+                    [[0.62, 0.15], [0.62, 0.75], [0.45, 0.8], [0.5, 0.68], [0.65, 0.72], [0.82, 0.85]]
+                ],
+                endings: ['hane', 'tome', null],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: true, complexity: 0.7 }
             },
             'ひ': {
                 strokeCount: 1,
+                strokes: [
+                    [[0.2, 0.3], [0.4, 0.3], [0.25, 0.65], [0.45, 0.82], [0.65, 0.7], [0.7, 0.3], [0.75, 0.6], [0.85, 0.7]]
+                ],
+                endings: [null],
                 features: { hasHorizontalLine: false, hasVerticalLine: true, hasCurve: false, complexity: 0.2 }
             },
             'ふ': {
                 strokeCount: 4,
+                strokes: [
+                    [[0.45, 0.18], [0.55, 0.28]],
+                    [[0.5, 0.35], [0.62, 0.6], [0.55, 0.8], [0.42, 0.75]],
+                    [[0.3, 0.55], [0.18, 0.75]],
+                    [[0.72, 0.55], [0.85, 0.72]]
+                ],
+                endings: ['tome', null, 'tome', 'tome'],
                 features: { hasHorizontalLine: true, hasVerticalLine: false, hasCurve: true, complexity: 0.8 }
             },
             'へ': {
                 strokeCount: 1,
+                strokes: [
+                    [[0.15, 0.6], [0.35, 0.38], [0.85, 0.7]]
+                ],
+                endings: [null],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.1 }
             },
             'ほ': {
                 strokeCount: 4,
+                strokes: [
+                    [[0.22, 0.18], [0.2, 0.5], [0.25, 0.82]],
+                    [[0.45, 0.22], [0.8, 0.2]],
+                    [[0.45, 0.45], [0.78, 0.43]],
+                    [[0.62, 0.22], [0.62, 0.75], [0.45, 0.8], [0.5, 0.68], [0.65, 0.72], [0.82, 0.85]]
+                ],
+                endings: ['hane', 'tome', 'tome', null],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: true, complexity: 0.9 }
             },
 
             // ま行
             'ま': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.25, 0.25], [0.75, 0.23]],
+                    [[0.25, 0.45], [0.75, 0.43]],
+                    [[0.5, 0.1], [0.5, 0.75], [0.35, 0.8], [0.38, 0.68], [0.55, 0.72], [0.75, 0.85]]
+                ],
+                endings: ['tome', 'tome', null],
                 features: { hasHorizontalLine: true, hasVerticalLine: false, hasCurve: true, complexity: 0.6 }
             },
             'み': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.25, 0.25], [0.55, 0.22], [0.3, 0.7], [0.22, 0.68], [0.3, 0.55], [0.55, 0.6], [0.82, 0.72]],
+                    [[0.7, 0.4], [0.6, 0.88]]
+                ],
+                endings: [null, 'tome'],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.5 }
             },
             'む': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.2, 0.32], [0.6, 0.3]],
+                    [[0.38, 0.12], [0.38, 0.65], [0.25, 0.6], [0.3, 0.5], [0.4, 0.6], [0.38, 0.82], [0.55, 0.85], [0.72, 0.8], [0.72, 0.6]],
+                    [[0.75, 0.25], [0.85, 0.38]]
+                ],
+                endings: ['tome', null, 'tome'],
                 features: { hasHorizontalLine: true, hasVerticalLine: false, hasCurve: true, complexity: 0.7 }
             },
             'め': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.25, 0.28], [0.45, 0.8]],
+                    [[0.58, 0.18], [0.35, 0.72], [0.25, 0.65], [0.4, 0.4], [0.65, 0.32], [0.8, 0.5], [0.7, 0.78], [0.5, 0.85]]
+                ],
+                endings: ['tome', null],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.6 }
             },
             'も': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.45, 0.12], [0.35, 0.6], [0.38, 0.8], [0.55, 0.85], [0.7, 0.75], [0.72, 0.55]],
+                    [[0.22, 0.32], [0.65, 0.3]],
+                    [[0.22, 0.52], [0.65, 0.5]]
+                ],
+                endings: [null, 'tome', 'tome'],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: true, complexity: 0.7 }
             },
 
             // や行
             'や': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.2, 0.42], [0.5, 0.3], [0.8, 0.35], [0.75, 0.5], [0.65, 0.55]],
+                    [[0.55, 0.18], [0.62, 0.26]],
+                    [[0.32, 0.12], [0.55, 0.88]]
+                ],
+                endings: [null, 'tome', 'tome'],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: true, complexity: 0.6 }
             },
             'ゆ': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.2, 0.25], [0.2, 0.7], [0.3, 0.65], [0.45, 0.35], [0.7, 0.35], [0.78, 0.55], [0.65, 0.68], [0.45, 0.6]],
+                    [[0.55, 0.12], [0.58, 0.6], [0.45, 0.88]]
+                ],
+                endings: [null, 'harai'],
                 features: { hasHorizontalLine: false, hasVerticalLine: true, hasCurve: true, complexity: 0.5 }
             },
             'よ': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.45, 0.38], [0.7, 0.38]],
+                    [[0.45, 0.12], [0.45, 0.75], [0.3, 0.8], [0.32, 0.68], [0.5, 0.7], [0.75, 0.85]]
+                ],
+                endings: ['tome', null],
                 features: { hasHorizontalLine: true, hasVerticalLine: false, hasCurve: true, complexity: 0.4 }
             },
 
             // ら行
             'ら': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.35, 0.12], [0.5, 0.2]],
+                    [[0.3, 0.3], [0.28, 0.55], [0.5, 0.45], [0.7, 0.55], [0.65, 0.78], [0.4, 0.88]]
+                ],
+                endings: ['tome', null],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.5 }
             },
             'り': {
                 strokeCount: 2,
+                strokes: [
+                    [[0.28, 0.2], [0.27, 0.55], [0.33, 0.62]],
+                    [[0.65, 0.15], [0.68, 0.55], [0.45, 0.88]]
+                ],
+                endings: ['hane', 'harai'],
                 features: { hasHorizontalLine: false, hasVerticalLine: true, hasCurve: true, complexity: 0.4 }
             },
             'る': {
                 strokeCount: 1,
+                strokes: [
+                    [[0.25, 0.2], [0.7, 0.18], [0.25, 0.65], [0.6, 0.5], [0.75, 0.65], [0.6, 0.85], [0.4, 0.8], [0.45, 0.7], [0.6, 0.78]]
+                ],
+                endings: [null],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.4 }
             },
             'れ': {
-                strokeCount: 1,
+                strokeCount: 2,
+                strokes: [
+                    [[0.3, 0.12], [0.3, 0.88]],
+                    [[0.15, 0.35], [0.4, 0.35], [0.18, 0.8], [0.45, 0.5], [0.6, 0.45], [0.6, 0.75], [0.85, 0.8]]
+                ],
+                endings: ['tome', null],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.3 }
             },
             'ろ': {
-                strokeCount: 3,
+                strokeCount: 1,
+                strokes: [
+                    [[0.25, 0.2], [0.7, 0.18], [0.25, 0.65], [0.6, 0.5], [0.75, 0.65], [0.6, 0.85], [0.4, 0.85]]
+                ],
+                endings: [null],
                 features: { hasHorizontalLine: true, hasVerticalLine: false, hasCurve: true, complexity: 0.6 }
             },
 
             // わ行
             'わ': {
-                strokeCount: 3,
+                strokeCount: 2,
+                strokes: [
+                    [[0.32, 0.12], [0.3, 0.88]],
+                    [[0.15, 0.35], [0.4, 0.35], [0.18, 0.8], [0.45, 0.5], [0.65, 0.42], [0.8, 0.55], [0.75, 0.75], [0.55, 0.85]]
+                ],
+                endings: ['tome', null],
                 features: { hasHorizontalLine: true, hasVerticalLine: false, hasCurve: true, complexity: 0.6 }
             },
             'を': {
                 strokeCount: 3,
+                strokes: [
+                    [[0.25, 0.25], [0.7, 0.22]],
+                    [[0.45, 0.1], [0.28, 0.5], [0.5, 0.42], [0.6, 0.5]],
+                    [[0.72, 0.45], [0.4, 0.62], [0.38, 0.8], [0.7, 0.88]]
+                ],
+                endings: ['tome', null, null],
                 features: { hasHorizontalLine: true, hasVerticalLine: true, hasCurve: true, complexity: 0.7 }
             },
             'ん': {
                 strokeCount: 1,
+                strokes: [
+                    [[0.5, 0.12], [0.2, 0.85], [0.4, 0.5], [0.55, 0.55], [0.58, 0.8], [0.7, 0.85], [0.85, 0.7]]
+                ],
+                endings: [null],
                 features: { hasHorizontalLine: false, hasVerticalLine: false, hasCurve: true, complexity: 0.2 }
             }
         };
@@ -315,9 +812,12 @@ export class RecognitionService {
      * 子供向けの寛容な文字認識
      * @param {Object} drawingData 描画データ
      * @param {string} targetCharacter ターゲット文字
+     * @param {Object} options オプション
+     * @param {boolean} options.rankCandidates 全文字との候補順位も求めるか（全テンプレートと比較するため重い）
+     * @param {Array} options.adaptiveSamples 個人用の手本に使う描画（省略時はこのサービスが覚えているもの）
      * @returns {Promise<Object>} 認識結果
      */
-    async recognizeCharacterForChild(drawingData, targetCharacter = 'あ') {
+    async recognizeCharacterForChild(drawingData, targetCharacter = 'あ', options = {}) {
         try {
             if (!drawingData || drawingData.strokes.length === 0) {
                 return {
@@ -347,8 +847,12 @@ export class RecognitionService {
                 };
             }
 
-            // ターゲット文字のテンプレートを遅延読み込み
-            const template = await this.loadCharacterTemplate(targetCharacter);
+            // ターゲット文字のテンプレートを遅延読み込みし、個人用の手本を混ぜる
+            // （ワーカーでは覚えた描画をoptions.adaptiveSamplesで受け取る）
+            const template = this.applyAdaptiveTemplate(
+                await this.loadCharacterTemplate(targetCharacter),
+                options.adaptiveSamples ?? this.getAdaptiveSamples(targetCharacter)
+            );
             if (!template) {
                 console.warn(`文字テンプレートが見つかりません: ${targetCharacter}`);
                 return this.createEncouragingFallback(targetCharacter, preprocessed);
@@ -358,6 +862,17 @@ export class RecognitionService {
             const similarity = this.calculateLenientSimilarity(preprocessed, template);
             const confidence = this.calculateEncouragingConfidence(similarity, preprocessed, template);
 
+            // 描いた線と手本の画を対応付けて筆順を確認
+            const strokeMatch = this.matchStrokesToTemplate(preprocessed.normalizedStrokes, template);
+
+            // 取り違えやすい仲間の文字のほうに似ていないか確認
+            const confusion = await this.detectConfusion(preprocessed, targetCharacter, template);
+
+            // 全文字と比べて、別の文字に見えていないか確認
+            const candidateRanking = options.rankCandidates
+                ? await this.rankPreprocessedCandidates(preprocessed, targetCharacter)
+                : null;
+
             const result = {
                 character: targetCharacter,
                 confidence: confidence,
@@ -366,6 +881,14 @@ export class RecognitionService {
                     similarity: similarity,
                     strokeCount: preprocessed.strokeCount,
                     expectedStrokes: template.strokeCount,
+                    shapeSimilarity: strokeMatch ? strokeMatch.similarity : null,
+                    strokeOrder: this.analyzeStrokeOrder(strokeMatch),
+                    strokeDirection: this.analyzeStrokeDirections(strokeMatch),
+                    strokeEndings: this.analyzeStrokeEndings(strokeMatch, drawingData.strokes, template),
+                    balance: this.analyzeSpatialBalance(drawingData, template, strokeMatch),
+                    candidateRanking: candidateRanking,
+                    confusion: confusion,
+                    adaptation: template.adaptation || null,
                     features: preprocessed.features,
                     childFriendlyScore: confidence,
                     encouragementLevel: this.getEncouragementLevel(confidence),
@@ -433,6 +956,7 @@ export class RecognitionService {
                 similarity: similarity,
                 strokeCount: preprocessed.strokeCount,
                 expectedStrokes: template.strokeCount,
+                shapeSimilarity: this.calculateShapeSimilarity(preprocessed.normalizedStrokes, template),
                 features: preprocessed.features
             }
         };
@@ -446,6 +970,132 @@ export class RecognitionService {
         }
     }
 
+    /**
+     * 対応している全文字と比較し、似ている順に候補を並べる
+     * @param {Object} drawingData 描画データ
+     * @param {string|null} targetCharacter ターゲット文字（順位と差を求める場合）
+     * @param {Object} options オプション
+     * @param {number} options.limit 結果に含める上位候補の数
+     * @returns {Promise<Object|null>} 候補順位、描画がない場合はnull
+     */
+    async rankCandidates(drawingData, targetCharacter = null, options = {}) {
+        try {
+            if (!drawingData || !drawingData.strokes || drawingData.strokes.length === 0) {
+                return null;
+            }
+
+            const preprocessed = this.preprocessDrawing(drawingData);
+            if (!preprocessed) return null;
+
+            return await this.rankPreprocessedCandidates(preprocessed, targetCharacter, options);
+
+        } catch (error) {
+            console.error('候補順位の計算エラー:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 前処理済みの描画を全文字のテンプレートと比較
+     * テンプレートはloadCharacterTemplateの遅延読み込みキャッシュを使う
+     * @param {Object} preprocessed preprocessDrawingの結果
+     * @param {string|null} targetCharacter ターゲット文字
+     * @param {Object} options オプション
+     * @param {number} options.limit 結果に含める上位候補の数
+     * @returns {Promise<Object>} 候補順位
+     */
+    async rankPreprocessedCandidates(preprocessed, targetCharacter = null, options = {}) {
+        const limit = options.limit || this.candidateLimit;
+        const characters = this.getSupportedCharacters();
+
+        const templates = await Promise.all(
+            characters.map(character => this.loadCharacterTemplate(character))
+        );
+
+        const ranked = characters
+            .map((character, index) => ({
+                character,
+                similarity: this.calculateSimilarity(preprocessed, templates[index])
+            }))
+            .sort((a, b) => b.similarity - a.similarity)
+            .map((candidate, index) => ({ ...candidate, rank: index + 1 }));
+
+        const best = ranked[0];
+        const target = ranked.find(candidate => candidate.character === targetCharacter) || null;
+
+        let targetRanking = null;
+        let lookalike = null;
+        if (target) {
+            const bestOther = ranked.find(candidate => candidate.character !== targetCharacter);
+            targetRanking = {
+                character: target.character,
+                rank: target.rank,
+                similarity: target.similarity,
+                margin: bestOther ? target.similarity - bestOther.similarity : target.similarity
+            };
+
+            // 目標の文字より明らかに似ている文字があれば「別の文字に見える」
+            if (best.character !== targetCharacter &&
+                best.similarity >= this.lookalikeMinSimilarity &&
+                best.similarity - target.similarity >= this.lookalikeMargin) {
+                lookalike = best.character;
+            }
+        }
+
+        return {
+            candidates: ranked.slice(0, limit),
+            totalCandidates: ranked.length,
+            best: best ? best.character : null,
+            target: targetRanking,
+            lookalike
+        };
+    }
+
+    /**
+     * 取り違えやすい仲間の文字を取得
+     * @param {string} character 文字
+     * @returns {Array<string>} 仲間の文字の配列（グループに属さない場合は空）
+     */
+    getConfusableSiblings(character) {
+        const group = this.confusableGroups.find(members => members.includes(character));
+        return group ? group.filter(member => member !== character) : [];
+    }
+
+    /**
+     * 目標の文字より取り違えやすい仲間の文字に似ているかを判定
+     * @param {Object} preprocessed preprocessDrawingの結果
+     * @param {string} targetCharacter ターゲット文字
+     * @param {Object} targetTemplate ターゲット文字のテンプレート
+     * @returns {Promise<Object|null>} 取り違えの情報、取り違えていない場合はnull
+     */
+    async detectConfusion(preprocessed, targetCharacter, targetTemplate) {
+        const siblings = this.getConfusableSiblings(targetCharacter);
+        if (siblings.length === 0) return null;
+
+        const targetSimilarity = this.calculateSimilarity(preprocessed, targetTemplate);
+
+        let closest = null;
+        for (const sibling of siblings) {
+            const template = await this.loadCharacterTemplate(sibling);
+            const similarity = this.calculateSimilarity(preprocessed, template);
+            if (!closest || similarity > closest.similarity) {
+                closest = { character: sibling, similarity };
+            }
+        }
+
+        const margin = closest.similarity - targetSimilarity;
+        if (margin < this.confusionMargin) return null;
+
+        return {
+            target: targetCharacter,
+            confusedWith: closest.character,
+            group: [targetCharacter, ...siblings],
+            targetSimilarity,
+            confusedSimilarity: closest.similarity,
+            margin
+        };
+    }
+
     calculateSimilarity(drawing, template) {
         if (!drawing || !template) return 0;
 
@@ -476,6 +1126,13 @@ export class RecognitionService {
         similarity += complexitySimilarity * 0.2;
         factors += 0.2;
 
+        // 参照ストロークとの形状類似度（参照ストロークがある場合、全体の60%）
+        const shapeSimilarity = this.calculateShapeSimilarity(drawing.normalizedStrokes, template);
+        if (shapeSimilarity !== null) {
+            similarity += shapeSimilarity * 1.5;
+            factors += 1.5;
+        }
+
         return factors > 0 ? similarity / factors : 0;
     }
 
@@ -520,9 +1177,621 @@ export class RecognitionService {
         similarity += effortScore * 0.25;
         factors += 0.25;
 
+        // 参照ストロークとの形状類似度（参照ストロークがある場合、全体の50%）
+        const shapeSimilarity = this.calculateShapeSimilarity(drawing.normalizedStrokes, template);
+        if (shapeSimilarity !== null) {
+            similarity += shapeSimilarity * 1.0;
+            factors += 1.0;
+        }
+
         return factors > 0 ? similarity / factors : 0;
     }
 
+    /**
+     * 参照ストロークとの形状類似度を計算
+     * @param {Array} normalizedStrokes normalizeStrokes済みの描画ストローク
+     * @param {Object} template テンプレートデータ
+     * @returns {number|null} 形状類似度（0-1）、参照ストロークがない場合はnull
+     */
+    calculateShapeSimilarity(normalizedStrokes, template) {
+        const match = this.matchStrokesToTemplate(normalizedStrokes, template);
+        return match ? match.similarity : null;
+    }
+
+    /**
+     * 描画ストロークをテンプレートの参照ストロークに対応付ける
+     * ストローク同士の距離が小さい組から順に1対1で割り当てる
+     * @param {Array} normalizedStrokes normalizeStrokes済みの描画ストローク
+     * @param {Object} template テンプレートデータ
+     * @returns {Object|null} 対応付け結果、参照ストロークがない場合はnull
+     */
+    matchStrokesToTemplate(normalizedStrokes, template) {
+        if (!template || !Array.isArray(template.referenceStrokes) || !Array.isArray(normalizedStrokes)) {
+            return null;
+        }
+
+        const referenceStrokes = template.referenceStrokes;
+        const drawnStrokes = this.getResampledDrawnStrokes(normalizedStrokes);
+
+        if (drawnStrokes.length === 0 || referenceStrokes.length === 0) {
+            return {
+                pairs: [],
+                unmatchedDrawn: drawnStrokes.map((_, index) => index),
+                unmatchedReference: referenceStrokes.map((_, index) => index),
+                similarity: 0
+            };
+        }
+
+        // 全組み合わせの距離を計算
+        const candidates = [];
+        drawnStrokes.forEach((drawn, drawnIndex) => {
+            referenceStrokes.forEach((reference, referenceIndex) => {
+                candidates.push({
+                    drawnIndex,
+                    referenceIndex,
+                    distance: this.calculateStrokeDistance(drawn, reference)
+                });
+            });
+        });
+        candidates.sort((a, b) => a.distance - b.distance);
+
+        // 距離の小さい組から貪欲に割り当て
+        const usedDrawn = new Set();
+        const usedReference = new Set();
+        const pairs = [];
+        candidates.forEach(candidate => {
+            if (usedDrawn.has(candidate.drawnIndex) || usedReference.has(candidate.referenceIndex)) {
+                return;
+            }
+            usedDrawn.add(candidate.drawnIndex);
+            usedReference.add(candidate.referenceIndex);
+            pairs.push({
+                ...candidate,
+                similarity: Math.max(0, 1 - candidate.distance / this.shapeMatchTolerance),
+                reversed: this.isStrokeReversed(
+                    drawnStrokes[candidate.drawnIndex],
+                    referenceStrokes[candidate.referenceIndex]
+                )
+            });
+        });
+        pairs.sort((a, b) => a.drawnIndex - b.drawnIndex);
+
+        // 余分な線・足りない線は類似度0として扱う
+        const totalSimilarity = pairs.reduce((sum, pair) => sum + pair.similarity, 0);
+        const similarity = totalSimilarity / Math.max(drawnStrokes.length, referenceStrokes.length);
+
+        return {
+            pairs,
+            unmatchedDrawn: drawnStrokes.map((_, index) => index).filter(index => !usedDrawn.has(index)),
+            unmatchedReference: referenceStrokes.map((_, index) => index).filter(index => !usedReference.has(index)),
+            similarity
+        };
+    }
+
+    /**
+     * 描画ストロークを照合用に正規化・再サンプリング
+     * 候補順位の計算では同じ描画を全テンプレートと比べるため、結果を描画ごとに使い回す
+     * @param {Array} normalizedStrokes normalizeStrokes済みの描画ストローク
+     * @returns {Array} 再サンプリング済みストローク配列
+     */
+    getResampledDrawnStrokes(normalizedStrokes) {
+        if (this.resampledStrokeCache.has(normalizedStrokes)) {
+            return this.resampledStrokeCache.get(normalizedStrokes);
+        }
+
+        const resampled = this.normalizeToUnitBox(
+            normalizedStrokes.filter(stroke => stroke && stroke.length > 0)
+        ).map(stroke => this.resampleStroke(stroke));
+        this.resampledStrokeCache.set(normalizedStrokes, resampled);
+        return resampled;
+    }
+
+    /**
+     * 描いた順番と手本の筆順を比較
+     * 形が十分に似ている対応付けだけを使い、描いた順に並べた時に
+     * 手本の画番号が昇順になっていない線を筆順違いとして報告する
+     * @param {Object|null} strokeMatch matchStrokesToTemplateの結果
+     * @returns {Object|null} 筆順の判定結果、判定できない場合はnull
+     */
+    analyzeStrokeOrder(strokeMatch) {
+        if (!strokeMatch) return null;
+
+        const reliablePairs = strokeMatch.pairs
+            .filter(pair => pair.similarity >= this.strokeOrderMinSimilarity)
+            .sort((a, b) => a.drawnIndex - b.drawnIndex);
+
+        const strokeMapping = reliablePairs.map(pair => ({
+            drawnIndex: pair.drawnIndex,
+            referenceIndex: pair.referenceIndex
+        }));
+
+        // 1画しか対応付けできない場合は筆順を判定しない
+        if (reliablePairs.length < 2) {
+            return {
+                evaluated: false,
+                correct: true,
+                strokeMapping,
+                outOfOrder: [],
+                firstMistake: null
+            };
+        }
+
+        const expectedOrder = reliablePairs
+            .map(pair => pair.referenceIndex)
+            .sort((a, b) => a - b);
+
+        const outOfOrder = [];
+        reliablePairs.forEach((pair, position) => {
+            if (pair.referenceIndex !== expectedOrder[position]) {
+                outOfOrder.push({
+                    drawnIndex: pair.drawnIndex,
+                    referenceIndex: pair.referenceIndex,
+                    expectedReferenceIndex: expectedOrder[position]
+                });
+            }
+        });
+
+        return {
+            evaluated: true,
+            correct: outOfOrder.length === 0,
+            strokeMapping,
+            outOfOrder,
+            firstMistake: outOfOrder.length > 0 ? outOfOrder[0] : null
+        };
+    }
+
+    /**
+     * 手本と逆向きに書かれた線を検出
+     * @param {Object|null} strokeMatch matchStrokesToTemplateの結果
+     * @returns {Object|null} 運筆方向の判定結果、判定できない場合はnull
+     */
+    analyzeStrokeDirections(strokeMatch) {
+        if (!strokeMatch) return null;
+
+        const reliablePairs = strokeMatch.pairs
+            .filter(pair => pair.similarity >= this.strokeOrderMinSimilarity);
+
+        const reversedStrokes = reliablePairs
+            .filter(pair => pair.reversed)
+            .map(pair => ({
+                drawnIndex: pair.drawnIndex,
+                referenceIndex: pair.referenceIndex
+            }));
+
+        return {
+            evaluated: reliablePairs.length > 0,
+            correct: reversedStrokes.length === 0,
+            reversedStrokes
+        };
+    }
+
+    /**
+     * 描いた線が参照ストロークと逆向きかを判定
+     * 始点から終点へのベクトルを比べるため、始点と終点が近い線（輪など）は判定しない
+     * @param {Array} drawnStroke 正規化済みの描画ストローク
+     * @param {Array} referenceStroke 正規化済みの参照ストローク
+     * @returns {boolean} 逆向きの場合true
+     */
+    isStrokeReversed(drawnStroke, referenceStroke) {
+        const drawnVector = this.getStrokeVector(drawnStroke);
+        const referenceVector = this.getStrokeVector(referenceStroke);
+        if (!drawnVector || !referenceVector) return false;
+
+        if (drawnVector.length < this.strokeDirectionMinLength ||
+            referenceVector.length < this.strokeDirectionMinLength) {
+            return false;
+        }
+
+        // 向きのなす角が120度を超える場合を逆向きとする
+        const cosine = (drawnVector.dx * referenceVector.dx + drawnVector.dy * referenceVector.dy) /
+            (drawnVector.length * referenceVector.length);
+        return cosine < -0.5;
+    }
+
+    /**
+     * ストロークの始点から終点へのベクトルを取得
+     * @param {Array} stroke 点の配列
+     * @returns {Object|null} { dx, dy, length }、点が2つ未満の場合はnull
+     */
+    getStrokeVector(stroke) {
+        if (!stroke || stroke.length < 2) return null;
+
+        const start = stroke[0];
+        const end = stroke[stroke.length - 1];
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        return { dx, dy, length: Math.sqrt(dx * dx + dy * dy) };
+    }
+
+    /**
+     * ストロークの主な運筆方向を判定
+     * @param {Array} stroke 点の配列
+     * @returns {string|null} 'right' | 'left' | 'down' | 'up'、判定できない場合はnull
+     */
+    getStrokeDirection(stroke) {
+        const vector = this.getStrokeVector(stroke);
+        if (!vector || vector.length === 0) return null;
+
+        if (Math.abs(vector.dx) >= Math.abs(vector.dy)) {
+            return vector.dx > 0 ? 'right' : 'left';
+        }
+        return vector.dy > 0 ? 'down' : 'up';
+    }
+
+    /**
+     * 各画の終筆（とめ・はね・はらい）を手本と比較
+     * @param {Object|null} strokeMatch matchStrokesToTemplateの結果
+     * @param {Array} rawStrokes タイムスタンプ付きの元の描画ストローク
+     * @param {Object} template テンプレートデータ
+     * @returns {Object|null} 終筆の判定結果、判定できない場合はnull
+     */
+    analyzeStrokeEndings(strokeMatch, rawStrokes, template) {
+        if (!strokeMatch || !template || !Array.isArray(template.endings) || !Array.isArray(rawStrokes)) {
+            return null;
+        }
+
+        // matchStrokesToTemplateと同じく空のストロークを除いて番号を揃える
+        const drawnStrokes = rawStrokes.filter(stroke => stroke && stroke.length > 0);
+
+        const endings = [];
+        strokeMatch.pairs
+            .filter(pair => pair.similarity >= this.strokeOrderMinSimilarity)
+            .forEach(pair => {
+                const expected = template.endings[pair.referenceIndex];
+                if (!expected) return;
+
+                const actual = this.classifyStrokeEnding(drawnStrokes[pair.drawnIndex]);
+                if (!actual) return;
+
+                endings.push({
+                    drawnIndex: pair.drawnIndex,
+                    referenceIndex: pair.referenceIndex,
+                    expected,
+                    actual
+                });
+            });
+
+        const mismatches = endings.filter(ending => ending.expected !== ending.actual);
+
+        return {
+            evaluated: endings.length > 0,
+            correct: mismatches.length === 0,
+            endings,
+            mismatches
+        };
+    }
+
+    /**
+     * タイムスタンプ付きストロークの終筆を分類
+     * 末尾で大きく向きが変わればはね、末尾で減速していればとめ、
+     * 速さを保ったまま抜けていればはらいとする
+     * @param {Array} stroke タイムスタンプ付きの点の配列
+     * @returns {string|null} 'tome' | 'hane' | 'harai'、判定できない場合はnull
+     */
+    classifyStrokeEnding(stroke) {
+        if (!stroke || stroke.length < 3) return null;
+
+        const cumulative = [0];
+        for (let i = 1; i < stroke.length; i++) {
+            const dx = stroke[i].x - stroke[i - 1].x;
+            const dy = stroke[i].y - stroke[i - 1].y;
+            cumulative.push(cumulative[i - 1] + Math.sqrt(dx * dx + dy * dy));
+        }
+        const totalLength = cumulative[cumulative.length - 1];
+        if (totalLength === 0) return null;
+
+        // はね: 末尾の一点で急に向きが変わる（なめらかな曲線は除外するため局所的な角度を見る）
+        if (this.getMaxTurnAngle(stroke, this.strokeEndingHookRegion) >= this.strokeEndingHookAngle) {
+            return 'hane';
+        }
+
+        // とめ・はらい: 末尾の速さを全体の平均と比べる
+        const lastIndex = stroke.length - 1;
+        const tailTarget = totalLength * (1 - this.strokeEndingTailRatio);
+        const tailStart = Math.min(cumulative.findIndex(length => length >= tailTarget), lastIndex - 1);
+        const totalTime = stroke[lastIndex].timestamp - stroke[0].timestamp;
+        const tailTime = stroke[lastIndex].timestamp - stroke[tailStart].timestamp;
+        if (!(totalTime > 0) || !(tailTime > 0)) return null;
+
+        const averageSpeed = totalLength / totalTime;
+        const tailSpeed = (totalLength - cumulative[tailStart]) / tailTime;
+
+        return tailSpeed < averageSpeed * this.strokeEndingStopSpeedRatio ? 'tome' : 'harai';
+    }
+
+    /**
+     * ストローク末尾での局所的な曲がり角の最大値を計算
+     * @param {Array} stroke 点の配列
+     * @param {number} regionRatio 調べる末尾の長さの割合
+     * @returns {number} 最大の曲がり角（度）
+     */
+    getMaxTurnAngle(stroke, regionRatio) {
+        const resampled = this.resampleStroke(stroke, this.resamplePointCount * 2);
+        const lastIndex = resampled.length - 1;
+        const window = 2;
+        const startIndex = Math.max(window, Math.floor(lastIndex * (1 - regionRatio)));
+
+        let maxAngle = 0;
+        for (let i = startIndex; i <= lastIndex - window; i++) {
+            const before = this.getStrokeVector([resampled[i - window], resampled[i]]);
+            const after = this.getStrokeVector([resampled[i], resampled[i + window]]);
+            if (before.length === 0 || after.length === 0) continue;
+
+            const cosine = (before.dx * after.dx + before.dy * after.dy) / (before.length * after.length);
+            const angle = Math.acos(Math.max(-1, Math.min(1, cosine))) * 180 / Math.PI;
+            maxAngle = Math.max(maxAngle, angle);
+        }
+
+        return maxAngle;
+    }
+
+    /**
+     * 文字枠（田字格）の中での配置バランスを手本と比較
+     * 文字全体の中心のずれと大きさは境界ボックスと文字枠の大きさから、
+     * 部品（ふの点など）の位置は文字の中での各画の重心から判定する
+     * @param {Object} drawingData boundingBoxとcanvasSizeを含む描画データ
+     * @param {Object} template テンプレートデータ
+     * @param {Object|null} strokeMatch matchStrokesToTemplateの結果
+     * @returns {Object|null} バランスの判定結果、判定できない場合はnull
+     */
+    analyzeSpatialBalance(drawingData, template, strokeMatch) {
+        if (!drawingData || !Array.isArray(drawingData.strokes) || !template || !template.region) {
+            return null;
+        }
+
+        const drawnRegion = this.getDrawnRegionInFrame(drawingData);
+        const placement = this.analyzeComponentPlacement(drawingData.strokes, strokeMatch, template);
+        if (!drawnRegion && !placement) {
+            return null;
+        }
+
+        let centerOffset = null;
+        let centerDistance = null;
+        let sizeRatio = null;
+        let sizeIssue = null;
+        if (drawnRegion) {
+            const region = template.region;
+            centerOffset = {
+                x: (drawnRegion.x + drawnRegion.width / 2) - (region.x + region.width / 2),
+                y: (drawnRegion.y + drawnRegion.height / 2) - (region.y + region.height / 2)
+            };
+            centerDistance = Math.hypot(centerOffset.x, centerOffset.y);
+
+            const referenceSize = Math.max(region.width, region.height);
+            if (referenceSize > 0) {
+                sizeRatio = Math.max(drawnRegion.width, drawnRegion.height) / referenceSize;
+                if (sizeRatio < this.balanceSmallRatio) {
+                    sizeIssue = 'small';
+                } else if (sizeRatio > this.balanceLargeRatio) {
+                    sizeIssue = 'large';
+                }
+            }
+        }
+
+        const offCenter = centerDistance !== null && centerDistance > this.balanceCenterTolerance;
+        const misplacedStrokes = placement ? placement.misplacedStrokes : [];
+
+        return {
+            evaluated: true,
+            correct: !offCenter && !sizeIssue && misplacedStrokes.length === 0,
+            drawnRegion,
+            referenceRegion: template.region,
+            centerOffset,
+            centerDistance,
+            offCenter,
+            sizeRatio,
+            sizeIssue,
+            placementError: placement ? placement.placementError : null,
+            misplacedStrokes
+        };
+    }
+
+    /**
+     * 描画の境界ボックスを文字枠を0-1とした範囲に変換
+     * @param {Object} drawingData boundingBoxとcanvasSizeを含む描画データ
+     * @returns {Object|null} { x, y, width, height }、文字枠の大きさが分からない場合はnull
+     */
+    getDrawnRegionInFrame(drawingData) {
+        const boundingBox = drawingData.boundingBox;
+        const canvasSize = drawingData.canvasSize;
+        if (!boundingBox || !canvasSize || !canvasSize.width || !canvasSize.height) {
+            return null;
+        }
+
+        return {
+            x: boundingBox.x / canvasSize.width,
+            y: boundingBox.y / canvasSize.height,
+            width: boundingBox.width / canvasSize.width,
+            height: boundingBox.height / canvasSize.height
+        };
+    }
+
+    /**
+     * 文字の中での各画（部品）の位置を手本と比較
+     * 描いた文字と手本をそれぞれ0-1の枠に正規化し、対応する画の重心のずれを見る
+     * @param {Array} rawStrokes 元の描画ストローク
+     * @param {Object|null} strokeMatch matchStrokesToTemplateの結果
+     * @param {Object} template テンプレートデータ
+     * @returns {Object|null} { placementError, misplacedStrokes }、判定できない場合はnull
+     */
+    analyzeComponentPlacement(rawStrokes, strokeMatch, template) {
+        if (!strokeMatch || !Array.isArray(template.referenceStrokes)) {
+            return null;
+        }
+
+        // 1画だけでは文字の中での位置関係がないので判定しない
+        const pairs = strokeMatch.pairs.filter(pair => pair.similarity >= this.strokeOrderMinSimilarity);
+        if (pairs.length < 2) {
+            return null;
+        }
+
+        // matchStrokesToTemplateと同じく空のストロークを除いて番号を揃える
+        const drawnStrokes = this.normalizeToUnitBox(rawStrokes.filter(stroke => stroke && stroke.length > 0));
+
+        let totalError = 0;
+        const misplacedStrokes = [];
+        pairs.forEach(pair => {
+            const drawnCenter = this.getStrokeCentroid(this.resampleStroke(drawnStrokes[pair.drawnIndex]));
+            const referenceCenter = this.getStrokeCentroid(template.referenceStrokes[pair.referenceIndex]);
+            const offset = {
+                x: drawnCenter.x - referenceCenter.x,
+                y: drawnCenter.y - referenceCenter.y
+            };
+            const distance = Math.hypot(offset.x, offset.y);
+            totalError += distance;
+
+            if (distance > this.balancePlacementTolerance) {
+                misplacedStrokes.push({
+                    drawnIndex: pair.drawnIndex,
+                    referenceIndex: pair.referenceIndex,
+                    offset,
+                    correction: this.getPlacementCorrection(offset)
+                });
+            }
+        });
+
+        return {
+            placementError: totalError / pairs.length,
+            misplacedStrokes
+        };
+    }
+
+    /**
+     * ストロークの重心を計算
+     * @param {Array} stroke 点の配列
+     * @returns {Object} { x, y }
+     */
+    getStrokeCentroid(stroke) {
+        const sum = stroke.reduce((total, point) => ({
+            x: total.x + point.x,
+            y: total.y + point.y
+        }), { x: 0, y: 0 });
+
+        return {
+            x: sum.x / stroke.length,
+            y: sum.y / stroke.length
+        };
+    }
+
+    /**
+     * 位置のずれを直すために動かす向きを求める
+     * @param {Object} offset 手本からのずれ { x, y }
+     * @returns {string} 'up' | 'down' | 'left' | 'right'
+     */
+    getPlacementCorrection(offset) {
+        if (Math.abs(offset.x) > Math.abs(offset.y)) {
+            return offset.x > 0 ? 'left' : 'right';
+        }
+        return offset.y > 0 ? 'up' : 'down';
+    }
+
+    /**
+     * 再サンプリング済みストローク間の距離を計算
+     * 形状のみを比較するため、逆向きに書いた場合も同じ線として扱う
+     * @param {Array} strokeA ストローク（同じ点数）
+     * @param {Array} strokeB ストローク（同じ点数）
+     * @returns {number} 対応点間の平均距離
+     */
+    calculateStrokeDistance(strokeA, strokeB) {
+        const pointCount = Math.min(strokeA.length, strokeB.length);
+        if (pointCount === 0) return Infinity;
+
+        let forward = 0;
+        let backward = 0;
+        for (let i = 0; i < pointCount; i++) {
+            const a = strokeA[i];
+            const b = strokeB[i];
+            const bReversed = strokeB[pointCount - 1 - i];
+            forward += Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+            backward += Math.sqrt(Math.pow(a.x - bReversed.x, 2) + Math.pow(a.y - bReversed.y, 2));
+        }
+
+        return Math.min(forward, backward) / pointCount;
+    }
+
+    /**
+     * ストロークを等間隔の点列に再サンプリング
+     * @param {Array} stroke ストローク
+     * @param {number} pointCount 再サンプリング後の点数
+     * @returns {Array} 再サンプリングされたストローク
+     */
+    resampleStroke(stroke, pointCount = this.resamplePointCount) {
+        if (!stroke || stroke.length === 0) return [];
+        if (stroke.length === 1) {
+            return Array.from({ length: pointCount }, () => ({ x: stroke[0].x, y: stroke[0].y }));
+        }
+
+        // 累積距離を計算
+        const cumulative = [0];
+        for (let i = 1; i < stroke.length; i++) {
+            const dx = stroke[i].x - stroke[i - 1].x;
+            const dy = stroke[i].y - stroke[i - 1].y;
+            cumulative.push(cumulative[i - 1] + Math.sqrt(dx * dx + dy * dy));
+        }
+
+        const totalLength = cumulative[cumulative.length - 1];
+        if (totalLength === 0) {
+            return Array.from({ length: pointCount }, () => ({ x: stroke[0].x, y: stroke[0].y }));
+        }
+
+        const resampled = [];
+        let segment = 1;
+        for (let i = 0; i < pointCount; i++) {
+            const target = (totalLength * i) / (pointCount - 1);
+            while (segment < stroke.length - 1 && cumulative[segment] < target) {
+                segment++;
+            }
+
+            const start = stroke[segment - 1];
+            const end = stroke[segment];
+            const segmentLength = cumulative[segment] - cumulative[segment - 1];
+            const ratio = segmentLength > 0 ? (target - cumulative[segment - 1]) / segmentLength : 0;
+
+            resampled.push({
+                x: start.x + (end.x - start.x) * ratio,
+                y: start.y + (end.y - start.y) * ratio
+            });
+        }
+
+        return resampled;
+    }
+
+    /**
+     * ストローク全体を0-1の枠に正規化
+     * 幅または高さがほぼ0の場合は長辺を基準にして中央に配置する
+     * @param {Array} strokes ストローク配列
+     * @returns {Array} 正規化されたストローク配列
+     */
+    normalizeToUnitBox(strokes) {
+        const points = strokes.flat();
+        if (points.length === 0) return strokes;
+
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const width = Math.max(...xs) - minX;
+        const height = Math.max(...ys) - minY;
+        const size = Math.max(width, height);
+
+        if (size === 0) {
+            return strokes.map(stroke => stroke.map(point => ({ ...point, x: 0.5, y: 0.5 })));
+        }
+
+        const scaleX = width > size * 0.1 ? width : size;
+        const scaleY = height > size * 0.1 ? height : size;
+        const offsetX = (1 - width / scaleX) / 2;
+        const offsetY = (1 - height / scaleY) / 2;
+
+        return strokes.map(stroke =>
+            stroke.map(point => ({
+                ...point,
+                x: (point.x - minX) / scaleX + offsetX,
+                y: (point.y - minY) / scaleY + offsetY
+            }))
+        );
+    }
+
     /**
      * 寛容なストローク数類似度計算
      * @param {number} actualStrokes 実際のストローク数
@@ -1019,7 +2288,8 @@ export class RecognitionService {
         return strokes.map(stroke => {
             if (stroke.length < 2) return stroke;
 
-            const completedStroke = [...stroke];
+            // 元の点を順にたどり、ギャップの手前に補間点を入れながら新しい点列を作る
+            const completedStroke = [stroke[0]];
             
             // ストロークの端点間の距離をチェック
             for (let i = 1; i < stroke.length; i++) {
@@ -1036,19 +2306,20 @@ export class RecognitionService {
                     const steps = Math.ceil(distance / 10);
                     const stepX = (curr.x - prev.x) / steps;
                     const stepY = (curr.y - prev.y) / steps;
-                    const stepTime = curr.timestamp && prev.timestamp ? 
-                        (curr.timestamp - prev.timestamp) / steps : 0;
+                    const hasTimestamps = typeof curr.timestamp === 'number' && typeof prev.timestamp === 'number';
+                    const stepTime = hasTimestamps ? (curr.timestamp - prev.timestamp) / steps : 0;
 
-                    // 補間点を挿入
+                    // 補間点を追加
                     for (let j = 1; j < steps; j++) {
-                        const interpolatedPoint = {
+                        completedStroke.push({
                             x: prev.x + stepX * j,
                             y: prev.y + stepY * j,
-                            timestamp: prev.timestamp ? prev.timestamp + stepTime * j : undefined
-                        };
-                        completedStroke.splice(i + j - 1, 0, interpolatedPoint);
+                            timestamp: hasTimestamps ? prev.timestamp + stepTime * j : undefined
+                        });
                     }
                 }
+
+                completedStroke.push(curr);
             }
 
             return completedStroke;
@@ -1154,10 +2425,12 @@ export class RecognitionService {
         const features = {
             hasHorizontalLine: false,
             hasVerticalLine: false,
-            hasCurve: false
+            hasCurve: false,
+            strokeDirections: [] // 各ストロークの運筆方向（書き順どおり）
         };
 
         normalizedStrokes.forEach(stroke => {
+            features.strokeDirections.push(this.getStrokeDirection(stroke));
             if (stroke.length < 2) return;
 
             // 各ストロークの方向性を分析
@@ -0,0 +1,197 @@
+// 認識ワーカー呼び出しサービス
+// 文字認識をWeb Workerで実行し、RecognitionEngineService.recognizeと同じ非同期APIで結果を返す
+// ワーカーが使えない環境やワーカーが応答しない場合はメインスレッドの認識エンジンで処理する
+export class RecognitionWorkerClient {
+    /**
+     * @param {RecognitionEngineService} engineService メインスレッドの認識エンジンサービス（設定とフォールバックに使う）
+     * @param {Object} options オプション
+     * @param {string} options.workerUrl ワーカースクリプトのURL
+     * @param {Function} options.workerFactory ワーカーを作成する関数（テストなどで差し替える）
+     * @param {number} options.requestTimeout ワーカーの応答を待つ時間（ミリ秒）
+     */
+    constructor(engineService, options = {}) {
+        this.engineService = engineService;
+        this.workerUrl = options.workerUrl || 'js/workers/recognitionWorker.js';
+        this.workerFactory = options.workerFactory || null;
+        this.requestTimeout = options.requestTimeout ?? 10000;
+
+        this.worker = null;
+        this.workerFailed = false;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * ワーカーを使える環境か確認
+     * ErrorHandler.checkBrowserSupportで無効化された場合も使わない
+     * @returns {boolean} 使えるかどうか
+     */
+    isWorkerSupported() {
+        if (this.workerFailed) return false;
+        if (this.workerFactory) return true;
+        return typeof Worker !== 'undefined' && !window.workersDisabled;
+    }
+
+    /**
+     * 現在の認識の実行場所
+     * @returns {string} 'worker' | 'sync'
+     */
+    getMode() {
+        return this.isWorkerSupported() ? 'worker' : 'sync';
+    }
+
+    /**
+     * ワーカーを取得（初回に作成）
+     * @returns {Worker|null} ワーカー、使えない場合はnull
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+        if (!this.isWorkerSupported()) return null;
+
+        try {
+            this.worker = this.workerFactory
+                ? this.workerFactory(this.workerUrl)
+                : new Worker(this.workerUrl, { type: 'module' });
+            this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+            this.worker.onerror = (event) => this.handleWorkerFailure(event?.message || 'ワーカーエラー');
+            console.log('RecognitionWorkerClient: 認識ワーカー起動');
+            return this.worker;
+        } catch (error) {
+            console.warn('認識ワーカーを起動できません - メインスレッドで認識します:', error);
+            this.workerFailed = true;
+            this.worker = null;
+            return null;
+        }
+    }
+
+    /**
+     * 文字を認識
+     * @param {Object} drawingData 描画データ
+     * @param {string} targetCharacter ターゲット文字
+     * @param {Object} options 認識オプション
+     * @returns {Promise<Object>} 認識結果
+     */
+    async recognize(drawingData, targetCharacter, options = {}) {
+        return this.runRequest(
+            'recognize',
+            {
+                engineId: this.engineService.activeEngineId,
+                drawingData,
+                targetCharacter,
+                options
+            },
+            () => this.engineService.recognize(drawingData, targetCharacter, options)
+        );
+    }
+
+    /**
+     * 現在の認識エンジンのテンプレートを読み込む
+     * @param {Array<string>} characters 読み込む文字（省略時はエンジンの既定）
+     * @returns {Promise<void>}
+     */
+    async loadTemplates(characters) {
+        await this.runRequest(
+            'loadTemplates',
+            { engineId: this.engineService.activeEngineId, characters },
+            () => this.engineService.loadTemplates(characters)
+        );
+    }
+
+    /**
+     * ワーカーに要求を送り、ワーカーが使えなければ同期処理で代替する
+     * @param {string} type 要求の種類
+     * @param {Object} payload 要求の内容
+     * @param {Function} fallback メインスレッドで処理する関数
+     * @returns {Promise<*>} 処理結果
+     */
+    async runRequest(type, payload, fallback) {
+        const worker = this.getWorker();
+        if (!worker) {
+            return fallback();
+        }
+
+        try {
+            return await this.sendRequest(worker, type, payload);
+        } catch (error) {
+            // 認識自体のエラーはそのまま伝え、ワーカーの故障だけをフォールバックする
+            if (!error.workerFailure) {
+                throw error;
+            }
+            console.warn('認識ワーカーが使えないためメインスレッドで認識します:', error.message);
+            return fallback();
+        }
+    }
+
+    /**
+     * ワーカーに要求メッセージを送信
+     * @param {Worker} worker ワーカー
+     * @param {string} type 要求の種類
+     * @param {Object} payload 要求の内容
+     * @returns {Promise<*>} 応答の内容
+     */
+    sendRequest(worker, type, payload) {
+        const id = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.handleWorkerFailure('認識ワーカーが応答しません');
+            }, this.requestTimeout);
+            this.pendingRequests.set(id, { resolve, reject, timer });
+
+            try {
+                worker.postMessage({ id, type, payload });
+            } catch (error) {
+                // 送れないデータがある場合など
+                this.handleWorkerFailure(error.message);
+            }
+        });
+    }
+
+    /**
+     * ワーカーからの応答を処理
+     * @param {Object} message 応答メッセージ { id, type, payload }
+     */
+    handleWorkerMessage(message) {
+        const request = message && this.pendingRequests.get(message.id);
+        if (!request) return;
+
+        clearTimeout(request.timer);
+        this.pendingRequests.delete(message.id);
+
+        if (message.type === 'result') {
+            request.resolve(message.payload);
+        } else {
+            request.reject(new Error(message.payload?.message || '認識ワーカーでエラーが発生しました'));
+        }
+    }
+
+    /**
+     * ワーカーの故障を処理
+     * 以降はメインスレッドで認識し、待っている要求はフォールバックさせる
+     * @param {string} reason 故障の理由
+     */
+    handleWorkerFailure(reason) {
+        console.error('認識ワーカーエラー:', reason);
+        this.workerFailed = true;
+        this.terminate(reason);
+    }
+
+    /**
+     * ワーカーを終了して待っている要求を中断
+     * @param {string} reason 中断の理由
+     */
+    terminate(reason = '認識ワーカーを終了しました') {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.pendingRequests.forEach(request => {
+            clearTimeout(request.timer);
+            const error = new Error(reason);
+            error.workerFailure = true;
+            request.reject(error);
+        });
+        this.pendingRequests.clear();
+    }
+}
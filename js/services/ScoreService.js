@@ -35,10 +35,87 @@ export class ScoreService {
                 allowedStrokeDifference: Infinity
             }
         };
-        
+
+        // 年齢に合わせた採点プロファイル
+        // evaluateStrokeEndings: 終筆（とめ・はね・はらい）を確認するか
+        // strokeEndingWeight: 終筆の出来を総合スコアに反映する割合（0なら助言のみ）
+        // balanceWeight: 文字枠の中での配置バランスを総合スコアに反映する割合（0なら助言のみ）
+        this.scoringProfiles = {
+            toddler: {
+                label: 'ちいさい子（3〜4さい）',
+                evaluateStrokeEndings: false,
+                strokeEndingWeight: 0,
+                balanceWeight: 0
+            },
+            standard: {
+                label: 'ふつう（5〜6さい）',
+                evaluateStrokeEndings: true,
+                strokeEndingWeight: 0,
+                balanceWeight: 0
+            },
+            school: {
+                label: '小学生',
+                evaluateStrokeEndings: true,
+                strokeEndingWeight: 0.1,
+                balanceWeight: 0.1
+            }
+        };
+        this.scoringProfile = 'standard';
+
+        // なぞり書きの採点基準（距離は文字枠の一辺を1とした割合）
+        // maxDeviation: 線からのずれの平均がこの値で0点になる
+        // coverageTolerance: 手本の線のこの距離内を通っていれば「なぞった」とみなす
+        // coverageSpacing: なぞれたかを確かめる手本の線上の点の間隔
+        // strokeCoverageHint: 1画のうちなぞれた割合がこれ未満ならその画を助言する
+        // deviationHint: ずれの平均がこれを超えたら線の上をなぞるよう助言する
+        // strokeDeviationHint: 描いた1画のずれの平均がこれを超えたら、結果画面でその画を目立たせる
+        // excellentScore: 「よくできました」とするスコア
+        this.tracingCriteria = {
+            maxDeviation: 0.08,
+            coverageTolerance: 0.06,
+            coverageSpacing: 0.02,
+            strokeCoverageHint: 0.7,
+            deviationHint: 0.025,
+            strokeDeviationHint: 0.04,
+            excellentScore: 0.75
+        };
+
+        // 聞き書きの判定基準
+        // recallRankLimit: 全文字の候補順位で目標の文字がこの順位以内なら「思い出して書けた」とみなす
+        //                  （目標よりはっきり似ている別の文字があるときは除く）
+        this.recallCriteria = {
+            recallRankLimit: 3
+        };
+
         console.log('ScoreService初期化完了（励まし重視モード）');
     }
 
+    /**
+     * 採点プロファイルを設定
+     * @param {string} profileName プロファイル名（toddler / standard / school）
+     * @returns {boolean} 設定できたかどうか
+     */
+    setScoringProfile(profileName) {
+        if (!this.scoringProfiles[profileName]) {
+            console.warn(`不明な採点プロファイル: ${profileName}`);
+            return false;
+        }
+
+        this.scoringProfile = profileName;
+        return true;
+    }
+
+    /**
+     * 現在の採点プロファイルを取得
+     * @returns {Object} プロファイル設定（nameを含む）
+     */
+    getScoringProfile() {
+        return {
+            name: this.scoringProfile,
+            ...this.scoringProfiles[this.scoringProfile]
+        };
+    }
+
     calculateScore(recognized, target, drawingData = null) {
         // 描画の有無をチェック
         if (!drawingData || !drawingData.strokes || drawingData.strokes.length === 0) {
@@ -73,6 +150,7 @@ export class ScoreService {
                     message: '文字が認識できませんでしたが、がんばって書いてくれました',
                     strokeCount: drawingData.strokes.length,
                     drawingEffort: drawingEffortScore,
+                    engine: recognized?.details?.engine || null,
                     encouragingNote: '描画の努力を評価します'
                 }
             };
@@ -82,9 +160,24 @@ export class ScoreService {
         const shapeScore = this.calculateShapeScore(recognized, drawingData);
         const confidenceScore = recognized.confidence || 0;
         const drawingEffortScore = this.calculateDrawingEffortScore(drawingData);
+
+        // 終筆の確認はプロファイルで有効な場合のみ
+        const profile = this.getScoringProfile();
+        const strokeEndings = profile.evaluateStrokeEndings
+            ? (recognized.details?.strokeEndings || null)
+            : null;
+        const strokeEndingScore = this.calculateStrokeEndingScore(strokeEndings);
+        const balance = recognized.details?.balance || null;
+        const balanceScore = this.calculateBalanceScore(balance);
         
         // 励まし重視の総合スコア計算（努力点を加算）
-        const rawScore = (shapeScore * 0.5) + (confidenceScore * 0.3) + (drawingEffortScore * 0.2);
+        let rawScore = (shapeScore * 0.5) + (confidenceScore * 0.3) + (drawingEffortScore * 0.2);
+        if (strokeEndingScore !== null && profile.strokeEndingWeight > 0) {
+            rawScore = rawScore * (1 - profile.strokeEndingWeight) + strokeEndingScore * profile.strokeEndingWeight;
+        }
+        if (balanceScore !== null && profile.balanceWeight > 0) {
+            rawScore = rawScore * (1 - profile.balanceWeight) + balanceScore * profile.balanceWeight;
+        }
         const totalScore = Math.max(baseScore, rawScore); // 最低スコアを保証
         
         // レベル判定
@@ -102,11 +195,339 @@ export class ScoreService {
                 expectedStrokes: recognized.details?.expectedStrokes || 'unknown',
                 similarity: recognized.details?.similarity || 0,
                 features: recognized.details?.features || {},
+                strokeOrder: recognized.details?.strokeOrder || null,
+                strokeDirection: recognized.details?.strokeDirection || null,
+                strokeEndings: strokeEndings,
+                candidateRanking: recognized.details?.candidateRanking || null,
+                confusion: recognized.details?.confusion || null,
+                strokeEndingScore: strokeEndingScore,
+                balance: balance,
+                balanceScore: balanceScore,
+                scoringProfile: profile.name,
+                engine: recognized.details?.engine || null,
                 encouragingNote: '努力を認めて評価しています'
             }
         };
     }
 
+    /**
+     * 終筆（とめ・はね・はらい）の一致率を計算
+     * @param {Object|null} strokeEndings RecognitionService.analyzeStrokeEndingsの結果
+     * @returns {number|null} 一致率（0-1）、判定していない場合はnull
+     */
+    calculateStrokeEndingScore(strokeEndings) {
+        if (!strokeEndings || !strokeEndings.evaluated || strokeEndings.endings.length === 0) {
+            return null;
+        }
+
+        const matched = strokeEndings.endings.length - strokeEndings.mismatches.length;
+        return matched / strokeEndings.endings.length;
+    }
+
+    /**
+     * 文字枠の中での配置バランスの点数を計算
+     * 中心のずれ・大きさ・部品の位置のうち判定できたものを平均する
+     * @param {Object|null} balance RecognitionService.analyzeSpatialBalanceの結果
+     * @returns {number|null} バランスの点数（0-1）、判定していない場合はnull
+     */
+    calculateBalanceScore(balance) {
+        if (!balance || !balance.evaluated) {
+            return null;
+        }
+
+        const scores = [];
+        if (typeof balance.centerDistance === 'number') {
+            scores.push(Math.max(0, 1 - balance.centerDistance / 0.4));
+        }
+        if (typeof balance.sizeRatio === 'number' && balance.sizeRatio > 0) {
+            scores.push(balance.sizeIssue ? Math.min(balance.sizeRatio, 1 / balance.sizeRatio) : 1);
+        }
+        if (typeof balance.placementError === 'number') {
+            scores.push(Math.max(0, 1 - balance.placementError / 0.4));
+        }
+
+        if (scores.length === 0) return null;
+        return scores.reduce((sum, value) => sum + value, 0) / scores.length;
+    }
+
+    /**
+     * なぞり書きの採点
+     * 形の似ていぐあいではなく、手本の線からどれだけずれたか（ずれ）と、
+     * 手本の線をどれだけ最後までなぞれたか（カバー率）で採点する
+     * @param {Object} recognized 認識結果（筆順・運筆方向の助言に使う）
+     * @param {string} target 目標文字
+     * @param {Object} drawingData 描画データ（canvasSizeが必要）
+     * @param {Array} referenceStrokes 手本の各画の点列（文字枠を0-1とした[x, y]）
+     * @returns {Object} 採点結果
+     */
+    calculateTracingScore(recognized, target, drawingData, referenceStrokes) {
+        const canvasSize = drawingData?.canvasSize || drawingData?.metadata?.canvasSize;
+        if (!drawingData || !drawingData.strokes || drawingData.strokes.length === 0 ||
+            !canvasSize || !Array.isArray(referenceStrokes) || referenceStrokes.length === 0) {
+            // 手本の線と比べられない場合はふつうの採点にする
+            return this.calculateScore(recognized, target, drawingData);
+        }
+
+        // 描いた線と手本の線を同じ単位（文字枠の一辺を1）にそろえる
+        const unit = Math.min(canvasSize.width, canvasSize.height);
+        const drawnStrokes = drawingData.strokes.map(stroke =>
+            stroke.map(point => [point.x / unit, point.y / unit])
+        );
+        const references = referenceStrokes.map(stroke =>
+            stroke.map(([x, y]) => [x * canvasSize.width / unit, y * canvasSize.height / unit])
+        );
+
+        const deviation = this.calculateTracingDeviation(drawnStrokes, references);
+        const strokeCoverage = references.map(reference => this.calculateTracingCoverage(reference, drawnStrokes));
+        const coverage = strokeCoverage.reduce((sum, value) => sum + value, 0) / strokeCoverage.length;
+        const accuracy = Math.max(0, 1 - deviation.mean / this.tracingCriteria.maxDeviation);
+
+        // なぞり書きでも描画があれば基本スコア0.3を保証
+        const totalScore = Math.max(0.3, accuracy * 0.6 + coverage * 0.4);
+        const profile = this.getScoringProfile();
+
+        return {
+            level: totalScore >= this.tracingCriteria.excellentScore ? 'excellent' : 'fair',
+            confidence: recognized?.confidence || 0,
+            score: totalScore,
+            details: {
+                mode: 'tracing',
+                tracing: {
+                    meanDeviation: deviation.mean,
+                    maxDeviation: deviation.max,
+                    strokeDeviations: deviation.strokes,
+                    accuracy: accuracy,
+                    coverage: coverage,
+                    strokeCoverage: strokeCoverage
+                },
+                strokeCount: drawingData.strokes.length,
+                expectedStrokes: referenceStrokes.length,
+                strokeOrder: recognized?.details?.strokeOrder || null,
+                strokeDirection: recognized?.details?.strokeDirection || null,
+                scoringProfile: profile.name,
+                engine: recognized?.details?.engine || null,
+                encouragingNote: 'うすい線をなぞれたかを評価しています'
+            }
+        };
+    }
+
+    /**
+     * 描いた点が手本の線からどれだけ離れているかを計算
+     * 交わる画に点が吸い寄せられないよう、描いた1画ごとにいちばん近い手本の1画と比べる
+     * @param {Array} drawnStrokes 描いた各画の[x, y]の配列
+     * @param {Array} references 手本の各画の[x, y]の配列
+     * @returns {Object} { mean, max, strokes: 描いた画ごとの平均 }（文字枠の一辺を1とした距離）
+     */
+    calculateTracingDeviation(drawnStrokes, references) {
+        let total = 0;
+        let max = 0;
+        let count = 0;
+
+        const strokes = drawnStrokes.map(stroke => {
+            const distances = references
+                .map(reference => stroke.map(point => this.getDistanceToPolyline(point, reference)))
+                .reduce((best, candidate) => {
+                    const sum = values => values.reduce((acc, value) => acc + value, 0);
+                    return sum(candidate) < sum(best) ? candidate : best;
+                });
+
+            distances.forEach(distance => {
+                total += distance;
+                max = Math.max(max, distance);
+                count++;
+            });
+            return distances.length > 0 ? distances.reduce((sum, value) => sum + value, 0) / distances.length : 0;
+        });
+
+        return { mean: count > 0 ? total / count : 0, max, strokes };
+    }
+
+    /**
+     * 手本の1画のうち、描いた線が近くを通った割合を計算
+     * @param {Array} reference 手本の1画の[x, y]の配列
+     * @param {Array} drawnStrokes 描いた各画の[x, y]の配列
+     * @returns {number} カバー率（0-1）
+     */
+    calculateTracingCoverage(reference, drawnStrokes) {
+        const samples = this.sampleAlongPolyline(reference, this.tracingCriteria.coverageSpacing);
+        const covered = samples.filter(sample =>
+            drawnStrokes.some(stroke => this.getDistanceToPolyline(sample, stroke) <= this.tracingCriteria.coverageTolerance)
+        );
+        return covered.length / samples.length;
+    }
+
+    /**
+     * 折れ線上に一定間隔の点を取る（始点と終点を含む）
+     * @param {Array} polyline [x, y]の配列
+     * @param {number} spacing 点の間隔
+     * @returns {Array} [x, y]の配列
+     */
+    sampleAlongPolyline(polyline, spacing) {
+        const samples = [polyline[0]];
+        for (let i = 1; i < polyline.length; i++) {
+            const [startX, startY] = polyline[i - 1];
+            const [endX, endY] = polyline[i];
+            const steps = Math.max(1, Math.ceil(Math.hypot(endX - startX, endY - startY) / spacing));
+            for (let step = 1; step <= steps; step++) {
+                samples.push([startX + (endX - startX) * step / steps, startY + (endY - startY) * step / steps]);
+            }
+        }
+        return samples;
+    }
+
+    /**
+     * 点から折れ線までの最短距離
+     * @param {Array} point [x, y]
+     * @param {Array} polyline [x, y]の配列（1点のみでもよい）
+     * @returns {number} 距離
+     */
+    getDistanceToPolyline(point, polyline) {
+        if (polyline.length === 1) {
+            return Math.hypot(point[0] - polyline[0][0], point[1] - polyline[0][1]);
+        }
+
+        let min = Infinity;
+        for (let i = 1; i < polyline.length; i++) {
+            min = Math.min(min, this.getDistanceToSegment(point, polyline[i - 1], polyline[i]));
+        }
+        return min;
+    }
+
+    /**
+     * 点から線分までの最短距離
+     * @param {Array} point [x, y]
+     * @param {Array} start 線分の始点 [x, y]
+     * @param {Array} end 線分の終点 [x, y]
+     * @returns {number} 距離
+     */
+    getDistanceToSegment(point, start, end) {
+        const dx = end[0] - start[0];
+        const dy = end[1] - start[1];
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared))
+            : 0;
+        return Math.hypot(point[0] - (start[0] + dx * t), point[1] - (start[1] + dy * t));
+    }
+
+    /**
+     * ことばの採点
+     * マスごとの採点結果（calculateScore）をまとめる。全部のマスが「よくできました」のときだけ
+     * ことば全体も「よくできました」にし、点数はマスの平均にする
+     * @param {Array<Object>} cellScores マスごとの採点結果（ことばの文字の順）
+     * @param {string} word ことば
+     * @returns {Object} 採点結果（cells: マスごとの { character, level, score }、weakestIndex: 一番点数の低いマス）
+     */
+    calculateWordScore(cellScores, word) {
+        const characters = Array.from(word || '');
+        if (!Array.isArray(cellScores) || cellScores.length === 0) {
+            return {
+                level: 'poor',
+                confidence: 0,
+                score: 0,
+                word: word,
+                cells: [],
+                weakestIndex: null,
+                details: {
+                    reason: 'no_drawing',
+                    message: '文字が描かれていません',
+                    encouragingNote: '描画を試みることが大切です'
+                }
+            };
+        }
+
+        const cells = cellScores.map((cellScore, index) => ({
+            character: characters[index] || null,
+            level: cellScore.level,
+            score: cellScore.score
+        }));
+        const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        let level = 'fair';
+        if (cells.every(cell => cell.level === 'excellent')) {
+            level = 'excellent';
+        } else if (cells.every(cell => cell.level === 'poor')) {
+            level = 'poor';
+        }
+
+        const weakestIndex = cells.reduce((weakest, cell, index) =>
+            (cell.score < cells[weakest].score ? index : weakest), 0);
+
+        return {
+            level: level,
+            confidence: average(cellScores.map(cellScore => cellScore.confidence || 0)),
+            score: average(cells.map(cell => cell.score)),
+            word: word,
+            cells: cells,
+            weakestIndex: weakestIndex,
+            details: {
+                cellCount: cells.length,
+                excellentCount: cells.filter(cell => cell.level === 'excellent').length,
+                scoringProfile: this.getScoringProfile().name,
+                encouragingNote: '努力を認めて評価しています'
+            }
+        };
+    }
+
+    /**
+     * ことばの採点結果からフィードバックを生成
+     * 一番点数の低いマスの文字を、もういちど練習する文字として伝える
+     * @param {Object} wordScore calculateWordScoreの結果
+     * @returns {Object} フィードバック
+     */
+    generateWordFeedback(wordScore) {
+        const levelMessages = this.feedbackMessages[wordScore.level];
+        if (!levelMessages || !wordScore.cells || wordScore.cells.length === 0) {
+            return this.getEncouragingDefaultFeedback();
+        }
+
+        const weakest = wordScore.level === 'excellent' ? null : wordScore.cells[wordScore.weakestIndex];
+        return {
+            message: levelMessages.primary[Math.floor(Math.random() * levelMessages.primary.length)],
+            encouragement: levelMessages.secondary[Math.floor(Math.random() * levelMessages.secondary.length)],
+            suggestion: weakest
+                ? `「${weakest.character}」をもういちど ていねいに書いてみよう`
+                : 'ぜんぶの字がじょうずに書けました！',
+            encouragingNote: this.getEncouragingNote(wordScore, null),
+            icon: this.getEncouragingIcon(wordScore.level),
+            showExample: this.shouldShowExample(wordScore),
+            practiceCharacter: weakest ? weakest.character : null,
+            strokeHints: [],
+            mismatchedStrokes: [],
+            lookalike: null,
+            confusableDrill: null,
+            alwaysPositive: true
+        };
+    }
+
+    /**
+     * 聞き書きで、聞いた字を思い出して書けたかを判定
+     * 全文字の候補順位（N-best）で目標の文字が上位にあり、別の文字に見えなければ書けたとする。
+     * 候補順位がない場合は、認識できて取り違えもなければ書けたとする
+     * @param {Object} recognized 認識結果
+     * @param {string} target 目標の文字
+     * @returns {Object} { recalled: 書けたか, writtenAs: 別の文字に見えた場合その文字, rank: 目標の文字の順位 }
+     */
+    judgeRecall(recognized, target) {
+        const ranking = recognized?.details?.candidateRanking;
+        const confusedWith = recognized?.details?.confusion?.confusedWith || null;
+
+        if (ranking && ranking.target && ranking.target.character === target) {
+            const writtenAs = confusedWith || ranking.lookalike || null;
+            return {
+                recalled: ranking.target.rank <= this.recallCriteria.recallRankLimit && !writtenAs,
+                writtenAs: writtenAs,
+                rank: ranking.target.rank
+            };
+        }
+
+        return {
+            recalled: !!recognized?.recognized && !confusedWith,
+            writtenAs: confusedWith,
+            rank: null
+        };
+    }
+
     calculateShapeScore(recognized, drawingData) {
         let score = 0;
         let factors = 0;
@@ -258,10 +679,203 @@ export class ScoreService {
             encouragingNote: encouragingNote,
             icon: this.getEncouragingIcon(score.level),
             showExample: this.shouldShowExample(score),
+            strokeHints: this.getStrokeHints(score),
+            mismatchedStrokes: this.getMismatchedStrokes(score),
+            lookalike: this.getLookalikeFeedback(score),
+            confusableDrill: this.getConfusableDrillSuggestion(score),
             alwaysPositive: true // 常に前向きなフィードバック
         };
     }
 
+    /**
+     * 目標と別の文字に見える場合の声かけを生成
+     * 取り違えやすい仲間の文字の判定を優先し、なければ全文字の候補順位を使う
+     * @param {Object} score calculateScoreの結果
+     * @returns {Object|null} { character, message }、別の文字に見えない場合はnull
+     */
+    getLookalikeFeedback(score) {
+        const lookalike = score.details?.confusion?.confusedWith ||
+            score.details?.candidateRanking?.lookalike;
+        if (!lookalike) return null;
+
+        return {
+            character: lookalike,
+            message: `それは『${lookalike}』に見えるよ`
+        };
+    }
+
+    /**
+     * 取り違えやすい文字を書き分けるドリルの提案を生成
+     * @param {Object} score calculateScoreの結果
+     * @returns {Object|null} { characters, message }、取り違えていない場合はnull
+     */
+    getConfusableDrillSuggestion(score) {
+        const confusion = score.details?.confusion;
+        if (!confusion || !Array.isArray(confusion.group)) return null;
+
+        const characters = confusion.group;
+        return {
+            characters,
+            message: `${characters.map(character => `『${character}』`).join('と')}をかきわけよう`
+        };
+    }
+
+    /**
+     * 一画ごとの具体的なアドバイスを生成
+     * @param {Object} score calculateScoreの結果
+     * @returns {Array<Object>} { type, strokeIndex, message } の配列
+     */
+    getStrokeHints(score) {
+        const hints = [];
+        const strokeOrder = score.details?.strokeOrder;
+
+        if (strokeOrder && strokeOrder.firstMistake) {
+            const expectedIndex = strokeOrder.firstMistake.expectedReferenceIndex;
+            hints.push({
+                type: 'strokeOrder',
+                strokeIndex: expectedIndex,
+                message: `${expectedIndex + 1}番目の線を先に書こうね`
+            });
+        }
+
+        const strokeDirection = score.details?.strokeDirection;
+        if (strokeDirection && strokeDirection.reversedStrokes) {
+            strokeDirection.reversedStrokes.forEach(reversed => {
+                hints.push({
+                    type: 'strokeDirection',
+                    strokeIndex: reversed.referenceIndex,
+                    message: `${reversed.referenceIndex + 1}番目の線は反対がわから書いてみよう`
+                });
+            });
+        }
+
+        const strokeEndings = score.details?.strokeEndings;
+        if (strokeEndings && strokeEndings.mismatches && strokeEndings.mismatches.length > 0) {
+            const endingAdvice = {
+                tome: 'ぴたっと止めよう',
+                hane: 'ぴょんとはねよう',
+                harai: 'すっとはらおう'
+            };
+            // 終筆は細かい指摘になりやすいので、一度に伝えるのは1画だけにする
+            const mismatch = strokeEndings.mismatches[0];
+            hints.push({
+                type: 'strokeEnding',
+                strokeIndex: mismatch.referenceIndex,
+                message: `${mismatch.referenceIndex + 1}番目の線のおわりは${endingAdvice[mismatch.expected]}`
+            });
+        }
+
+        return hints.concat(this.getBalanceHints(score), this.getTracingHints(score));
+    }
+
+    /**
+     * 手本と違うところのある描いた線を取得（結果画面で目立たせる線）
+     * 筆順・運筆方向・終筆・部品の位置の判定で指摘された線、手本のどの画とも対応しなかった線、
+     * なぞり書きで手本の線から離れた線を対象にする
+     * @param {Object} score 採点結果
+     * @returns {Array<Object>} { drawnIndex, reasons } の配列（drawnIndex順）
+     */
+    getMismatchedStrokes(score) {
+        const details = score?.details;
+        if (!details) return [];
+
+        const reasons = new Map();
+        const add = (drawnIndex, reason) => {
+            if (typeof drawnIndex !== 'number') return;
+            if (!reasons.has(drawnIndex)) reasons.set(drawnIndex, []);
+            if (!reasons.get(drawnIndex).includes(reason)) reasons.get(drawnIndex).push(reason);
+        };
+
+        const strokeOrder = details.strokeOrder;
+        (strokeOrder?.outOfOrder || []).forEach(entry => add(entry.drawnIndex, 'strokeOrder'));
+        (details.strokeDirection?.reversedStrokes || []).forEach(entry => add(entry.drawnIndex, 'strokeDirection'));
+        (details.strokeEndings?.mismatches || []).forEach(entry => add(entry.drawnIndex, 'strokeEnding'));
+        (details.balance?.misplacedStrokes || []).forEach(entry => add(entry.drawnIndex, 'balance'));
+
+        // 手本のどの画とも対応しなかった線（余分な線や形の違う線）
+        if (strokeOrder?.strokeMapping && typeof details.strokeCount === 'number') {
+            const mapped = new Set(strokeOrder.strokeMapping.map(entry => entry.drawnIndex));
+            for (let index = 0; index < details.strokeCount; index++) {
+                if (!mapped.has(index)) add(index, 'shape');
+            }
+        }
+
+        (details.tracing?.strokeDeviations || []).forEach((deviation, index) => {
+            if (deviation > this.tracingCriteria.strokeDeviationHint) add(index, 'tracing');
+        });
+
+        return [...reasons.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([drawnIndex, strokeReasons]) => ({ drawnIndex, reasons: strokeReasons }));
+    }
+
+    /**
+     * なぞり書きについてのアドバイスを生成
+     * なぞりきれていない画を先に伝え、なければ線からのずれを伝える
+     * @param {Object} score calculateTracingScoreの結果
+     * @returns {Array<Object>} { type: 'tracing', strokeIndex, message } の配列
+     */
+    getTracingHints(score) {
+        const tracing = score.details?.tracing;
+        if (!tracing) return [];
+
+        const missedIndex = tracing.strokeCoverage.findIndex(value => value < this.tracingCriteria.strokeCoverageHint);
+        if (missedIndex !== -1) {
+            return [{
+                type: 'tracing',
+                strokeIndex: missedIndex,
+                message: `${missedIndex + 1}番目の線をさいごまでなぞろう`
+            }];
+        }
+
+        if (tracing.meanDeviation > this.tracingCriteria.deviationHint) {
+            return [{ type: 'tracing', strokeIndex: null, message: 'うすい線の上をゆっくりなぞろう' }];
+        }
+
+        return [];
+    }
+
+    /**
+     * 文字枠の中での配置バランスについてのアドバイスを生成
+     * 文字全体の位置・大きさを先に伝え、部品の位置は1画だけにする
+     * @param {Object} score calculateScoreの結果
+     * @returns {Array<Object>} { type: 'balance', strokeIndex, message } の配列
+     */
+    getBalanceHints(score) {
+        const balance = score.details?.balance;
+        if (!balance || !balance.evaluated) return [];
+
+        const hints = [];
+        if (balance.offCenter) {
+            hints.push({ type: 'balance', strokeIndex: null, message: 'もう少し真ん中に書こう' });
+        }
+
+        if (balance.sizeIssue) {
+            hints.push({
+                type: 'balance',
+                strokeIndex: null,
+                message: balance.sizeIssue === 'small' ? 'もう少し大きく書こう' : 'もう少し小さく書こう'
+            });
+        }
+
+        if (balance.misplacedStrokes && balance.misplacedStrokes.length > 0) {
+            const correctionAdvice = {
+                up: 'もう少し上',
+                down: 'もう少し下',
+                left: 'もう少し左',
+                right: 'もう少し右'
+            };
+            const misplaced = balance.misplacedStrokes[0];
+            hints.push({
+                type: 'balance',
+                strokeIndex: misplaced.referenceIndex,
+                message: `${misplaced.referenceIndex + 1}番目の線は${correctionAdvice[misplaced.correction]}に書こう`
+            });
+        }
+
+        return hints;
+    }
+
     getConstructiveSuggestion(score, recognized, target) {
         const suggestions = {
             excellent: [
@@ -306,6 +920,10 @@ export class ScoreService {
                     return 'いいかんじです！もう少し線を足してみましょう';
                 }
             }
+
+            if (score.details.strokeDirection && score.details.strokeDirection.correct === false) {
+                return 'かたちはいいかんじです！線を書きはじめる場所に気をつけてみましょう';
+            }
         }
 
         return levelSuggestions[Math.floor(Math.random() * levelSuggestions.length)];
@@ -360,6 +978,9 @@ export class ScoreService {
             encouragingNote: 'チャレンジする気持ちがすばらしいです！',
             icon: '🙂',
             showExample: true,
+            strokeHints: [],
+            lookalike: null,
+            confusableDrill: null,
             alwaysPositive: true
         };
     }
@@ -0,0 +1,88 @@
+/**
+ * 音声読み上げサービス
+ * Web Speech API（speechSynthesis）で文字の読みを日本語で読み上げる。
+ * 読み上げに対応していない環境では何もしない
+ */
+export class SpeechService {
+    /**
+     * @param {SpeechSynthesis|null} synthesis 読み上げに使うspeechSynthesis（省略時はwindow.speechSynthesis）
+     */
+    constructor(synthesis = null) {
+        this.synthesis = synthesis || (typeof window !== 'undefined' ? window.speechSynthesis : null) || null;
+        this.lang = 'ja-JP';
+        this.rate = 0.8; // 子供が聞き取りやすいよう少しゆっくり
+        this.pitch = 1.1;
+        this.voice = null;
+    }
+
+    /**
+     * 読み上げできるかどうか
+     * @returns {boolean} 読み上げできればtrue
+     */
+    isSupported() {
+        return !!this.synthesis && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    /**
+     * 日本語の声を選ぶ（見つからなければ環境の既定の声）
+     * @returns {SpeechSynthesisVoice|null} 声
+     */
+    getJapaneseVoice() {
+        if (this.voice) return this.voice;
+        if (typeof this.synthesis.getVoices !== 'function') return null;
+
+        const voices = this.synthesis.getVoices() || [];
+        this.voice = voices.find(voice => voice.lang === this.lang) ||
+            voices.find(voice => voice.lang && voice.lang.startsWith('ja')) ||
+            null;
+        return this.voice;
+    }
+
+    /**
+     * 文字列を読み上げる（読み上げ中のものは止めてから読む）
+     * @param {string} text 読み上げる文字列
+     * @param {Object} options { rate: 速さ }
+     * @returns {Promise<boolean>} 最後まで読み上げたらtrue、読み上げられなかった場合false
+     */
+    speak(text, options = {}) {
+        if (!text || !this.isSupported()) {
+            return Promise.resolve(false);
+        }
+
+        return new Promise(resolve => {
+            try {
+                this.synthesis.cancel();
+
+                const utterance = new SpeechSynthesisUtterance(text);
+                utterance.lang = this.lang;
+                utterance.rate = options.rate || this.rate;
+                utterance.pitch = this.pitch;
+
+                const voice = this.getJapaneseVoice();
+                if (voice) {
+                    utterance.voice = voice;
+                }
+
+                utterance.onend = () => resolve(true);
+                utterance.onerror = (event) => {
+                    console.warn('読み上げエラー:', event.error);
+                    resolve(false);
+                };
+
+                this.synthesis.speak(utterance);
+            } catch (error) {
+                console.warn('読み上げをスキップ:', error);
+                resolve(false);
+            }
+        });
+    }
+
+    /**
+     * 読み上げを止める
+     */
+    cancel() {
+        if (this.isSupported()) {
+            this.synthesis.cancel();
+        }
+    }
+}
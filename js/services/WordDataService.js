@@ -0,0 +1,126 @@
+import { wordList } from './wordList.js';
+
+/**
+ * ことばデータ管理サービス
+ * ことばの練習（いぬ・ねこ・さかな など）で書くことばの管理と選択機能を提供
+ */
+export class WordDataService {
+    /**
+     * @param {HiraganaDataService|null} hiraganaDataService 書ける文字を確かめるためのひらがなデータ
+     * @param {Array<Object>} words ことばの一覧（省略時はwordList）
+     */
+    constructor(hiraganaDataService = null, words = wordList) {
+        this.hiraganaDataService = hiraganaDataService;
+        this.words = this.loadWords(words);
+        this.currentWord = null;
+        this.recentWords = [];
+        this.recentLimit = 5; // 続けて同じことばが出ないように覚えておく数
+
+        console.log(`WordDataService初期化完了: ${this.words.length}語`);
+    }
+
+    /**
+     * ことばの一覧を読み込む
+     * 練習できない文字（ひらがなデータにない文字）を含むことばは除く
+     * @param {Array<Object>} words ことばの一覧
+     * @returns {Array<Object>} { word, hint, hintLabel, category, characters } の配列
+     */
+    loadWords(words) {
+        return words
+            .map(entry => ({ ...entry, characters: Array.from(entry.word) }))
+            .filter(entry => {
+                const unsupported = entry.characters.filter(character => !this.isSupportedCharacter(character));
+                if (unsupported.length > 0) {
+                    console.warn(`練習できない文字を含むことばを除外: ${entry.word} (${unsupported.join(', ')})`);
+                    return false;
+                }
+                return true;
+            });
+    }
+
+    /**
+     * 練習できる文字かどうか
+     * @param {string} character 文字
+     * @returns {boolean} ひらがなデータにある文字ならtrue（ひらがなデータがなければ常にtrue）
+     */
+    isSupportedCharacter(character) {
+        if (!this.hiraganaDataService) return true;
+        return !!this.hiraganaDataService.getCharacterDetails(character);
+    }
+
+    /**
+     * 全てのことばを取得
+     * @returns {Array<Object>} ことばの配列
+     */
+    getAllWords() {
+        return [...this.words];
+    }
+
+    /**
+     * 仲間（どうぶつ・たべもの など）のことばを取得
+     * @param {string} category 仲間の名前
+     * @returns {Array<Object>} ことばの配列
+     */
+    getWordsByCategory(category) {
+        return this.words.filter(entry => entry.category === category);
+    }
+
+    /**
+     * 全ての仲間の名前を取得
+     * @returns {Array<string>} 仲間の名前の配列
+     */
+    getAllCategories() {
+        return [...new Set(this.words.map(entry => entry.category))];
+    }
+
+    /**
+     * 現在のことばを取得
+     * @returns {Object|null} 現在選択されていることば
+     */
+    getCurrentWord() {
+        return this.currentWord;
+    }
+
+    /**
+     * 特定のことばを選択
+     * @param {string} word ことば
+     * @returns {Object|null} 選択されたことば、見つからない場合null
+     */
+    selectWord(word) {
+        const entry = this.words.find(candidate => candidate.word === word);
+        if (!entry) return null;
+
+        this.setCurrentWord(entry);
+        return entry;
+    }
+
+    /**
+     * 次に書くことばをランダムに選ぶ（最近書いたことばは避ける）
+     * @param {Object} options { category: 仲間の名前 }
+     * @returns {Object|null} 選択されたことば、ことばがない場合null
+     */
+    selectNextWord(options = {}) {
+        const pool = options.category ? this.getWordsByCategory(options.category) : this.words;
+        if (pool.length === 0) return null;
+
+        const fresh = pool.filter(entry => !this.recentWords.includes(entry.word));
+        const candidates = fresh.length > 0
+            ? fresh
+            : pool.filter(entry => entry !== this.currentWord);
+        const choices = candidates.length > 0 ? candidates : pool;
+
+        const entry = choices[Math.floor(Math.random() * choices.length)];
+        this.setCurrentWord(entry);
+        return entry;
+    }
+
+    /**
+     * 現在のことばを設定し、最近書いたことばに加える
+     * @param {Object} entry ことば
+     */
+    setCurrentWord(entry) {
+        this.currentWord = entry;
+        this.recentWords = [entry.word, ...this.recentWords.filter(word => word !== entry.word)]
+            .slice(0, this.recentLimit);
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * ことばの練習で書くことばの一覧
+ * 清音（濁点・小さい字のない46文字）だけでできた、絵で分かる身近なことば。
+ * hint: 何のことばかを伝える絵文字、hintLabel: 絵文字を読み上げるときの名前
+ */
+export const wordList = [
+    // どうぶつ
+    { word: 'いぬ', hint: '🐕', hintLabel: 'いぬの絵', category: 'どうぶつ' },
+    { word: 'ねこ', hint: '🐈', hintLabel: 'ねこの絵', category: 'どうぶつ' },
+    { word: 'くま', hint: '🐻', hintLabel: 'くまの絵', category: 'どうぶつ' },
+    { word: 'さる', hint: '🐒', hintLabel: 'さるの絵', category: 'どうぶつ' },
+    { word: 'とり', hint: '🐦', hintLabel: 'とりの絵', category: 'どうぶつ' },
+    { word: 'あり', hint: '🐜', hintLabel: 'ありの絵', category: 'どうぶつ' },
+    { word: 'たこ', hint: '🐙', hintLabel: 'たこの絵', category: 'どうぶつ' },
+    { word: 'かに', hint: '🦀', hintLabel: 'かにの絵', category: 'どうぶつ' },
+    { word: 'さかな', hint: '🐟', hintLabel: 'さかなの絵', category: 'どうぶつ' },
+    { word: 'きつね', hint: '🦊', hintLabel: 'きつねの絵', category: 'どうぶつ' },
+    { word: 'ひよこ', hint: '🐤', hintLabel: 'ひよこの絵', category: 'どうぶつ' },
+
+    // たべもの
+    { word: 'すいか', hint: '🍉', hintLabel: 'すいかの絵', category: 'たべもの' },
+    { word: 'みかん', hint: '🍊', hintLabel: 'みかんの絵', category: 'たべもの' },
+    { word: 'めろん', hint: '🍈', hintLabel: 'めろんの絵', category: 'たべもの' },
+    { word: 'もも', hint: '🍑', hintLabel: 'ももの絵', category: 'たべもの' },
+
+    // しぜん
+    { word: 'うみ', hint: '🌊', hintLabel: 'うみの絵', category: 'しぜん' },
+    { word: 'やま', hint: '⛰️', hintLabel: 'やまの絵', category: 'しぜん' },
+    { word: 'はな', hint: '🌷', hintLabel: 'はなの絵', category: 'しぜん' },
+    { word: 'くも', hint: '☁️', hintLabel: 'くもの絵', category: 'しぜん' },
+    { word: 'ほし', hint: '⭐', hintLabel: 'ほしの絵', category: 'しぜん' },
+    { word: 'つき', hint: '🌙', hintLabel: 'つきの絵', category: 'しぜん' },
+    { word: 'あめ', hint: '☔', hintLabel: 'あめの絵', category: 'しぜん' },
+    { word: 'さくら', hint: '🌸', hintLabel: 'さくらの絵', category: 'しぜん' },
+
+    // もの・のりもの
+    { word: 'いえ', hint: '🏠', hintLabel: 'いえの絵', category: 'もの' },
+    { word: 'ふね', hint: '🚢', hintLabel: 'ふねの絵', category: 'もの' },
+    { word: 'くるま', hint: '🚗', hintLabel: 'くるまの絵', category: 'もの' },
+    { word: 'とけい', hint: '⏰', hintLabel: 'とけいの絵', category: 'もの' },
+    { word: 'はさみ', hint: '✂️', hintLabel: 'はさみの絵', category: 'もの' }
+];
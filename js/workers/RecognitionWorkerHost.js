@@ -0,0 +1,48 @@
+// 認識ワーカー側のメッセージ処理
+// RecognitionWorkerClientから届いた要求を認識エンジンで処理して応答を作る
+//
+// 要求: { id, type: 'recognize', payload: { engineId, drawingData, targetCharacter, options } }
+//       { id, type: 'loadTemplates', payload: { engineId, characters } }
+// 応答: { id, type: 'result', payload: 認識結果またはnull }
+//       { id, type: 'error', payload: { message } }
+export class RecognitionWorkerHost {
+    /**
+     * @param {RecognitionEngineService} engineService ワーカー内の認識エンジンサービス
+     */
+    constructor(engineService) {
+        this.engineService = engineService;
+    }
+
+    /**
+     * 要求メッセージを処理して応答メッセージを返す
+     * @param {Object} message 要求メッセージ
+     * @returns {Promise<Object>} 応答メッセージ
+     */
+    async handleMessage(message) {
+        const { id, type, payload = {} } = message || {};
+
+        try {
+            if (payload.engineId) {
+                this.engineService.setActiveEngine(payload.engineId);
+            }
+
+            switch (type) {
+                case 'recognize': {
+                    const result = await this.engineService.recognize(
+                        payload.drawingData,
+                        payload.targetCharacter,
+                        payload.options || {}
+                    );
+                    return { id, type: 'result', payload: result };
+                }
+                case 'loadTemplates':
+                    await this.engineService.loadTemplates(payload.characters);
+                    return { id, type: 'result', payload: null };
+                default:
+                    throw new Error(`不明な要求: ${type}`);
+            }
+        } catch (error) {
+            return { id, type: 'error', payload: { message: error.message } };
+        }
+    }
+}
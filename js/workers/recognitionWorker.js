@@ -0,0 +1,17 @@
+// 文字認識ワーカーのエントリーポイント
+// 前処理や類似度計算をメインスレッドから切り離し、結果画面のアニメーションを妨げないようにする
+import { RecognitionService } from '../services/RecognitionService.js';
+import { RecognitionEngineService } from '../services/RecognitionEngineService.js';
+import { HeuristicRecognizerEngine } from '../services/HeuristicRecognizerEngine.js';
+import { PointCloudRecognizerEngine } from '../services/PointCloudRecognizerEngine.js';
+import { RecognitionWorkerHost } from './RecognitionWorkerHost.js';
+
+const recognitionService = new RecognitionService();
+const host = new RecognitionWorkerHost(new RecognitionEngineService([
+    new HeuristicRecognizerEngine(recognitionService),
+    new PointCloudRecognizerEngine(recognitionService)
+]));
+
+self.addEventListener('message', async (event) => {
+    self.postMessage(await host.handleMessage(event.data));
+});
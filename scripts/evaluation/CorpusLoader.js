@@ -0,0 +1,79 @@
+// 評価用の描画サンプル読み込み
+// ディレクトリ内の*.jsonから { label, drawing } 形式のサンプルを読み込む
+// drawingはDrawingData.toJSON()の出力で、1ファイルに1サンプルまたはサンプルの配列を書ける
+import fs from 'fs';
+import path from 'path';
+
+export class CorpusLoader {
+    /**
+     * ディレクトリ内のサンプルをすべて読み込む（サブディレクトリも含む）
+     * @param {string} directory コーパスのディレクトリ
+     * @returns {Array<Object>} { id, label, drawing } の配列（ファイル名順）
+     */
+    loadDirectory(directory) {
+        if (!fs.existsSync(directory)) {
+            throw new Error(`コーパスが見つかりません: ${directory}`);
+        }
+
+        return this.findJsonFiles(directory)
+            .flatMap(file => this.loadFile(file, path.relative(directory, file)));
+    }
+
+    /**
+     * ディレクトリ内のJSONファイルを再帰的に探す
+     * @param {string} directory ディレクトリ
+     * @returns {Array<string>} ファイルパスの配列（名前順）
+     */
+    findJsonFiles(directory) {
+        return fs.readdirSync(directory, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .flatMap(entry => {
+                const fullPath = path.join(directory, entry.name);
+                if (entry.isDirectory()) return this.findJsonFiles(fullPath);
+                return entry.name.endsWith('.json') ? [fullPath] : [];
+            });
+    }
+
+    /**
+     * 1ファイル分のサンプルを読み込む
+     * @param {string} file ファイルパス
+     * @param {string} name レポートに使うファイル名
+     * @returns {Array<Object>} { id, label, drawing } の配列
+     */
+    loadFile(file, name) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`サンプルを読み込めません: ${name} (${error.message})`);
+        }
+
+        const samples = Array.isArray(data) ? data : [data];
+        return samples.map((sample, index) => this.toSample(sample, samples.length > 1 ? `${name}#${index}` : name));
+    }
+
+    /**
+     * ラベル付きデータを認識に渡せる形に変換
+     * DrawingData.toJSON()ではキャンバスの大きさがmetadataに入っているので取り出す
+     * @param {Object} sample { label, drawing }
+     * @param {string} id サンプルの識別子
+     * @returns {Object} { id, label, drawing }
+     */
+    toSample(sample, id) {
+        if (!sample || typeof sample.label !== 'string' || !sample.drawing || !Array.isArray(sample.drawing.strokes)) {
+            throw new Error(`サンプルの形式が正しくありません: ${id}`);
+        }
+
+        const drawing = sample.drawing;
+        return {
+            id,
+            label: sample.label,
+            drawing: {
+                strokes: drawing.strokes,
+                timestamp: drawing.timestamp,
+                boundingBox: drawing.boundingBox || null,
+                canvasSize: drawing.canvasSize || drawing.metadata?.canvasSize || null
+            }
+        };
+    }
+}
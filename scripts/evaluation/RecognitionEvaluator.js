@@ -0,0 +1,205 @@
+// 文字認識の評価
+// ラベル付きの描画サンプルを認識・採点し、文字ごとの正解率・混同行列・スコア分布をまとめる
+import { RecognitionService } from '../../js/services/RecognitionService.js';
+import { RecognitionEngineService } from '../../js/services/RecognitionEngineService.js';
+import { HeuristicRecognizerEngine } from '../../js/services/HeuristicRecognizerEngine.js';
+import { PointCloudRecognizerEngine } from '../../js/services/PointCloudRecognizerEngine.js';
+import { ScoreService } from '../../js/services/ScoreService.js';
+
+export class RecognitionEvaluator {
+    /**
+     * @param {Object} options オプション
+     * @param {string} options.engineId 評価する認識エンジン（既定: heuristic）
+     * @param {string} options.scoringProfile 採点プロファイル（既定: standard）
+     */
+    constructor(options = {}) {
+        this.recognitionService = new RecognitionService();
+        this.engineService = new RecognitionEngineService([
+            new HeuristicRecognizerEngine(this.recognitionService),
+            new PointCloudRecognizerEngine(this.recognitionService)
+        ]);
+        this.scoreService = new ScoreService();
+
+        if (options.engineId && !this.engineService.setActiveEngine(options.engineId)) {
+            throw new Error(`不明な認識エンジン: ${options.engineId}`);
+        }
+        if (options.scoringProfile && !this.scoreService.setScoringProfile(options.scoringProfile)) {
+            throw new Error(`不明な採点プロファイル: ${options.scoringProfile}`);
+        }
+
+        this.histogramBins = 10; // スコア分布の区間数（0-1を等分）
+    }
+
+    /**
+     * 全サンプルを評価してレポートを作成
+     * @param {Array<Object>} samples { id, label, drawing } の配列（drawingは認識に渡す描画データ）
+     * @returns {Promise<Object>} 評価レポート
+     */
+    async evaluate(samples) {
+        const results = [];
+        for (const sample of samples) {
+            results.push(await this.evaluateSample(sample));
+        }
+
+        return this.createReport(results);
+    }
+
+    /**
+     * 1サンプルを認識・採点
+     * 認識結果の文字は全文字の候補順位で最も似ている文字とする
+     * @param {Object} sample { id, label, drawing }
+     * @returns {Promise<Object>} サンプルの評価結果
+     */
+    async evaluateSample(sample) {
+        const recognized = await this.engineService.recognize(sample.drawing, sample.label, { rankCandidates: true });
+        const score = this.scoreService.calculateScore(recognized, sample.label, sample.drawing);
+        const predicted = recognized.details?.candidateRanking?.best || null;
+
+        return {
+            id: sample.id,
+            label: sample.label,
+            predicted,
+            correct: predicted === sample.label,
+            recognized: !!recognized.recognized,
+            confidence: recognized.confidence || 0,
+            score: score.score,
+            level: score.level
+        };
+    }
+
+    /**
+     * サンプルごとの評価結果からレポートを作成
+     * @param {Array<Object>} results evaluateSampleの結果の配列
+     * @returns {Object} 評価レポート
+     */
+    createReport(results) {
+        const perCharacter = {};
+        const confusionMatrix = {};
+
+        results.forEach(result => {
+            const stats = perCharacter[result.label] || (perCharacter[result.label] = {
+                samples: 0,
+                correct: 0,
+                recognized: 0,
+                totalScore: 0,
+                levels: { excellent: 0, fair: 0, poor: 0 }
+            });
+            stats.samples++;
+            if (result.correct) stats.correct++;
+            if (result.recognized) stats.recognized++;
+            stats.totalScore += result.score;
+            stats.levels[result.level] = (stats.levels[result.level] || 0) + 1;
+
+            const row = confusionMatrix[result.label] || (confusionMatrix[result.label] = {});
+            const predicted = result.predicted || '?';
+            row[predicted] = (row[predicted] || 0) + 1;
+        });
+
+        Object.values(perCharacter).forEach(stats => {
+            stats.accuracy = stats.correct / stats.samples;
+            stats.recognitionRate = stats.recognized / stats.samples;
+            stats.meanScore = stats.totalScore / stats.samples;
+            delete stats.totalScore;
+        });
+
+        const sampleCount = results.length;
+        const count = predicate => results.filter(predicate).length;
+
+        return {
+            engine: this.engineService.getActiveEngine().id,
+            scoringProfile: this.scoreService.getScoringProfile().name,
+            sampleCount,
+            overall: {
+                accuracy: sampleCount > 0 ? count(result => result.correct) / sampleCount : 0,
+                recognitionRate: sampleCount > 0 ? count(result => result.recognized) / sampleCount : 0,
+                meanScore: sampleCount > 0 ? results.reduce((sum, result) => sum + result.score, 0) / sampleCount : 0
+            },
+            perCharacter,
+            confusionMatrix,
+            scoreDistribution: this.createScoreDistribution(results),
+            misrecognized: results
+                .filter(result => !result.correct)
+                .map(({ id, label, predicted, score }) => ({ id, label, predicted, score }))
+        };
+    }
+
+    /**
+     * スコアの分布を作成
+     * @param {Array<Object>} results evaluateSampleの結果の配列
+     * @returns {Object} { levels, histogram }
+     */
+    createScoreDistribution(results) {
+        const levels = { excellent: 0, fair: 0, poor: 0 };
+        const histogram = Array.from({ length: this.histogramBins }, (_, index) => ({
+            min: index / this.histogramBins,
+            max: (index + 1) / this.histogramBins,
+            count: 0
+        }));
+
+        results.forEach(result => {
+            levels[result.level] = (levels[result.level] || 0) + 1;
+            const bin = Math.min(this.histogramBins - 1, Math.max(0, Math.floor(result.score * this.histogramBins)));
+            histogram[bin].count++;
+        });
+
+        return { levels, histogram };
+    }
+
+    /**
+     * レポートをMarkdownに変換
+     * @param {Object} report createReportの結果
+     * @returns {string} Markdown文字列
+     */
+    toMarkdown(report) {
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const lines = [
+            '# 文字認識評価レポート',
+            '',
+            `- 認識エンジン: ${report.engine}`,
+            `- 採点プロファイル: ${report.scoringProfile}`,
+            `- サンプル数: ${report.sampleCount}`,
+            `- 正解率: ${percent(report.overall.accuracy)}`,
+            `- 認識率: ${percent(report.overall.recognitionRate)}`,
+            `- 平均スコア: ${report.overall.meanScore.toFixed(3)}`,
+            '',
+            '## 文字ごとの結果',
+            '',
+            '| 文字 | サンプル数 | 正解率 | 認識率 | 平均スコア | excellent | fair | poor |',
+            '| --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: |'
+        ];
+
+        Object.keys(report.perCharacter).sort().forEach(character => {
+            const stats = report.perCharacter[character];
+            lines.push(`| ${character} | ${stats.samples} | ${percent(stats.accuracy)} | ${percent(stats.recognitionRate)} | ` +
+                `${stats.meanScore.toFixed(3)} | ${stats.levels.excellent} | ${stats.levels.fair} | ${stats.levels.poor} |`);
+        });
+
+        // 混同行列は正解・認識結果に現れた文字だけで作る
+        const labels = Object.keys(report.confusionMatrix).sort();
+        const predictedLabels = [...new Set(
+            Object.values(report.confusionMatrix).flatMap(row => Object.keys(row))
+        )].sort();
+
+        lines.push('', '## 混同行列（行: 正解 / 列: 認識結果）', '');
+        lines.push(`| | ${predictedLabels.join(' | ')} |`);
+        lines.push(`| --- | ${predictedLabels.map(() => '---:').join(' | ')} |`);
+        labels.forEach(label => {
+            const row = report.confusionMatrix[label];
+            lines.push(`| ${label} | ${predictedLabels.map(predicted => row[predicted] || '').join(' | ')} |`);
+        });
+
+        lines.push('', '## スコア分布', '', '| スコア | 件数 |', '| --- | ---: |');
+        report.scoreDistribution.histogram.forEach(bin => {
+            lines.push(`| ${bin.min.toFixed(1)}〜${bin.max.toFixed(1)} | ${bin.count} |`);
+        });
+
+        if (report.misrecognized.length > 0) {
+            lines.push('', '## 誤認識したサンプル', '', '| サンプル | 正解 | 認識結果 | スコア |', '| --- | --- | --- | ---: |');
+            report.misrecognized.forEach(result => {
+                lines.push(`| ${result.id} | ${result.label} | ${result.predicted || '?'} | ${result.score.toFixed(3)} |`);
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
@@ -208,6 +208,17 @@ describe('ブラウザ互換性テスト', () => {
         });
     });
 
+    describe('Web Worker対応テスト', () => {
+        test('Web Worker未対応時の処理', () => {
+            delete window.workersDisabled;
+
+            errorHandler.disableWorkerFeatures();
+
+            expect(window.workersDisabled).toBe(true);
+            delete window.workersDisabled;
+        });
+    });
+
     describe('レスポンシブ対応テスト', () => {
         test('画面サイズ検出', () => {
             // 画面サイズの取得
@@ -0,0 +1,107 @@
+// BrushRenderer（ペンの描画）のテスト
+import { BrushRenderer } from '../js/services/BrushRenderer.js';
+
+describe('BrushRenderer', () => {
+    let renderer;
+    let ctx;
+
+    // 10ミリ秒ごとに一定の間隔で進む横線
+    const createStroke = (spacing, options = {}) => Array.from({ length: 6 }, (_, i) => ({
+        x: 100 + i * spacing,
+        y: 100,
+        timestamp: 1000 + i * 10,
+        ...options
+    }));
+
+    beforeEach(() => {
+        renderer = new BrushRenderer();
+        ctx = {
+            beginPath: jest.fn(),
+            moveTo: jest.fn(),
+            lineTo: jest.fn(),
+            stroke: jest.fn()
+        };
+    });
+
+    test('筆は速く書くほど細くなる', () => {
+        renderer.setPenStyle('brush');
+
+        const slow = renderer.getStrokeWidths(createStroke(1));
+        const fast = renderer.getStrokeWidths(createStroke(20));
+
+        expect(fast[5]).toBeLessThan(slow[5]);
+        expect(fast[5]).toBeGreaterThanOrEqual(renderer.penStyles.brush.width * renderer.penStyles.brush.minScale);
+    });
+
+    test('筆圧はペン入力のときだけ太さに使う', () => {
+        renderer.setPenStyle('brush');
+
+        const strongPen = renderer.getStrokeWidths(createStroke(1, { pointerType: 'pen', pressure: 0.9 }));
+        const lightPen = renderer.getStrokeWidths(createStroke(1, { pointerType: 'pen', pressure: 0.1 }));
+        const touch = renderer.getStrokeWidths(createStroke(1, { pointerType: 'touch', pressure: 0.9 }));
+        const mouse = renderer.getStrokeWidths(createStroke(1));
+
+        expect(strongPen[5]).toBeGreaterThan(lightPen[5]);
+        expect(touch).toEqual(mouse);
+    });
+
+    test('マーカーは太さが変わらない', () => {
+        renderer.setPenStyle('marker');
+
+        const widths = renderer.getStrokeWidths(createStroke(20, { pointerType: 'pen', pressure: 1 }));
+
+        expect(new Set(widths)).toEqual(new Set([renderer.penStyles.marker.width]));
+    });
+
+    test('曲線は点と点の間を細かくつなぎ、記録した点ちょうどで終わる', () => {
+        const points = renderer.getCurvePoints({ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 30, y: 10 }, { x: 30, y: 10 });
+
+        expect(points.length).toBeGreaterThan(1);
+        expect(points[points.length - 1]).toEqual({ x: 30, y: 10 });
+        points.slice(0, -1).forEach(point => {
+            expect(point.x).toBeGreaterThan(10);
+            expect(point.x).toBeLessThan(30);
+        });
+    });
+
+    test('1画を区間ごとに描き、描いても点は変わらない', () => {
+        const stroke = createStroke(10);
+        const original = JSON.parse(JSON.stringify(stroke));
+
+        renderer.drawStroke(ctx, stroke);
+
+        expect(ctx.stroke).toHaveBeenCalledTimes(5);
+        expect(ctx.moveTo).toHaveBeenCalledWith(100, 100);
+        expect(ctx.lineTo).toHaveBeenLastCalledWith(150, 100);
+        expect(stroke).toEqual(original);
+    });
+
+    test('区間のつなぎ目で線の向きが折れない', () => {
+        // 区間ごとの点（moveTo / lineTo）を記録する
+        const segments = [];
+        ctx.beginPath.mockImplementation(() => segments.push([]));
+        ctx.moveTo.mockImplementation((x, y) => segments[segments.length - 1].push({ x, y }));
+        ctx.lineTo.mockImplementation((x, y) => segments[segments.length - 1].push({ x, y }));
+        const direction = (from, to) => Math.atan2(to.y - from.y, to.x - from.x);
+
+        renderer.drawStroke(ctx, [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 80, y: 40 }, { x: 80, y: 80 }]);
+
+        const [first, second] = segments;
+        const arriving = direction(first[first.length - 2], first[first.length - 1]);
+        const leaving = direction(second[0], second[1]);
+        expect(Math.abs(arriving - leaving)).toBeLessThan(0.25);
+    });
+
+    test('点を打っただけの線は丸い点として描く', () => {
+        renderer.drawStroke(ctx, [{ x: 50, y: 60 }]);
+
+        expect(ctx.moveTo).toHaveBeenCalledWith(50, 60);
+        expect(ctx.lineTo).toHaveBeenCalledWith(50, 60);
+        expect(ctx.stroke).toHaveBeenCalledTimes(1);
+    });
+
+    test('不明なペンの種類は設定されない', () => {
+        expect(renderer.setPenStyle('crayon')).toBe(false);
+        expect(renderer.getPenStyle()).toBe('pencil');
+    });
+});
@@ -334,6 +334,35 @@ describe('DataStorageService', () => {
         });
     });
 
+    describe('設定', () => {
+        test('未保存の場合は既定値が返される', () => {
+            expect(dataStorageService.getSettings()).toEqual({ scoringProfile: 'standard', recognizerEngine: 'heuristic', learnerProfile: 'default', palmRejection: true, guideGrid: 'cross', penStyle: 'pencil' });
+        });
+
+        test('設定が更新されて保存される', () => {
+            const updated = dataStorageService.updateSettings({ scoringProfile: 'toddler' });
+
+            expect(updated.scoringProfile).toBe('toddler');
+            expect(dataStorageService.getSettings().scoringProfile).toBe('toddler');
+        });
+    });
+
+    describe('個人用の手本', () => {
+        const sample = [[{ x: 0.1, y: 0.2 }, { x: 0.9, y: 0.2 }]];
+
+        test('未保存の学習者は空のオブジェクトが返される', () => {
+            expect(dataStorageService.getAdaptiveTemplates('default')).toEqual({});
+        });
+
+        test('学習者ごとに分けて保存される', () => {
+            expect(dataStorageService.saveAdaptiveTemplates('default', { 'こ': [sample] })).toBe(true);
+            dataStorageService.saveAdaptiveTemplates('sibling', { 'し': [sample, sample] });
+
+            expect(dataStorageService.getAdaptiveTemplates('default')).toEqual({ 'こ': [sample] });
+            expect(dataStorageService.getAdaptiveTemplates('sibling')['し']).toHaveLength(2);
+        });
+    });
+
     describe('データ圧縮', () => {
         test('セッションデータが圧縮される', () => {
             // 大きな描画データを持つセッションを作成
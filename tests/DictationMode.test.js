@@ -0,0 +1,115 @@
+// 聞き書き（読み上げを聞いて、文字を見ずに書く）のテスト
+import { SpeechService } from '../js/services/SpeechService.js';
+import { CharacterProgress } from '../js/models/CharacterProgress.js';
+import { HiraganaDataService } from '../js/services/HiraganaDataService.js';
+
+// CharacterDisplayComponentはCommonJSでもエクスポートしているためrequireで読み込む
+const CharacterDisplayComponent = require('../js/components/CharacterDisplayComponent.js');
+
+describe('SpeechService', () => {
+    let synthesis;
+
+    beforeEach(() => {
+        global.SpeechSynthesisUtterance = jest.fn(function (text) {
+            this.text = text;
+        });
+        synthesis = {
+            speak: jest.fn(utterance => utterance.onend()),
+            cancel: jest.fn(),
+            getVoices: jest.fn(() => [{ lang: 'en-US' }, { lang: 'ja-JP', name: 'Kyoko' }])
+        };
+    });
+
+    afterEach(() => {
+        delete global.SpeechSynthesisUtterance;
+    });
+
+    test('日本語の声で、ゆっくり読み上げる', async () => {
+        const service = new SpeechService(synthesis);
+
+        await expect(service.speak('あ')).resolves.toBe(true);
+
+        const utterance = synthesis.speak.mock.calls[0][0];
+        expect(synthesis.cancel).toHaveBeenCalled();
+        expect(utterance).toMatchObject({ text: 'あ', lang: 'ja-JP', rate: 0.8 });
+        expect(utterance.voice.name).toBe('Kyoko');
+    });
+
+    test('読み上げに対応していない環境では何もしない', async () => {
+        delete global.SpeechSynthesisUtterance;
+        const service = new SpeechService(synthesis);
+
+        expect(service.isSupported()).toBe(false);
+        await expect(service.speak('あ')).resolves.toBe(false);
+        expect(synthesis.speak).not.toHaveBeenCalled();
+    });
+});
+
+describe('CharacterDisplayComponent 文字を隠す', () => {
+    let component;
+    let speechService;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="test-container">
+                <div class="character-display">
+                    <span id="test-character"></span>
+                </div>
+            </div>
+        `;
+
+        const hiraganaService = new HiraganaDataService();
+        speechService = { speak: jest.fn(() => Promise.resolve(true)) };
+        component = new CharacterDisplayComponent({
+            getHiraganaDataService: () => hiraganaService,
+            speechService
+        });
+        component.init('test-container', 'test-character', false);
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    test('文字を隠すと？を表示し、もういちど聞くボタンで読みを読み上げる', () => {
+        component.setHidden(true);
+
+        const display = document.getElementById('test-character');
+        expect(display.textContent).toBe('？');
+        expect(display.classList.contains('hidden-character')).toBe(true);
+
+        document.getElementById('replay-sound-btn').click();
+        expect(speechService.speak).toHaveBeenCalledWith('あ');
+    });
+
+    test('隠すのをやめると文字を表示し、ボタンを消す', () => {
+        component.setHidden(true);
+        component.showCharacter('う');
+        expect(document.querySelectorAll('#replay-sound-btn')).toHaveLength(1);
+
+        component.setHidden(false);
+
+        expect(document.getElementById('test-character').textContent).toBe('う');
+        expect(document.getElementById('replay-sound-btn')).toBeNull();
+    });
+});
+
+describe('CharacterProgress 聞き書きの成績', () => {
+    test('聞き書きの試行は手本を見て書いた試行と分けて数える', () => {
+        const progress = new CharacterProgress('あ');
+        progress.addAttempt(0.8, 1000, { practiceMode: 'random' });
+        progress.addAttempt(0.7, 2000, { practiceMode: 'dictation', recalled: false });
+        progress.addAttempt(0.9, 3000, { practiceMode: 'dictation', recalled: true });
+
+        const statistics = progress.getStatistics();
+        expect(statistics.copyAttemptCount).toBe(1);
+        expect(statistics.recall).toEqual({
+            attemptCount: 2,
+            recalledCount: 1,
+            recallRate: 0.5,
+            averageScore: 0.8,
+            lastRecalled: true
+        });
+        expect(new CharacterProgress('い').getRecallStatistics()).toBeNull();
+    });
+});
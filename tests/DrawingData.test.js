@@ -189,6 +189,35 @@ describe('DrawingData', () => {
             expect(drawingData.metadata.totalStrokes).toBe(0);
             expect(drawingData.isEmpty()).toBe(true);
         });
+
+        test('除外した入力の件数もクリアされる', () => {
+            drawingData.metadata.rejectedInputs = { palm: 2, touchWhilePen: 1, multiTouch: 3 };
+
+            drawingData.clear();
+
+            expect(drawingData.metadata.rejectedInputs).toEqual({ palm: 0, touchWhilePen: 0, multiTouch: 0 });
+        });
+    });
+
+    describe('入力情報', () => {
+        test('入力の種類と筆圧の有無がメタデータに記録される', () => {
+            drawingData.addStroke([
+                { x: 100, y: 100, timestamp: 1, pressure: 0.2, tiltX: 0, tiltY: 0, pointerType: 'pen' },
+                { x: 110, y: 110, timestamp: 2, pressure: 0.6, tiltX: 0, tiltY: 0, pointerType: 'pen' }
+            ]);
+            drawingData.addStroke([{ x: 120, y: 120, timestamp: 3 }]);
+
+            expect(drawingData.metadata.pointerTypes).toEqual(['pen']);
+            expect(drawingData.metadata.hasPressure).toBe(true);
+            expect(drawingData.getPressureStats()).toEqual({ min: 0.2, max: 0.6, average: 0.4 });
+        });
+
+        test('筆圧がない場合は統計を返さない', () => {
+            drawingData.addStroke([{ x: 100, y: 100, timestamp: 1 }]);
+
+            expect(drawingData.metadata.hasPressure).toBe(false);
+            expect(drawingData.getPressureStats()).toBeNull();
+        });
     });
 
     describe('シリアライゼーション', () => {
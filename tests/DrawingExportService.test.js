@@ -0,0 +1,216 @@
+// DrawingExportService（描画の書き出し）のテスト
+import { DrawingExportService } from '../js/services/DrawingExportService.js';
+import { StrokeReplayPlayer } from '../js/components/StrokeReplayPlayer.js';
+import { CharacterProgress } from '../js/models/CharacterProgress.js';
+import { ProgressViewComponent } from '../js/components/ProgressViewComponent.js';
+
+// 2画の描画（十）
+const createDrawing = () => ({
+    strokes: [
+        [{ x: 100, y: 100, timestamp: 1000 }, { x: 200.04, y: 100, timestamp: 1100 }, { x: 300, y: 100, timestamp: 1200 }],
+        [{ x: 200, y: 50, timestamp: 2000 }, { x: 200, y: 350, timestamp: 2300 }]
+    ],
+    canvasSize: { width: 400, height: 400 },
+    timestamp: new Date('2024-05-01T10:00:00Z').getTime()
+});
+
+const parseSVG = svg => new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+describe('DrawingExportService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new DrawingExportService();
+    });
+
+    test('1画ごとに書いた順番と時間つきのpathを持つSVGを作る', () => {
+        const doc = parseSVG(service.toSVG(createDrawing(), { character: '十' }));
+        const svg = doc.documentElement;
+        const paths = doc.querySelectorAll('g.strokes path');
+
+        expect(svg.getAttribute('viewBox')).toBe('0 0 400 400');
+        expect(svg.getAttribute('data-character')).toBe('十');
+        expect(svg.getAttribute('data-stroke-count')).toBe('2');
+        expect(paths).toHaveLength(2);
+        expect(paths[0].getAttribute('d')).toBe('M100 100 L200 100 L300 100');
+        expect(paths[1].getAttribute('data-stroke-order')).toBe('2');
+        expect(paths[1].getAttribute('data-start-time')).toBe('1000');
+        expect(paths[1].getAttribute('data-duration')).toBe('300');
+        expect(JSON.parse(doc.querySelector('metadata').textContent)).toEqual({
+            character: '十',
+            strokeCount: 2,
+            canvasSize: { width: 400, height: 400 },
+            createdAt: '2024-05-01T10:00:00.000Z'
+        });
+    });
+
+    test('画の番号を付けられ、文字はエスケープする', () => {
+        const doc = parseSVG(service.toSVG(createDrawing(), { character: '<&>', strokeNumbers: true }));
+
+        expect(doc.querySelector('parsererror')).toBeNull();
+        expect(doc.documentElement.getAttribute('data-character')).toBe('<&>');
+        expect(Array.from(doc.querySelectorAll('.stroke-numbers text')).map(text => text.textContent)).toEqual(['1', '2']);
+    });
+
+    test('線がなければ書き出さない', async () => {
+        expect(service.toSVG({ strokes: [] })).toBeNull();
+        expect(service.toSVGSheet([{ character: 'あ', drawingData: null }])).toBeNull();
+        await expect(service.toPNGBlob({ strokes: [[]] })).resolves.toBeNull();
+    });
+
+    test('PNGは白い背景に、選んだペンで倍の解像度で描く', async () => {
+        const ctx = {
+            fillRect: jest.fn(),
+            setTransform: jest.fn(),
+            beginPath: jest.fn(),
+            moveTo: jest.fn(),
+            lineTo: jest.fn(),
+            stroke: jest.fn()
+        };
+        const blob = new Blob(['png'], { type: 'image/png' });
+        let canvas;
+        HTMLCanvasElement.prototype.getContext.mockImplementation(function () {
+            canvas = this;
+            return ctx;
+        });
+        HTMLCanvasElement.prototype.toBlob = jest.fn(callback => callback(blob));
+
+        try {
+            await expect(service.toPNGBlob(createDrawing(), { penStyle: 'brush' })).resolves.toBe(blob);
+        } finally {
+            delete HTMLCanvasElement.prototype.toBlob;
+        }
+
+        expect(canvas.width).toBe(800);
+        expect(ctx.fillRect).toHaveBeenCalledWith(0, 0, 800, 800);
+        expect(ctx.setTransform).toHaveBeenCalledWith(2, 0, 0, 2, 0, 0);
+        expect(ctx.strokeStyle).toBe('#111');
+        expect(ctx.stroke).toHaveBeenCalledTimes(3);
+    });
+
+    test('保存した再生データからも書き出せる', () => {
+        const drawing = service.fromRecording(StrokeReplayPlayer.createRecording(createDrawing()));
+
+        expect(drawing.strokes[1]).toEqual([{ x: 200, y: 50, timestamp: 1000 }, { x: 200, y: 350, timestamp: 1300 }]);
+        expect(service.fromRecording(null)).toBeNull();
+    });
+
+    test('何文字かを並べた印刷用のSVGを作る', () => {
+        const doc = parseSVG(service.toSVGSheet([
+            { character: 'あ', drawingData: createDrawing(), caption: 'あ（90%）' },
+            { character: 'い', drawingData: { strokes: [] } },
+            { character: 'う', drawingData: createDrawing() }
+        ]));
+
+        const cells = doc.querySelectorAll('.sheet-cell');
+        expect(cells).toHaveLength(2);
+        expect(cells[0].querySelector('text').textContent).toBe('あ（90%）');
+        expect(cells[1].getAttribute('data-character')).toBe('う');
+        expect(doc.documentElement.getAttribute('width')).toBe('320');
+    });
+
+    test('文書に置いたリンクでダウンロードし、URLはしばらくしてから取り消す', () => {
+        jest.useFakeTimers();
+        URL.createObjectURL = jest.fn(() => 'blob:drawing');
+        URL.revokeObjectURL = jest.fn();
+        let attached = false;
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            attached = document.body.contains(this);
+        });
+
+        try {
+            service.download(new Blob(['svg'], { type: 'image/svg+xml' }), 'hiragana-あ-2024-05-01.svg');
+
+            expect(attached).toBe(true);
+            expect(document.querySelector('a[download]')).toBeNull();
+            jest.advanceTimersByTime(1000);
+            expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+            jest.advanceTimersByTime(service.revokeDelay);
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:drawing');
+        } finally {
+            clickSpy.mockRestore();
+            delete URL.createObjectURL;
+            delete URL.revokeObjectURL;
+            jest.useRealTimers();
+        }
+    });
+
+    test('ファイル名に文字と日付を入れる', () => {
+        expect(service.createFileName('あ', 'png', createDrawing().timestamp)).toBe('hiragana-あ-2024-05-01.png');
+    });
+});
+
+describe('CharacterProgress 一番よく書けた試行', () => {
+    test('一番スコアの高い試行の再生データは古くても残す', () => {
+        const progress = new CharacterProgress('あ');
+        const replay = StrokeReplayPlayer.createRecording(createDrawing());
+
+        progress.addAttempt(0.95, 1000, { replay });
+        for (let i = 1; i < 7; i++) {
+            progress.addAttempt(0.6, 1000 + i, { replay });
+        }
+
+        expect(progress.getBestReplayAttempt().timestamp).toBe(1000);
+        expect(progress.attempts[0].details.replay).toBe(replay);
+        expect(progress.attempts[1].details).toEqual({});
+    });
+});
+
+describe('ProgressViewComponent 書いた字の書き出し', () => {
+    let component;
+    let progressService;
+    let exportService;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="progress-view" class="screen"></div>';
+
+        const progress = new CharacterProgress('あ');
+        progress.addAttempt(0.9, 1000, { replay: StrokeReplayPlayer.createRecording(createDrawing()) });
+
+        progressService = {
+            exportData: jest.fn(() => ({ version: '1.0' })),
+            getBestDrawings: jest.fn(() => [{
+                character: 'あ',
+                score: 0.9,
+                timestamp: 1000,
+                replay: progress.getBestReplayAttempt().details.replay
+            }]),
+            getOverallProgress: jest.fn(() => ({})),
+            getProgressByDifficulty: jest.fn(() => ({})),
+            getRecentlyPracticedCharacters: jest.fn(() => [])
+        };
+        exportService = new DrawingExportService();
+        exportService.download = jest.fn();
+
+        component = new ProgressViewComponent({
+            getProgressTrackingService: () => progressService,
+            getHiraganaDataService: () => ({ getAllCharacters: () => [] }),
+            showMainMenu: jest.fn(),
+            drawingExportService: exportService
+        });
+        component.init();
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    test('進捗のエクスポートに一番よく書けた字のSVGを入れる', () => {
+        const exportData = component.createBestDrawingsExport(progressService);
+
+        expect(Object.keys(exportData)).toEqual(['あ']);
+        expect(exportData['あ']).toMatchObject({ score: 0.9, timestamp: 1000 });
+        expect(parseSVG(exportData['あ'].svg).querySelectorAll('path')).toHaveLength(2);
+    });
+
+    test('上手に書けた字を並べたSVGを保存する', () => {
+        const sheetSpy = jest.spyOn(exportService, 'toSVGSheet');
+        component.switchView('overview');
+        document.getElementById('export-drawings-btn').click();
+
+        const [blob, fileName] = exportService.download.mock.calls[0];
+        expect(blob.type).toBe('image/svg+xml');
+        expect(fileName).toMatch(/^hiragana-best-\d{4}-\d{2}-\d{2}\.svg$/);
+        expect(sheetSpy.mock.results[0].value).toContain('あ（90%）');
+    });
+});
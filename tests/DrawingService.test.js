@@ -129,8 +129,14 @@ describe('DrawingService', () => {
             drawingService.addPoint(120, 170);
 
             expect(drawingService.currentStroke).toHaveLength(3);
+            // 区間は次の点が来てから1区間遅れで描く
             expect(mockContext.lineTo).toHaveBeenCalledWith(110, 160);
-            expect(mockContext.lineTo).toHaveBeenCalledWith(120, 170);
+            expect(mockContext.lineTo).not.toHaveBeenCalledWith(120, 170);
+            expect(mockContext.stroke).toHaveBeenCalledTimes(1);
+
+            // 書き終えたら最後の区間を描く
+            drawingService.endDrawing();
+            expect(mockContext.lineTo).toHaveBeenLastCalledWith(120, 170);
             expect(mockContext.stroke).toHaveBeenCalledTimes(2);
         });
 
@@ -260,6 +266,445 @@ describe('DrawingService', () => {
             expect(drawingData1).not.toBe(drawingData2);
             expect(drawingData1.strokes).not.toBe(drawingData2.strokes);
         });
+
+        test('文字枠の大きさが含まれる', () => {
+            drawingService.startDrawing(100, 150);
+            drawingService.endDrawing();
+
+            expect(drawingService.getDrawingData().canvasSize).toEqual({ width: 400, height: 400 });
+        });
+    });
+
+    describe('Pointer Events', () => {
+        let handlers;
+
+        const pointerEvent = (overrides = {}) => ({
+            pointerId: 1,
+            isPrimary: true,
+            clientX: 100,
+            clientY: 150,
+            pressure: 0.4,
+            tiltX: 10,
+            tiltY: -5,
+            pointerType: 'pen',
+            timeStamp: 1000,
+            preventDefault: jest.fn(),
+            ...overrides
+        });
+
+        beforeEach(() => {
+            window.PointerEvent = function PointerEvent() {};
+            mockCanvas.setPointerCapture = jest.fn();
+            drawingService.initCanvas(mockCanvas);
+            handlers = Object.fromEntries(mockCanvas.addEventListener.mock.calls);
+        });
+
+        afterEach(() => {
+            delete window.PointerEvent;
+        });
+
+        test('ポインターイベントのリスナーが設定される', () => {
+            expect(Object.keys(handlers)).toEqual(['pointerdown', 'pointermove', 'pointerup', 'pointercancel']);
+        });
+
+        test('筆圧・傾き・入力の種類が点ごとに記録される', () => {
+            handlers.pointerdown(pointerEvent());
+            handlers.pointerup(pointerEvent());
+
+            const point = drawingService.getDrawingData().strokes[0][0];
+            expect(point).toEqual({
+                x: 100,
+                y: 150,
+                timestamp: performance.timeOrigin + 1000,
+                pressure: 0.4,
+                tiltX: 10,
+                tiltY: -5,
+                pointerType: 'pen'
+            });
+            expect(mockCanvas.setPointerCapture).toHaveBeenCalledWith(1);
+        });
+
+        test('まとめられた中間点もすべて記録される', () => {
+            handlers.pointerdown(pointerEvent());
+            handlers.pointermove(pointerEvent({
+                clientX: 130,
+                getCoalescedEvents: () => [
+                    pointerEvent({ clientX: 110, timeStamp: 1004, pressure: 0.5 }),
+                    pointerEvent({ clientX: 120, timeStamp: 1008, pressure: 0.6 }),
+                    pointerEvent({ clientX: 130, timeStamp: 1012, pressure: 0.7 })
+                ]
+            }));
+            handlers.pointermove(pointerEvent({ clientX: 140, timeStamp: 1016 }));
+            handlers.pointerup(pointerEvent());
+
+            const stroke = drawingService.getDrawingData().strokes[0];
+            expect(stroke.map(point => point.x)).toEqual([100, 110, 120, 130, 140]);
+            expect(stroke.map(point => point.pressure)).toEqual([0.4, 0.5, 0.6, 0.7, 0.4]);
+            expect(stroke[3].timestamp - stroke[1].timestamp).toBe(8);
+        });
+
+        test('2本目の指や別のポインターの動きは無視される', () => {
+            handlers.pointerdown(pointerEvent({ pointerType: 'touch' }));
+            handlers.pointerdown(pointerEvent({ pointerId: 2, isPrimary: false, pointerType: 'touch', clientX: 300, timeStamp: 1500 }));
+            handlers.pointermove(pointerEvent({ pointerId: 2, pointerType: 'touch', clientX: 310 }));
+            handlers.pointerup(pointerEvent({ pointerId: 2 }));
+
+            expect(drawingService.isDrawing).toBe(true);
+
+            handlers.pointercancel(pointerEvent());
+
+            expect(drawingService.isDrawing).toBe(false);
+            expect(drawingService.getDrawingData().strokes).toEqual([[expect.objectContaining({ x: 100, pointerType: 'touch' })]]);
+        });
+
+        test('筆圧などがない環境でも既定値で記録される', () => {
+            handlers.pointerdown({ pointerId: 1, isPrimary: true, clientX: 100, clientY: 150, preventDefault: jest.fn() });
+
+            expect(drawingService.currentStroke[0]).toMatchObject({ pressure: 0.5, tiltX: 0, tiltY: 0, pointerType: 'mouse' });
+        });
+
+        describe('パームリジェクション', () => {
+            test('接触面の大きいタッチは手のひらとして除外される', () => {
+                handlers.pointerdown(pointerEvent({ pointerType: 'touch', width: 60, height: 45 }));
+
+                expect(drawingService.isDrawing).toBe(false);
+                expect(drawingService.getDrawingData().metadata.rejectedInputs.palm).toBe(1);
+            });
+
+            test('書いている途中に手のひらが乗ったら線を取り消す', () => {
+                handlers.pointerdown(pointerEvent({ pointerType: 'touch', width: 10, height: 10 }));
+                handlers.pointermove(pointerEvent({ pointerType: 'touch', clientX: 120, width: 50, height: 50 }));
+
+                expect(drawingService.isDrawing).toBe(false);
+                expect(drawingService.currentStroke).toEqual([]);
+                expect(mockContext.clearRect).toHaveBeenCalled();
+                expect(drawingService.getDrawingData().metadata.rejectedInputs.palm).toBe(1);
+            });
+
+            test('ペンで書いている間と直後のタッチは除外される', () => {
+                handlers.pointerdown(pointerEvent({ pointerType: 'pen' }));
+                handlers.pointerdown(pointerEvent({ pointerId: 2, pointerType: 'touch', clientX: 300 }));
+                handlers.pointerup(pointerEvent({ pointerType: 'pen' }));
+                handlers.pointerdown(pointerEvent({ pointerId: 3, pointerType: 'touch', clientX: 300 }));
+
+                const data = drawingService.getDrawingData();
+                expect(data.strokes).toHaveLength(1);
+                expect(data.strokes[0][0].pointerType).toBe('pen');
+                expect(data.metadata.rejectedInputs.touchWhilePen).toBe(2);
+            });
+
+            test('タッチで書いている途中にペンが触れたらペンを優先する', () => {
+                handlers.pointerdown(pointerEvent({ pointerType: 'touch' }));
+                handlers.pointermove(pointerEvent({ pointerType: 'touch', clientX: 120 }));
+                handlers.pointerdown(pointerEvent({ pointerId: 2, pointerType: 'pen', clientX: 200 }));
+                handlers.pointerup(pointerEvent({ pointerId: 2, pointerType: 'pen' }));
+
+                const strokes = drawingService.getDrawingData().strokes;
+                expect(strokes).toHaveLength(1);
+                expect(strokes[0][0]).toMatchObject({ x: 200, pointerType: 'pen' });
+            });
+
+            test('書き始めと同時に触れた指があれば書き始めの線も取り消す', () => {
+                handlers.pointerdown(pointerEvent({ pointerType: 'touch' }));
+                handlers.pointerdown(pointerEvent({ pointerId: 2, isPrimary: false, pointerType: 'touch', timeStamp: 1050 }));
+
+                expect(drawingService.isDrawing).toBe(false);
+                expect(drawingService.getDrawingData().metadata.rejectedInputs.multiTouch).toBe(1);
+            });
+
+            test('無効にすると接触面の大きいタッチも描画に使う', () => {
+                drawingService.setPalmRejection(false);
+                handlers.pointerdown(pointerEvent({ pointerType: 'touch', width: 60, height: 60 }));
+
+                expect(drawingService.isDrawing).toBe(true);
+                expect(drawingService.getDrawingData().metadata).toMatchObject({
+                    palmRejection: false,
+                    rejectedInputs: { palm: 0, touchWhilePen: 0, multiTouch: 0 }
+                });
+            });
+
+            test('キャンバスをクリアすると除外件数もリセットされる', () => {
+                handlers.pointerdown(pointerEvent({ pointerType: 'touch', width: 60, height: 60 }));
+                drawingService.clearCanvas();
+
+                expect(drawingService.getDrawingData().metadata.rejectedInputs.palm).toBe(0);
+            });
+        });
+    });
+
+    describe('タッチイベントでのパームリジェクション', () => {
+        let handlers;
+
+        const touchEvent = (touches) => ({ touches, timeStamp: 1000, preventDefault: jest.fn() });
+
+        beforeEach(() => {
+            drawingService.initCanvas(mockCanvas);
+            handlers = Object.fromEntries(mockCanvas.addEventListener.mock.calls);
+        });
+
+        test('複数の指や接触面の大きいタッチは除外される', () => {
+            handlers.touchstart(touchEvent([{ clientX: 100, clientY: 100 }, { clientX: 200, clientY: 200 }]));
+            handlers.touchstart(touchEvent([{ clientX: 100, clientY: 100, radiusX: 25, radiusY: 20 }]));
+
+            expect(drawingService.isDrawing).toBe(false);
+            expect(drawingService.getDrawingData().metadata.rejectedInputs).toEqual({ palm: 1, touchWhilePen: 0, multiTouch: 1 });
+        });
+
+        test('1本の指では描画される', () => {
+            handlers.touchstart(touchEvent([{ clientX: 100, clientY: 100, radiusX: 5, radiusY: 5 }]));
+
+            expect(drawingService.isDrawing).toBe(true);
+        });
+    });
+
+    describe('取り消し・やり直し', () => {
+        const drawStroke = (x) => {
+            drawingService.startDrawing(x, 100);
+            drawingService.addPoint(x, 200);
+            drawingService.endDrawing();
+        };
+
+        beforeEach(() => {
+            drawingService.initCanvas(mockCanvas);
+        });
+
+        test('最後の1画を取り消して残りの線を描き直す', () => {
+            drawStroke(100);
+            drawStroke(200);
+            mockContext.moveTo.mockClear();
+
+            expect(drawingService.undo()).toBe(true);
+
+            expect(drawingService.getDrawingData().strokes).toHaveLength(1);
+            expect(mockContext.clearRect).toHaveBeenCalledWith(0, 0, 400, 400);
+            expect(mockContext.moveTo).toHaveBeenCalledTimes(1);
+            expect(mockContext.moveTo).toHaveBeenCalledWith(100, 100);
+        });
+
+        test('取り消した線を元に戻せる', () => {
+            drawStroke(100);
+            drawStroke(200);
+            drawingService.undo();
+            drawingService.undo();
+
+            expect(drawingService.getDrawingData().timestamp).toBeNull();
+            expect(drawingService.redo()).toBe(true);
+            expect(drawingService.getDrawingData().strokes.map(stroke => stroke[0].x)).toEqual([100]);
+            expect(drawingService.redo()).toBe(true);
+            expect(drawingService.redo()).toBe(false);
+            expect(drawingService.getDrawingData().strokes.map(stroke => stroke[0].x)).toEqual([100, 200]);
+        });
+
+        test('新しく書くとやり直しはできなくなる', () => {
+            drawStroke(100);
+            drawingService.undo();
+            drawStroke(300);
+
+            expect(drawingService.canRedo()).toBe(false);
+            expect(drawingService.redo()).toBe(false);
+        });
+
+        test('書いている途中や線がない時は取り消さない', () => {
+            expect(drawingService.undo()).toBe(false);
+
+            drawStroke(100);
+            drawingService.startDrawing(200, 100);
+
+            expect(drawingService.undo()).toBe(false);
+        });
+
+        test('取り消し回数が描画データに記録され、クリアでリセットされる', () => {
+            drawStroke(100);
+            drawingService.undo();
+            drawingService.redo();
+            drawingService.undo();
+
+            expect(drawingService.getDrawingData().metadata).toMatchObject({ undoCount: 2, redoCount: 1 });
+
+            drawingService.clearCanvas();
+
+            expect(drawingService.getHistoryState()).toEqual({ canUndo: false, canRedo: false, undoCount: 0, redoCount: 0 });
+        });
+
+        test('状態が変わるたびに通知される', () => {
+            const onHistoryChange = jest.fn();
+            drawingService.onHistoryChange = onHistoryChange;
+
+            drawStroke(100);
+            expect(onHistoryChange).toHaveBeenLastCalledWith(expect.objectContaining({ canUndo: true, canRedo: false }));
+
+            drawingService.undo();
+            expect(onHistoryChange).toHaveBeenLastCalledWith(expect.objectContaining({ canUndo: false, canRedo: true, undoCount: 1 }));
+        });
+    });
+
+    describe('高解像度・サイズ変更', () => {
+        beforeEach(() => {
+            mockContext.setTransform = jest.fn();
+            mockCanvas.style = {};
+            drawingService.initCanvas(mockCanvas);
+        });
+
+        test('表示サイズ×devicePixelRatioの解像度にして、論理座標のまま描けるよう拡大する', () => {
+            expect(drawingService.resizeCanvas(300, 300, 2)).toBe(true);
+
+            expect(mockCanvas.width).toBe(600);
+            expect(mockCanvas.height).toBe(600);
+            expect(mockCanvas.style.width).toBe('300px');
+            expect(mockContext.setTransform).toHaveBeenLastCalledWith(1.5, 0, 0, 1.5, 0, 0);
+            // キャンバスの大きさを変えると初期化される線の描き方も設定しなおす
+            expect(mockContext.lineWidth).toBe(4);
+            expect(mockContext.strokeStyle).toBe('#333');
+        });
+
+        test('サイズを変えても描いた線を描画データから描き直す', () => {
+            drawingService.startDrawing(100, 100);
+            drawingService.addPoint(200, 200);
+            drawingService.endDrawing();
+            mockContext.moveTo.mockClear();
+            mockContext.lineTo.mockClear();
+
+            drawingService.resizeCanvas(200, 200, 3);
+
+            expect(mockContext.moveTo).toHaveBeenCalledWith(100, 100);
+            expect(mockContext.lineTo).toHaveBeenCalledWith(200, 200);
+        });
+
+        test('書いている途中にサイズが変わっても線が続く', () => {
+            drawingService.startDrawing(100, 100);
+            drawingService.addPoint(150, 150);
+            mockContext.moveTo.mockClear();
+
+            drawingService.resizeCanvas(300, 300, 2);
+            drawingService.addPoint(200, 200);
+            drawingService.endDrawing();
+
+            expect(mockContext.moveTo).toHaveBeenCalledWith(100, 100);
+            expect(drawingService.getDrawingData().strokes[0].map(point => [point.x, point.y]))
+                .toEqual([[100, 100], [150, 150], [200, 200]]);
+        });
+
+        test('記録する座標と文字枠の大きさは表示サイズや解像度によらない', () => {
+            drawingService.resizeCanvas(300, 300, 2);
+            mockCanvas.getBoundingClientRect.mockReturnValue({ left: 0, top: 0, width: 300, height: 300 });
+
+            expect(drawingService.normalizeCoordinates({ clientX: 150, clientY: 75 })).toEqual({ x: 200, y: 100 });
+            expect(drawingService.getCanvasSize()).toEqual({ width: 400, height: 400 });
+        });
+
+        test('補助線のキャンバスも同じ解像度にそろえる', () => {
+            const guideContext = { clearRect: jest.fn(), beginPath: jest.fn(), moveTo: jest.fn(), lineTo: jest.fn(), stroke: jest.fn(), setTransform: jest.fn() };
+            const guideCanvas = { getContext: jest.fn(() => guideContext), width: 400, height: 400, style: {} };
+            drawingService.initGuideCanvas(guideCanvas);
+
+            drawingService.resizeCanvas(300, 300, 2);
+
+            expect(guideCanvas.width).toBe(600);
+            expect(guideContext.setTransform).toHaveBeenLastCalledWith(1.5, 0, 0, 1.5, 0, 0);
+            // 十字線は論理座標の文字枠の中心に描く
+            expect(guideContext.moveTo).toHaveBeenCalledWith(200, 0);
+        });
+
+        test('大きさが0のときは変更しない', () => {
+            expect(drawingService.resizeCanvas(0, 0, 2)).toBe(false);
+            expect(mockCanvas.width).toBe(400);
+        });
+    });
+
+    describe('ペンの種類', () => {
+        beforeEach(() => {
+            drawingService.initCanvas(mockCanvas);
+        });
+
+        test('描く線はなめらかにしても、記録する点は入力のまま', () => {
+            drawingService.startDrawing(100, 100, { timestamp: 1000, pressure: 0.8, pointerType: 'pen' });
+            drawingService.addPoint(110, 120, { timestamp: 1010, pressure: 0.7, pointerType: 'pen' });
+            drawingService.addPoint(140, 125, { timestamp: 1020, pressure: 0.6, pointerType: 'pen' });
+            drawingService.endDrawing();
+
+            expect(drawingService.getDrawingData().strokes[0].map(({ x, y, pressure }) => [x, y, pressure]))
+                .toEqual([[100, 100, 0.8], [110, 120, 0.7], [140, 125, 0.6]]);
+            // 区間のあいだも細かくつないで描く
+            expect(mockContext.lineTo.mock.calls.length).toBeGreaterThan(2);
+        });
+
+        test('ペンを変えると描いた線をそのペンで描き直す', () => {
+            drawingService.startDrawing(100, 100);
+            drawingService.addPoint(100, 200);
+            drawingService.endDrawing();
+            mockContext.stroke.mockClear();
+
+            expect(drawingService.setPenStyle('marker')).toBe(true);
+
+            expect(drawingService.getPenStyle()).toBe('marker');
+            expect(mockContext.stroke).toHaveBeenCalledTimes(1);
+            expect(mockContext.lineWidth).toBe(7);
+        });
+
+        test('不明なペンの種類は設定されない', () => {
+            expect(drawingService.setPenStyle('crayon')).toBe(false);
+            expect(drawingService.getPenStyle()).toBe('pencil');
+        });
+    });
+
+    describe('補助線', () => {
+        let guideContext;
+        let guideCanvas;
+
+        beforeEach(() => {
+            guideContext = {
+                beginPath: jest.fn(),
+                moveTo: jest.fn(),
+                lineTo: jest.fn(),
+                stroke: jest.fn(),
+                clearRect: jest.fn(),
+                setLineDash: jest.fn()
+            };
+            guideCanvas = { getContext: jest.fn(() => guideContext), width: 400, height: 400 };
+            drawingService.initCanvas(mockCanvas);
+        });
+
+        test.each([
+            ['none', 0],
+            ['cross', 2],
+            ['fourSquare', 6],
+            ['eightWay', 8]
+        ])('%sの補助線は%i本', (type, count) => {
+            expect(drawingService.getGuideLines(type, 400, 400)).toHaveLength(count);
+        });
+
+        test('十字線は文字枠の中心を通る点線', () => {
+            expect(drawingService.getGuideLines('cross', 400, 300)).toEqual([
+                { x1: 200, y1: 0, x2: 200, y2: 300, dashed: true },
+                { x1: 0, y1: 150, x2: 400, y2: 150, dashed: true }
+            ]);
+        });
+
+        test('補助線は別のキャンバスに描かれ、描画用のキャンバスと描画データには入らない', () => {
+            drawingService.initGuideCanvas(guideCanvas);
+            guideContext.stroke.mockClear();
+            mockContext.stroke.mockClear();
+
+            drawingService.setGuideType('eightWay');
+
+            expect(guideContext.stroke).toHaveBeenCalledTimes(8);
+            expect(mockContext.stroke).not.toHaveBeenCalled();
+            expect(drawingService.getDrawingData().strokes).toEqual([]);
+        });
+
+        test('キャンバスを消しても補助線は残る', () => {
+            drawingService.initGuideCanvas(guideCanvas);
+            guideContext.clearRect.mockClear();
+
+            drawingService.clearCanvas();
+
+            expect(guideContext.clearRect).not.toHaveBeenCalled();
+        });
+
+        test('不明な種類は設定されない', () => {
+            expect(drawingService.setGuideType('hexagon')).toBe(false);
+            expect(drawingService.getGuideType()).toBe('cross');
+        });
     });
 
     describe('コールバック機能', () => {
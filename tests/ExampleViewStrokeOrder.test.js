@@ -0,0 +1,144 @@
+// 手本画面の書き順アニメーションのテスト
+import { ExampleViewComponent } from '../js/components/ExampleViewComponent.js';
+import { RecognitionService } from '../js/services/RecognitionService.js';
+
+// 文字表示はこのテストの対象外のため差し替える
+jest.mock('../js/components/CharacterDisplayComponent.js', () => ({
+    CharacterDisplayComponent: jest.fn(() => ({
+        init: jest.fn(),
+        showCharacter: jest.fn(),
+        refresh: jest.fn(),
+        getCurrentCharacter: jest.fn(() => ({ character: 'い', difficulty: 1 }))
+    }))
+}));
+
+describe('ExampleViewComponent 書き順アニメーション', () => {
+    let component;
+    let mockApp;
+    let ctx;
+
+    const click = (id) => document.getElementById(id).click();
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `
+            <div id="example-view" class="screen">
+                <div class="character-display" id="example-character-display">
+                    <div class="example-display">
+                        <span id="example-character">あ</span>
+                    </div>
+                </div>
+                <button id="back-to-practice-btn" class="control-button">練習に戻る</button>
+            </div>
+        `;
+
+        ctx = {
+            clearRect: jest.fn(),
+            beginPath: jest.fn(),
+            moveTo: jest.fn(),
+            lineTo: jest.fn(),
+            stroke: jest.fn(),
+            arc: jest.fn(),
+            fill: jest.fn(),
+            fillText: jest.fn()
+        };
+        HTMLCanvasElement.prototype.getContext.mockImplementation(() => ctx);
+
+        mockApp = {
+            getHiraganaDataService: jest.fn(),
+            backToPractice: jest.fn(),
+            recognitionService: new RecognitionService()
+        };
+        component = new ExampleViewComponent(mockApp);
+        component.init();
+    });
+
+    afterEach(() => {
+        component.pauseStrokeDemo();
+        jest.useRealTimers();
+        document.body.innerHTML = '';
+    });
+
+    test('手本を表示すると1画目から再生が始まる', () => {
+        component.showCharacterExample('い');
+
+        expect(document.querySelector('.example-display').classList.contains('stroke-demo-active')).toBe(true);
+        expect(component.getStrokeDemoState()).toEqual({
+            strokeCount: 2,
+            completedStrokes: 0,
+            currentStroke: 0,
+            playing: true,
+            finished: false
+        });
+        // 書きはじめた1画目にだけ番号付きの印を付ける
+        expect(ctx.fillText).toHaveBeenCalledTimes(1);
+        expect(ctx.fillText).toHaveBeenCalledWith('1', 0.25 * 300, 0.25 * 300);
+    });
+
+    test('時間がたつと画を順に書きおえる', () => {
+        component.showCharacterExample('い');
+        const [first, second] = component.strokeDemo.timeline;
+
+        component.advanceStrokeDemo(first.end + 1);
+        expect(component.getStrokeDemoState().completedStrokes).toBe(1);
+
+        component.advanceStrokeDemo(second.end);
+        expect(component.getStrokeDemoState()).toMatchObject({ completedStrokes: 2, playing: false, finished: true });
+        expect(document.getElementById('stroke-play-btn').textContent).toBe('▶ さいせい');
+    });
+
+    test('とめる・1画すすむ・もういちどで操作できる', () => {
+        component.showCharacterExample('い');
+
+        click('stroke-play-btn');
+        expect(component.getStrokeDemoState().playing).toBe(false);
+
+        click('stroke-step-btn');
+        expect(component.getStrokeDemoState()).toMatchObject({ completedStrokes: 1, playing: false });
+        click('stroke-step-btn');
+        expect(component.getStrokeDemoState().finished).toBe(true);
+
+        click('stroke-replay-btn');
+        expect(component.getStrokeDemoState()).toMatchObject({ completedStrokes: 0, playing: true });
+    });
+
+    test('速さを選ぶと進み方が変わる', () => {
+        component.showCharacterExample('い');
+        const firstEnd = component.strokeDemo.timeline[0].end;
+
+        const select = document.getElementById('stroke-speed-select');
+        select.value = 'fast';
+        select.dispatchEvent(new Event('change'));
+        component.advanceStrokeDemo(firstEnd / 2 + 1);
+
+        expect(component.strokeDemoSpeed).toBe('fast');
+        expect(component.getStrokeDemoState().completedStrokes).toBe(1);
+    });
+
+    test('アニメーションフレームごとに再生が進む', () => {
+        component.showCharacterExample('い');
+
+        jest.advanceTimersByTime(component.strokeDemo.totalDuration + 100);
+
+        expect(component.getStrokeDemoState().finished).toBe(true);
+    });
+
+    test('練習に戻ると再生を止める', () => {
+        component.showCharacterExample('い');
+
+        click('back-to-practice-btn');
+
+        expect(component.getStrokeDemoState().playing).toBe(false);
+        expect(mockApp.backToPractice).toHaveBeenCalled();
+    });
+
+    test('手本の線がなければ文字だけを表示する', () => {
+        delete mockApp.recognitionService;
+
+        component.showCharacterExample('い');
+
+        expect(component.getStrokeDemoState()).toBeNull();
+        expect(document.querySelector('.example-display').classList.contains('stroke-demo-active')).toBe(false);
+        expect(document.getElementById('example-character').textContent).toBe('い');
+    });
+});
@@ -190,8 +190,8 @@ describe('統合フローテスト', () => {
 
         test('認識エラーの処理', async () => {
             // 認識サービスでエラーを発生させる
-            const originalRecognize = app.recognitionService.recognizeCharacter;
-            app.recognitionService.recognizeCharacter = jest.fn(() => {
+            const originalRecognize = app.recognitionService.recognizeCharacterForChild;
+            app.recognitionService.recognizeCharacterForChild = jest.fn(() => {
                 throw new Error('認識エラー');
             });
 
@@ -206,7 +206,7 @@ describe('統合フローテスト', () => {
             await expect(app.submitDrawing()).resolves.not.toThrow();
 
             // 元の関数を復元
-            app.recognitionService.recognizeCharacter = originalRecognize;
+            app.recognitionService.recognizeCharacterForChild = originalRecognize;
         });
 
         test('ストレージエラーの処理', () => {
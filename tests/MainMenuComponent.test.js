@@ -109,6 +109,35 @@ describe('MainMenuComponent', () => {
             }, 250);
         });
 
+        test('なぞり書きボタンクリックでなぞり書きの練習が開始される', () => {
+            jest.useFakeTimers();
+            const tracingButton = container.querySelector('#tracing-practice-btn');
+
+            tracingButton.click();
+            jest.advanceTimersByTime(500);
+
+            expect(mockApp.startPractice).toHaveBeenCalledWith('tracing');
+            jest.useRealTimers();
+        });
+
+        test('ことばを書くボタンクリックでことばの練習が開始される', () => {
+            jest.useFakeTimers();
+            container.querySelector('#word-practice-btn').click();
+            jest.advanceTimersByTime(500);
+
+            expect(mockApp.startPractice).toHaveBeenCalledWith('word');
+            jest.useRealTimers();
+        });
+
+        test('きいて書くボタンクリックで聞き書きが開始される', () => {
+            jest.useFakeTimers();
+            container.querySelector('#dictation-practice-btn').click();
+            jest.advanceTimersByTime(500);
+
+            expect(mockApp.startPractice).toHaveBeenCalledWith('dictation');
+            jest.useRealTimers();
+        });
+
         test('ボタンクリック時に視覚的フィードバックが提供される', () => {
             const startButton = container.querySelector('#start-practice-btn');
             
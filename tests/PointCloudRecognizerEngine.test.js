@@ -0,0 +1,75 @@
+import { PointCloudRecognizerEngine } from '../js/services/PointCloudRecognizerEngine.js';
+import { RecognitionService } from '../js/services/RecognitionService.js';
+import { createTemplateDrawing } from './helpers/createTemplateDrawing.js';
+
+describe('PointCloudRecognizerEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new PointCloudRecognizerEngine(new RecognitionService());
+    });
+
+    test('手本どおりの描画を認識できる', async () => {
+        const result = await engine.recognize(createTemplateDrawing('あ'), 'あ');
+
+        expect(result.recognized).toBe(true);
+        expect(result.confidence).toBeGreaterThan(0.9);
+        expect(result.details.expectedStrokes).toBe(3);
+    });
+
+    test('筆順や運筆方向が違っても形が同じなら認識できる', async () => {
+        const drawing = createTemplateDrawing('け');
+        drawing.strokes = drawing.strokes.reverse().map(stroke => [...stroke].reverse());
+
+        const result = await engine.recognize(drawing, 'け');
+
+        expect(result.confidence).toBeGreaterThan(0.9);
+    });
+
+    test('大きさや位置が違っても同じ類似度になる', async () => {
+        const large = await engine.recognize(createTemplateDrawing('ぬ', 300), 'ぬ');
+        const drawing = createTemplateDrawing('ぬ', 100);
+        drawing.strokes = drawing.strokes.map(stroke => stroke.map(point => ({ ...point, x: point.x + 50 })));
+        const small = await engine.recognize(drawing, 'ぬ');
+
+        expect(small.confidence).toBeCloseTo(large.confidence, 5);
+    });
+
+    test('別の文字は目標の文字より低い類似度になる', async () => {
+        const result = await engine.recognize(createTemplateDrawing('こ'), 'そ');
+
+        expect(result.confidence).toBeLessThan(0.7);
+    });
+
+    test('全文字との候補順位を求められる', async () => {
+        const result = await engine.recognize(createTemplateDrawing('る'), 'ろ', { rankCandidates: true });
+        const ranking = result.details.candidateRanking;
+
+        expect(ranking.totalCandidates).toBe(46);
+        expect(ranking.best).toBe('る');
+        expect(ranking.candidates).toHaveLength(5);
+        expect(ranking.target.rank).toBeGreaterThan(1);
+        expect(ranking.lookalike).toBe('る');
+    });
+
+    test('描画がない場合は認識しない', async () => {
+        const result = await engine.recognize({ strokes: [] }, 'あ');
+
+        expect(result.recognized).toBe(false);
+        expect(result.confidence).toBe(0);
+    });
+
+    test('テンプレートがない文字はエラーになる', async () => {
+        await expect(engine.recognize(createTemplateDrawing('あ'), 'A')).rejects.toThrow('文字テンプレートが見つかりません');
+    });
+
+    test('1点だけの描画でも点群を作成できる', () => {
+        const cloud = engine.createPointCloud([[{ x: 10, y: 10 }]]);
+
+        expect(cloud).toHaveLength(engine.pointCount);
+        cloud.forEach(point => {
+            expect(point.x).toBe(0);
+            expect(point.y).toBe(0);
+        });
+    });
+});
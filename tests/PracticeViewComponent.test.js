@@ -0,0 +1,347 @@
+// PracticeViewComponentの取り消し・やり直し操作、補助線、なぞり書きの下絵のテスト
+import { PracticeViewComponent } from '../js/components/PracticeViewComponent.js';
+import { DrawingService } from '../js/services/DrawingService.js';
+import { RecognitionService } from '../js/services/RecognitionService.js';
+
+// 文字表示はこのテストの対象外のため差し替える
+jest.mock('../js/components/CharacterDisplayComponent.js', () => ({
+    CharacterDisplayComponent: jest.fn()
+}));
+
+describe('PracticeViewComponent', () => {
+    let component;
+    let mockApp;
+    let drawingService;
+
+    const drawStroke = (x) => {
+        drawingService.startDrawing(x, 100);
+        drawingService.addPoint(x, 200);
+        drawingService.endDrawing();
+    };
+
+    const pressKey = (key, options = {}) => {
+        const event = new KeyboardEvent('keydown', { key, ctrlKey: true, cancelable: true, ...options });
+        document.dispatchEvent(event);
+        return event;
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="practice-view" class="screen">
+                <canvas id="tracing-canvas" width="400" height="400" style="display: none;"></canvas>
+                <canvas id="drawing-canvas" width="400" height="400"></canvas>
+                <button id="undo-stroke-btn" disabled>もどす</button>
+                <button id="redo-stroke-btn" disabled>やりなおす</button>
+                <button id="guide-grid-btn">補助線</button>
+                <button id="pen-style-btn">ペン</button>
+                <button id="clear-canvas-btn">消す</button>
+            </div>
+        `;
+
+        drawingService = new DrawingService();
+        drawingService.initCanvas(document.getElementById('drawing-canvas'));
+        mockApp = {
+            currentScreen: 'practice-view',
+            drawingService
+        };
+
+        component = new PracticeViewComponent(mockApp);
+        component.setupEventListeners();
+    });
+
+    afterEach(() => {
+        // テストごとに登録したキーボードのリスナーが残らないよう無効化する
+        mockApp.currentScreen = null;
+        document.body.innerHTML = '';
+    });
+
+    describe('もどす・やりなおすボタン', () => {
+        test('書いた線があるともどすボタンが有効になる', () => {
+            drawStroke(100);
+
+            expect(document.getElementById('undo-stroke-btn').disabled).toBe(false);
+            expect(document.getElementById('redo-stroke-btn').disabled).toBe(true);
+        });
+
+        test('ボタンで1画ずつもどし、やりなおせる', () => {
+            drawStroke(100);
+            drawStroke(200);
+
+            document.getElementById('undo-stroke-btn').click();
+            expect(drawingService.getDrawingData().strokes).toHaveLength(1);
+            expect(document.getElementById('redo-stroke-btn').disabled).toBe(false);
+
+            document.getElementById('redo-stroke-btn').click();
+            expect(drawingService.getDrawingData().strokes).toHaveLength(2);
+            expect(document.getElementById('redo-stroke-btn').disabled).toBe(true);
+        });
+
+        test('消すと両方のボタンが無効になる', () => {
+            drawStroke(100);
+            drawingService.undo();
+
+            document.getElementById('clear-canvas-btn').click();
+
+            expect(document.getElementById('undo-stroke-btn').disabled).toBe(true);
+            expect(document.getElementById('redo-stroke-btn').disabled).toBe(true);
+        });
+    });
+
+    describe('キーボードショートカット', () => {
+        test('Ctrl+Zでもどし、Ctrl+Shift+ZとCtrl+Yでやりなおす', () => {
+            drawStroke(100);
+            drawStroke(200);
+
+            expect(pressKey('z').defaultPrevented).toBe(true);
+            pressKey('z');
+            expect(drawingService.getDrawingData().strokes).toHaveLength(0);
+
+            pressKey('Z', { shiftKey: true });
+            pressKey('y');
+            expect(drawingService.getDrawingData().strokes).toHaveLength(2);
+        });
+
+        test('練習画面以外やCtrlなしのキーでは何もしない', () => {
+            drawStroke(100);
+
+            pressKey('z', { ctrlKey: false });
+            mockApp.currentScreen = 'result-view';
+            pressKey('z');
+
+            expect(drawingService.getDrawingData().strokes).toHaveLength(1);
+        });
+    });
+
+    describe('画面のサイズ変更', () => {
+        test('回転やサイズ変更がおさまってからキャンバスを合わせ直す', () => {
+            jest.useFakeTimers();
+            const container = document.getElementById('practice-view');
+            Object.defineProperty(container, 'clientWidth', { value: 500, configurable: true });
+            Object.defineProperty(container, 'clientHeight', { value: 600, configurable: true });
+            const resizeSpy = jest.spyOn(drawingService, 'resizeCanvas');
+            component.canvas = document.getElementById('drawing-canvas');
+            component.tracingCanvas = document.getElementById('tracing-canvas');
+            component.setupResizeListener();
+
+            window.dispatchEvent(new Event('orientationchange'));
+            window.dispatchEvent(new Event('resize'));
+            jest.advanceTimersByTime(component.resizeDelay);
+
+            expect(resizeSpy).toHaveBeenCalledTimes(1);
+            expect(resizeSpy).toHaveBeenCalledWith(400, 400);
+            expect(document.getElementById('tracing-canvas').style.width).toBe('400px');
+            jest.useRealTimers();
+        });
+
+        test('画面が隠れていて大きさが分からないときはキャンバスを変えない', () => {
+            const resizeSpy = jest.spyOn(drawingService, 'resizeCanvas');
+            component.canvas = document.getElementById('drawing-canvas');
+
+            component.adjustCanvasSize();
+
+            expect(resizeSpy).not.toHaveBeenCalled();
+            expect(component.canvas.width).toBe(400);
+        });
+    });
+
+    describe('補助線', () => {
+        test('ボタンの表示は現在の補助線の種類になる', () => {
+            expect(document.getElementById('guide-grid-btn').textContent).toBe('補助線: 十字');
+        });
+
+        test('ボタンで補助線を切り替えて設定に保存する', () => {
+            mockApp.updateSettings = jest.fn(changes => drawingService.setGuideType(changes.guideGrid));
+
+            document.getElementById('guide-grid-btn').click();
+
+            expect(mockApp.updateSettings).toHaveBeenCalledWith({ guideGrid: 'fourSquare' });
+            expect(document.getElementById('guide-grid-btn').textContent).toBe('補助線: 田');
+
+            document.getElementById('guide-grid-btn').click();
+            document.getElementById('guide-grid-btn').click();
+            expect(mockApp.updateSettings).toHaveBeenLastCalledWith({ guideGrid: 'none' });
+            expect(document.getElementById('guide-grid-btn').textContent).toBe('補助線: なし');
+        });
+    });
+
+    describe('ペンの切り替え', () => {
+        test('ボタンでペンを切り替えて設定に保存する', () => {
+            mockApp.updateSettings = jest.fn(changes => drawingService.setPenStyle(changes.penStyle));
+            expect(document.getElementById('pen-style-btn').textContent).toBe('ペン: えんぴつ');
+
+            document.getElementById('pen-style-btn').click();
+            expect(mockApp.updateSettings).toHaveBeenCalledWith({ penStyle: 'marker' });
+            expect(document.getElementById('pen-style-btn').textContent).toBe('ペン: マーカー');
+
+            document.getElementById('pen-style-btn').click();
+            expect(document.getElementById('pen-style-btn').textContent).toBe('ペン: 筆');
+            document.getElementById('pen-style-btn').click();
+            expect(mockApp.updateSettings).toHaveBeenLastCalledWith({ penStyle: 'pencil' });
+        });
+    });
+
+    describe('ことばの練習', () => {
+        const word = { word: 'いぬ', hint: '🐕', hintLabel: 'いぬの絵', characters: ['い', 'ぬ'] };
+
+        const drawInCell = (index, x) => {
+            const cellService = component.wordCells[index].drawingService;
+            cellService.startDrawing(x, 100);
+            cellService.addPoint(x, 200);
+            cellService.endDrawing();
+        };
+
+        beforeEach(() => {
+            component.element = document.getElementById('practice-view');
+        });
+
+        test('文字の数だけマスを作り、マスごとに別の描画サービスで記録する', () => {
+            drawingService.setPenStyle('brush');
+            component.startWordPractice(word);
+
+            const cells = document.querySelectorAll('.word-cell');
+            expect(cells).toHaveLength(2);
+            expect(document.querySelector('.word-hint').textContent).toBe('🐕');
+            expect(component.wordCells[0].drawingService).not.toBe(component.wordCells[1].drawingService);
+            expect(component.wordCells[1].drawingService.getPenStyle()).toBe('brush');
+
+            drawInCell(0, 100);
+            drawInCell(1, 150);
+            drawInCell(1, 250);
+
+            expect(component.getWordDrawingData().map(data => data.strokes.length)).toEqual([1, 2]);
+            expect(drawingService.getDrawingData().strokes).toHaveLength(0);
+        });
+
+        test('もどす・消すは最後に書いたマスだけに効く', () => {
+            component.startWordPractice(word);
+            drawInCell(1, 100);
+            drawInCell(0, 100);
+            drawInCell(0, 200);
+
+            expect(component.activeCellIndex).toBe(0);
+            expect(document.querySelector('.word-cell.active').dataset.index).toBe('0');
+
+            document.getElementById('undo-stroke-btn').click();
+            expect(component.getWordDrawingData().map(data => data.strokes.length)).toEqual([1, 1]);
+
+            document.getElementById('clear-canvas-btn').click();
+            expect(component.getWordDrawingData().map(data => data.strokes.length)).toEqual([0, 1]);
+            // 消したマスにはもどせる線がない
+            expect(document.getElementById('undo-stroke-btn').disabled).toBe(true);
+
+            component.setActiveCell(1);
+            expect(document.getElementById('undo-stroke-btn').disabled).toBe(false);
+        });
+
+        test('ペンを切り替えるとマスのペンも変わる', () => {
+            mockApp.updateSettings = jest.fn(changes => drawingService.setPenStyle(changes.penStyle));
+            component.startWordPractice(word);
+
+            document.getElementById('pen-style-btn').click();
+
+            expect(component.wordCells.map(cell => cell.drawingService.getPenStyle())).toEqual(['marker', 'marker']);
+        });
+
+        test('1文字の練習に戻るとマスを片づける', () => {
+            component.startWordPractice(word);
+            const cellService = component.wordCells[0].drawingService;
+            const removeSpy = jest.spyOn(cellService, 'removeEventListeners');
+
+            component.endWordPractice();
+
+            expect(removeSpy).toHaveBeenCalled();
+            expect(document.querySelector('.word-practice')).toBeNull();
+            expect(component.wordCells).toHaveLength(0);
+            expect(component.getActiveDrawingService()).toBe(drawingService);
+        });
+    });
+
+    describe('聞き書き', () => {
+        let practiceMode;
+
+        beforeEach(() => {
+            practiceMode = 'dictation';
+            mockApp.isDictationMode = jest.fn(() => practiceMode === 'dictation');
+            component.characterDisplay = {
+                init: jest.fn(),
+                setHidden: jest.fn(),
+                speakCurrentCharacter: jest.fn()
+            };
+            component.initCharacterDisplay();
+        });
+
+        test('練習モードを切り替えて聞き書きでなくなったら文字を見せる', () => {
+            practiceMode = 'random';
+            document.dispatchEvent(new CustomEvent('practiceModeChanged', { detail: { mode: 'random' } }));
+
+            expect(component.characterDisplay.setHidden).toHaveBeenCalledWith(false);
+        });
+
+        test('聞き書き中に文字が変わったら読み上げる', () => {
+            component.onCharacterChanged({ character: 'い', difficulty: 1 });
+            expect(component.characterDisplay.speakCurrentCharacter).toHaveBeenCalledTimes(1);
+
+            practiceMode = 'random';
+            component.onCharacterChanged({ character: 'う', difficulty: 1 });
+            expect(component.characterDisplay.speakCurrentCharacter).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('なぞり書きの下絵', () => {
+        let ctx;
+        let tracingCanvas;
+
+        beforeEach(() => {
+            ctx = {
+                clearRect: jest.fn(),
+                beginPath: jest.fn(),
+                moveTo: jest.fn(),
+                lineTo: jest.fn(),
+                stroke: jest.fn(),
+                arc: jest.fn(),
+                fill: jest.fn()
+            };
+            tracingCanvas = document.getElementById('tracing-canvas');
+            tracingCanvas.getContext = jest.fn(() => ctx);
+
+            Object.assign(mockApp, {
+                appState: { practiceMode: 'tracing', tracingGuides: { startDots: true, arrows: true } },
+                isTracingMode: () => mockApp.appState.practiceMode === 'tracing',
+                getCurrentCharacter: () => ({ character: 'い' }),
+                recognitionService: new RecognitionService()
+            });
+            component.initCanvas();
+        });
+
+        test('手本の線をうすく描き、画ごとに書きはじめの点を打つ', () => {
+            component.renderTracingGuide();
+
+            expect(tracingCanvas.style.display).toBe('block');
+            // 「い」は2画なので、手本の線2本と矢印2つを描き、点を2つ打つ
+            expect(ctx.stroke).toHaveBeenCalledTimes(4);
+            expect(ctx.arc).toHaveBeenCalledTimes(2);
+            expect(ctx.arc.mock.calls[0].slice(0, 2)).toEqual([0.25 * 400, 0.25 * 400]);
+            expect(ctx.arc.mock.calls[1].slice(0, 2)).toEqual([0.68 * 400, 0.3 * 400]);
+        });
+
+        test('書きはじめの点と矢印は出し分けられる', () => {
+            mockApp.appState.tracingGuides = { startDots: false, arrows: false };
+
+            component.renderTracingGuide();
+
+            expect(ctx.stroke).toHaveBeenCalledTimes(2);
+            expect(ctx.arc).not.toHaveBeenCalled();
+        });
+
+        test('なぞり書きモードでなければ下絵を隠す', () => {
+            component.renderTracingGuide();
+            mockApp.appState.practiceMode = 'random';
+            ctx.stroke.mockClear();
+            component.renderTracingGuide();
+
+            expect(ctx.clearRect).toHaveBeenCalled();
+            expect(ctx.stroke).not.toHaveBeenCalled();
+            expect(tracingCanvas.style.display).toBe('none');
+        });
+    });
+});
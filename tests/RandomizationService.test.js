@@ -428,6 +428,55 @@ describe('RandomizationService', () => {
         });
     });
 
+    describe('取り違えドリル', () => {
+        test('グループの文字が交互に出題される', () => {
+            expect(randomizationService.startConfusableDrill(['ぬ', 'め'])).toBe(true);
+
+            const selected = [1, 2, 3, 4].map(() => randomizationService.selectNextDrillCharacter().character);
+            expect(selected).toEqual(['ぬ', 'め', 'ぬ', 'め']);
+            expect(hiraganaDataService.getCurrentCharacter().character).toBe('め');
+        });
+
+        test('2文字未満では開始できない', () => {
+            expect(randomizationService.startConfusableDrill(['ぬ'])).toBe(false);
+            expect(randomizationService.startConfusableDrill(['ぬ', 'X'])).toBe(false);
+            expect(randomizationService.getDrillStatus()).toBeNull();
+            expect(randomizationService.selectNextDrillCharacter()).toBeNull();
+        });
+
+        test('全ての文字を続けて書き分けられたら完了する', () => {
+            randomizationService.startConfusableDrill(['る', 'ろ'], { requiredStreak: 2 });
+
+            randomizationService.recordDrillResult('る', true);
+            randomizationService.recordDrillResult('ろ', true);
+            randomizationService.recordDrillResult('る', false);
+            expect(randomizationService.getDrillStatus().streaks).toEqual({ 'る': 0, 'ろ': 1 });
+            expect(randomizationService.getDrillStatus().completed).toBe(false);
+
+            randomizationService.recordDrillResult('る', true);
+            randomizationService.recordDrillResult('ろ', true);
+            randomizationService.recordDrillResult('る', true);
+
+            const status = randomizationService.getDrillStatus();
+            expect(status.completed).toBe(true);
+            expect(status.attemptCount).toBe(6);
+        });
+
+        test('ドリル外の文字の結果は記録されない', () => {
+            randomizationService.startConfusableDrill(['は', 'ほ']);
+            randomizationService.recordDrillResult('あ', true);
+
+            expect(randomizationService.getDrillStatus().attemptCount).toBe(0);
+        });
+
+        test('ドリルを終了できる', () => {
+            randomizationService.startConfusableDrill(['わ', 'れ', 'ね']);
+            randomizationService.endConfusableDrill();
+
+            expect(randomizationService.getDrillStatus()).toBeNull();
+        });
+    });
+
     describe('フォールバックモード', () => {
         test('フォールバックモードでも文字選択が動作する', () => {
             // フォールバックモードを強制的に有効にする
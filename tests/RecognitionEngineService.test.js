@@ -0,0 +1,125 @@
+import { RecognitionEngineService } from '../js/services/RecognitionEngineService.js';
+import { HeuristicRecognizerEngine } from '../js/services/HeuristicRecognizerEngine.js';
+import { PointCloudRecognizerEngine } from '../js/services/PointCloudRecognizerEngine.js';
+import { RecognitionService } from '../js/services/RecognitionService.js';
+import { createTemplateDrawing } from './helpers/createTemplateDrawing.js';
+
+function createMockEngine(id, recognize) {
+    return {
+        id,
+        label: `${id}エンジン`,
+        loadTemplates: jest.fn(() => Promise.resolve()),
+        recognize: jest.fn(recognize),
+        getCapabilities: () => ({ strokeOrder: false })
+    };
+}
+
+describe('RecognitionEngineService', () => {
+    let heuristicEngine;
+    let service;
+
+    beforeEach(() => {
+        heuristicEngine = createMockEngine('heuristic', () => Promise.resolve({
+            character: 'あ',
+            confidence: 0.8,
+            recognized: true,
+            details: { similarity: 0.8 }
+        }));
+        service = new RecognitionEngineService([heuristicEngine]);
+    });
+
+    describe('エンジンの登録と切り替え', () => {
+        test('既定のエンジンが使われる', () => {
+            expect(service.getActiveEngine()).toBe(heuristicEngine);
+        });
+
+        test('必要なメソッドがないエンジンは登録されない', () => {
+            expect(service.registerEngine({ id: 'broken' })).toBe(false);
+            expect(service.setActiveEngine('broken')).toBe(false);
+            expect(service.getActiveEngine()).toBe(heuristicEngine);
+        });
+
+        test('登録したエンジンに切り替えられる', () => {
+            const otherEngine = createMockEngine('other', () => Promise.resolve({ details: {} }));
+            service.registerEngine(otherEngine);
+
+            expect(service.setActiveEngine('other')).toBe(true);
+            expect(service.getActiveEngine()).toBe(otherEngine);
+            expect(service.getAvailableEngines().map(engine => engine.id)).toEqual(['heuristic', 'other']);
+        });
+
+        test('テンプレートの読み込みは現在のエンジンに任せる', async () => {
+            await service.loadTemplates(['あ']);
+
+            expect(heuristicEngine.loadTemplates).toHaveBeenCalledWith(['あ']);
+        });
+    });
+
+    describe('認識', () => {
+        test('使用したエンジンが認識結果に記録される', async () => {
+            const result = await service.recognize({ strokes: [] }, 'あ', { rankCandidates: true });
+
+            expect(heuristicEngine.recognize).toHaveBeenCalledWith({ strokes: [] }, 'あ', { rankCandidates: true });
+            expect(result.details.similarity).toBe(0.8);
+            expect(result.details.engine).toEqual({ id: 'heuristic', label: 'heuristicエンジン', fallbackFrom: null });
+        });
+
+        test('エンジンが失敗したら既定のエンジンで認識し直す', async () => {
+            service.registerEngine(createMockEngine('other', () => Promise.reject(new Error('失敗'))));
+            service.setActiveEngine('other');
+
+            const result = await service.recognize({ strokes: [] }, 'あ');
+
+            expect(heuristicEngine.recognize).toHaveBeenCalled();
+            expect(result.details.engine).toMatchObject({ id: 'heuristic', fallbackFrom: 'other' });
+        });
+
+        test('既定のエンジンが失敗した場合はエラーを伝える', async () => {
+            heuristicEngine.recognize.mockImplementation(() => Promise.reject(new Error('失敗')));
+
+            await expect(service.recognize({ strokes: [] }, 'あ')).rejects.toThrow('失敗');
+        });
+    });
+
+    describe('組み込みエンジン', () => {
+        let recognitionService;
+
+        beforeEach(() => {
+            recognitionService = new RecognitionService();
+            service = new RecognitionEngineService([
+                new HeuristicRecognizerEngine(recognitionService),
+                new PointCloudRecognizerEngine(recognitionService)
+            ]);
+        });
+
+        test('特徴量マッチングはRecognitionServiceの子供向け認識を使う', async () => {
+            const spy = jest.spyOn(recognitionService, 'recognizeCharacterForChild');
+
+            const result = await service.recognize(createTemplateDrawing('ふ'), 'ふ');
+
+            expect(spy).toHaveBeenCalled();
+            expect(result.recognized).toBe(true);
+            expect(result.details.strokeOrder).toBeDefined();
+            expect(result.details.engine.id).toBe('heuristic');
+        });
+
+        test('設定で点群マッチングに切り替えられる', async () => {
+            service.setActiveEngine('pointCloud');
+
+            const result = await service.recognize(createTemplateDrawing('ふ'), 'ふ');
+
+            expect(result.recognized).toBe(true);
+            expect(result.details.engine.id).toBe('pointCloud');
+        });
+
+        test('エンジンごとに判定できる項目が分かる', () => {
+            const capabilities = Object.fromEntries(
+                service.getAvailableEngines().map(engine => [engine.id, engine.capabilities])
+            );
+
+            expect(capabilities.heuristic.strokeOrder).toBe(true);
+            expect(capabilities.pointCloud.strokeOrder).toBe(false);
+            expect(capabilities.pointCloud.candidateRanking).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CorpusLoader } from '../scripts/evaluation/CorpusLoader.js';
+import { RecognitionEvaluator } from '../scripts/evaluation/RecognitionEvaluator.js';
+import { SyntheticHandwritingGenerator } from './helpers/SyntheticHandwritingGenerator.js';
+
+const corpusDirectory = path.join(__dirname, 'fixtures', 'recognition-corpus');
+
+describe('文字認識の評価', () => {
+    describe('CorpusLoader', () => {
+        let tempDirectory;
+
+        beforeEach(() => {
+            tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'recognition-corpus-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDirectory, { recursive: true, force: true });
+        });
+
+        test('DrawingData.toJSON()形式のサンプルを読み込む', () => {
+            const drawing = {
+                strokes: [[{ x: 10, y: 10, timestamp: 0 }, { x: 90, y: 10, timestamp: 16 }]],
+                timestamp: 1,
+                boundingBox: { x: 10, y: 10, width: 80, height: 0 },
+                metadata: { deviceType: 'touch', canvasSize: { width: 400, height: 400 } }
+            };
+            fs.mkdirSync(path.join(tempDirectory, 'sub'));
+            fs.writeFileSync(path.join(tempDirectory, 'one.json'), JSON.stringify({ label: 'へ', drawing }));
+            fs.writeFileSync(path.join(tempDirectory, 'sub', 'two.json'), JSON.stringify([
+                { label: 'い', drawing },
+                { label: 'こ', drawing }
+            ]));
+            fs.writeFileSync(path.join(tempDirectory, 'notes.txt'), 'サンプル以外');
+
+            const samples = new CorpusLoader().loadDirectory(tempDirectory);
+
+            expect(samples.map(sample => sample.id)).toEqual(['one.json', path.join('sub', 'two.json#0'), path.join('sub', 'two.json#1')]);
+            expect(samples.map(sample => sample.label)).toEqual(['へ', 'い', 'こ']);
+            expect(samples[0].drawing.canvasSize).toEqual({ width: 400, height: 400 });
+        });
+
+        test('形式が正しくないサンプルはエラーになる', () => {
+            fs.writeFileSync(path.join(tempDirectory, 'bad.json'), JSON.stringify({ drawing: { strokes: [] } }));
+
+            expect(() => new CorpusLoader().loadDirectory(tempDirectory)).toThrow('サンプルの形式が正しくありません: bad.json');
+        });
+
+        test('存在しないディレクトリはエラーになる', () => {
+            expect(() => new CorpusLoader().loadDirectory(path.join(tempDirectory, 'none'))).toThrow('コーパスが見つかりません');
+        });
+    });
+
+    describe('RecognitionEvaluator', () => {
+        test('レポートに文字ごとの正解率・混同行列・スコア分布がまとめられる', () => {
+            const evaluator = new RecognitionEvaluator();
+            const report = evaluator.createReport([
+                { id: 'a', label: 'る', predicted: 'る', correct: true, recognized: true, confidence: 0.8, score: 0.85, level: 'excellent' },
+                { id: 'b', label: 'る', predicted: 'ろ', correct: false, recognized: true, confidence: 0.4, score: 0.45, level: 'fair' },
+                { id: 'c', label: 'ろ', predicted: 'ろ', correct: true, recognized: false, confidence: 0.1, score: 0.3, level: 'fair' }
+            ]);
+
+            expect(report.sampleCount).toBe(3);
+            expect(report.overall.accuracy).toBeCloseTo(2 / 3);
+            expect(report.overall.recognitionRate).toBeCloseTo(2 / 3);
+            expect(report.perCharacter['る']).toMatchObject({ samples: 2, correct: 1, accuracy: 0.5, meanScore: 0.65 });
+            expect(report.confusionMatrix).toEqual({ 'る': { 'る': 1, 'ろ': 1 }, 'ろ': { 'ろ': 1 } });
+            expect(report.scoreDistribution.levels).toEqual({ excellent: 1, fair: 2, poor: 0 });
+            expect(report.scoreDistribution.histogram.map(bin => bin.count)).toEqual([0, 0, 0, 1, 1, 0, 0, 0, 1, 0]);
+            expect(report.misrecognized).toEqual([{ id: 'b', label: 'る', predicted: 'ろ', score: 0.45 }]);
+        });
+
+        test('Markdownのレポートを作成できる', () => {
+            const evaluator = new RecognitionEvaluator();
+            const report = evaluator.createReport([
+                { id: 'b', label: 'る', predicted: 'ろ', correct: false, recognized: true, confidence: 0.4, score: 0.45, level: 'fair' }
+            ]);
+
+            const markdown = evaluator.toMarkdown(report);
+
+            expect(markdown).toContain('# 文字認識評価レポート');
+            expect(markdown).toContain('| る | 1 | 0.0% | 100.0% | 0.450 | 0 | 1 | 0 |');
+            expect(markdown).toContain('| | ろ |\n| --- | ---: |\n| る | 1 |');
+            expect(markdown).toContain('## 誤認識したサンプル');
+        });
+
+        test('不明な認識エンジンは指定できない', () => {
+            expect(() => new RecognitionEvaluator({ engineId: 'unknown' })).toThrow('不明な認識エンジン');
+        });
+    });
+
+    describe('記録済みコーパスでの認識精度', () => {
+        let samples;
+
+        beforeAll(() => {
+            samples = new CorpusLoader().loadDirectory(corpusDirectory);
+        });
+
+        // 認識の調整で精度が下がっていないかを確認する
+        test.each(['heuristic', 'pointCloud'])('%s エンジンで全サンプルを正しく認識する', async (engineId) => {
+            const report = await new RecognitionEvaluator({ engineId }).evaluate(samples);
+
+            expect(report.engine).toBe(engineId);
+            expect(report.sampleCount).toBe(samples.length);
+            expect(report.overall.accuracy).toBe(1);
+            Object.entries(report.confusionMatrix).forEach(([label, row]) => {
+                expect(Object.keys(row)).toEqual([label]);
+            });
+        });
+
+        test('手本に近い描画は「よくできました」と採点される', async () => {
+            const report = await new RecognitionEvaluator().evaluate(samples);
+
+            expect(report.scoreDistribution.levels.excellent).toBe(samples.length);
+            expect(report.overall.meanScore).toBeGreaterThan(0.8);
+        });
+    });
+
+    describe('合成コーパスでの認識精度', () => {
+        let samples;
+
+        beforeAll(() => {
+            const generator = new SyntheticHandwritingGenerator(42);
+            samples = generator.generateCorpus(Object.keys(generator.templateData), 1, generator.getPreset('child'));
+        });
+
+        // 震え・大きさの揺らぎ・途切れ・逆向きの線を含む描画でも寛容に認識できるかを確認する
+        test.each(['heuristic', 'pointCloud'])('%s エンジンで子供らしい描画の大半を正しく認識する', async (engineId) => {
+            const report = await new RecognitionEvaluator({ engineId }).evaluate(samples);
+
+            expect(report.sampleCount).toBe(46);
+            expect(report.overall.accuracy).toBeGreaterThanOrEqual(0.9);
+            expect(report.overall.recognitionRate).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,173 @@
+import { RecognitionWorkerClient } from '../js/services/RecognitionWorkerClient.js';
+import { RecognitionEngineService } from '../js/services/RecognitionEngineService.js';
+import { HeuristicRecognizerEngine } from '../js/services/HeuristicRecognizerEngine.js';
+import { PointCloudRecognizerEngine } from '../js/services/PointCloudRecognizerEngine.js';
+import { RecognitionService } from '../js/services/RecognitionService.js';
+import { RecognitionWorkerHost } from '../js/workers/RecognitionWorkerHost.js';
+
+function createEngineService() {
+    const recognitionService = new RecognitionService();
+    return new RecognitionEngineService([
+        new HeuristicRecognizerEngine(recognitionService),
+        new PointCloudRecognizerEngine(recognitionService)
+    ]);
+}
+
+// ワーカー側のRecognitionWorkerHostへ非同期にメッセージを渡す擬似ワーカー
+class FakeWorker {
+    constructor(host) {
+        this.host = host;
+        this.onmessage = null;
+        this.onerror = null;
+        this.terminate = jest.fn();
+        this.postMessage = jest.fn(message => {
+            // 構造化複製と同じく参照を切って渡す
+            const copied = JSON.parse(JSON.stringify(message));
+            this.host.handleMessage(copied).then(response => {
+                if (this.onmessage) this.onmessage({ data: response });
+            });
+        });
+    }
+}
+
+const drawingData = {
+    strokes: [
+        [{ x: 40, y: 60, timestamp: 0 }, { x: 100, y: 58, timestamp: 16 }, { x: 160, y: 54, timestamp: 32 }],
+        [{ x: 90, y: 24, timestamp: 0 }, { x: 92, y: 70, timestamp: 16 }, { x: 104, y: 170, timestamp: 32 }]
+    ],
+    boundingBox: { x: 40, y: 24, width: 120, height: 146 }
+};
+
+describe('RecognitionWorkerClient', () => {
+    let engineService;
+
+    beforeEach(() => {
+        engineService = createEngineService();
+        delete window.workersDisabled;
+    });
+
+    describe('同期フォールバック', () => {
+        test('Workerがない環境ではメインスレッドで認識する', async () => {
+            const client = new RecognitionWorkerClient(engineService);
+            const spy = jest.spyOn(engineService, 'recognize');
+
+            const result = await client.recognize(drawingData, 'あ', { rankCandidates: false });
+
+            expect(client.getMode()).toBe('sync');
+            expect(spy).toHaveBeenCalledWith(drawingData, 'あ', { rankCandidates: false });
+            expect(result.character).toBe('あ');
+            expect(result.details.engine.id).toBe('heuristic');
+        });
+
+        test('ブラウザ対応チェックで無効化された場合はWorkerを使わない', () => {
+            window.Worker = jest.fn();
+            window.workersDisabled = true;
+
+            const client = new RecognitionWorkerClient(engineService);
+
+            expect(client.isWorkerSupported()).toBe(false);
+            delete window.Worker;
+        });
+    });
+
+    describe('ワーカーでの認識', () => {
+        let workerHost;
+        let worker;
+        let client;
+
+        beforeEach(() => {
+            workerHost = new RecognitionWorkerHost(createEngineService());
+            client = new RecognitionWorkerClient(engineService, {
+                workerFactory: () => {
+                    worker = new FakeWorker(workerHost);
+                    return worker;
+                }
+            });
+        });
+
+        afterEach(() => {
+            client.terminate();
+        });
+
+        test('メインスレッドと同じ形の結果が返される', async () => {
+            const spy = jest.spyOn(engineService, 'recognize');
+
+            const result = await client.recognize(drawingData, 'あ');
+            const syncResult = await engineService.recognize(drawingData, 'あ');
+
+            expect(client.getMode()).toBe('worker');
+            expect(spy).toHaveBeenCalledTimes(1);
+            expect(result.character).toBe(syncResult.character);
+            expect(result.confidence).toBeCloseTo(syncResult.confidence);
+            expect(result.details.strokeOrder).toEqual(syncResult.details.strokeOrder);
+        });
+
+        test('要求メッセージに選択中の認識エンジンが含まれる', async () => {
+            engineService.setActiveEngine('pointCloud');
+
+            const result = await client.recognize(drawingData, 'あ');
+
+            expect(worker.postMessage).toHaveBeenCalledWith({
+                id: 1,
+                type: 'recognize',
+                payload: { engineId: 'pointCloud', drawingData, targetCharacter: 'あ', options: {} }
+            });
+            expect(result.details.engine.id).toBe('pointCloud');
+        });
+
+        test('ワーカーでの認識エラーはそのまま伝える', async () => {
+            jest.spyOn(workerHost.engineService, 'recognize').mockRejectedValue(new Error('認識失敗'));
+
+            await expect(client.recognize(drawingData, 'あ')).rejects.toThrow('認識失敗');
+            expect(client.getMode()).toBe('worker');
+        });
+
+        test('ワーカーが故障したらメインスレッドで認識し直す', async () => {
+            client.getWorker();
+            worker.postMessage.mockImplementation(() => {
+                worker.onerror({ message: 'スクリプトを読み込めません' });
+            });
+
+            const result = await client.recognize(drawingData, 'あ');
+
+            expect(result.character).toBe('あ');
+            expect(worker.terminate).toHaveBeenCalled();
+            expect(client.getMode()).toBe('sync');
+        });
+
+        test('ワーカーが応答しない場合はメインスレッドで認識し直す', async () => {
+            jest.useFakeTimers();
+            client.requestTimeout = 1000;
+            client.getWorker();
+            worker.postMessage.mockImplementation(() => {});
+
+            const promise = client.recognize(drawingData, 'あ');
+            jest.advanceTimersByTime(1000);
+            jest.useRealTimers();
+
+            const result = await promise;
+            expect(result.character).toBe('あ');
+            expect(client.getMode()).toBe('sync');
+        });
+
+        test('テンプレートの読み込みもワーカーで行う', async () => {
+            await client.loadTemplates(['あ', 'い']);
+
+            expect(worker.postMessage).toHaveBeenCalledWith({
+                id: 1,
+                type: 'loadTemplates',
+                payload: { engineId: 'heuristic', characters: ['あ', 'い'] }
+            });
+        });
+    });
+});
+
+describe('RecognitionWorkerHost', () => {
+    test('不明な要求にはエラーを返す', async () => {
+        const host = new RecognitionWorkerHost(createEngineService());
+
+        const response = await host.handleMessage({ id: 3, type: 'unknown' });
+
+        expect(response).toEqual({ id: 3, type: 'error', payload: { message: '不明な要求: unknown' } });
+    });
+});
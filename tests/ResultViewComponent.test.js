@@ -18,7 +18,8 @@ describe('ResultViewComponent', () => {
             tryAgain: jest.fn(),
             nextCharacter: jest.fn(),
             showExample: jest.fn(),
-            showScreen: jest.fn()
+            showScreen: jest.fn(),
+            startConfusableDrill: jest.fn()
         };
         
         container = document.getElementById('result-view');
@@ -155,6 +156,75 @@ describe('ResultViewComponent', () => {
             const scoreIcon = container.querySelector('#score-icon');
             expect(scoreIcon.classList.contains('excellent')).toBe(true);
         });
+
+        test('筆順のアドバイスが表示される', () => {
+            const score = {
+                level: 'fair',
+                feedback: {
+                    strokeHints: [{ type: 'strokeOrder', strokeIndex: 1, message: '2番目の線を先に書こうね' }]
+                }
+            };
+            component.render(score, 'あ');
+
+            const hint = container.querySelector('.stroke-hint-strokeOrder');
+            expect(hint).toBeTruthy();
+            expect(hint.textContent).toContain('2番目の線を先に書こうね');
+        });
+
+        test('別の文字に見える場合に声かけが表示される', () => {
+            const score = {
+                level: 'fair',
+                feedback: { lookalike: { character: 'さ', message: 'それは『さ』に見えるよ' }, strokeHints: [] }
+            };
+            component.render(score, 'ち');
+
+            const message = container.querySelector('.lookalike-message');
+            expect(message).toBeTruthy();
+            expect(message.textContent).toContain('それは『さ』に見えるよ');
+        });
+
+        test('取り違えた場合にドリルのボタンが表示される', () => {
+            const score = {
+                level: 'fair',
+                feedback: { confusableDrill: { characters: ['ぬ', 'め'], message: '『ぬ』と『め』をかきわけよう' } }
+            };
+            component.render(score, 'ぬ');
+
+            const drillBtn = container.querySelector('#confusable-drill-btn');
+            expect(drillBtn).toBeTruthy();
+            expect(drillBtn.textContent).toContain('『ぬ』と『め』をかきわけよう');
+        });
+
+        test('ドリル中は進み具合が表示されボタンは表示されない', () => {
+            const score = {
+                level: 'fair',
+                feedback: { confusableDrill: { characters: ['ぬ', 'め'], message: '『ぬ』と『め』をかきわけよう' } },
+                drill: { characters: ['ぬ', 'め'], streaks: { 'ぬ': 1, 'め': 0 }, requiredStreak: 2, completed: false }
+            };
+            component.render(score, 'ぬ');
+
+            expect(container.querySelector('#confusable-drill-btn')).toBeFalsy();
+            const items = container.querySelectorAll('.drill-character');
+            expect(items).toHaveLength(2);
+            expect(items[0].textContent).toBe('ぬ ⭐☆');
+        });
+
+        test('ドリルを書き分けられたらお祝いが表示される', () => {
+            const score = {
+                level: 'excellent',
+                drill: { characters: ['ぬ', 'め'], streaks: { 'ぬ': 2, 'め': 2 }, requiredStreak: 2, completed: true }
+            };
+            component.render(score, 'め');
+
+            expect(container.querySelector('.drill-status.completed').textContent).toContain('『ぬ』と『め』をかきわけられたね！');
+        });
+
+        test('アドバイスがない場合は表示されない', () => {
+            component.render({ level: 'excellent', feedback: { strokeHints: [] } }, 'あ');
+
+            expect(container.querySelector('.stroke-hints')).toBeFalsy();
+            expect(container.querySelector('.lookalike-message')).toBeFalsy();
+        });
     });
 
     describe('イベント処理', () => {
@@ -191,6 +261,23 @@ describe('ResultViewComponent', () => {
             global.setTimeout.mockRestore();
         });
 
+        test('ドリルボタンクリックでstartConfusableDrillが呼ばれる', () => {
+            jest.spyOn(global, 'setTimeout').mockImplementation((callback) => {
+                callback();
+                return 1;
+            });
+            component.render({
+                level: 'fair',
+                feedback: { confusableDrill: { characters: ['る', 'ろ'], message: '『る』と『ろ』をかきわけよう' } }
+            }, 'る');
+
+            component.onStartConfusableDrill();
+
+            expect(mockApp.startConfusableDrill).toHaveBeenCalledWith(['る', 'ろ']);
+
+            global.setTimeout.mockRestore();
+        });
+
         test('メニューに戻るボタンクリックでshowScreenが呼ばれる', () => {
             jest.spyOn(global, 'setTimeout').mockImplementation((callback) => {
                 callback();
@@ -296,6 +383,203 @@ describe('ResultViewComponent', () => {
         });
     });
 
+    describe('手本との見比べ', () => {
+        let ctx;
+        let replayCtx;
+        const drawing = {
+            strokes: [
+                [{ x: 100, y: 100 }, { x: 300, y: 100 }],
+                [{ x: 200, y: 50 }, { x: 200, y: 350 }]
+            ],
+            canvasSize: { width: 400, height: 400 }
+        };
+
+        beforeEach(() => {
+            ctx = {
+                clearRect: jest.fn(),
+                beginPath: jest.fn(),
+                moveTo: jest.fn(),
+                lineTo: jest.fn(),
+                stroke: jest.fn()
+            };
+            replayCtx = { ...ctx, stroke: jest.fn() };
+            // 見比べの図だけを数えるため、再生プレイヤーのキャンバスは別のコンテキストにする
+            HTMLCanvasElement.prototype.getContext.mockImplementation(function () {
+                return this.classList.contains('comparison-canvas') ? ctx : replayCtx;
+            });
+            mockApp.recognitionService = {
+                getReferenceStrokes: jest.fn(() => [[[0.2, 0.25], [0.8, 0.25]], [[0.5, 0.1], [0.5, 0.9]]])
+            };
+            mockApp.drawingService = { drawGuide: jest.fn() };
+            component.init();
+        });
+
+        test('描いた線があれば手本とならべて表示する', () => {
+            component.render({ level: 'good', drawing }, '十');
+
+            const comparison = container.querySelector('.result-comparison');
+            expect(comparison.classList.contains('comparison-side')).toBe(true);
+            expect(container.querySelector('.comparison-model figcaption').textContent).toBe('おてほん');
+            expect(container.querySelector('.comparison-drawing figcaption').textContent).toBe('きみの字');
+            expect(mockApp.recognitionService.getReferenceStrokes).toHaveBeenCalledWith('十');
+            // 手本と描いた線をそれぞれ2画ずつ、補助線の上に描く
+            expect(mockApp.drawingService.drawGuide.mock.calls.filter(([target]) => target === ctx)).toHaveLength(2);
+            expect(ctx.stroke).toHaveBeenCalledTimes(4);
+            // 描いた線は見比べ用のキャンバスの大きさに縮めて描く
+            expect(ctx.moveTo).toHaveBeenCalledWith(50, 50);
+        });
+
+        test('かさねるを押すと描いた線の下に手本をうすく描く', () => {
+            component.render({ level: 'good', drawing }, '十');
+            ctx.stroke.mockClear();
+            const strokeStyles = [];
+            ctx.stroke.mockImplementation(() => strokeStyles.push(ctx.strokeStyle));
+
+            container.querySelector('#comparison-overlay-btn').click();
+
+            const comparison = container.querySelector('.result-comparison');
+            expect(component.comparisonMode).toBe('overlay');
+            expect(comparison.classList.contains('comparison-overlay')).toBe(true);
+            expect(container.querySelector('#comparison-overlay-btn').classList.contains('active')).toBe(true);
+            // 手本だけの図に2画、かさねた図に手本2画と描いた線2画
+            expect(strokeStyles).toEqual([
+                component.strokeRenderer.styles.model.color,
+                component.strokeRenderer.styles.model.color,
+                component.strokeRenderer.styles.faintModel.color,
+                component.strokeRenderer.styles.faintModel.color,
+                component.strokeRenderer.styles.drawing.color,
+                component.strokeRenderer.styles.drawing.color
+            ]);
+            expect(mockApp.showScreen).not.toHaveBeenCalled();
+        });
+
+        test('手本と違う線は目立つ色で描き、説明を添える', () => {
+            const strokeStyles = [];
+            ctx.stroke.mockImplementation(() => strokeStyles.push(ctx.strokeStyle));
+
+            component.render({
+                level: 'fair',
+                drawing,
+                feedback: { mismatchedStrokes: [{ drawnIndex: 1, reasons: ['strokeOrder'] }] }
+            }, '十');
+
+            expect(strokeStyles.slice(-2)).toEqual([
+                component.strokeRenderer.styles.drawing.color,
+                component.strokeRenderer.styles.mismatch.color
+            ]);
+            expect(container.querySelector('.comparison-legend')).toBeTruthy();
+        });
+
+        test('描いた線を書いたじゅんに再生できる', () => {
+            component.render({ level: 'good', drawing }, '十');
+
+            expect(container.querySelector('.result-replay .stroke-replay-canvas')).toBeTruthy();
+            expect(component.replayPlayer.getState()).toMatchObject({ strokeCount: 2, playing: false, finished: true });
+
+            container.querySelector('.stroke-replay-play').click();
+            expect(component.replayPlayer.getState()).toMatchObject({ elapsed: 0, playing: true });
+            component.replayPlayer.pause();
+        });
+
+        test('描いた線がなければ見比べを表示しない', () => {
+            component.render({ level: 'good' }, 'あ');
+
+            expect(container.querySelector('.result-comparison')).toBeNull();
+            expect(container.querySelector('.result-replay')).toBeNull();
+        });
+    });
+
+    describe('書いた字の保存', () => {
+        const drawing = {
+            strokes: [[{ x: 100, y: 100, timestamp: 1000 }, { x: 300, y: 100, timestamp: 1200 }]],
+            canvasSize: { width: 400, height: 400 },
+            timestamp: new Date('2024-05-01T10:00:00Z').getTime()
+        };
+        let blob;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            blob = new Blob(['png'], { type: 'image/png' });
+            mockApp.recognitionService = { getReferenceStrokes: jest.fn(() => []) };
+            mockApp.drawingService = { drawGuide: jest.fn(), getPenStyle: jest.fn(() => 'brush') };
+            mockApp.drawingExportService = {
+                toPNGBlob: jest.fn(() => Promise.resolve(blob)),
+                createFileName: jest.fn(() => 'hiragana-あ-2024-05-01.png'),
+                download: jest.fn()
+            };
+            component.init();
+        });
+
+        afterEach(() => {
+            component.destroyReplayPlayer();
+            jest.useRealTimers();
+        });
+
+        test('描いた線があれば保存ボタンを表示する', () => {
+            component.render({ level: 'good', drawing }, 'あ');
+            expect(container.querySelector('#save-drawing-btn')).toBeTruthy();
+
+            component.render({ level: 'good' }, 'あ');
+            expect(container.querySelector('#save-drawing-btn')).toBeNull();
+        });
+
+        test('保存ボタンを押すと練習したペンで描いたPNGを保存し、結果画面はそのまま', async () => {
+            component.render({ level: 'good', drawing }, 'あ');
+
+            container.querySelector('#save-drawing-btn').click();
+            jest.advanceTimersByTime(200);
+            await Promise.resolve();
+
+            expect(mockApp.drawingExportService.toPNGBlob).toHaveBeenCalledWith(drawing, { penStyle: 'brush' });
+            expect(mockApp.drawingExportService.createFileName).toHaveBeenCalledWith('あ', 'png', drawing.timestamp);
+            expect(mockApp.drawingExportService.download).toHaveBeenCalledWith(blob, 'hiragana-あ-2024-05-01.png');
+            expect(mockApp.showScreen).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('ことばの結果', () => {
+        beforeEach(() => {
+            component.init();
+        });
+
+        test('マスごとの結果を並べ、一番むずかしかった字に印を付ける', () => {
+            component.render({
+                level: 'fair',
+                hint: '🐕',
+                cells: [
+                    { character: 'い', level: 'excellent', score: 0.9 },
+                    { character: 'ぬ', level: 'poor', score: 0.4 }
+                ],
+                weakestIndex: 1,
+                feedback: { message: 'よくがんばりました', suggestion: '「ぬ」をもういちど ていねいに書いてみよう' }
+            }, 'いぬ');
+
+            const cells = container.querySelectorAll('.result-word-cell');
+            expect(cells).toHaveLength(2);
+            expect(cells[1].classList.contains('weakest')).toBe(true);
+            expect(cells[0].classList.contains('weakest')).toBe(false);
+            expect(container.querySelector('.character-label').textContent).toBe('書いたことば');
+            expect(container.querySelector('#next-character-btn').textContent).toContain('次のことば');
+        });
+    });
+
+    describe('聞き書きの結果', () => {
+        beforeEach(() => {
+            component.init();
+        });
+
+        test('思い出して書けたかを表示し、書けなかったときは答えを見せる', () => {
+            component.render({ level: 'fair', recall: { recalled: true, writtenAs: null, rank: 1 } }, 'あ');
+            expect(container.querySelector('.result-recall').classList.contains('recalled')).toBe(true);
+
+            component.render({ level: 'fair', recall: { recalled: false, writtenAs: 'お', rank: 2 } }, 'あ');
+            expect(container.querySelector('.result-recall.not-recalled').textContent).toContain('こたえは『あ』');
+
+            component.render({ level: 'fair' }, 'あ');
+            expect(container.querySelector('.result-recall')).toBeNull();
+        });
+    });
+
     describe('アニメーション効果', () => {
         beforeEach(() => {
             component.init();
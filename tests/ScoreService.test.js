@@ -1,4 +1,6 @@
 import { ScoreService } from '../js/services/ScoreService.js';
+import { RecognitionService } from '../js/services/RecognitionService.js';
+import { SyntheticHandwritingGenerator } from './helpers/SyntheticHandwritingGenerator.js';
 
 describe('ScoreService', () => {
     let scoreService;
@@ -344,6 +346,370 @@ describe('ScoreService', () => {
         });
     });
 
+    describe('getStrokeHints', () => {
+        const outOfOrder = {
+            evaluated: true,
+            correct: false,
+            strokeMapping: [
+                { drawnIndex: 0, referenceIndex: 1 },
+                { drawnIndex: 1, referenceIndex: 0 }
+            ],
+            outOfOrder: [
+                { drawnIndex: 0, referenceIndex: 1, expectedReferenceIndex: 0 },
+                { drawnIndex: 1, referenceIndex: 0, expectedReferenceIndex: 1 }
+            ],
+            firstMistake: { drawnIndex: 0, referenceIndex: 1, expectedReferenceIndex: 0 }
+        };
+
+        test('should pass stroke order through calculateScore details', () => {
+            const recognized = {
+                recognized: true,
+                confidence: 0.8,
+                details: { expectedStrokes: 2, similarity: 0.8, strokeOrder: outOfOrder }
+            };
+            const drawingData = {
+                strokes: [[{ x: 10, y: 10 }, { x: 50, y: 10 }], [{ x: 30, y: 0 }, { x: 30, y: 60 }]],
+                boundingBox: { width: 40, height: 60 }
+            };
+
+            const score = scoreService.calculateScore(recognized, 'あ', drawingData);
+
+            expect(score.details.strokeOrder).toBe(outOfOrder);
+        });
+
+        test('should tell which stroke to write first', () => {
+            const score = { level: 'fair', details: { strokeOrder: outOfOrder } };
+            const feedback = scoreService.generateFeedback(score, {}, 'あ');
+
+            expect(feedback.strokeHints).toEqual([{
+                type: 'strokeOrder',
+                strokeIndex: 0,
+                message: '1番目の線を先に書こうね'
+            }]);
+        });
+
+        test('should add a hint for each reversed stroke', () => {
+            const score = {
+                level: 'fair',
+                details: {
+                    strokeDirection: {
+                        evaluated: true,
+                        correct: false,
+                        reversedStrokes: [{ drawnIndex: 1, referenceIndex: 1 }]
+                    }
+                }
+            };
+
+            expect(scoreService.getStrokeHints(score)).toEqual([{
+                type: 'strokeDirection',
+                strokeIndex: 1,
+                message: '2番目の線は反対がわから書いてみよう'
+            }]);
+        });
+
+        test('should return no hints for correct stroke order', () => {
+            const score = {
+                level: 'excellent',
+                details: { strokeOrder: { evaluated: true, correct: true, strokeMapping: [], outOfOrder: [], firstMistake: null } }
+            };
+
+            expect(scoreService.getStrokeHints(score)).toEqual([]);
+            expect(scoreService.getStrokeHints({ level: 'poor' })).toEqual([]);
+        });
+    });
+
+    describe('getLookalikeFeedback', () => {
+        test('should say which character the drawing looks like', () => {
+            const score = {
+                level: 'fair',
+                details: { candidateRanking: { best: 'さ', lookalike: 'さ', target: { character: 'ち', rank: 10 } } }
+            };
+            const feedback = scoreService.generateFeedback(score, {}, 'ち');
+
+            expect(feedback.lookalike).toEqual({ character: 'さ', message: 'それは『さ』に見えるよ' });
+        });
+
+        test('should return null when the drawing looks like the target', () => {
+            const score = { level: 'excellent', details: { candidateRanking: { best: 'ち', lookalike: null } } };
+
+            expect(scoreService.getLookalikeFeedback(score)).toBeNull();
+            expect(scoreService.getLookalikeFeedback({ level: 'poor' })).toBeNull();
+        });
+    });
+
+    describe('getConfusableDrillSuggestion', () => {
+        const confusion = {
+            target: 'る',
+            confusedWith: 'ろ',
+            group: ['る', 'ろ'],
+            targetSimilarity: 0.6,
+            confusedSimilarity: 0.8,
+            margin: 0.2
+        };
+
+        test('should suggest a drill for confused characters', () => {
+            const feedback = scoreService.generateFeedback({ level: 'fair', details: { confusion } }, {}, 'る');
+
+            expect(feedback.confusableDrill).toEqual({
+                characters: ['る', 'ろ'],
+                message: '『る』と『ろ』をかきわけよう'
+            });
+            expect(feedback.lookalike.character).toBe('ろ');
+        });
+
+        test('should not suggest a drill without confusion', () => {
+            expect(scoreService.getConfusableDrillSuggestion({ level: 'excellent', details: {} })).toBeNull();
+        });
+    });
+
+    describe('scoring profiles', () => {
+        const strokeEndings = {
+            evaluated: true,
+            correct: false,
+            endings: [
+                { drawnIndex: 0, referenceIndex: 0, expected: 'hane', actual: 'hane' },
+                { drawnIndex: 1, referenceIndex: 1, expected: 'tome', actual: 'harai' }
+            ],
+            mismatches: [
+                { drawnIndex: 1, referenceIndex: 1, expected: 'tome', actual: 'harai' }
+            ]
+        };
+        const recognized = {
+            recognized: true,
+            confidence: 0.8,
+            details: { expectedStrokes: 2, similarity: 0.8, strokeEndings }
+        };
+        const drawingData = {
+            strokes: [[{ x: 10, y: 10 }, { x: 50, y: 10 }], [{ x: 10, y: 60 }, { x: 50, y: 60 }]],
+            boundingBox: { width: 40, height: 50 }
+        };
+
+        test('should use the standard profile by default', () => {
+            expect(scoreService.getScoringProfile().name).toBe('standard');
+        });
+
+        test('should reject unknown profiles', () => {
+            expect(scoreService.setScoringProfile('unknown')).toBe(false);
+            expect(scoreService.getScoringProfile().name).toBe('standard');
+        });
+
+        test('should ignore stroke endings for toddlers', () => {
+            scoreService.setScoringProfile('toddler');
+            const score = scoreService.calculateScore(recognized, 'こ', drawingData);
+
+            expect(score.details.strokeEndings).toBeNull();
+            expect(score.details.strokeEndingScore).toBeNull();
+            expect(scoreService.getStrokeHints(score)).toEqual([]);
+        });
+
+        test('should report stroke endings without changing the score in the standard profile', () => {
+            scoreService.setScoringProfile('toddler');
+            const toddlerScore = scoreService.calculateScore(recognized, 'こ', drawingData);
+            scoreService.setScoringProfile('standard');
+            const standardScore = scoreService.calculateScore(recognized, 'こ', drawingData);
+
+            expect(standardScore.score).toBe(toddlerScore.score);
+            expect(standardScore.details.strokeEndingScore).toBe(0.5);
+            expect(scoreService.getStrokeHints(standardScore)).toEqual([{
+                type: 'strokeEnding',
+                strokeIndex: 1,
+                message: '2番目の線のおわりはぴたっと止めよう'
+            }]);
+        });
+
+        test('should reflect stroke endings in the score for school children', () => {
+            const standardScore = scoreService.calculateScore(recognized, 'こ', drawingData);
+            scoreService.setScoringProfile('school');
+            const schoolScore = scoreService.calculateScore(recognized, 'こ', drawingData);
+
+            expect(schoolScore.details.scoringProfile).toBe('school');
+            expect(schoolScore.score).toBeLessThan(standardScore.score);
+        });
+    });
+
+    describe('spatial balance', () => {
+        const balance = {
+            evaluated: true,
+            correct: false,
+            centerOffset: { x: -0.25, y: -0.2 },
+            centerDistance: 0.32,
+            offCenter: true,
+            sizeRatio: 0.5,
+            sizeIssue: 'small',
+            placementError: 0.1,
+            misplacedStrokes: [
+                { drawnIndex: 0, referenceIndex: 0, offset: { x: -0.3, y: 0 }, correction: 'right' }
+            ]
+        };
+        const recognized = {
+            recognized: true,
+            confidence: 0.8,
+            details: { expectedStrokes: 2, similarity: 0.8, balance }
+        };
+        const drawingData = {
+            strokes: [[{ x: 10, y: 10 }, { x: 50, y: 10 }], [{ x: 10, y: 60 }, { x: 50, y: 60 }]],
+            boundingBox: { width: 40, height: 50 }
+        };
+
+        test('should expose the balance as a sub-score', () => {
+            const score = scoreService.calculateScore(recognized, 'ふ', drawingData);
+
+            expect(score.details.balance).toBe(balance);
+            expect(score.details.balanceScore).toBeCloseTo((0.2 + 0.5 + 0.75) / 3);
+        });
+
+        test('should give full marks to a well balanced drawing', () => {
+            expect(scoreService.calculateBalanceScore({
+                evaluated: true,
+                centerDistance: 0,
+                sizeRatio: 1,
+                sizeIssue: null,
+                placementError: 0
+            })).toBe(1);
+            expect(scoreService.calculateBalanceScore(null)).toBeNull();
+        });
+
+        test('should give child-friendly balance hints', () => {
+            const score = scoreService.calculateScore(recognized, 'ふ', drawingData);
+            const feedback = scoreService.generateFeedback(score, recognized, 'ふ');
+
+            expect(feedback.strokeHints).toEqual([
+                { type: 'balance', strokeIndex: null, message: 'もう少し真ん中に書こう' },
+                { type: 'balance', strokeIndex: null, message: 'もう少し大きく書こう' },
+                { type: 'balance', strokeIndex: 0, message: '1番目の線はもう少し右に書こう' }
+            ]);
+        });
+
+        test('should reflect the balance in the score only for school children', () => {
+            const standardScore = scoreService.calculateScore(recognized, 'ふ', drawingData);
+            const withoutBalance = scoreService.calculateScore(
+                { ...recognized, details: { ...recognized.details, balance: null } }, 'ふ', drawingData
+            );
+            scoreService.setScoringProfile('school');
+            const schoolScore = scoreService.calculateScore(recognized, 'ふ', drawingData);
+
+            expect(standardScore.score).toBe(withoutBalance.score);
+            expect(schoolScore.score).toBeLessThan(standardScore.score);
+        });
+    });
+
+    describe('recognition engine', () => {
+        test('should report which engine recognized the drawing', () => {
+            const engine = { id: 'pointCloud', label: '点群マッチング（$P）', fallbackFrom: null };
+            const drawingData = { strokes: [[{ x: 10, y: 10 }, { x: 50, y: 10 }]], boundingBox: { width: 40, height: 10 } };
+
+            const score = scoreService.calculateScore(
+                { recognized: true, confidence: 0.8, details: { similarity: 0.8, expectedStrokes: 1, engine } }, 'へ', drawingData
+            );
+            const failed = scoreService.calculateScore(
+                { recognized: false, confidence: 0, details: { engine } }, 'へ', drawingData
+            );
+
+            expect(score.details.engine).toBe(engine);
+            expect(failed.details.engine).toBe(engine);
+        });
+    });
+
+    describe('tracing', () => {
+        const reference = new RecognitionService().getReferenceStrokes('あ');
+        const recognized = { recognized: true, confidence: 0.8, details: { engine: 'heuristic' } };
+        let generator;
+
+        beforeEach(() => {
+            generator = new SyntheticHandwritingGenerator(3);
+        });
+
+        test('手本の線をなぞった描画はよくできました', () => {
+            const drawing = generator.generate('あ', { tremor: 2 });
+            const result = scoreService.calculateTracingScore(recognized, 'あ', drawing, reference);
+
+            expect(result.level).toBe('excellent');
+            expect(result.details.mode).toBe('tracing');
+            expect(result.details.tracing.coverage).toBeGreaterThan(0.95);
+            expect(result.details.tracing.meanDeviation).toBeLessThan(0.02);
+            expect(result.details.expectedStrokes).toBe(3);
+        });
+
+        test('形が同じでも手本の線からずれるとスコアが下がる', () => {
+            const traced = scoreService.calculateTracingScore(recognized, 'あ', generator.generate('あ'), reference);
+            const shifted = scoreService.calculateTracingScore(
+                recognized, 'あ', generator.generate('あ', { offset: { x: 0.08, y: 0 } }), reference
+            );
+
+            expect(shifted.details.tracing.meanDeviation).toBeGreaterThan(traced.details.tracing.meanDeviation);
+            expect(shifted.score).toBeLessThan(traced.score);
+            expect(shifted.level).toBe('fair');
+        });
+
+        test('なぞらなかった画はカバー率が下がり、その画を助言する', () => {
+            const drawing = generator.generate('あ');
+            drawing.strokes = drawing.strokes.slice(0, 2);
+
+            const result = scoreService.calculateTracingScore(recognized, 'あ', drawing, reference);
+            const hints = scoreService.getStrokeHints(result);
+
+            expect(result.details.tracing.strokeCoverage[2]).toBeLessThan(0.7);
+            expect(hints).toContainEqual({ type: 'tracing', strokeIndex: 2, message: '3番目の線をさいごまでなぞろう' });
+        });
+
+        test('線の上からずれていれば線の上をなぞるよう助言する', () => {
+            const drawing = generator.generate('あ', { offset: { x: 0.05, y: 0.03 } });
+            const result = scoreService.calculateTracingScore(recognized, 'あ', drawing, reference);
+
+            expect(scoreService.getTracingHints(result)).toEqual([
+                { type: 'tracing', strokeIndex: null, message: 'うすい線の上をゆっくりなぞろう' }
+            ]);
+        });
+
+        test('キャンバスの大きさが分からないときはふつうの採点になる', () => {
+            const drawing = generator.generate('あ');
+            delete drawing.canvasSize;
+            delete drawing.metadata.canvasSize;
+
+            const result = scoreService.calculateTracingScore(recognized, 'あ', drawing, reference);
+
+            expect(result.details.mode).toBeUndefined();
+            expect(result.details.tracing).toBeUndefined();
+        });
+
+        test('描画がなければがんばろう', () => {
+            const result = scoreService.calculateTracingScore(recognized, 'あ', { strokes: [] }, reference);
+
+            expect(result.level).toBe('poor');
+            expect(result.details.reason).toBe('no_drawing');
+        });
+    });
+
+    describe('getMismatchedStrokes', () => {
+        test('筆順・運筆方向・対応しない線を描いた線ごとにまとめる', () => {
+            const score = {
+                details: {
+                    strokeCount: 3,
+                    strokeOrder: {
+                        outOfOrder: [{ drawnIndex: 1 }],
+                        strokeMapping: [{ drawnIndex: 0 }, { drawnIndex: 1 }]
+                    },
+                    strokeDirection: { reversedStrokes: [{ drawnIndex: 1 }] }
+                }
+            };
+
+            expect(scoreService.getMismatchedStrokes(score)).toEqual([
+                { drawnIndex: 1, reasons: ['strokeOrder', 'strokeDirection'] },
+                { drawnIndex: 2, reasons: ['shape'] }
+            ]);
+        });
+
+        test('なぞり書きでは手本の線から離れた線を対象にする', () => {
+            const score = { details: { tracing: { strokeDeviations: [0.01, 0.06] } } };
+
+            expect(scoreService.getMismatchedStrokes(score)).toEqual([{ drawnIndex: 1, reasons: ['tracing'] }]);
+        });
+
+        test('詳細がなければ空になる', () => {
+            expect(scoreService.getMismatchedStrokes({ level: 'good' })).toEqual([]);
+        });
+    });
+
     describe('getConstructiveSuggestion', () => {
         test('should provide appropriate suggestions for excellent level', () => {
             const score = { level: 'excellent', details: {} };
@@ -383,6 +749,98 @@ describe('ScoreService', () => {
             
             expect(suggestion).toContain('線');
         });
+
+        test('should provide stroke direction feedback', () => {
+            const score = {
+                level: 'fair',
+                details: {
+                    strokeCount: 3,
+                    expectedStrokes: 3,
+                    strokeDirection: { evaluated: true, correct: false, reversedStrokes: [{ drawnIndex: 0, referenceIndex: 0 }] }
+                }
+            };
+            const suggestion = scoreService.getConstructiveSuggestion(score, {}, 'あ');
+
+            expect(suggestion).toContain('書きはじめる場所');
+        });
+    });
+
+    describe('calculateWordScore', () => {
+        test('ぜんぶのマスがよくできましたのときだけことばもよくできました', () => {
+            const result = scoreService.calculateWordScore([
+                { level: 'excellent', score: 0.9, confidence: 0.8 },
+                { level: 'excellent', score: 0.7, confidence: 0.6 }
+            ], 'いぬ');
+
+            expect(result.level).toBe('excellent');
+            expect(result.score).toBeCloseTo(0.8);
+            expect(result.confidence).toBeCloseTo(0.7);
+            expect(result.cells).toEqual([
+                { character: 'い', level: 'excellent', score: 0.9 },
+                { character: 'ぬ', level: 'excellent', score: 0.7 }
+            ]);
+        });
+
+        test('一番点数の低いマスの文字をもういちど練習するように伝える', () => {
+            const result = scoreService.calculateWordScore([
+                { level: 'excellent', score: 0.9, confidence: 0.8 },
+                { level: 'fair', score: 0.35, confidence: 0.3 },
+                { level: 'excellent', score: 0.8, confidence: 0.7 }
+            ], 'さかな');
+            const feedback = scoreService.generateWordFeedback(result);
+
+            expect(result.level).toBe('fair');
+            expect(result.weakestIndex).toBe(1);
+            expect(result.details.excellentCount).toBe(2);
+            expect(feedback.practiceCharacter).toBe('か');
+            expect(feedback.suggestion).toContain('「か」');
+            expect(feedback.showExample).toBe(true);
+        });
+
+        test('マスがなければがんばろう', () => {
+            const result = scoreService.calculateWordScore([], 'ねこ');
+
+            expect(result.level).toBe('poor');
+            expect(result.score).toBe(0);
+            expect(scoreService.generateWordFeedback(result).alwaysPositive).toBe(true);
+        });
+    });
+
+    describe('judgeRecall', () => {
+        const createRecognition = (candidateRanking, confusion = null) => ({
+            recognized: true,
+            details: { candidateRanking, confusion }
+        });
+
+        test('目標の文字が候補の上位にあり、別の文字に見えなければ書けたとする', () => {
+            const result = scoreService.judgeRecall(createRecognition({
+                best: 'い',
+                target: { character: 'あ', rank: 2, similarity: 0.7 },
+                lookalike: null
+            }), 'あ');
+
+            expect(result).toEqual({ recalled: true, writtenAs: null, rank: 2 });
+        });
+
+        test('別の文字に見えるか、候補の下位なら書けなかったとする', () => {
+            expect(scoreService.judgeRecall(createRecognition({
+                best: 'お',
+                target: { character: 'あ', rank: 2, similarity: 0.6 },
+                lookalike: 'お'
+            }), 'あ')).toMatchObject({ recalled: false, writtenAs: 'お' });
+
+            expect(scoreService.judgeRecall(createRecognition({
+                best: 'ね',
+                target: { character: 'あ', rank: 8, similarity: 0.4 },
+                lookalike: null
+            }), 'あ').recalled).toBe(false);
+        });
+
+        test('候補順位がなければ認識できたかと取り違えで判定する', () => {
+            expect(scoreService.judgeRecall(createRecognition(null), 'あ').recalled).toBe(true);
+            expect(scoreService.judgeRecall(createRecognition(null, { confusedWith: 'ぬ' }), 'め'))
+                .toEqual({ recalled: false, writtenAs: 'ぬ', rank: null });
+        });
     });
 
     describe('getEncouragingIcon', () => {
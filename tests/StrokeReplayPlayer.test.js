@@ -0,0 +1,226 @@
+// 書いた線の再生プレイヤーのテスト
+import { StrokeReplayPlayer } from '../js/components/StrokeReplayPlayer.js';
+import { ProgressViewComponent } from '../js/components/ProgressViewComponent.js';
+import { CharacterProgress } from '../js/models/CharacterProgress.js';
+
+// 2画の描画（1画目のあと3秒考えこんでから2画目を書いた）
+const createDrawing = () => ({
+    strokes: [
+        [{ x: 100, y: 100, timestamp: 1000 }, { x: 200, y: 100, timestamp: 1100 }, { x: 300, y: 100, timestamp: 1200 }],
+        [{ x: 200, y: 50, timestamp: 4200 }, { x: 200.4, y: 350.6, timestamp: 4500 }]
+    ],
+    canvasSize: { width: 400, height: 400 }
+});
+
+describe('StrokeReplayPlayer', () => {
+    let container;
+    let ctx;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = '<div id="player"></div>';
+        container = document.getElementById('player');
+
+        ctx = {
+            clearRect: jest.fn(),
+            beginPath: jest.fn(),
+            moveTo: jest.fn(),
+            lineTo: jest.fn(),
+            stroke: jest.fn()
+        };
+        HTMLCanvasElement.prototype.getContext.mockImplementation(() => ctx);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        document.body.innerHTML = '';
+    });
+
+    test('描画データから最初の点を0ミリ秒とした再生データを作る', () => {
+        const recording = StrokeReplayPlayer.createRecording(createDrawing());
+
+        expect(recording).toEqual({
+            canvasSize: { width: 400, height: 400 },
+            duration: 3500,
+            strokes: [
+                [[100, 100, 0], [200, 100, 100], [300, 100, 200]],
+                [[200, 50, 3200], [200, 351, 3500]]
+            ]
+        });
+        expect(StrokeReplayPlayer.createRecording({ strokes: [] })).toBeNull();
+    });
+
+    test('時刻のない点は一定の間隔で書いたものとして扱う', () => {
+        const recording = StrokeReplayPlayer.createRecording({
+            strokes: [[{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 0 }]]
+        });
+
+        expect(recording.strokes[0].map(point => point[2])).toEqual([0, 16, 32]);
+    });
+
+    test('読み込むと書きおえた状態を表示し、画と画の間の長い時間は縮める', () => {
+        const player = new StrokeReplayPlayer(container);
+        player.load(StrokeReplayPlayer.createRecording(createDrawing()));
+
+        // 3秒の間は1.5秒に縮める
+        expect(player.getState()).toEqual({
+            strokeCount: 2,
+            completedStrokes: 2,
+            elapsed: 2000,
+            duration: 2000,
+            playing: false,
+            finished: true
+        });
+        expect(ctx.stroke).toHaveBeenCalledTimes(2);
+    });
+
+    test('再生すると書いた速さのとおりに線をのばす', () => {
+        const player = new StrokeReplayPlayer(container);
+        player.load(StrokeReplayPlayer.createRecording(createDrawing()));
+
+        player.play();
+        ctx.lineTo.mockClear();
+        player.advance(150);
+
+        // 200px四方に縮めて、1画目の2点目と3点目の間まで描く
+        expect(player.getState()).toMatchObject({ completedStrokes: 0, playing: true });
+        expect(ctx.lineTo).toHaveBeenLastCalledWith(125, 50);
+        expect(container.querySelector('.stroke-replay-play').textContent).toBe('⏸ とめる');
+
+        player.advance(1850);
+        expect(player.getState()).toMatchObject({ completedStrokes: 2, playing: false, finished: true });
+        expect(container.querySelector('.stroke-replay-play').textContent).toBe('▶ さいせい');
+    });
+
+    test('速さを変えると進み方が変わる', () => {
+        const player = new StrokeReplayPlayer(container);
+        player.load(StrokeReplayPlayer.createRecording(createDrawing()));
+
+        const select = container.querySelector('.stroke-replay-speed');
+        select.value = 'quadruple';
+        select.dispatchEvent(new Event('change'));
+        container.querySelector('.stroke-replay-restart').click();
+        player.advance(250);
+
+        expect(player.speed).toBe('quadruple');
+        expect(player.getState().elapsed).toBe(1000);
+    });
+
+    test('アニメーションフレームごとに再生が進み、とめると止まる', () => {
+        const player = new StrokeReplayPlayer(container);
+        player.load(StrokeReplayPlayer.createRecording(createDrawing()));
+
+        container.querySelector('.stroke-replay-play').click();
+        jest.advanceTimersByTime(500);
+        container.querySelector('.stroke-replay-play').click();
+        const { elapsed } = player.getState();
+        jest.advanceTimersByTime(500);
+
+        expect(elapsed).toBeGreaterThan(0);
+        expect(player.getState()).toMatchObject({ elapsed, playing: false });
+    });
+
+    test('再生位置のスライダーで好きなところに移動できる', () => {
+        const player = new StrokeReplayPlayer(container);
+        player.load(StrokeReplayPlayer.createRecording(createDrawing()));
+
+        const seek = container.querySelector('.stroke-replay-seek');
+        seek.value = '500';
+        seek.dispatchEvent(new Event('input'));
+
+        expect(player.getState()).toMatchObject({ elapsed: 1000, completedStrokes: 1 });
+    });
+
+    test('取り除くとキャンバスと操作ボタンがなくなる', () => {
+        const player = new StrokeReplayPlayer(container);
+        player.load(StrokeReplayPlayer.createRecording(createDrawing()));
+
+        player.destroy();
+
+        expect(container.children).toHaveLength(0);
+        expect(player.getState()).toBeNull();
+    });
+});
+
+describe('CharacterProgress 再生データ', () => {
+    test('再生データは最近5回の試行にだけ残す', () => {
+        const progress = new CharacterProgress('あ');
+        const replay = StrokeReplayPlayer.createRecording(createDrawing());
+
+        for (let i = 0; i < 7; i++) {
+            progress.addAttempt(0.8, 1000 + i, { undoCount: 0, replay });
+        }
+
+        expect(progress.attempts.slice(0, 2).map(attempt => attempt.details)).toEqual([{ undoCount: 0 }, { undoCount: 0 }]);
+        expect(progress.getReplayAttempts().map(attempt => attempt.timestamp)).toEqual([1006, 1005, 1004, 1003, 1002]);
+    });
+});
+
+describe('ProgressViewComponent 文字の詳細', () => {
+    let component;
+    let progress;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="progress-view" class="screen"></div>';
+
+        progress = new CharacterProgress('あ');
+        progress.addAttempt(0.6, Date.now() - 60000, { replay: StrokeReplayPlayer.createRecording(createDrawing()) });
+        progress.addAttempt(0.9, Date.now(), { replay: StrokeReplayPlayer.createRecording(createDrawing()) });
+
+        const progressService = {
+            getCharacterProgress: jest.fn(character => (character === 'あ' ? progress : null)),
+            getCharacterStatistics: jest.fn(character => (character === 'あ' ? progress.getStatistics() : null)),
+            getOverallProgress: jest.fn(() => ({})),
+            getProgressByDifficulty: jest.fn(() => ({})),
+            getRecentlyPracticedCharacters: jest.fn(() => [])
+        };
+        const app = {
+            getProgressTrackingService: () => progressService,
+            getHiraganaDataService: () => ({
+                getAllCharacters: () => [{ character: 'あ', difficulty: 1 }, { character: 'い', difficulty: 1 }]
+            }),
+            showMainMenu: jest.fn()
+        };
+
+        component = new ProgressViewComponent(app);
+        component.init();
+        component.switchView('characters');
+    });
+
+    afterEach(() => {
+        component.closeCharacterDetail();
+        document.body.innerHTML = '';
+    });
+
+    test('文字カードを押すと最新の試行から書きかたを再生する', () => {
+        document.querySelector('.character-card[data-character="あ"]').click();
+
+        const buttons = document.querySelectorAll('.replay-attempt-btn');
+        expect(document.querySelector('.character-detail').dataset.character).toBe('あ');
+        expect(buttons).toHaveLength(2);
+        expect(buttons[0].textContent).toContain('90%');
+        expect(buttons[0].classList.contains('active')).toBe(true);
+        expect(component.replayPlayer.getState()).toMatchObject({ elapsed: 0, playing: true });
+    });
+
+    test('試行を選ぶとその試行を再生し、とじると再生を止める', () => {
+        document.querySelector('.character-card[data-character="あ"]').click();
+        const player = component.replayPlayer;
+        const pauseSpy = jest.spyOn(player, 'pause');
+
+        document.querySelectorAll('.replay-attempt-btn')[1].click();
+        expect(document.querySelectorAll('.replay-attempt-btn')[1].classList.contains('active')).toBe(true);
+
+        document.querySelector('.character-detail-close').click();
+        expect(pauseSpy).toHaveBeenCalled();
+        expect(component.replayPlayer).toBeNull();
+        expect(document.querySelector('.character-detail')).toBeNull();
+    });
+
+    test('再生できる試行がなければそのことを伝える', () => {
+        document.querySelector('.character-card[data-character="い"]').click();
+
+        expect(document.querySelector('.no-replay-message')).toBeTruthy();
+        expect(component.replayPlayer).toBeNull();
+    });
+});
@@ -0,0 +1,58 @@
+// TimelineAnimation（時間で進むアニメーションの再生制御）のテスト
+import { TimelineAnimation } from '../js/components/TimelineAnimation.js';
+
+describe('TimelineAnimation', () => {
+    let animation;
+    let onUpdate;
+    let onPause;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        onUpdate = jest.fn();
+        onPause = jest.fn();
+        animation = new TimelineAnimation({ onUpdate, onPause });
+        animation.reset(1000);
+    });
+
+    afterEach(() => {
+        animation.pause();
+        jest.useRealTimers();
+    });
+
+    test('速さの倍率で進み、最後まで進んだら止まる', () => {
+        animation.rate = 2;
+        animation.play();
+
+        animation.advance(300);
+        expect(animation.elapsed).toBe(600);
+        expect(animation.playing).toBe(true);
+
+        animation.advance(300);
+        expect(animation.elapsed).toBe(1000);
+        expect(animation.playing).toBe(false);
+        expect(onUpdate).toHaveBeenCalledTimes(3);
+    });
+
+    test('フレームごとに経過時間だけ進み、最後まで進んだら次のフレームを予約しない', () => {
+        animation.play();
+
+        jest.advanceTimersByTime(1100);
+
+        expect(animation.isFinished()).toBe(true);
+        expect(animation.frame).toBeNull();
+    });
+
+    test('一時停止で止め、最後から再生すると最初に戻る', () => {
+        animation.play();
+        animation.toggle();
+        expect(animation.playing).toBe(false);
+        expect(onPause).toHaveBeenCalledTimes(1);
+
+        animation.seek(5000);
+        expect(animation.elapsed).toBe(1000);
+
+        animation.play();
+        expect(animation.elapsed).toBe(0);
+        expect(animation.playing).toBe(true);
+    });
+});
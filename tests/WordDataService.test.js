@@ -0,0 +1,52 @@
+// WordDataService（ことばの練習で書くことば）のテスト
+import { WordDataService } from '../js/services/WordDataService.js';
+import { HiraganaDataService } from '../js/services/HiraganaDataService.js';
+import { wordList } from '../js/services/wordList.js';
+
+describe('WordDataService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new WordDataService(new HiraganaDataService());
+    });
+
+    test('ことばはすべて練習できる文字でできていて、絵のヒントがある', () => {
+        expect(service.getAllWords()).toHaveLength(wordList.length);
+        service.getAllWords().forEach(entry => {
+            expect(entry.characters.length).toBeGreaterThanOrEqual(2);
+            expect(entry.hint).toBeTruthy();
+            expect(entry.hintLabel).toBeTruthy();
+        });
+        expect(service.selectWord('さかな').characters).toEqual(['さ', 'か', 'な']);
+    });
+
+    test('練習できない文字を含むことばは除く', () => {
+        const filtered = new WordDataService(new HiraganaDataService(), [
+            { word: 'いぬ', hint: '🐕', hintLabel: 'いぬの絵', category: 'どうぶつ' },
+            { word: 'りんご', hint: '🍎', hintLabel: 'りんごの絵', category: 'たべもの' }
+        ]);
+
+        expect(filtered.getAllWords().map(entry => entry.word)).toEqual(['いぬ']);
+    });
+
+    test('続けて同じことばを選ばない', () => {
+        const small = new WordDataService(null, wordList.slice(0, 3));
+        const selected = [];
+        for (let i = 0; i < 6; i++) {
+            selected.push(small.selectNextWord().word);
+        }
+
+        selected.slice(1).forEach((word, index) => {
+            expect(word).not.toBe(selected[index]);
+        });
+        expect(small.getCurrentWord().word).toBe(selected[5]);
+    });
+
+    test('仲間を指定してことばを選べる', () => {
+        const entry = service.selectNextWord({ category: 'たべもの' });
+
+        expect(entry.category).toBe('たべもの');
+        expect(service.getAllCategories()).toContain('どうぶつ');
+        expect(service.selectWord('そんなことば')).toBeNull();
+    });
+});
@@ -0,0 +1,278 @@
+// 子供の手書きを模した描画データの生成（テスト用）
+// 手本の参照ストロークから、震え・大きさの揺らぎ・線の途切れ・余分な線・逆向きの線を
+// シード付き乱数で加えた描画データを作る。同じシードと同じ呼び出し順なら同じ結果になる。
+import { RecognitionService } from '../../js/services/RecognitionService.js';
+
+export class SyntheticHandwritingGenerator {
+    /**
+     * @param {number} seed 乱数のシード
+     * @param {Object} templateData 文字ごとのテンプレートデータ（省略時はRecognitionServiceの全文字）
+     */
+    constructor(seed = 1, templateData = null) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+        this.templateData = templateData || new RecognitionService().getAllCharacterTemplateData();
+
+        // 既定の生成設定（すべて0なら手本をなぞった描画になる）
+        this.defaultOptions = {
+            canvasSize: 400,        // 文字枠（キャンバス）の大きさ（px）
+            scale: 1,               // 文字枠に対する文字の大きさ
+            offset: { x: 0, y: 0 }, // 文字全体のずれ（文字枠比）
+            pointSpacing: 5,        // 点の間隔（px）
+            pointInterval: 16,      // 点の時間間隔（ミリ秒）
+            strokePause: 300,       // 画と画の間の時間（ミリ秒）
+            tremor: 0,              // 震えの大きさ（px）
+            scaleDrift: 0,          // 画ごとの大きさの揺らぎ（±割合）
+            gapProbability: 0,      // 画の途中の点が抜け落ちる確率
+            extraStrokes: 0,        // 余分に書き足す短い線の数
+            reverseProbability: 0   // 画を逆向きに書く確率
+        };
+
+        // よく使う生成設定の組み合わせ
+        this.presets = {
+            clean: {},
+            tremor: { tremor: 3, scaleDrift: 0.1 },
+            gaps: { gapProbability: 1 },
+            child: { tremor: 3, scaleDrift: 0.15, gapProbability: 0.3, reverseProbability: 0.2 },
+            extraStroke: { tremor: 2, extraStrokes: 1 }
+        };
+    }
+
+    /**
+     * 名前付きの生成設定を取得
+     * @param {string} name プリセット名
+     * @returns {Object} 生成設定
+     */
+    getPreset(name) {
+        if (!this.presets[name]) {
+            throw new Error(`不明なプリセット: ${name}`);
+        }
+        return { ...this.presets[name] };
+    }
+
+    /**
+     * 0以上1未満の乱数（mulberry32）
+     * @returns {number} 乱数
+     */
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * min以上max未満の乱数
+     * @param {number} min 最小値
+     * @param {number} max 最大値
+     * @returns {number} 乱数
+     */
+    randomBetween(min, max) {
+        return min + (max - min) * this.random();
+    }
+
+    /**
+     * 乱数の状態をシードに戻す
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * 1文字分の描画データを生成
+     * DrawingData.toJSON()と同じ形に、認識に渡すcanvasSizeを加えたもの
+     * @param {string} character 文字
+     * @param {Object} options 生成設定（defaultOptionsを上書き）
+     * @returns {Object} { strokes, timestamp, boundingBox, canvasSize, metadata }
+     */
+    generate(character, options = {}) {
+        const template = this.templateData[character];
+        if (!template) {
+            throw new Error(`テンプレートがありません: ${character}`);
+        }
+
+        const settings = { ...this.defaultOptions, ...options };
+        const size = settings.canvasSize;
+        const center = {
+            x: (0.5 + settings.offset.x) * size,
+            y: (0.5 + settings.offset.y) * size
+        };
+
+        let strokes = template.strokes.map(referenceStroke => {
+            // 画ごとに大きさが揺らぐ
+            const strokeScale = settings.scale * (1 + this.randomBetween(-settings.scaleDrift, settings.scaleDrift));
+            const points = this.interpolate(referenceStroke, size * strokeScale, settings.pointSpacing)
+                .map(([x, y]) => ({
+                    x: center.x + (x - 0.5) * size * strokeScale,
+                    y: center.y + (y - 0.5) * size * strokeScale
+                }));
+
+            let stroke = this.addTremor(points, settings.tremor);
+            if (this.random() < settings.reverseProbability) {
+                stroke = stroke.reverse();
+            }
+            if (this.random() < settings.gapProbability) {
+                stroke = this.addGap(stroke);
+            }
+            return stroke;
+        });
+
+        for (let i = 0; i < settings.extraStrokes; i++) {
+            strokes.push(this.createExtraStroke(size, settings.pointSpacing));
+        }
+
+        strokes = this.addTimestamps(strokes, settings);
+        return this.createDrawingData(strokes, size);
+    }
+
+    /**
+     * ラベル付きのサンプルを生成
+     * @param {string} character 文字
+     * @param {Object} options 生成設定
+     * @returns {Object} { label, drawing }
+     */
+    generateSample(character, options = {}) {
+        return { label: character, drawing: this.generate(character, options) };
+    }
+
+    /**
+     * 複数文字のサンプルをまとめて生成
+     * @param {Array<string>} characters 文字の配列
+     * @param {number} samplesPerCharacter 1文字あたりのサンプル数
+     * @param {Object} options 生成設定
+     * @returns {Array<Object>} { id, label, drawing } の配列
+     */
+    generateCorpus(characters, samplesPerCharacter = 1, options = {}) {
+        const samples = [];
+        characters.forEach(character => {
+            for (let i = 0; i < samplesPerCharacter; i++) {
+                samples.push({
+                    id: `synthetic:${this.seed}:${character}#${i}`,
+                    ...this.generateSample(character, options)
+                });
+            }
+        });
+        return samples;
+    }
+
+    /**
+     * [x, y]形式の参照ストロークをおよそ一定間隔の点に補間
+     * @param {Array} referenceStroke 参照ストローク（文字枠を0-1とした座標）
+     * @param {number} size 文字の大きさ（px）
+     * @param {number} spacing 点の間隔（px）
+     * @returns {Array} [x, y] の配列
+     */
+    interpolate(referenceStroke, size, spacing) {
+        const points = [referenceStroke[0]];
+        for (let i = 1; i < referenceStroke.length; i++) {
+            const [prevX, prevY] = referenceStroke[i - 1];
+            const [x, y] = referenceStroke[i];
+            const steps = Math.max(1, Math.ceil(Math.hypot(x - prevX, y - prevY) * size / spacing));
+            for (let step = 1; step <= steps; step++) {
+                points.push([prevX + (x - prevX) * step / steps, prevY + (y - prevY) * step / steps]);
+            }
+        }
+        return points;
+    }
+
+    /**
+     * 震えを加える（隣り合う点で揺れがつながるよう前の揺れを引き継ぐ）
+     * @param {Array} points 点の配列
+     * @param {number} amplitude 震えの大きさ（px）
+     * @returns {Array} 震えを加えた点の配列
+     */
+    addTremor(points, amplitude) {
+        if (amplitude <= 0) return points;
+
+        let driftX = 0;
+        let driftY = 0;
+        return points.map(point => {
+            driftX = driftX * 0.5 + this.randomBetween(-amplitude, amplitude);
+            driftY = driftY * 0.5 + this.randomBetween(-amplitude, amplitude);
+            return { x: point.x + driftX, y: point.y + driftY };
+        });
+    }
+
+    /**
+     * 画の途中の点を抜き取り、ペン先が浮いたような途切れを作る
+     * @param {Array} stroke 点の配列
+     * @returns {Array} 途切れのある点の配列
+     */
+    addGap(stroke) {
+        if (stroke.length < 8) return stroke;
+
+        const gapLength = Math.max(2, Math.floor(stroke.length * 0.2));
+        const start = 1 + Math.floor(this.random() * (stroke.length - gapLength - 2));
+        return [...stroke.slice(0, start), ...stroke.slice(start + gapLength)];
+    }
+
+    /**
+     * 文字枠の中に短い余分な線を作る
+     * @param {number} size 文字枠の大きさ（px）
+     * @param {number} spacing 点の間隔（px）
+     * @returns {Array} 点の配列
+     */
+    createExtraStroke(size, spacing) {
+        const start = [this.randomBetween(0.2, 0.8), this.randomBetween(0.2, 0.8)];
+        const angle = this.randomBetween(0, Math.PI * 2);
+        const length = this.randomBetween(0.05, 0.12);
+        const end = [start[0] + Math.cos(angle) * length, start[1] + Math.sin(angle) * length];
+
+        return this.interpolate([start, end], size, spacing).map(([x, y]) => ({ x: x * size, y: y * size }));
+    }
+
+    /**
+     * 書いた順にタイムスタンプを付ける
+     * @param {Array} strokes ストローク配列
+     * @param {Object} settings 生成設定
+     * @returns {Array} タイムスタンプ付きのストローク配列
+     */
+    addTimestamps(strokes, settings) {
+        let timestamp = 0;
+        return strokes.map((stroke, index) => {
+            if (index > 0) timestamp += settings.strokePause;
+            return stroke.map((point, pointIndex) => {
+                if (pointIndex > 0) timestamp += settings.pointInterval;
+                return { x: point.x, y: point.y, timestamp };
+            });
+        });
+    }
+
+    /**
+     * DrawingData.toJSON()と同じ形の描画データを作る
+     * @param {Array} strokes ストローク配列
+     * @param {number} size 文字枠の大きさ（px）
+     * @returns {Object} 描画データ
+     */
+    createDrawingData(strokes, size) {
+        const points = strokes.flat();
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const maxX = Math.max(...xs);
+        const maxY = Math.max(...ys);
+        const canvasSize = { width: size, height: size };
+
+        return {
+            strokes,
+            timestamp: 0,
+            boundingBox: {
+                x: minX,
+                y: minY,
+                width: maxX - minX,
+                height: maxY - minY,
+                centerX: (minX + maxX) / 2,
+                centerY: (minY + maxY) / 2
+            },
+            canvasSize,
+            metadata: {
+                deviceType: 'touch',
+                canvasSize,
+                totalPoints: points.length,
+                totalStrokes: strokes.length
+            }
+        };
+    }
+}
@@ -0,0 +1,15 @@
+// 手本の各画をそのままキャンバス座標に写した描画データ（テスト用）
+import { RecognitionService } from '../../js/services/RecognitionService.js';
+
+/**
+ * @param {string} character 文字
+ * @param {number} size 文字枠（キャンバス）の大きさ（px）
+ * @returns {Object} { strokes, boundingBox } の描画データ
+ */
+export function createTemplateDrawing(character, size = 200) {
+    const template = new RecognitionService().getAllCharacterTemplateData()[character];
+    const strokes = template.strokes.map(stroke =>
+        stroke.map(([x, y], index) => ({ x: x * size, y: y * size, timestamp: index * 16 }))
+    );
+    return { strokes, boundingBox: { x: 0, y: 0, width: size, height: size } };
+}